@@ -0,0 +1,571 @@
+/**
+ * Relay server for the editor's collaboration mode
+ *
+ *     node collaboration-server.js [port]
+ *
+ * Editors that join the same room send their operations and caret positions
+ * here, and the server passes them on to everyone else in the room. It keeps
+ * each room's operations in memory so that people who join later receive the
+ * document; long logs are compacted into the operations that rebuild the same
+ * token sequence, and rooms nobody has been in for a while are dropped, as are
+ * all rooms when the server stops. Editors send operations only under their own
+ * peer id, and a peer id stays with the connection that first joined with it: to
+ * take it over after reconnecting, an editor sends the token the relay gave it.
+ * It also serves the files in this directory,
+ * so the demo page can be opened from http://localhost:8080/.
+ *
+ * No dependencies: the WebSocket protocol (RFC 6455) is implemented below.
+ */
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PORT = 8080;
+
+// Largest message accepted; images embedded as data URLs travel inside operations,
+// and editors do not send operations larger than this (see uploadImage)
+const MAX_MESSAGE_SIZE = 2 * 1024 * 1024;
+
+// A room's log is compacted when it grows past this many operations, and again
+// whenever it has doubled since
+const COMPACT_LOG_SIZE = 1000;
+
+// Rooms without anyone in them are dropped after this time (ms)
+const ROOM_IDLE_TIMEOUT = 10 * 60 * 1000;
+
+// Most rooms kept at once; when full, the oldest room nobody is in makes way
+const MAX_ROOMS = 1000;
+
+// Peer ids are short codes; operation ids are "<peer id>:<number>"
+const SITE_PATTERN = /^[\w-]{1,64}$/;
+
+// Connections that do not answer a ping within this time (ms) are closed
+const HEARTBEAT_INTERVAL = 30000;
+
+// Appended to the client's key to prove the server speaks WebSocket
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Files served over plain HTTP
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+};
+
+/**
+ * Create the HTTP server; call listen(port) on the result to start it. Browsers may
+ * connect from pages served by this server and from `allowedOrigins`, a list such
+ * as ['https://example.com'].
+ */
+function createRelayServer({ allowedOrigins = [] } = {}) {
+    const rooms = new Map();
+    const clients = new Set();
+    const server = http.createServer(serveFile);
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        if (!isAllowedOrigin(req, allowedOrigins)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+                     'Upgrade: websocket\r\n' +
+                     'Connection: Upgrade\r\n' +
+                     `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+        const client = { socket, buffer: Buffer.alloc(0), fragments: null, room: null, peer: null, selection: null, alive: true, closed: false };
+        clients.add(client);
+        socket.on('data', (chunk) => {
+            client.buffer = Buffer.concat([client.buffer, chunk]);
+            readFrames(client, (text) => handleMessage(rooms, client, text));
+        });
+        socket.on('close', () => {
+            clients.delete(client);
+            leaveRoom(rooms, client);
+        });
+        socket.on('error', () => socket.destroy());
+    });
+
+    const heartbeat = setInterval(() => {
+        clients.forEach(client => {
+            if (!client.alive) {
+                client.socket.destroy();
+                return;
+            }
+            client.alive = false;
+            sendFrame(client, OPCODES.ping, Buffer.alloc(0));
+        });
+    }, HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+    server.on('close', () => {
+        clearInterval(heartbeat);
+        rooms.forEach(room => clearTimeout(room.idleTimer));
+    });
+
+    return server;
+}
+
+/**
+ * Check the Origin header browsers send with the upgrade. Other programs send none
+ * (and could send any), so only browser pages are held to the list.
+ */
+function isAllowedOrigin(req, allowedOrigins) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    if (allowedOrigins.includes(origin)) return true;
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Serve index.html, main.js, style.css and the other page files next to this script
+ */
+function serveFile(req, res) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (err) {
+        pathname = '';
+    }
+    const file = path.join(__dirname, path.normalize(pathname === '/' ? '/index.html' : pathname));
+    const type = CONTENT_TYPES[path.extname(file)];
+    if (req.method !== 'GET' || !type || path.dirname(file) !== __dirname) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+    }
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(data);
+    });
+}
+
+/**
+ * Parse the complete frames in the client's buffer and pass on every finished text message
+ */
+function readFrames(client, onMessage) {
+    while (!client.closed && client.buffer.length >= 2) {
+        const buffer = client.buffer;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return;
+            length = buffer.readUInt32BE(2) * 2 ** 32 + buffer.readUInt32BE(6);
+            offset = 10;
+        }
+        if (!masked) {
+            closeClient(client, 1002, 'Frames from clients must be masked');
+            return;
+        }
+        if (length > MAX_MESSAGE_SIZE) {
+            closeClient(client, 1009, 'Message too big');
+            return;
+        }
+        if (buffer.length < offset + 4 + length) return;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+        client.buffer = buffer.subarray(offset + 4 + length);
+        client.alive = true;
+
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+                client.fragments = [payload];
+                break;
+            case OPCODES.continuation:
+                if (!client.fragments) {
+                    closeClient(client, 1002, 'Unexpected continuation frame');
+                    return;
+                }
+                client.fragments.push(payload);
+                break;
+            case OPCODES.close:
+                closeClient(client, 1000, '');
+                return;
+            case OPCODES.ping:
+                sendFrame(client, OPCODES.pong, payload);
+                continue;
+            default:
+                continue;
+        }
+
+        const size = client.fragments.reduce((sum, part) => sum + part.length, 0);
+        if (size > MAX_MESSAGE_SIZE) {
+            closeClient(client, 1009, 'Message too big');
+            return;
+        }
+        if (fin) {
+            const message = Buffer.concat(client.fragments).toString('utf8');
+            client.fragments = null;
+            onMessage(message);
+        }
+    }
+}
+
+/**
+ * Write one unmasked frame (servers never mask)
+ */
+function sendFrame(client, opcode, payload) {
+    if (client.closed || client.socket.destroyed) return;
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    client.socket.write(Buffer.concat([header, payload]));
+}
+
+function send(client, message) {
+    sendFrame(client, OPCODES.text, Buffer.from(JSON.stringify(message), 'utf8'));
+}
+
+function closeClient(client, code, reason) {
+    if (client.closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    sendFrame(client, OPCODES.close, payload);
+    client.closed = true;
+    client.socket.end();
+}
+
+/**
+ * Send a message to everyone in the room except one client
+ */
+function broadcast(room, message, except) {
+    room.clients.forEach(client => {
+        if (client !== except) send(client, message);
+    });
+}
+
+/**
+ * Handle a message from an editor: join first, then operations and presence.
+ * An editor joins with its peer id, and later with the token the welcome gave it.
+ */
+function handleMessage(rooms, client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (err) {
+        closeClient(client, 1007, 'Messages must be JSON');
+        return;
+    }
+    if (!message || typeof message !== 'object') return;
+
+    if (!client.room) {
+        if (message.type !== 'join' || typeof message.room !== 'string' || !message.peer ||
+            typeof message.peer.id !== 'string' || !SITE_PATTERN.test(message.peer.id)) {
+            closeClient(client, 1008, 'Join a room first');
+            return;
+        }
+        joinRoom(rooms, client, message);
+        return;
+    }
+
+    const room = client.room;
+    switch (message.type) {
+        case 'op': {
+            const op = readOperation(message.op);
+            // Editors only send their own operations; anything else would let one write as another
+            if (!op || op.site !== client.peer.id) return;
+            // Editors send their operations again after reconnecting; keep each one once.
+            // Every editor numbers its own operations, so the highest number seen is enough.
+            const number = getOperationNumber(op);
+            if (number <= (room.sites.get(op.site) || 0)) return;
+            room.sites.set(op.site, number);
+            room.log.push(op);
+            if (room.log.length > Math.max(COMPACT_LOG_SIZE, 2 * room.compactedSize)) {
+                compactRoomLog(room);
+                // Editors may forget their operations the compacted log now holds
+                broadcast(room, { type: 'compacted', known: Object.fromEntries(room.sites) });
+            }
+            if (room.seeder === client) room.seeder = null;
+            broadcast(room, { type: 'op', op }, client);
+            break;
+        }
+        case 'presence':
+            client.selection = readSelection(message.selection);
+            broadcast(room, { type: 'presence', peer: client.peer.id, selection: client.selection }, client);
+            break;
+    }
+}
+
+/**
+ * Copy the fields of an operation from an editor, or return null if it is malformed
+ */
+function readOperation(op) {
+    if (!op || typeof op !== 'object' || typeof op.site !== 'string' || !SITE_PATTERN.test(op.site) ||
+        !Number.isSafeInteger(op.counter) || op.counter < 1 || typeof op.id !== 'string' ||
+        !/^\d{1,15}$/.test(op.id.slice(op.site.length + 1)) || !op.id.startsWith(op.site + ':')) {
+        return null;
+    }
+    const isIdList = (list) => Array.isArray(list) && list.every(id => typeof id === 'string' && id.length <= 100);
+    if (op.type === 'insert') {
+        if ((op.after !== null && (typeof op.after !== 'string' || op.after.length > 100)) ||
+            !Array.isArray(op.values) || !op.values.length ||
+            !op.values.every(value => typeof value === 'string' && value)) {
+            return null;
+        }
+        return { type: 'insert', id: op.id, site: op.site, counter: op.counter, after: op.after, values: op.values };
+    }
+    if (op.type === 'visibility' && isIdList(op.hide) && isIdList(op.show)) {
+        return { type: 'visibility', id: op.id, site: op.site, counter: op.counter, hide: op.hide, show: op.show };
+    }
+    return null;
+}
+
+function getOperationNumber(op) {
+    return Number(op.id.slice(op.site.length + 1));
+}
+
+function readSelection(selection) {
+    if (!selection || typeof selection !== 'object') return null;
+    const isAnchor = (id) => id === null || (typeof id === 'string' && id.length <= 100);
+    return isAnchor(selection.anchor) && isAnchor(selection.focus) ? { anchor: selection.anchor, focus: selection.focus } : null;
+}
+
+/**
+ * Replace a room's log with fewer operations that build the same token sequence.
+ *
+ * The log is replayed the way the editors apply it (see applyCollaborationOp in
+ * main.js): tokens are placed after the token they were typed after (their
+ * origin), and the latest visibility change of each token wins. The new log has
+ * one insert for each run of tokens typed together, with the run's origin, in
+ * document order, and one visibility operation for each change that is still in
+ * effect. Hidden tokens stay, because editors that were offline may refer to them.
+ * Editors that already applied the old operations apply the new ones without any
+ * change, as they skip tokens and visibility changes they have.
+ */
+function compactRoomLog(room) {
+    // The sequence is a linked list, so placing a token costs no search for its position
+    const head = { next: null };
+    const itemsById = new Map();
+    room.log.forEach(op => {
+        if (op.type === 'insert') {
+            let previous = head;
+            if (op.after !== null) {
+                previous = itemsById.get(op.after);
+                if (!previous) return;
+            }
+            let origin = op.after;
+            op.values.forEach((value, i) => {
+                const counter = op.counter + i;
+                const id = `${op.site}:${counter}`;
+                const existing = itemsById.get(id);
+                if (existing) {
+                    previous = existing;
+                    origin = id;
+                    return;
+                }
+                while (previous.next && compareStamps(previous.next.counter, previous.next.site, counter, op.site) > 0) {
+                    previous = previous.next;
+                }
+                const item = { id, value, counter, site: op.site, origin, hidden: false, stamp: [counter, op.site], next: previous.next };
+                previous.next = item;
+                itemsById.set(id, item);
+                origin = id;
+                previous = item;
+            });
+        } else {
+            const update = (ids, hidden) => ids.forEach(id => {
+                const item = itemsById.get(id);
+                if (!item || compareStamps(op.counter, op.site, item.stamp[0], item.stamp[1]) <= 0) return;
+                item.stamp = [op.counter, op.site];
+                item.hidden = hidden;
+            });
+            update(op.hide, true);
+            update(op.show, false);
+        }
+    });
+    const items = [];
+    for (let item = head.next; item; item = item.next) items.push(item);
+
+    // Ids of the new operations start with "@", which peer ids cannot, so they never clash
+    room.compactions += 1;
+    const log = [];
+    const nextId = () => `@${room.compactions}:${log.length + 1}`;
+    let run = null;
+    items.forEach(item => {
+        if (run && item.site === run.site && item.counter === run.counter + run.values.length &&
+            item.origin === run.lastId) {
+            run.values.push(item.value);
+            run.lastId = item.id;
+            return;
+        }
+        run = { type: 'insert', id: nextId(), site: item.site, counter: item.counter, after: item.origin, values: [item.value], lastId: item.id };
+        log.push(run);
+    });
+    log.forEach(op => delete op.lastId);
+
+    const changes = new Map();
+    items.forEach(item => {
+        if (item.stamp[0] === item.counter && item.stamp[1] === item.site) return;
+        const key = `${item.stamp[0]}:${item.stamp[1]}`;
+        if (!changes.has(key)) {
+            changes.set(key, { type: 'visibility', id: '', site: item.stamp[1], counter: item.stamp[0], hide: [], show: [] });
+        }
+        changes.get(key)[item.hidden ? 'hide' : 'show'].push(item.id);
+    });
+    changes.forEach(op => {
+        op.id = nextId();
+        log.push(op);
+    });
+    room.log = log;
+    room.compactedSize = log.length;
+}
+
+/**
+ * Order two (counter, site) stamps; ties between sites are broken by the site id
+ */
+function compareStamps(counterA, siteA, counterB, siteB) {
+    if (counterA !== counterB) return counterA - counterB;
+    return siteA < siteB ? -1 : siteA > siteB ? 1 : 0;
+}
+
+/**
+ * Add a client to a room and send it the room's operations and the people in it
+ */
+function joinRoom(rooms, client, message) {
+    let room = rooms.get(message.room);
+    if (!room && rooms.size >= MAX_ROOMS && !dropIdleRoom(rooms)) {
+        closeClient(client, 1013, 'Too many rooms');
+        return;
+    }
+    // A peer id already in the room can only be taken again with the token it was given
+    const token = room && room.tokens.get(message.peer.id);
+    if (token && !isSameToken(token, message.token)) {
+        closeClient(client, 1008, 'Peer id in use');
+        return;
+    }
+    if (!room) {
+        // sites: the highest operation number received from each editor;
+        // tokens: the reconnect token given to each peer id
+        room = {
+            name: message.room, clients: new Set(), log: [], sites: new Map(), tokens: new Map(),
+            compactions: 0, compactedSize: 0, seeder: null, idleTimer: null
+        };
+        rooms.set(message.room, room);
+    }
+    clearTimeout(room.idleTimer);
+    client.peer = {
+        id: message.peer.id,
+        name: String(message.peer.name || 'Guest').slice(0, 60),
+        color: String(message.peer.color || '').slice(0, 7)
+    };
+    if (!token) room.tokens.set(client.peer.id, crypto.randomBytes(16).toString('hex'));
+
+    // The same editor reconnecting replaces its old connection without a "left" message
+    room.clients.forEach(other => {
+        if (other.peer.id === client.peer.id) {
+            room.clients.delete(other);
+            other.room = null;
+            other.socket.destroy();
+        }
+    });
+
+    // The first editor in an empty room fills it with its content; only one is asked to
+    const seed = room.log.length === 0 && !room.seeder;
+    if (seed) room.seeder = client;
+    send(client, {
+        type: 'welcome',
+        seed,
+        token: room.tokens.get(client.peer.id),
+        ops: room.log,
+        known: Object.fromEntries(room.sites),
+        peers: Array.from(room.clients, other => Object.assign({ selection: other.selection }, other.peer))
+    });
+    client.room = room;
+    room.clients.add(client);
+    broadcast(room, { type: 'join', peer: client.peer }, client);
+}
+
+/**
+ * Drop the room nobody has been in for the longest time; false if every room is in use
+ */
+function dropIdleRoom(rooms) {
+    for (const room of rooms.values()) {
+        if (!room.clients.size) {
+            clearTimeout(room.idleTimer);
+            rooms.delete(room.name);
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Compare a reconnect token from an editor with the one it was given, in constant time
+ */
+function isSameToken(expected, token) {
+    if (typeof token !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(token);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function leaveRoom(rooms, client) {
+    const room = client.room;
+    if (!room) return;
+    client.room = null;
+    room.clients.delete(client);
+    if (room.seeder === client) room.seeder = null;
+    broadcast(room, { type: 'leave', peer: client.peer.id });
+    if (room.clients.size) return;
+    if (!room.log.length) {
+        rooms.delete(room.name);
+        return;
+    }
+    // Editors that come back later bring their copy of the operations with them
+    room.idleTimer = setTimeout(() => {
+        if (!room.clients.size && rooms.get(room.name) === room) rooms.delete(room.name);
+    }, ROOM_IDLE_TIMEOUT);
+    room.idleTimer.unref();
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2] || process.env.PORT || DEFAULT_PORT);
+    // ALLOWED_ORIGINS: comma-separated origins of other sites whose pages may connect
+    const allowedOrigins = (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+    createRelayServer({ allowedOrigins }).listen(port, () => {
+        console.log(`Collaboration relay listening on http://localhost:${port}/ (WebSocket ws://localhost:${port}/)`);
+    });
+}
+
+module.exports = { createRelayServer };
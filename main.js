@@ -1,125 +1,572 @@
 /**
  * Fully Accessible WYSIWYG Editor
  * Pure vanilla JavaScript implementation with complete keyboard navigation
+ *
+ * Every editor on the page is an independent instance created with
+ * createAccessibleEditor(rootElement, options). Instance state (toolbar,
+ * content area, dialogs, saved selection...) lives on an `editor` object
+ * that is passed as the first argument to the functions below.
  */
 
-// Global state
-let currentToolbarIndex = 0;
-let savedSelection = null;
+// Number of editors created so far, used to build unique element ids
+let editorInstanceCount = 0;
 
-// Get DOM elements
-const toolbar = document.querySelector('.toolbar');
-const toolbarButtons = Array.from(document.querySelectorAll('.toolbar-btn'));
-const editorContent = document.querySelector('.editor-content');
-const linkPopup = document.querySelector('.link-popup');
-const linkUrlInput = document.getElementById('link-url-input');
-const linkApplyBtn = document.querySelector('.link-popup-apply');
-const linkCancelBtn = document.querySelector('.link-popup-cancel');
+/**
+ * Default options for createAccessibleEditor
+ */
+const DEFAULT_EDITOR_OPTIONS = {
+    label: 'Text editor',
+    toolbarLabel: 'Text formatting toolbar',
+    html: '<p>Start typing here...</p>',
+    // Autosave snapshots to IndexedDB under `documentId` (defaults to the root's id)
+    autosave: true,
+    autosaveDelay: 2000,
+    autosaveLimit: 50,
+    // Shortcut changes by command id, such as { bold: 'Mod+Shift+B' }, applied over the defaults
+    keymap: {},
+    // localStorage key for the shortcuts users change in the help dialog; false keeps them in memory
+    keymapStorageKey: 'accessible-wysiwyg-keymap',
+    // Markdown converted while typing: true for every rule, false for none, or a list of rule ids and rules
+    inputRules: true,
+    // Typing "/" in an empty block opens a list of block and insert commands
+    slashCommands: true,
+    // async (file) => url storing an inserted, pasted or dropped image; by default images become data URLs
+    uploadImage: null,
+    // { url, room, name, color }: share the content with everyone in `room` on a relay server
+    // (collaboration-server.js); room defaults to `documentId`
+    collaboration: null,
+    // Name shown on comments and suggestions; defaults to the collaboration name, or "You"
+    author: null,
+    // Start in Suggesting mode: edits are recorded as suggestions to accept or reject
+    suggesting: false
+};
 
 /**
- * Initialize the editor
+ * Built-in commands, written as plugins (see the Plugins section below)
  */
-function initEditor() {
-    setupToolbarNavigation();
-    setupToolbarButtons();
-    setupEditorContent();
-    setupLinkPopup();
-    // setup saving (Ctrl/Cmd+S and Save button)
-    if (typeof setupSaving === 'function') {
-        setupSaving();
+const BUILT_IN_PLUGINS = [
+    {
+        id: 'h2', label: 'Heading 2', group: 'Blocks', shortcut: 'Mod+Alt+2', undoable: true,
+        icon: '<path d="M4 12h8m-8-6v12m8-12v12m4 0h4m-4-6h4m-4 6V6"></path>' +
+              '<text x="16" y="18" font-size="10" font-weight="bold" fill="currentColor">2</text>',
+        execute: (editor) => toggleHeading(editor, 'h2'),
+        isActive: (editor) => isHeadingActive(editor, 'h2')
+    },
+    {
+        id: 'h3', label: 'Heading 3', group: 'Blocks', shortcut: 'Mod+Alt+3', undoable: true,
+        icon: '<path d="M4 12h8m-8-6v12m8-12v12m4 0h4m-4-6h4m-4 6V6"></path>' +
+              '<text x="16" y="18" font-size="10" font-weight="bold" fill="currentColor">3</text>',
+        execute: (editor) => toggleHeading(editor, 'h3'),
+        isActive: (editor) => isHeadingActive(editor, 'h3')
+    },
+    {
+        id: 'bold', label: 'Bold', group: 'Text style', shortcut: 'Mod+B', undoable: true,
+        icon: '<path d="M6 4h8a4 4 0 0 1 4 4 4 4 0 0 1-4 4H6z"></path>' +
+              '<path d="M6 12h9a4 4 0 0 1 4 4 4 4 0 0 1-4 4H6z"></path>',
+        execute: (editor) => toggleInlineMark(editor, 'bold'),
+        isActive: (editor) => isMarkActive(editor, 'bold')
+    },
+    {
+        id: 'italic', label: 'Italic', group: 'Text style', shortcut: 'Mod+I', undoable: true,
+        icon: '<line x1="19" y1="4" x2="10" y2="4"></line>' +
+              '<line x1="14" y1="20" x2="5" y2="20"></line>' +
+              '<line x1="15" y1="4" x2="9" y2="20"></line>',
+        execute: (editor) => toggleInlineMark(editor, 'italic'),
+        isActive: (editor) => isMarkActive(editor, 'italic')
+    },
+    {
+        id: 'underline', label: 'Underline', group: 'Text style', shortcut: 'Mod+U', undoable: true,
+        icon: '<path d="M6 3v7a6 6 0 0 0 6 6 6 6 0 0 0 6-6V3"></path>' +
+              '<line x1="4" y1="21" x2="20" y2="21"></line>',
+        execute: (editor) => toggleInlineMark(editor, 'underline'),
+        isActive: (editor) => isMarkActive(editor, 'underline')
+    },
+    {
+        id: 'insertUnorderedList', label: 'Bullet list', group: 'Lists', shortcut: 'Mod+Shift+8', undoable: true,
+        icon: '<line x1="9" y1="6" x2="20" y2="6"></line>' +
+              '<line x1="9" y1="12" x2="20" y2="12"></line>' +
+              '<line x1="9" y1="18" x2="20" y2="18"></line>' +
+              '<circle cx="4" cy="6" r="1" fill="currentColor"></circle>' +
+              '<circle cx="4" cy="12" r="1" fill="currentColor"></circle>' +
+              '<circle cx="4" cy="18" r="1" fill="currentColor"></circle>',
+        execute: (editor) => toggleList(editor, 'ul'),
+        isActive: (editor) => getListTagAtSelection(editor) === 'UL'
+    },
+    {
+        id: 'insertOrderedList', label: 'Numbered list', group: 'Lists', shortcut: 'Mod+Shift+7', undoable: true,
+        icon: '<line x1="10" y1="6" x2="21" y2="6"></line>' +
+              '<line x1="10" y1="12" x2="21" y2="12"></line>' +
+              '<line x1="10" y1="18" x2="21" y2="18"></line>' +
+              '<text x="3" y="8" font-size="8" fill="currentColor">1.</text>' +
+              '<text x="3" y="14" font-size="8" fill="currentColor">2.</text>' +
+              '<text x="3" y="20" font-size="8" fill="currentColor">3.</text>',
+        execute: (editor) => toggleList(editor, 'ol'),
+        isActive: (editor) => getListTagAtSelection(editor) === 'OL'
+    },
+    {
+        id: 'createLink', label: 'Insert link', group: 'Insert', shortcut: 'Mod+K', popup: 'dialog',
+        icon: '<path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path>' +
+              '<path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>',
+        execute: (editor) => openLinkDialog(editor)
+    },
+    {
+        id: 'image', label: 'Insert image', group: 'Insert', popup: 'dialog',
+        title: 'Insert image, or edit the alt text of the selected image',
+        icon: '<rect x="3" y="3" width="18" height="18" rx="2"></rect><circle cx="8.5" cy="8.5" r="1.5"></circle>' +
+              '<path d="M21 15l-5-5L5 21"></path>',
+        execute: (editor) => openImageDialog(editor, { image: getSelectedImage(editor) })
+    },
+    {
+        id: 'insertTable', label: 'Insert table', group: 'Insert', popup: 'dialog',
+        execute: (editor) => openTableDialog(editor),
+        isEnabled: (editor) => !getSelectedTableCell(editor)
+    },
+    {
+        id: 'table', label: 'Table', group: 'Insert', popup: 'menu', slashCommand: false,
+        title: 'Insert a table, or add and delete rows and columns',
+        icon: '<rect x="3" y="3" width="18" height="18" rx="2"></rect><line x1="3" y1="9" x2="21" y2="9"></line>' +
+              '<line x1="3" y1="15" x2="21" y2="15"></line><line x1="12" y1="3" x2="12" y2="21"></line>',
+        menu: [
+            { id: 'insertTable', label: 'Insert table…', execute: (editor) => runToolbarCommand(editor, 'insertTable'), isEnabled: (editor) => !getSelectedTableCell(editor) },
+            { id: 'addRowAbove', label: 'Insert row above', execute: (editor) => runToolbarCommand(editor, 'addRowAbove'), isEnabled: (editor) => Boolean(getSelectedTableCell(editor)) },
+            { id: 'addRowBelow', label: 'Insert row below', execute: (editor) => runToolbarCommand(editor, 'addRowBelow'), isEnabled: (editor) => Boolean(getSelectedTableCell(editor)) },
+            { id: 'addColumnBefore', label: 'Insert column before', execute: (editor) => runToolbarCommand(editor, 'addColumnBefore'), isEnabled: (editor) => Boolean(getSelectedTableCell(editor)) },
+            { id: 'addColumnAfter', label: 'Insert column after', execute: (editor) => runToolbarCommand(editor, 'addColumnAfter'), isEnabled: (editor) => Boolean(getSelectedTableCell(editor)) },
+            { id: 'deleteRow', label: 'Delete row', execute: (editor) => runToolbarCommand(editor, 'deleteRow'), isEnabled: (editor) => Boolean(getSelectedTableCell(editor)) },
+            { id: 'deleteColumn', label: 'Delete column', execute: (editor) => runToolbarCommand(editor, 'deleteColumn'), isEnabled: (editor) => Boolean(getSelectedTableCell(editor)) },
+            { id: 'deleteTable', label: 'Delete table', execute: (editor) => runToolbarCommand(editor, 'deleteTable'), isEnabled: (editor) => Boolean(getSelectedTableCell(editor)) }
+        ],
+        execute: (editor) => openPluginMenu(editor, 'table')
+    },
+    {
+        id: 'addRowAbove', label: 'Insert row above', group: 'Table', undoable: true,
+        execute: (editor) => insertTableRow(editor, false)
+    },
+    {
+        id: 'addRowBelow', label: 'Insert row below', group: 'Table', undoable: true,
+        execute: (editor) => insertTableRow(editor, true)
+    },
+    {
+        id: 'addColumnBefore', label: 'Insert column before', group: 'Table', undoable: true,
+        execute: (editor) => insertTableColumn(editor, false)
+    },
+    {
+        id: 'addColumnAfter', label: 'Insert column after', group: 'Table', undoable: true,
+        execute: (editor) => insertTableColumn(editor, true)
+    },
+    {
+        id: 'deleteRow', label: 'Delete row', group: 'Table', undoable: true,
+        execute: (editor) => deleteTableRow(editor)
+    },
+    {
+        id: 'deleteColumn', label: 'Delete column', group: 'Table', undoable: true,
+        execute: (editor) => deleteTableColumn(editor)
+    },
+    {
+        id: 'deleteTable', label: 'Delete table', group: 'Table', undoable: true,
+        execute: (editor) => deleteTable(editor)
+    },
+    {
+        id: 'indent', label: 'Indent', group: 'Lists', shortcut: 'Mod+]', undoable: true, slashCommand: false,
+        icon: '<line x1="3" y1="6" x2="21" y2="6"></line>' +
+              '<line x1="9" y1="12" x2="21" y2="12"></line>' +
+              '<line x1="9" y1="18" x2="21" y2="18"></line>' +
+              '<polyline points="3 12 6 15 3 18"></polyline>',
+        execute: (editor) => indentListItems(editor)
+    },
+    {
+        id: 'outdent', label: 'Outdent', group: 'Lists', shortcut: 'Mod+[', undoable: true, slashCommand: false,
+        icon: '<line x1="3" y1="6" x2="21" y2="6"></line>' +
+              '<line x1="9" y1="12" x2="21" y2="12"></line>' +
+              '<line x1="9" y1="18" x2="21" y2="18"></line>' +
+              '<polyline points="6 12 3 15 6 18"></polyline>',
+        execute: (editor) => outdentListItems(editor)
+    },
+    {
+        id: 'undo', label: 'Undo', group: 'Edit', shortcut: 'Mod+Z', focusContent: true,
+        icon: '<polyline points="9 14 4 9 9 4"></polyline>' +
+              '<path d="M20 20v-7a4 4 0 0 0-4-4H4"></path>',
+        execute: (editor) => undo(editor),
+        isEnabled: (editor) => editor.history.undoStack.length > 0
+    },
+    {
+        id: 'redo', label: 'Redo', group: 'Edit', shortcut: ['Mod+Y', 'Mod+Shift+Z'], focusContent: true,
+        icon: '<polyline points="15 14 20 9 15 4"></polyline>' +
+              '<path d="M4 20v-7a4 4 0 0 1 4-4h12"></path>',
+        execute: (editor) => redo(editor),
+        isEnabled: (editor) => editor.history.redoStack.length > 0
+    },
+    {
+        id: 'find', label: 'Find and replace', group: 'Edit', shortcut: 'Mod+F', popup: 'dialog',
+        icon: '<circle cx="11" cy="11" r="7"></circle>' +
+              '<line x1="21" y1="21" x2="16" y2="16"></line>',
+        execute: (editor) => openFindDialog(editor, false)
+    },
+    {
+        // Cmd+H hides the browser on macOS, so Macs also get Cmd+Option+F
+        id: 'replace', label: 'Replace', group: 'Edit', shortcut: isMacPlatform() ? ['Mod+H', 'Mod+Alt+F'] : 'Mod+H', popup: 'dialog',
+        execute: (editor) => openFindDialog(editor, true)
+    },
+    {
+        id: 'save', label: 'Save content', group: 'File', text: 'Save', shortcut: 'Mod+S',
+        execute: (editor) => saveEditorContent(editor)
+    },
+    {
+        id: 'export', label: 'Export', group: 'File', text: 'Export', popup: 'menu',
+        title: 'Save as a file, copy or print',
+        menu: [
+            {
+                id: 'html', label: 'HTML file…',
+                execute: (editor) => promptFileName(editor, 'Save as HTML file', 'editor-content.html',
+                    (filename, changes) => saveEditorContent(editor, filename, changes), true)
+            },
+            {
+                id: 'markdown', label: 'Markdown file…',
+                execute: (editor) => promptFileName(editor, 'Save as Markdown file', 'editor-content.md',
+                    (filename, changes) => exportMarkdownFile(editor, filename, changes), true)
+            },
+            {
+                id: 'docx', label: 'Word document (.docx)…',
+                execute: (editor) => promptFileName(editor, 'Export as Word document', 'editor-content.docx',
+                    (filename) => exportDocxFile(editor, filename))
+            },
+            {
+                id: 'text', label: 'Plain text file…',
+                execute: (editor) => promptFileName(editor, 'Save as plain text file', 'editor-content.txt',
+                    (filename) => exportEditorTextFile(editor, filename))
+            },
+            {
+                id: 'copyText', label: 'Copy as text',
+                execute: (editor) => copyToClipboard(editor, getEditorText(editor), 'text')
+            },
+            {
+                id: 'copyHtml', label: 'Copy as HTML',
+                execute: (editor) => copyToClipboard(editor, documentToHtml(getEditorDocument(editor, 'export'), { standalone: true }), 'HTML')
+            },
+            {
+                id: 'copyMarkdown', label: 'Copy as Markdown',
+                execute: (editor) => copyToClipboard(editor, documentToMarkdown(getEditorDocument(editor, 'export')), 'Markdown')
+            },
+            {
+                id: 'comments', label: 'Comments (JSON)…',
+                execute: (editor) => promptFileName(editor, 'Export comments', 'editor-comments.json',
+                    (filename) => exportCommentsFile(editor, filename))
+            },
+            {
+                id: 'print', label: 'Print…',
+                execute: (editor) => openPrintDialog(editor)
+            }
+        ],
+        execute: (editor) => openPluginMenu(editor, 'export')
+    },
+    {
+        id: 'exportText', label: 'Export as plain text', group: 'File', shortcut: 'Mod+Shift+S',
+        execute: (editor) => exportEditorTextFile(editor)
+    },
+    {
+        id: 'saveMarkdown', label: 'Save as Markdown', group: 'File', text: 'Save MD',
+        title: 'Save as Markdown to the open document in the library',
+        execute: (editor) => saveMarkdownToLocal(editor).catch(err => {
+            console.warn('Document library: save failed', err);
+            announce(editor, 'Could not save the document');
+        })
+    },
+    {
+        id: 'documents', label: 'Documents', group: 'File', text: 'Documents', popup: 'dialog',
+        title: 'Open, rename, duplicate or delete saved documents',
+        execute: (editor) => openDocumentLibrary(editor)
+    },
+    {
+        id: 'exportMarkdown', label: 'Export Markdown', group: 'File', text: 'Export MD', title: 'Export Markdown file',
+        execute: (editor) => exportMarkdownFile(editor)
+    },
+    {
+        id: 'versionHistory', label: 'Version history', group: 'File', text: 'History', popup: 'dialog',
+        isAvailable: (editor) => Boolean(editor.options.autosave),
+        execute: (editor) => openVersionHistory(editor).catch(err => {
+            console.warn('Version history unavailable', err);
+            announce(editor, 'Version history is not available in this browser');
+        }),
+        isEnabled: (editor) => Boolean(editor.autosave && !editor.autosave.unavailable)
+    },
+    {
+        id: 'addComment', label: 'Add comment', group: 'Review', text: 'Comment', shortcut: 'Mod+Alt+M',
+        title: 'Comment on the selected text',
+        execute: (editor) => addComment(editor)
+    },
+    {
+        id: 'comments', label: 'Comments', group: 'Review', text: 'Comments',
+        title: 'Show or hide the comments panel',
+        execute: (editor) => toggleCommentsPanel(editor),
+        isActive: (editor) => !editor.commentsPanel.hidden
+    },
+    {
+        id: 'nextComment', label: 'Next comment', group: 'Review', shortcut: 'Mod+Alt+N',
+        execute: (editor) => moveToComment(editor, true)
+    },
+    {
+        id: 'previousComment', label: 'Previous comment', group: 'Review', shortcut: 'Mod+Alt+P',
+        execute: (editor) => moveToComment(editor, false)
+    },
+    {
+        id: 'suggest', label: 'Suggest changes', group: 'Review', text: 'Suggest', shortcut: 'Mod+Alt+S',
+        title: 'Record edits as suggestions instead of changing the text',
+        execute: (editor) => toggleSuggesting(editor),
+        isActive: (editor) => editor.trackChanges.suggesting
+    },
+    {
+        id: 'reviewChanges', label: 'Review changes', group: 'Review', text: 'Changes',
+        title: 'List suggested changes to accept or reject',
+        execute: (editor) => editor.reviewPanel.hidden ? openReviewPanel(editor) : closeReviewPanel(editor),
+        isActive: (editor) => !editor.reviewPanel.hidden
+    },
+    {
+        id: 'acceptAllChanges', label: 'Accept all changes', group: 'Review',
+        execute: (editor) => resolveAllSuggestions(editor, true)
+    },
+    {
+        id: 'rejectAllChanges', label: 'Reject all changes', group: 'Review',
+        execute: (editor) => resolveAllSuggestions(editor, false)
+    },
+    {
+        id: 'checkAccessibility', label: 'Check accessibility', group: 'Review', text: 'Check',
+        execute: (editor) => runAccessibilityCheck(editor)
+    },
+    {
+        id: 'shortcuts', label: 'Keyboard shortcuts', group: 'Help', text: 'Shortcuts', shortcut: 'Mod+/', popup: 'dialog',
+        title: 'List and change keyboard shortcuts',
+        execute: (editor) => openShortcutsDialog(editor)
     }
-    // setup text export/print tools
-    if (typeof setupTextTools === 'function') {
-        setupTextTools();
+];
+
+/**
+ * Default toolbar: plugin ids in button order. Override with the `toolbar` option.
+ */
+const DEFAULT_TOOLBAR = [
+    'h2', 'h3', 'bold', 'italic', 'underline', 'insertUnorderedList', 'insertOrderedList',
+    'indent', 'outdent', 'createLink', 'image', 'table', 'undo', 'redo', 'find',
+    'save', 'export', 'saveMarkdown', 'documents', 'versionHistory', 'addComment', 'comments',
+    'suggest', 'reviewChanges', 'checkAccessibility', 'shortcuts'
+];
+
+// Maximum number of undo steps kept per editor
+const HISTORY_LIMIT = 100;
+
+// Typing pauses longer than this (ms) start a new undo step
+const HISTORY_GROUP_DELAY = 1000;
+
+/**
+ * Create an editor inside rootElement and return a handle to control it
+ */
+function createAccessibleEditor(rootElement, options = {}) {
+    if (!rootElement) {
+        throw new Error('createAccessibleEditor: a root element is required');
     }
-    updateToolbarActiveStates();
+
+    const editor = {
+        id: 'wysiwyg-' + (++editorInstanceCount),
+        root: rootElement,
+        options: Object.assign({}, DEFAULT_EDITOR_OPTIONS, options),
+        listeners: [],
+        plugins: null,
+        keymap: null,
+        keymapOverrides: null,
+        observers: [],
+        toolbarMenus: new Map(),
+        savedSelection: null,
+        history: null,
+        pasteAsPlainText: false,
+        sanitizerConfig: createSanitizerConfig(options.sanitizer),
+        // Large embedded images by key, kept once for every undo step (see packImagePayloads)
+        imagePayloads: { data: new Map(), keys: new Map() },
+        autosave: null,
+        collaboration: null,
+        destroyed: false
+    };
+
+    renderEditor(editor);
+    initEditor(editor);
+
+    return {
+        getHTML: () => getSanitizedHTML(editor, 'getHTML'),
+        setHTML: (html) => {
+            const cleanHtml = sanitizeForEditor(editor, html, 'setHTML');
+            runWithHistory(editor, 'set content', () => {
+                editor.content.innerHTML = cleanHtml;
+            });
+            updateToolbarActiveStates(editor);
+        },
+        getMarkdown: () => documentToMarkdown(getEditorDocument(editor, 'getMarkdown')),
+        getJSON: () => getEditorDocument(editor, 'getJSON'),
+        setJSON: (doc) => {
+            const cleanHtml = sanitizeForEditor(editor, documentToHtml(doc), 'setJSON');
+            runWithHistory(editor, 'set content', () => {
+                editor.content.innerHTML = cleanHtml;
+            });
+            updateToolbarActiveStates(editor);
+        },
+        getComments: () => getCommentsJSON(editor),
+        setComments: (data) => setCommentsJSON(editor, data),
+        checkAccessibility: () => checkContentAccessibility(editor).map(({ type, message, element }) => ({ type, message, element })),
+        execute: (command) => executeCommand(editor, command),
+        getKeymap: () => Object.fromEntries(Array.from(editor.keymap, ([command, shortcuts]) => [command, shortcuts.slice()])),
+        setShortcut: (command, shortcuts) => setCommandShortcut(editor, command, shortcuts),
+        resetShortcuts: () => resetKeymap(editor),
+        focus: () => editor.content.focus(),
+        undo: () => undo(editor),
+        redo: () => redo(editor),
+        destroy: () => destroyEditor(editor)
+    };
 }
 
 /**
- * Save editor content as an HTML file (download) and log to console
+ * Build the toolbar and content area inside the root element
  */
-function saveEditorContent(filename = 'editor-content.html') {
-    const html = `<!-- Saved from Accessible WYSIWYG Editor -->\n` +
-                 `<!doctype html>\n<html><head><meta charset="utf-8"><title>Saved Content</title></head><body>\n` +
-                 editorContent.innerHTML +
-                 '\n</body></html>';
+function renderEditor(editor) {
+    const { id, options } = editor;
+    const toolbarPlugins = resolveEditorPlugins(editor);
+    buildKeymap(editor);
+    const groups = renderToolbarGroups(editor, toolbarPlugins);
 
-    // Create blob and trigger download
-    const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+    editor.root.classList.add('accessible-editor');
+    editor.root.innerHTML = `
+        <div class="editor-wrapper">
+            <div class="toolbar" role="toolbar" aria-label="${escapeHtml(options.toolbarLabel)}">${groups}
+                <div class="toolbar-menu-wrap toolbar-more" hidden>
+                    <button type="button" class="toolbar-btn toolbar-btn-text toolbar-more-btn" id="${id}-more-btn" aria-haspopup="menu" aria-expanded="false" aria-controls="${id}-more-menu">More</button>
+                    <div class="toolbar-menu" id="${id}-more-menu" role="menu" aria-labelledby="${id}-more-btn" hidden></div>
+                </div>
+            </div>
+            <div
+                class="editor-content"
+                contenteditable="true"
+                role="textbox"
+                aria-multiline="true"
+                aria-label="${escapeHtml(options.label)}"
+                tabindex="0"
+                spellcheck="true"
+            >${sanitizeForEditor(editor, options.html, 'initial')}</div>
+            <div class="sr-only editor-announcer" role="status" aria-live="polite" aria-atomic="true"></div>
+        </div>`;
 
-    // Also log the current HTML to console for debugging / saving to DB
-    console.log('💾 Saved editor HTML to file:', filename);
-    console.log(editorContent.innerHTML);
+    editor.toolbar = editor.root.querySelector('.toolbar');
+    editor.toolbarButtons = Array.from(editor.toolbar.querySelectorAll('.toolbar-btn[data-command]'));
+    editor.moreContainer = editor.toolbar.querySelector('.toolbar-more');
+    editor.moreButton = editor.toolbar.querySelector('.toolbar-more-btn');
+    editor.moreMenu = editor.moreContainer.querySelector('.toolbar-menu');
+    editor.content = editor.root.querySelector('.editor-content');
+    editor.announcer = editor.root.querySelector('.editor-announcer');
 }
 
 /**
- * Setup global shortcuts and a Save button
+ * Add an event listener and remember it so destroyEditor can remove it
  */
-function setupSaving() {
-    // Ctrl/Cmd+S to save
-    document.addEventListener('keydown', (e) => {
-        const isSave = (e.key === 's' || e.key === 'S') && (e.ctrlKey || e.metaKey);
-        if (isSave) {
-            e.preventDefault();
-            saveEditorContent();
-        }
+function listen(editor, target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    editor.listeners.push({ target, type, handler, options });
+}
+
+/**
+ * Remove every listener the editor added and the markup it rendered
+ */
+function destroyEditor(editor) {
+    if (editor.destroyed) return;
+    editor.destroyed = true;
+    editor.listeners.forEach(({ target, type, handler, options }) => {
+        target.removeEventListener(type, handler, options);
     });
+    editor.listeners = [];
+    editor.observers.forEach(observer => observer.disconnect());
+    editor.observers = [];
+    editor.savedSelection = null;
+    if (editor.autosave) clearTimeout(editor.autosave.timer);
+    if (editor.collaboration) closeCollaboration(editor);
+    editor.root.innerHTML = '';
+    editor.root.classList.remove('accessible-editor');
+}
 
-    // Add a small save button to the toolbar area for discoverability
-    try {
-        const saveBtn = document.createElement('button');
-        saveBtn.type = 'button';
-        saveBtn.className = 'toolbar-btn save-btn';
-        saveBtn.setAttribute('aria-label', 'Save content');
-        saveBtn.title = 'Save content (Ctrl+S)';
-        saveBtn.textContent = 'Save';
-        // Insert at end of toolbar
-        toolbar.appendChild(saveBtn);
-        saveBtn.addEventListener('click', () => saveEditorContent());
-    } catch (err) {
-        // ignore if toolbar isn't available yet
-    }
+/**
+ * Check whether focus is currently inside the editor (used by document-level shortcuts)
+ */
+function editorHasFocus(editor) {
+    return editor.root.contains(document.activeElement);
+}
+
+/**
+ * Announce a message to screen readers through the editor's live region
+ */
+function announce(editor, message) {
+    // Clear first so repeating the same message is announced again
+    editor.announcer.textContent = '';
+    setTimeout(() => {
+        if (!editor.destroyed) editor.announcer.textContent = message;
+    }, 50);
 }
 
 /**
- * Return the editor plain text (safely extracting visible text)
+ * Initialize the editor
  */
-function getEditorText() {
-    // Use textContent to get visible text, preserving line breaks from block elements
-    // Convert some block-level elements to newlines for better plain-text formatting
-    const clone = editorContent.cloneNode(true);
+function initEditor(editor) {
+    setupToolbar(editor);
+    setupToolbarMenus(editor);
+    setupKeymap(editor);
+    setupEditorContent(editor);
+    setupCommandEngine(editor);
+    setupHistory(editor);
+    setupInputRules(editor);
+    setupSlashCommands(editor);
+    // setup the link dialog
+    setupLinkDialog(editor);
+    // setup the image dialog, image paste and drop
+    setupImages(editor);
+    // setup the table dialog and moving between cells
+    setupTables(editor);
+    // setup the Export menu's file name and print dialogs
+    setupFileNameDialog(editor);
+    setupPrintDialog(editor);
+    // setup the find and replace dialog
+    setupFindDialog(editor);
+    // setup the keyboard shortcut help dialog
+    setupShortcutsDialog(editor);
+    // setup the document library dialog
+    setupDocumentLibrary(editor);
+    // setup autosave, draft recovery and version history
+    setupAutosave(editor);
+    // setup shared editing with the other people in the collaboration room
+    setupCollaboration(editor);
+    // setup the accessibility checker panel
+    setupAccessibilityChecker(editor);
+    // setup comment threads and the comments panel
+    setupComments(editor);
+    // setup Suggesting mode and the review panel
+    setupTrackChanges(editor);
+    updateToolbarActiveStates(editor);
+}
 
-    // Replace <br> with newline
-    clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+// Saved pages hide the "(opens in new tab)" cues the way the editor does
+const SR_ONLY_STYLE = '.sr-only { position: absolute; width: 1px; height: 1px; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; }';
 
-    // Insert newlines between block elements
-    ['p','div','h1','h2','h3','h4','h5','h6','li'].forEach(tag => {
-        clone.querySelectorAll(tag).forEach(el => {
-            el.insertAdjacentText('afterend', '\n');
-        });
-    });
+/**
+ * Save editor content as an HTML file (download). `changes` is
+ * 'markup' to keep suggested changes or 'final' to accept them (see acceptDocumentChanges).
+ */
+function saveEditorContent(editor, filename = 'editor-content.html', changes = 'markup') {
+    const content = documentToHtml(getExportDocument(editor, 'save', changes), { standalone: true });
+    const html = `<!-- Saved from Accessible WYSIWYG Editor -->\n` +
+                 `<!doctype html>\n<html><head><meta charset="utf-8"><title>Saved Content</title>` +
+                 `<style>${SR_ONLY_STYLE}</style></head><body>\n` +
+                 content +
+                 '\n</body></html>';
 
-    // Get textContent and normalize whitespace
-    let text = clone.textContent || '';
-    // Collapse multiple blank lines and trim
-    text = text.replace(/\n{3,}/g, '\n\n').trim();
-    return text;
+    downloadFile(editor, filename, html, 'text/html;charset=utf-8');
+    recordSavedVersion(editor);
 }
 
 /**
- * Export the editor plain text as a .txt file
+ * Download data as a file and confirm it through the live region
  */
-function exportEditorTextFile(filename = 'editor-content.txt') {
-    const text = getEditorText();
-    const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
+function downloadFile(editor, filename, data, type) {
+    const blob = data instanceof Blob ? data : new Blob([data], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -128,46 +575,53 @@ function exportEditorTextFile(filename = 'editor-content.txt') {
     a.click();
     a.remove();
     URL.revokeObjectURL(url);
+    announce(editor, `Saved ${filename}`);
+}
+
+/**
+ * Return the editor plain text: one line per block, built from the document model
+ * with every suggested change accepted
+ */
+function getEditorText(editor) {
+    return documentToText(acceptDocumentChanges(getEditorDocument(editor, 'getText')));
+}
+
+/**
+ * Export the editor plain text as a .txt file
+ */
+function exportEditorTextFile(editor, filename = 'editor-content.txt') {
+    const text = getEditorText(editor);
+    downloadFile(editor, filename, text, 'text/plain;charset=utf-8');
 
     console.log('💾 Exported editor plain text to file:', filename);
     console.log(text);
 }
 
 /**
- * Copy plain text to clipboard
+ * Copy text to the clipboard and announce the result; `description` names the format
  */
-async function copyEditorTextToClipboard() {
-    const text = getEditorText();
+async function copyToClipboard(editor, text, description) {
     try {
         await navigator.clipboard.writeText(text);
-        console.log('📋 Copied editor text to clipboard');
+        console.log(`📋 Copied editor content as ${description} to clipboard`);
+        announce(editor, `Copied as ${description}`);
+        return true;
     } catch (err) {
-        // Fallback: select and execCommand('copy')
+        // Fallback: select and execCommand('copy'), then give focus back
+        const focused = document.activeElement;
         const textarea = document.createElement('textarea');
         textarea.value = text;
         document.body.appendChild(textarea);
         textarea.select();
-        try { document.execCommand('copy'); console.log('📋 Copied via fallback'); } catch (e) { console.warn('Copy failed', e); }
+        let copied = false;
+        try { copied = document.execCommand('copy'); } catch (e) { console.warn('Copy failed', e); }
         textarea.remove();
+        if (focused) focused.focus();
+        announce(editor, copied ? `Copied as ${description}` : 'Could not copy to the clipboard');
+        return copied;
     }
 }
 
-/**
- * Open a simple print view containing only the editor text (plain text in <pre>)
- */
-function openPrintView() {
-    const text = getEditorText();
-    const w = window.open('', '_blank');
-    if (!w) return;
-    w.document.write('<!doctype html><html><head><meta charset="utf-8"><title>Print Editor Text</title></head><body>');
-    w.document.write('<pre style="white-space:pre-wrap; word-wrap:break-word; font-family:inherit;">' +
-                     escapeHtml(text) + '</pre>');
-    w.document.write('</body></html>');
-    w.document.close();
-    // Give time for content to render
-    setTimeout(() => w.print(), 300);
-}
-
 /**
  * Escape HTML for safe insertion into the print view
  */
@@ -178,695 +632,10253 @@ function escapeHtml(str) {
 }
 
 /**
- * Setup text export/copy/print tools and a toolbar button
+ * Short key of a string: its length and a 53-bit hash of its characters (cyrb53)
  */
-function setupTextTools() {
-    // Ctrl/Cmd+Shift+S -> export plain text
-    document.addEventListener('keydown', (e) => {
-        const isExportText = (e.key === 'S' || e.key === 's') && (e.shiftKey) && (e.ctrlKey || e.metaKey);
-        if (isExportText) {
-            e.preventDefault();
-            exportEditorTextFile();
-        }
-    });
-
-    // Add Text button to toolbar
-    try {
-        const textBtn = document.createElement('button');
-        textBtn.type = 'button';
-        textBtn.className = 'toolbar-btn text-export-btn';
-        textBtn.setAttribute('aria-label', 'Export text');
-        textBtn.title = 'Export as plain text (Ctrl+Shift+S)';
-        textBtn.textContent = 'Text';
-        toolbar.appendChild(textBtn);
-
-        // Click cycles through actions: export -> copy -> print (for quick UI without extra buttons)
-        let clickMode = 0;
-        textBtn.addEventListener('click', async () => {
-            if (clickMode === 0) {
-                exportEditorTextFile();
-            } else if (clickMode === 1) {
-                await copyEditorTextToClipboard();
-            } else {
-                openPrintView();
-            }
-            clickMode = (clickMode + 1) % 3;
-        });
-    } catch (err) {
-        // ignore if toolbar not present
+function hashText(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
     }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return text.length.toString(36) + '-' + (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
 }
 
 /**
- * Convert a simple HTML fragment (editor innerHTML) to Markdown
- * This is a lightweight converter that handles headings, paragraphs, links, lists, bold, italic, code, and line breaks.
+ * Default sanitizer allowlist. Override parts of it with the `sanitizer` editor option.
  */
-function htmlToMarkdown(html) {
-    // Create a temporary container to walk the DOM
-    const container = document.createElement('div');
-    container.innerHTML = html;
+const DEFAULT_SANITIZER_CONFIG = {
+    allowedTags: [
+        'p', 'div', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'code', 'pre', 'blockquote',
+        'ul', 'ol', 'li', 'a', 'img', 'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+        'ins', 'del'
+    ],
+    // Attributes allowed per tag; '*' applies to every allowed tag
+    allowedAttributes: {
+        '*': ['dir', 'lang'],
+        a: ['href', 'title', 'target', 'rel'],
+        img: ['src', 'alt', 'title'],
+        ol: ['start'],
+        th: ['scope', 'colspan', 'rowspan'],
+        td: ['colspan', 'rowspan'],
+        // Suggested changes keep who made them and when
+        ins: ['datetime', 'data-author'],
+        del: ['datetime', 'data-author'],
+        // Fenced code keeps its info string as class="language-..."
+        code: ['class']
+    },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    // Elements removed together with everything inside them
+    dropContentTags: [
+        'script', 'style', 'template', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed',
+        'applet', 'svg', 'math', 'head', 'title', 'meta', 'link', 'base', 'form', 'textarea', 'select',
+        'button', 'input'
+    ]
+};
 
-    function nodeToMd(node) {
-        if (node.nodeType === Node.TEXT_NODE) {
-            return node.nodeValue.replace(/\s+/g, ' ');
-        }
-        if (node.nodeType !== Node.ELEMENT_NODE) return '';
-
-        const tag = node.tagName.toLowerCase();
-        switch (tag) {
-            case 'h1': return '# ' + inlineChildren(node) + '\n\n';
-            case 'h2': return '## ' + inlineChildren(node) + '\n\n';
-            case 'h3': return '### ' + inlineChildren(node) + '\n\n';
-            case 'h4': return '#### ' + inlineChildren(node) + '\n\n';
-            case 'p': return inlineChildren(node) + '\n\n';
-            case 'br': return '\n';
-            case 'strong':
-            case 'b': return '**' + inlineChildren(node) + '**';
-            case 'em':
-            case 'i': return '*' + inlineChildren(node) + '*';
-            case 'code': return '`' + inlineChildren(node) + '`';
-            case 'pre': return '```\n' + node.textContent + '\n```\n\n';
-            case 'a': return '[' + inlineChildren(node) + '](' + (node.getAttribute('href') || '') + ')';
-            case 'ul': return Array.from(node.children).map(li => '- ' + inlineChildren(li)).join('\n') + '\n\n';
-            case 'ol': return Array.from(node.children).map((li,i) => (i+1) + '. ' + inlineChildren(li)).join('\n') + '\n\n';
-            case 'li': return inlineChildren(node) + '\n';
-            case 'div': return inlineChildren(node) + '\n\n';
-            default:
-                return inlineChildren(node);
-        }
-    }
+// Attributes whose value is a URL and must use an allowed scheme
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href'];
 
-    function inlineChildren(el) {
-        return Array.from(el.childNodes).map(nodeToMd).join('').trim();
-    }
+// Images may also be embedded as base64 data URLs of these raster formats
+const SAFE_DATA_IMAGE_PATTERN = /^data:image\/(png|jpeg|gif|webp|avif|bmp);base64,[a-z0-9+/=\s]*$/i;
 
-    return inlineChildren(container).replace(/\n{3,}/g, '\n\n').trim();
+/**
+ * Merge sanitizer option overrides with the default allowlist
+ */
+function createSanitizerConfig(overrides = {}) {
+    return {
+        allowedTags: overrides.allowedTags || DEFAULT_SANITIZER_CONFIG.allowedTags,
+        allowedAttributes: overrides.allowedAttributes || DEFAULT_SANITIZER_CONFIG.allowedAttributes,
+        allowedSchemes: overrides.allowedSchemes || DEFAULT_SANITIZER_CONFIG.allowedSchemes,
+        dropContentTags: overrides.dropContentTags || DEFAULT_SANITIZER_CONFIG.dropContentTags
+    };
 }
 
 /**
- * Convert a very small subset of Markdown to HTML
- * This is minimal and intended for round-trip on the editor's output; for full Markdown support use a library like marked or markdown-it.
+ * Check that a URL is relative or uses one of the allowed schemes
  */
-function markdownToHtml(md) {
-    // Escape HTML first
-    let s = md.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+function isSafeUrl(url, allowedSchemes = DEFAULT_SANITIZER_CONFIG.allowedSchemes) {
+    // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+    const compact = String(url).replace(/[\u0000- \u007f-\u009f]/g, '');
+    const match = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+    if (!match) return true;
+    return allowedSchemes.includes(match[1].toLowerCase());
+}
 
-    // Code blocks
-    s = s.replace(/```\n([\s\S]*?)\n```/g, function(_, code) {
-        return '<pre><code>' + code.replace(/</g,'&lt;') + '</code></pre>\n\n';
-    });
+/**
+ * Keep only allowlisted tags and attributes and drop unsafe URLs. Without
+ * `keepSuggestions`, suggested changes are unwrapped into ordinary content.
+ * Returns the cleaned HTML and a list describing everything that was removed.
+ */
+function sanitizeHtml(html, config = DEFAULT_SANITIZER_CONFIG, { keepSuggestions = true } = {}) {
+    // Parse into an inert document so nothing runs or loads while we inspect it
+    const doc = document.implementation.createHTMLDocument('');
+    const container = doc.createElement('div');
+    container.innerHTML = html;
+    const removed = [];
+
+    function cleanNode(node) {
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) return;
+
+            if (child.nodeType !== Node.ELEMENT_NODE) {
+                // Comments, processing instructions...
+                child.remove();
+                return;
+            }
+
+            const tag = child.tagName.toLowerCase();
+            if (child.classList.contains('new-tab-cue')) {
+                // The cue standalone HTML adds to new-tab links; the link's target brings it back
+                child.remove();
+                return;
+            }
+            if (keepSuggestions && node === container && child.hasAttribute('data-format-change')) {
+                // A formatting suggestion marks top-level blocks; the blocks it replaced are cleaned too
+                const before = child.getAttribute('data-format-before');
+                if (before !== null) {
+                    const result = sanitizeHtml(before, config);
+                    removed.push(...result.removed);
+                    child.setAttribute('data-format-before', result.html);
+                }
+            } else {
+                FORMAT_CHANGE_ATTRIBUTES.forEach(name => child.removeAttribute(name));
+            }
+            if (!keepSuggestions && (tag === 'ins' || tag === 'del')) {
+                // Only the editor's own content may say who suggested what
+                removed.push({ kind: 'element', name: tag });
+                cleanNode(child);
+                child.replaceWith(...child.childNodes);
+                return;
+            }
+            if (tag === 'mark' && child.classList.contains('comment-anchor')) {
+                // Comment highlights stay in the editor; comments are exported on their own
+                cleanNode(child);
+                child.replaceWith(...child.childNodes);
+                return;
+            }
+            if (config.dropContentTags.includes(tag)) {
+                removed.push({ kind: 'element', name: tag });
+                child.remove();
+                return;
+            }
 
-    // Headings
-    s = s.replace(/^######\s(.+)$/gm, '<h6>$1</h6>');
-    s = s.replace(/^#####\s(.+)$/gm, '<h5>$1</h5>');
-    s = s.replace(/^####\s(.+)$/gm, '<h4>$1</h4>');
-    s = s.replace(/^###\s(.+)$/gm, '<h3>$1</h3>');
-    s = s.replace(/^##\s(.+)$/gm, '<h2>$1</h2>');
-    s = s.replace(/^#\s(.+)$/gm, '<h1>$1</h1>');
+            cleanNode(child);
 
-    // Bold and italic
-    s = s.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-    s = s.replace(/\*(.+?)\*/g, '<em>$1</em>');
+            if (!config.allowedTags.includes(tag)) {
+                // Keep the text of unknown wrappers such as <span> or <font>
+                removed.push({ kind: 'element', name: tag });
+                child.replaceWith(...child.childNodes);
+                return;
+            }
 
-    // Links
-    s = s.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
+            cleanAttributes(child, tag);
+            // An image whose address was removed would only show as broken
+            if (tag === 'img' && !child.getAttribute('src')) {
+                removed.push({ kind: 'element', name: tag });
+                child.remove();
+            }
+        });
+    }
 
-    // Lists (very simple)
-    // Ordered
-    s = s.replace(/(^|\n)(?:\d+\.\s.+(?:\n|$))+/g, function(block) {
-        const items = block.trim().split(/\n/).map(line => line.replace(/^\d+\.\s/, ''));
-        return '<ol>' + items.map(i => '<li>' + i + '</li>').join('') + '</ol>';
-    });
-    // Unordered
-    s = s.replace(/(^|\n)(?:-\s.+(?:\n|$))+/g, function(block) {
-        const items = block.trim().split(/\n/).map(line => line.replace(/^-\s/, ''));
-        return '<ul>' + items.map(i => '<li>' + i + '</li>').join('') + '</ul>';
-    });
+    function cleanAttributes(el, tag) {
+        const allowed = (config.allowedAttributes['*'] || []).concat(config.allowedAttributes[tag] || [],
+            keepSuggestions && el.parentNode === container && el.hasAttribute('data-format-change') ? FORMAT_CHANGE_ATTRIBUTES : []);
+        Array.from(el.attributes).forEach(attr => {
+            const name = attr.name.toLowerCase();
+            if (!allowed.includes(name)) {
+                removed.push({ kind: 'attribute', element: tag, name, value: attr.value });
+                el.removeAttribute(attr.name);
+            } else if (URL_ATTRIBUTES.includes(name) && !isSafeUrl(attr.value, config.allowedSchemes) &&
+                !(tag === 'img' && name === 'src' && SAFE_DATA_IMAGE_PATTERN.test(attr.value))) {
+                removed.push({ kind: 'url', element: tag, name, value: attr.value });
+                el.removeAttribute(attr.name);
+            }
+        });
 
-    // Paragraphs: wrap remaining lines
-    s = s.split(/\n{2,}/).map(para => {
-        if (/^<h|^<ul|^<ol|^<pre/.test(para.trim())) return para;
-        return '<p>' + para.replace(/\n/g, '<br>') + '</p>';
-    }).join('\n');
+        // Pages opened in a new tab must not get access to window.opener
+        if (el.getAttribute('target') === '_blank') {
+            el.setAttribute('rel', 'noopener');
+        }
+    }
 
-    return s;
+    cleanNode(container);
+    return { html: container.innerHTML, removed };
 }
 
-/**
- * Save Markdown to localStorage (simulate DB). Prompts for a key if none provided.
- */
-function saveMarkdownToLocal(key) {
-    const md = htmlToMarkdown(editorContent.innerHTML);
-    const storageKey = key || prompt('Storage key (e.g., article-1):', 'editor-md-1');
-    if (!storageKey) return;
-    localStorage.setItem(storageKey, md);
-    console.log('💾 Saved Markdown to localStorage key:', storageKey);
-    return storageKey;
-}
+// Content from these sources is inserted as it is, never as someone's suggestion
+const UNSUGGESTED_SOURCES = ['paste', 'link', 'image', 'table'];
 
 /**
- * Load Markdown from localStorage (simulate DB) and render into the editor
+ * Sanitize HTML with the editor's configuration and report anything that was stripped
  */
-function loadMarkdownFromLocal(key) {
-    const storageKey = key || prompt('Storage key to load:', 'editor-md-1');
-    if (!storageKey) return;
-    const md = localStorage.getItem(storageKey);
-    if (md === null) {
-        alert('No entry found for key: ' + storageKey);
-        return null;
+function sanitizeForEditor(editor, html, source) {
+    const result = sanitizeHtml(html, editor.sanitizerConfig, { keepSuggestions: !UNSUGGESTED_SOURCES.includes(source) });
+    if (result.removed.length && typeof editor.options.onSanitize === 'function') {
+        editor.options.onSanitize({ source, removed: result.removed });
     }
-    const html = markdownToHtml(md);
-    editorContent.innerHTML = html;
-    updateToolbarActiveStates();
-    console.log('📥 Loaded Markdown from localStorage key:', storageKey);
-    return storageKey;
+    return result.html;
 }
 
 /**
- * Export Markdown file
+ * Return the editor content as sanitized HTML, ready to be saved or exported
  */
-function exportMarkdownFile(filename = 'editor-content.md') {
-    const md = htmlToMarkdown(editorContent.innerHTML);
-    const blob = new Blob([md], { type: 'text/markdown;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
-    console.log('💾 Exported Markdown to file:', filename);
+function getSanitizedHTML(editor, source) {
+    return sanitizeForEditor(editor, editor.content.innerHTML, source);
 }
 
+// Characters people type (or Word exports) to fake a bullet list
+const FAKE_BULLET_PATTERN = /^\s*[•·▪◦‣●○■]\s+/;
+
+// Word list markers that mean the list is numbered: "1.", "a)", "iv."
+const ORDERED_MARKER_PATTERN = /^\s*(\d+|[a-z]|[ivxlc]+)[.)]/i;
+
 /**
- * Setup Markdown toolbar buttons
+ * Turn HTML pasted from Word, Google Docs and similar sources into the
+ * editor's own vocabulary: <strong>/<em>/<u> instead of styled spans,
+ * real nested lists instead of bullet paragraphs and h2/h3 headings.
  */
-function setupMarkdownTools() {
-    try {
-        const saveMdBtn = document.createElement('button');
-        saveMdBtn.type = 'button';
-        saveMdBtn.className = 'toolbar-btn save-md-btn';
-        saveMdBtn.setAttribute('aria-label', 'Save as Markdown');
-        saveMdBtn.title = 'Save as Markdown (to localStorage)';
-        saveMdBtn.textContent = 'Save MD';
-        toolbar.appendChild(saveMdBtn);
-        saveMdBtn.addEventListener('click', () => saveMarkdownToLocal());
-
-        const loadMdBtn = document.createElement('button');
-        loadMdBtn.type = 'button';
-        loadMdBtn.className = 'toolbar-btn load-md-btn';
-        loadMdBtn.setAttribute('aria-label', 'Load Markdown');
-        loadMdBtn.title = 'Load Markdown from localStorage';
-        loadMdBtn.textContent = 'Load MD';
-        toolbar.appendChild(loadMdBtn);
-        loadMdBtn.addEventListener('click', () => loadMarkdownFromLocal());
-
-        const exportMdBtn = document.createElement('button');
-        exportMdBtn.type = 'button';
-        exportMdBtn.className = 'toolbar-btn export-md-btn';
-        exportMdBtn.setAttribute('aria-label', 'Export Markdown');
-        exportMdBtn.title = 'Export Markdown file';
-        exportMdBtn.textContent = 'Export MD';
-        toolbar.appendChild(exportMdBtn);
-        exportMdBtn.addEventListener('click', () => exportMarkdownFile());
-    } catch (err) {
-        // ignore if toolbar not present
-    }
-}
+function normalizePastedHtml(html) {
+    const doc = document.implementation.createHTMLDocument('');
+    const container = doc.createElement('div');
+    container.innerHTML = html;
 
-// Wire markdown tools up in init
-if (typeof setupMarkdownTools === 'function') {
-    setupMarkdownTools();
-}
-function setupToolbarNavigation() {
-    toolbar.addEventListener('keydown', (e) => {
-        switch(e.key) {
-            case 'ArrowRight':
-                e.preventDefault();
-                navigateToolbar(1);
-                break;
-            case 'ArrowLeft':
-                e.preventDefault();
-                navigateToolbar(-1);
-                break;
-            case 'Tab':
-                // Allow Tab to move to editor (default behavior)
-                break;
-            case 'Enter':
-            case ' ':
-                e.preventDefault();
-                toolbarButtons[currentToolbarIndex].click();
-                break;
+    // Clipboard documents carry their own head: generator tags, stylesheets, Office XML islands
+    container.querySelectorAll('meta, style, title, link, xml').forEach(el => el.remove());
+    container.querySelectorAll('br.Apple-interchange-newline').forEach(br => br.remove());
+
+    convertWordLists(container);
+    convertFakeBulletParagraphs(container);
+    convertStyledInlineElements(container);
+
+    container.querySelectorAll('b, i').forEach(el => {
+        renameElement(el, el.tagName === 'B' ? 'strong' : 'em');
+    });
+
+    // The page owns h1: if the source used it, move every heading one level down. Stop at h3.
+    const headings = container.querySelectorAll('h1, h2, h3, h4, h5, h6');
+    const shift = container.querySelector('h1') ? 1 : 0;
+    headings.forEach(heading => {
+        const level = Math.min(Number(heading.tagName[1]) + shift, 3);
+        const renamed = renameElement(heading, 'h' + level);
+        // Headings are already bold
+        renamed.querySelectorAll('strong').forEach(strong => strong.replaceWith(...strong.childNodes));
+    });
+
+    // Section wrappers (Word's <div class="WordSection1">) go away; a div holding only text is a paragraph
+    Array.from(container.querySelectorAll('div')).reverse().forEach(div => {
+        if (div.querySelector('p, div, h1, h2, h3, h4, h5, h6, ul, ol, pre, blockquote, table')) {
+            div.replaceWith(...div.childNodes);
+        } else {
+            renameElement(div, 'p');
         }
     });
 
-    toolbar.addEventListener('focus', () => {
-        // Highlight first button when toolbar gets focus
-        focusToolbarButton(currentToolbarIndex);
+    // Google Docs wraps list item text in a paragraph
+    container.querySelectorAll('li > p:only-child').forEach(p => p.replaceWith(...p.childNodes));
+
+    container.querySelectorAll('*').forEach(el => {
+        if (el.tagName.indexOf(':') !== -1) {
+            // Namespaced Office elements such as <o:p> only hold spacing
+            el.replaceWith(...el.childNodes);
+            return;
+        }
+        ['style', 'class', 'id', 'align'].forEach(name => el.removeAttribute(name));
     });
 
-    toolbar.addEventListener('blur', () => {
-        // Remove highlight when toolbar loses focus
-        toolbarButtons.forEach(btn => btn.blur());
+    // Unwrap presentation-only wrappers that carry no meaning once styles are gone
+    container.querySelectorAll('span, font').forEach(el => el.replaceWith(...el.childNodes));
+
+    // Word separates paragraphs with empty ones
+    container.querySelectorAll('p').forEach(p => {
+        if (!p.textContent.replace(/\s/g, '') && !p.querySelector('br, img')) {
+            p.remove();
+        }
     });
+
+    // Drop conditional comments such as <!--[if !supportLists]-->
+    const walker = doc.createTreeWalker(container, NodeFilter.SHOW_COMMENT);
+    const comments = [];
+    while (walker.nextNode()) comments.push(walker.currentNode);
+    comments.forEach(comment => comment.remove());
+
+    return container.innerHTML;
 }
 
 /**
- * Navigate between toolbar buttons
+ * Replace an element with a new one of another tag, keeping its children and attributes
  */
-function navigateToolbar(direction) {
-    currentToolbarIndex += direction;
-    
-    // Wrap around
-    if (currentToolbarIndex < 0) {
-        currentToolbarIndex = toolbarButtons.length - 1;
-    } else if (currentToolbarIndex >= toolbarButtons.length) {
-        currentToolbarIndex = 0;
-    }
-    
-    focusToolbarButton(currentToolbarIndex);
+function renameElement(el, tag) {
+    const replacement = el.ownerDocument.createElement(tag);
+    Array.from(el.attributes).forEach(attr => replacement.setAttribute(attr.name, attr.value));
+    replacement.append(...el.childNodes);
+    el.replaceWith(replacement);
+    return replacement;
 }
 
 /**
- * Focus a specific toolbar button
+ * Wrap the children of styled spans in <strong>, <em>, <u>, <sub> or <sup>
  */
-function focusToolbarButton(index) {
-    toolbarButtons.forEach((btn, i) => {
-        if (i === index) {
-            btn.focus();
+function convertStyledInlineElements(container) {
+    container.querySelectorAll('[style]').forEach(el => {
+        const style = el.getAttribute('style').toLowerCase();
+        const tag = el.tagName.toLowerCase();
+
+        // Google Docs wraps the whole fragment in <b style="font-weight:normal" id="docs-internal-guid-...">
+        if ((tag === 'b' || tag === 'strong') && /font-weight\s*:\s*(normal|[1-4]00)/.test(style)) {
+            el.replaceWith(...el.childNodes);
+            return;
         }
-    });
-}
+        if (tag !== 'span' && tag !== 'font') return;
 
-/**
- * Setup click handlers for toolbar buttons
- */
-function setupToolbarButtons() {
-    toolbarButtons.forEach(button => {
-        button.addEventListener('click', (e) => {
-            e.preventDefault();
-            const command = button.getAttribute('data-command');
-            executeCommand(command);
-            editorContent.focus();
-            updateToolbarActiveStates();
+        const wrappers = [];
+        if (/font-weight\s*:\s*(bold|bolder|[6-9]00)/.test(style)) wrappers.push('strong');
+        if (/font-style\s*:\s*italic/.test(style)) wrappers.push('em');
+        if (/text-decoration[^;]*underline/.test(style)) wrappers.push('u');
+        if (/vertical-align\s*:\s*super/.test(style)) wrappers.push('sup');
+        if (/vertical-align\s*:\s*sub/.test(style)) wrappers.push('sub');
+
+        let inner = el;
+        wrappers.forEach(name => {
+            const wrapper = el.ownerDocument.createElement(name);
+            wrapper.append(...inner.childNodes);
+            inner.appendChild(wrapper);
+            inner = wrapper;
         });
     });
 }
 
 /**
- * Execute formatting command
+ * Rebuild Word's list paragraphs (style="mso-list:l0 level2 lfo1") as nested <ul>/<ol>
  */
-function executeCommand(command) {
-    switch(command) {
-        case 'h2':
-            toggleHeading('h2');
-            break;
-        case 'h3':
-            toggleHeading('h3');
-            break;
-        case 'bold':
-            document.execCommand('bold', false, null);
-            break;
-        case 'italic':
-            document.execCommand('italic', false, null);
-            break;
-        case 'underline':
-            document.execCommand('underline', false, null);
-            break;
-        case 'insertUnorderedList':
-            document.execCommand('insertUnorderedList', false, null);
-            break;
-        case 'insertOrderedList':
-            document.execCommand('insertOrderedList', false, null);
-            break;
-        case 'indent':
-            document.execCommand('indent', false, null);
-            break;
-        case 'outdent':
-            document.execCommand('outdent', false, null);
-            break;
-        case 'createLink':
-            openLinkPopup();
-            break;
-    }
-}
+function convertWordLists(container) {
+    const paragraphs = Array.from(container.querySelectorAll('p[style*="mso-list"]'))
+        .filter(p => !/mso-list\s*:\s*ignore/i.test(p.getAttribute('style')));
 
-/**
- * Toggle heading between H2, H3, and paragraph
- */
-function toggleHeading(tag) {
-    const selection = window.getSelection();
-    if (!selection.rangeCount) return;
-    
-    const range = selection.getRangeAt(0);
-    let element = range.startContainer;
-    
-    // Find the block element
-    while (element && element !== editorContent) {
-        if (element.nodeType === Node.ELEMENT_NODE && 
-            ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'DIV'].includes(element.tagName)) {
-            break;
+    let stack = [];
+    let previous = null;
+
+    paragraphs.forEach(p => {
+        const style = p.getAttribute('style');
+        const level = Number((/level(\d+)/i.exec(style) || [0, 1])[1]);
+        const listId = (/mso-list\s*:\s*(l\d+)/i.exec(style) || [0, ''])[1];
+
+        // Read and remove the marker Word renders itself ("·", "1.", "a)")
+        const markerEl = p.querySelector('[style*="mso-list"]');
+        const marker = markerEl ? markerEl.textContent : '';
+        if (markerEl) markerEl.remove();
+        const listTag = ORDERED_MARKER_PATTERN.test(marker) ? 'ol' : 'ul';
+
+        // A list continues only if this paragraph directly follows the previous item
+        if (!previous || previous.nextElementSibling !== p || previous.dataset.listId !== listId) {
+            stack = [];
         }
-        element = element.parentNode;
-    }
-    
-    if (!element || element === editorContent) {
-        // Wrap selection in tag
-        document.execCommand('formatBlock', false, tag);
-    } else if (element.tagName.toLowerCase() === tag) {
-        // Toggle back to paragraph
-        document.execCommand('formatBlock', false, 'p');
-    } else {
-        // Change to new heading
-        document.execCommand('formatBlock', false, tag);
-    }
+
+        while (stack.length && stack[stack.length - 1].level > level) stack.pop();
+        const top = stack[stack.length - 1];
+        if (top && top.level === level && top.list.tagName.toLowerCase() !== listTag) stack.pop();
+
+        const li = container.ownerDocument.createElement('li');
+        li.append(...p.childNodes);
+
+        let current = stack[stack.length - 1];
+        if (!current || current.level < level) {
+            const list = container.ownerDocument.createElement(listTag);
+            if (current && current.list.lastElementChild) {
+                current.list.lastElementChild.appendChild(list);
+            } else {
+                p.before(list);
+            }
+            current = { level, list };
+            stack.push(current);
+        }
+        current.list.appendChild(li);
+
+        // Keep the paragraph in place (empty) so the next item can check adjacency
+        p.dataset.listId = listId;
+        p.replaceChildren();
+        if (previous) previous.remove();
+        previous = p;
+    });
+
+    if (previous) previous.remove();
 }
 
 /**
- * Setup editor content area
+ * Turn runs of paragraphs that start with a typed bullet ("• item") into a <ul>
  */
-function setupEditorContent() {
-    // Update toolbar active states on selection change
-    editorContent.addEventListener('mouseup', updateToolbarActiveStates);
-    editorContent.addEventListener('keyup', updateToolbarActiveStates);
-    editorContent.addEventListener('focus', updateToolbarActiveStates);
+function convertFakeBulletParagraphs(container) {
+    let list = null;
+    Array.from(container.querySelectorAll('p')).forEach(p => {
+        if (!FAKE_BULLET_PATTERN.test(p.textContent)) {
+            list = null;
+            return;
+        }
 
-    // Handle Tab key to move focus out
-    editorContent.addEventListener('keydown', (e) => {
-        if (e.key === 'Tab') {
-            return; // Let tab move focus out
+        // Remove the typed bullet from the first text node that holds it
+        const walker = container.ownerDocument.createTreeWalker(p, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.nodeValue.replace(/\s/g, '')) {
+                node.nodeValue = node.nodeValue.replace(FAKE_BULLET_PATTERN, '');
+                break;
+            }
         }
 
-        // Update toolbar active states on formatting shortcuts
-        if (e.ctrlKey || e.metaKey) {
-            setTimeout(updateToolbarActiveStates, 10);
+        if (!list || p.previousElementSibling !== list) {
+            list = container.ownerDocument.createElement('ul');
+            p.before(list);
         }
+        const li = container.ownerDocument.createElement('li');
+        li.append(...p.childNodes);
+        list.appendChild(li);
+        p.remove();
     });
+}
 
-    // Handle paste — auto-detect and linkify URLs
-    editorContent.addEventListener('paste', (e) => {
-        e.preventDefault();
-
-        const clipboard = (e.clipboardData || window.clipboardData);
-        const html = clipboard.getData('text/html');
-        const text = clipboard.getData('text/plain');
+/*
+ * Export
+ *
+ * The Export menu saves the content as an HTML, Markdown or plain text file,
+ * copies it in one of those formats or prints it. File downloads first ask for
+ * a file name.
+ */
 
-        if (html) {
-            // If rich HTML is available (e.g., copying from a webpage), preserve it.
-            // Parse to extract body fragment so we don't insert a full HTML document.
-            try {
-                const parser = new DOMParser();
-                const doc = parser.parseFromString(html, 'text/html');
-                const fragment = doc.body && doc.body.innerHTML ? doc.body.innerHTML : html;
-                document.execCommand('insertHTML', false, fragment);
-            } catch (err) {
-                // Fallback to inserting raw HTML string
-                document.execCommand('insertHTML', false, html);
-            }
-        } else if (isValidUrl(text)) {
-            // If plain text is a URL, create a clickable link but keep the original text as link text
-            const finalUrl = addProtocolIfMissing(text);
-            document.execCommand('insertHTML', false, `<a href="${finalUrl}" target="_blank">${text}</a>`);
-        } else {
-            // Normal paste if not a URL
-            document.execCommand('insertText', false, text);
-        }
+// Characters that file systems reject in file names
+const INVALID_FILENAME_CHARS = /[\\/:*?"<>|]/;
 
-        // Log content after paste
-        logEditorContent();
-    });
+/**
+ * Build the file name dialog used by the Export menu
+ */
+function setupFileNameDialog(editor) {
+    const { id } = editor;
+    const dialog = createDialog(editor, 'filename', 'Save file');
+    dialog.body.innerHTML = `
+                <form class="filename-form" novalidate>
+                    <label for="${id}-filename-input">File name</label>
+                    <input type="text" id="${id}-filename-input" class="filename-input" aria-describedby="${id}-filename-error" autocomplete="off" spellcheck="false">
+                    <p id="${id}-filename-error" class="filename-error" hidden></p>
+                    <fieldset class="filename-changes" hidden>
+                        <legend>Suggested changes</legend>
+                        <label><input type="radio" name="${id}-filename-changes" value="markup" checked> With markup: keep every suggestion</label>
+                        <label><input type="radio" name="${id}-filename-changes" value="final"> Final: accept every suggestion</label>
+                    </fieldset>
+                    <div class="editor-dialog-buttons">
+                        <button type="button" class="editor-dialog-btn filename-cancel">Cancel</button>
+                        <button type="submit" class="editor-dialog-btn editor-dialog-primary">Save</button>
+                    </div>
+                </form>`;
+    editor.fileNameDialog = dialog;
 
-    // Clear placeholder text on first input
-    editorContent.addEventListener('input', function clearPlaceholder() {
-        const firstP = editorContent.querySelector('p');
-        if (firstP && firstP.textContent === 'Start typing here...') {
-            firstP.textContent = '';
+    const input = dialog.querySelector('.filename-input');
+    const error = dialog.querySelector('.filename-error');
+    listen(editor, dialog.querySelector('.filename-cancel'), 'click', () => closeDialog(editor, dialog));
+    listen(editor, dialog.querySelector('.filename-form'), 'submit', (e) => {
+        e.preventDefault();
+        let filename = input.value.trim();
+        const message = !filename ? 'Enter a file name.' :
+            INVALID_FILENAME_CHARS.test(filename) ? 'File names cannot contain \\ / : * ? " < > or |.' : '';
+        if (message) {
+            error.textContent = message;
+            error.hidden = false;
+            input.setAttribute('aria-invalid', 'true');
+            input.focus();
+            return;
         }
-    }, { once: true });
-
-    // Log editor content live on input
-    editorContent.addEventListener('input', logEditorContent);
+        if (!filename.toLowerCase().endsWith(dialog.extension)) filename += dialog.extension;
+        const changes = dialog.querySelector('.filename-changes').hidden ? 'markup' :
+            dialog.querySelector('.filename-changes input:checked').value;
+        closeDialog(editor, dialog);
+        dialog.onSave(filename, changes);
+    });
 }
 
 /**
- * Check if a string is a valid URL
+ * Ask for a file name, then call save(filename, changes); the default's extension is
+ * added when missing. With offerChanges, content with suggested changes also asks
+ * whether to save them 'final' or with 'markup'.
  */
-function isValidUrl(text) {
-    try {
-        const url = new URL(addProtocolIfMissing(text));
-        return true;
-    } catch {
-        return false;
-    }
+function promptFileName(editor, title, defaultName, save, offerChanges = false) {
+    const dialog = editor.fileNameDialog;
+    const input = dialog.querySelector('.filename-input');
+    dialog.querySelector('h2').textContent = title;
+    dialog.querySelector('.filename-changes').hidden = !offerChanges || !getSuggestions(editor).length;
+    dialog.extension = defaultName.slice(defaultName.lastIndexOf('.')).toLowerCase();
+    dialog.onSave = save;
+    input.value = defaultName;
+    input.removeAttribute('aria-invalid');
+    dialog.querySelector('.filename-error').hidden = true;
+    openDialog(editor, dialog, input);
+    // Select the name without the extension, ready to type over
+    input.setSelectionRange(0, defaultName.length - dialog.extension.length);
 }
 
+/*
+ * Print
+ *
+ * The print view renders the sanitized rich content in a new window with a print
+ * stylesheet, so the browser's print dialog gives a formatted page or PDF. It can
+ * add a title and metadata header, a table of contents built from the headings
+ * and the addresses of links as numbered footnotes.
+ */
+
+// Stylesheet of the print view
+const PRINT_STYLES = `
+    @page { margin: 2cm; }
+    body { font: 12pt/1.5 Georgia, "Times New Roman", serif; color: #000; background: #fff; margin: 0 auto; max-width: 42rem; }
+    h1, h2, h3, h4, h5, h6 { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; line-height: 1.25; break-after: avoid; page-break-after: avoid; }
+    p, li { orphans: 3; widows: 3; }
+    pre, blockquote, .print-keep { break-inside: avoid; page-break-inside: avoid; }
+    pre { white-space: pre-wrap; font-size: 10pt; border: 1px solid #999; padding: 0.5em; }
+    img { max-width: 100%; height: auto; break-inside: avoid; }
+    blockquote { margin-left: 0; padding-left: 1em; border-left: 3px solid #999; }
+    table { border-collapse: collapse; margin: 1em 0; font-size: 11pt; }
+    caption { font-weight: bold; text-align: left; padding-bottom: 0.25em; }
+    th, td { border: 1px solid #666; padding: 0.25em 0.5em; text-align: left; vertical-align: top; }
+    thead { display: table-header-group; }
+    tr { break-inside: avoid; page-break-inside: avoid; }
+    a { color: inherit; }
+    .print-header { border-bottom: 1px solid #000; margin-bottom: 1.5em; }
+    .print-header h1 { margin: 0 0 0.25em; }
+    .print-meta { margin: 0 0 0.75em; font-size: 10pt; color: #333; }
+    .print-toc { margin-bottom: 2em; break-after: page; page-break-after: always; }
+    .print-toc ol { list-style: none; padding-left: 0; }
+    .print-toc li { margin: 0.25em 0; }
+    .print-toc .print-toc-level-3 { padding-left: 1.5em; }
+    .print-toc .print-toc-level-4, .print-toc .print-toc-level-5, .print-toc .print-toc-level-6 { padding-left: 3em; }
+    .print-toc a { text-decoration: none; }
+    .print-note-ref { font-size: 0.75em; line-height: 0; }
+    .print-note-ref a { text-decoration: none; }
+    .print-footnotes { margin-top: 2em; border-top: 1px solid #000; font-size: 10pt; }
+    .print-footnotes li { word-break: break-all; }
+    ${SR_ONLY_STYLE}
+    @media screen { body { padding: 2rem; } }
+`;
+
 /**
- * Ensure URLs have https:// if missing
+ * Build the print dialog: an optional title and what to include
  */
-function addProtocolIfMissing(url) {
-    if (!/^https?:\/\//i.test(url)) {
-        return 'https://' + url;
-    }
-    return url;
+function setupPrintDialog(editor) {
+    const { id } = editor;
+    const dialog = createDialog(editor, 'print', 'Print');
+    dialog.body.innerHTML = `
+                <form class="print-form">
+                    <label for="${id}-print-title">Title (optional)</label>
+                    <input type="text" id="${id}-print-title" class="print-title-input" autocomplete="off">
+                    <fieldset class="print-options">
+                        <legend>Include</legend>
+                        <label><input type="checkbox" class="print-meta-check" checked> Date and word count</label>
+                        <label><input type="checkbox" class="print-toc-check" checked> Table of contents</label>
+                        <label><input type="checkbox" class="print-footnotes-check" checked> Link addresses as footnotes</label>
+                    </fieldset>
+                    <div class="editor-dialog-buttons">
+                        <button type="button" class="editor-dialog-btn print-cancel">Cancel</button>
+                        <button type="submit" class="editor-dialog-btn editor-dialog-primary">Print</button>
+                    </div>
+                </form>`;
+    editor.printDialog = dialog;
+
+    listen(editor, dialog.querySelector('.print-cancel'), 'click', () => closeDialog(editor, dialog));
+    listen(editor, dialog.querySelector('.print-form'), 'submit', (e) => {
+        e.preventDefault();
+        const settings = {
+            title: dialog.querySelector('.print-title-input').value.trim(),
+            metadata: dialog.querySelector('.print-meta-check').checked,
+            toc: dialog.querySelector('.print-toc-check').checked,
+            footnotes: dialog.querySelector('.print-footnotes-check').checked
+        };
+        closeDialog(editor, dialog);
+        openPrintView(editor, settings);
+    });
 }
 
 /**
- * Log the HTML content (simulate DB save)
+ * Open the print dialog with the open library document's name as the title
  */
-function logEditorContent() {
-    const html = editorContent.innerHTML.trim();
-    console.clear();
-    console.log('📝 Editor HTML output (to save in DB):');
-    console.log(html);
+function openPrintDialog(editor) {
+    const dialog = editor.printDialog;
+    const library = editor.library;
+    const record = library && library.records.find(candidate => candidate.id === library.currentId);
+    const input = dialog.querySelector('.print-title-input');
+    input.value = record ? getDocumentTitle(record) : '';
+    openDialog(editor, dialog, input);
 }
 
 /**
- * Update toolbar button active states based on current selection
+ * Open the print view and the browser's print dialog.
+ * settings: { title, metadata, toc, footnotes }
  */
-function updateToolbarActiveStates() {
-    const selection = window.getSelection();
-    if (!selection.rangeCount) return;
-    
-    // Check each formatting type
-    toolbarButtons.forEach(button => {
-        const command = button.getAttribute('data-command');
-        let isActive = false;
-        
-        switch(command) {
-            case 'bold':
-                isActive = document.queryCommandState('bold');
+function openPrintView(editor, settings = {}) {
+    const html = buildPrintDocument(editor, settings);
+    const w = window.open('', '_blank');
+    if (!w) {
+        announce(editor, 'The print view was blocked. Allow pop-ups to print.');
+        return;
+    }
+    w.document.write(html);
+    w.document.close();
+    // Give time for content to render
+    setTimeout(() => w.print(), 300);
+    announce(editor, 'Opened the print view');
+}
+
+/**
+ * Return the print view as a complete HTML page
+ */
+function buildPrintDocument(editor, settings = {}) {
+    const doc = getEditorDocument(editor, 'print');
+    // Work in an inert document so nothing in the content loads or runs
+    const page = document.implementation.createHTMLDocument('');
+    const body = page.body;
+    body.innerHTML = documentToHtml(doc, { standalone: true });
+    // Headings already carry the ids that #anchor links and the table of contents use
+    const headings = Array.from(body.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+
+    headings.forEach(heading => {
+        // Keep each heading on the same page as the block that follows it
+        const next = heading.nextElementSibling;
+        if (next && !/^H[1-6]$/.test(next.tagName)) {
+            const keep = page.createElement('div');
+            keep.className = 'print-keep';
+            heading.before(keep);
+            keep.append(heading, next);
+        }
+    });
+
+    const notes = settings.footnotes ? addPrintFootnotes(page) : '';
+    const title = settings.title || '';
+    let header = '';
+    if (title || settings.metadata) {
+        const words = countWords(documentToText(doc));
+        const meta = settings.metadata ?
+            `<p class="print-meta">Printed ${escapeHtml(new Date().toLocaleDateString(undefined, { dateStyle: 'long' }))} · ${words === 1 ? '1 word' : `${words} words`}</p>` : '';
+        header = `<header class="print-header">${title ? `<h1>${escapeHtml(title)}</h1>` : ''}${meta}</header>`;
+    }
+
+    let toc = '';
+    if (settings.toc && headings.length) {
+        const items = headings.map(heading =>
+            `<li class="print-toc-level-${heading.tagName[1]}"><a href="#${heading.id}">${escapeHtml(heading.textContent)}</a></li>`).join('');
+        toc = `<nav class="print-toc" aria-labelledby="print-toc-title"><h2 id="print-toc-title">Contents</h2><ol>${items}</ol></nav>`;
+    }
+
+    const lang = document.documentElement.lang || 'en';
+    return `<!doctype html>\n<html lang="${escapeHtml(lang)}"><head><meta charset="utf-8">` +
+        `<title>${escapeHtml(title || 'Print')}</title><style>${PRINT_STYLES}</style></head><body>\n` +
+        header + toc + `<main>${body.innerHTML}</main>` + notes +
+        '\n</body></html>';
+}
+
+/**
+ * Number every link to an outside address and return the footnote list;
+ * links to the same address share a number
+ */
+function addPrintFootnotes(page) {
+    const urls = [];
+    page.body.querySelectorAll('a[href]').forEach(link => {
+        const href = link.getAttribute('href');
+        if (href.startsWith('#')) return;
+        let number = urls.indexOf(href) + 1;
+        if (!number) number = urls.push(href);
+        const ref = page.createElement('sup');
+        ref.className = 'print-note-ref';
+        ref.innerHTML = `<a href="#print-note-${number}" aria-label="Link ${number}">${number}</a>`;
+        link.after(ref);
+    });
+    if (!urls.length) return '';
+    const items = urls.map((url, i) => `<li id="print-note-${i + 1}">${escapeHtml(url)}</li>`).join('');
+    return `<section class="print-footnotes" aria-labelledby="print-notes-title"><h2 id="print-notes-title">Links</h2><ol>${items}</ol></section>`;
+}
+
+/*
+ * Word export
+ *
+ * Builds a .docx (Office Open XML) package in the browser from the document model:
+ * headings use Word's Heading styles, lists use real Word numbering (nested
+ * levels included) and links are Word hyperlinks, so the structure stays
+ * navigable for screen reader users in Word. The package is a stored (not
+ * compressed) ZIP written by createZip.
+ */
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const DOCX_NAMESPACES = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+// Number formats and bullets used for list levels 0-8, repeating
+const DOCX_NUMBER_FORMATS = ['decimal', 'lowerLetter', 'lowerRoman'];
+const DOCX_BULLETS = ['•', '◦', '▪'];
+
+// Word list numbering definitions: abstractNum 0 is bullets, 1 is numbers
+const DOCX_BULLET_NUM_ID = 1;
+
+/**
+ * Export the editor content as a Word document
+ */
+function exportDocxFile(editor, filename = 'editor-content.docx') {
+    const blob = documentToDocx(acceptDocumentChanges(getEditorDocument(editor, 'export')));
+    downloadFile(editor, filename, blob, DOCX_MIME_TYPE);
+}
+
+/**
+ * Convert a document to a .docx Blob
+ */
+function documentToDocx(doc) {
+    // Hyperlink targets and numbered lists collected while writing the body
+    const context = { links: [], orderedLists: [] };
+    const body = renderDocxBlocks(doc.content, context, { depth: -1 }).join('');
+
+    const relationships = [
+        '<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>',
+        '<Relationship Id="rIdNumbering" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>'
+    ].concat(context.links.map((href, i) =>
+        `<Relationship Id="rIdLink${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(href)}" TargetMode="External"/>`));
+
+    return createZip([
+        { name: '[Content_Types].xml', data: xmlDeclaration() +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+            '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+            '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>' +
+            '</Types>' },
+        { name: '_rels/.rels', data: xmlDeclaration() +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+            '</Relationships>' },
+        { name: 'word/_rels/document.xml.rels', data: xmlDeclaration() +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            relationships.join('') + '</Relationships>' },
+        { name: 'word/document.xml', data: xmlDeclaration() +
+            `<w:document ${DOCX_NAMESPACES}><w:body>${body}` +
+            '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>' +
+            '</w:body></w:document>' },
+        { name: 'word/styles.xml', data: renderDocxStyles() },
+        { name: 'word/numbering.xml', data: renderDocxNumbering(context.orderedLists) }
+    ], DOCX_MIME_TYPE);
+}
+
+function xmlDeclaration() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+}
+
+/**
+ * Escape text for XML content and attribute values, dropping characters XML cannot hold
+ */
+function escapeXml(str) {
+    return String(str)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/[&<>"]/g, s => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[s]);
+}
+
+/**
+ * Render blocks as Word paragraphs. `list` describes the enclosing list item:
+ * { depth, numId, style } where depth -1 means outside any list.
+ */
+function renderDocxBlocks(blocks, context, list, style) {
+    const paragraphs = [];
+    blocks.forEach(block => {
+        switch (block.type) {
+            case 'heading':
+                paragraphs.push(renderDocxParagraph(`Heading${block.attrs.level}`, null, renderDocxRuns(block.content, context)));
                 break;
-            case 'italic':
-                isActive = document.queryCommandState('italic');
+            case 'paragraph':
+                paragraphs.push(renderDocxParagraph(style || (list.depth >= 0 ? 'ListParagraph' : null),
+                    list.depth >= 0 ? { level: list.depth, indentOnly: true } : null,
+                    renderDocxRuns(block.content, context)));
                 break;
-            case 'underline':
-                isActive = document.queryCommandState('underline');
+            case 'codeBlock': {
+                const lines = block.text.split('\n').map(line => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`);
+                paragraphs.push(renderDocxParagraph('Code', null, `<w:r>${lines.join('<w:br/>')}</w:r>`));
                 break;
-            case 'insertUnorderedList':
-                isActive = document.queryCommandState('insertUnorderedList');
+            }
+            case 'horizontalRule':
+                paragraphs.push('<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr></w:pPr></w:p>');
                 break;
-            case 'insertOrderedList':
-                isActive = document.queryCommandState('insertOrderedList');
+            case 'blockquote':
+                paragraphs.push(...renderDocxBlocks(block.content, context, list, 'Quote'));
                 break;
-            case 'h2':
-                isActive = isHeadingActive('h2');
+            case 'bulletList':
+            case 'orderedList': {
+                const depth = Math.min(list.depth + 1, 8);
+                let numId = DOCX_BULLET_NUM_ID;
+                if (block.type === 'orderedList') {
+                    // Every numbered list gets its own numbering instance so it starts again
+                    context.orderedLists.push({ level: depth, start: (block.attrs && block.attrs.start) || 1 });
+                    numId = DOCX_BULLET_NUM_ID + context.orderedLists.length;
+                }
+                block.content.forEach(item => {
+                    paragraphs.push(...renderDocxListItem(item, context, { depth, numId }));
+                });
                 break;
-            case 'h3':
-                isActive = isHeadingActive('h3');
+            }
+            case 'table':
+                paragraphs.push(...renderDocxTable(block, context));
                 break;
         }
-        
-        if (isActive) {
-            button.classList.add('active');
-            button.setAttribute('aria-pressed', 'true');
-        } else {
-            button.classList.remove('active');
-            button.setAttribute('aria-pressed', 'false');
-        }
     });
+    return paragraphs;
 }
 
 /**
- * Check if a heading level is active
+ * A bordered Word table preceded by its caption. Header rows repeat on every page,
+ * header cells are bold.
  */
-function isHeadingActive(tag) {
-    const selection = window.getSelection();
-    if (!selection.rangeCount) return false;
-    
-    let element = selection.anchorNode;
-    while (element && element !== editorContent) {
-        if (element.nodeType === Node.ELEMENT_NODE && 
-            element.tagName.toLowerCase() === tag) {
-            return true;
-        }
-        element = element.parentNode;
+function renderDocxTable(table, context) {
+    const caption = table.attrs && table.attrs.caption;
+    const width = table.content[0].content.length;
+    const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="auto"/>`;
+    const rows = table.content.map(row => {
+        const headerRow = row.content.every(cell => cell.attrs && cell.attrs.header === 'col');
+        const cells = row.content.map(cell => {
+            const nodes = cell.attrs && cell.attrs.header ?
+                cell.content.map(node => node.type === 'hardBreak' ? node :
+                    Object.assign({}, node, { marks: (node.marks || []).filter(mark => mark.type !== 'bold').concat({ type: 'bold' }) })) :
+                cell.content;
+            return `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${renderDocxParagraph(null, null, renderDocxRuns(nodes, context))}</w:tc>`;
+        }).join('');
+        return `<w:tr>${headerRow ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells}</w:tr>`;
+    }).join('');
+    const properties = '<w:tblW w:w="5000" w:type="pct"/>' +
+        `<w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders>` +
+        (caption ? `<w:tblCaption w:val="${escapeXml(caption)}"/>` : '');
+    const grid = '<w:tblGrid>' + '<w:gridCol/>'.repeat(width) + '</w:tblGrid>';
+    return (caption ? [renderDocxParagraph('Caption', null, renderDocxRun(makeTextNode(caption, []), false))] : [])
+        .concat(`<w:tbl><w:tblPr>${properties}</w:tblPr>${grid}${rows}</w:tbl>`,
+            // Word merges tables that follow each other, so each one ends with an empty paragraph
+            '<w:p/>');
+}
+
+/**
+ * The first paragraph of a list item carries the number or bullet; the other
+ * blocks are indented to its text
+ */
+function renderDocxListItem(item, context, list) {
+    const [first, ...rest] = item.content;
+    const paragraphs = [];
+    if (first && first.type === 'paragraph') {
+        paragraphs.push(renderDocxParagraph('ListParagraph', { level: list.depth, numId: list.numId },
+            renderDocxRuns(first.content, context)));
+    } else {
+        paragraphs.push(renderDocxParagraph('ListParagraph', { level: list.depth, numId: list.numId }, ''));
+        if (first) rest.unshift(first);
     }
-    return false;
+    return paragraphs.concat(renderDocxBlocks(rest, context, list));
 }
 
 /**
- * Save current selection
+ * A Word paragraph; `numbering` is { level, numId } for a list paragraph or
+ * { level, indentOnly } for a paragraph indented to a list level
  */
-function saveSelection() {
-    const selection = window.getSelection();
-    if (selection.rangeCount > 0) {
-        savedSelection = selection.getRangeAt(0);
+function renderDocxParagraph(style, numbering, runs) {
+    let properties = style ? `<w:pStyle w:val="${style}"/>` : '';
+    if (numbering && !numbering.indentOnly) {
+        properties += `<w:numPr><w:ilvl w:val="${numbering.level}"/><w:numId w:val="${numbering.numId}"/></w:numPr>`;
+    } else if (numbering) {
+        properties += `<w:ind w:left="${docxListIndent(numbering.level)}"/>`;
     }
+    return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${runs}</w:p>`;
 }
 
 /**
- * Restore saved selection
+ * Render inline nodes as Word runs; consecutive runs with the same link share a hyperlink
  */
-function restoreSelection() {
-    const selection = window.getSelection();
-    if (savedSelection) {
-        selection.removeAllRanges();
-        selection.addRange(savedSelection);
+function renderDocxRuns(nodes, context) {
+    let xml = '';
+    let currentHref = null;
+    nodes.forEach(node => {
+        const link = (node.marks || []).find(mark => mark.type === 'link');
+        // Links within the document have no target in Word; keep their text
+        const href = link && !link.attrs.href.startsWith('#') ? link.attrs.href : null;
+        if (href !== currentHref) {
+            if (currentHref) xml += '</w:hyperlink>';
+            if (href) {
+                let index = context.links.indexOf(href);
+                if (index === -1) index = context.links.push(href) - 1;
+                xml += `<w:hyperlink r:id="rIdLink${index + 1}" w:history="1">`;
+            }
+            currentHref = href;
+        }
+        xml += renderDocxRun(node, Boolean(href));
+    });
+    if (currentHref) xml += '</w:hyperlink>';
+    return xml;
+}
+
+function renderDocxRun(node, isLink) {
+    if (node.type === 'hardBreak') return '<w:r><w:br/></w:r>';
+    // Images are not embedded; their alt text keeps what they say
+    if (node.type === 'image') return node.attrs.alt ? renderDocxRun(makeTextNode(node.attrs.alt, node.marks || []), isLink) : '';
+    const marks = (node.marks || []).map(mark => mark.type);
+    // Run properties must follow the schema order
+    let properties = '';
+    if (isLink) properties += '<w:rStyle w:val="Hyperlink"/>';
+    if (marks.includes('code')) properties += '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>';
+    if (marks.includes('bold')) properties += '<w:b/>';
+    if (marks.includes('italic')) properties += '<w:i/>';
+    if (marks.includes('strike')) properties += '<w:strike/>';
+    if (marks.includes('underline')) properties += '<w:u w:val="single"/>';
+    if (marks.includes('subscript')) properties += '<w:vertAlign w:val="subscript"/>';
+    if (marks.includes('superscript')) properties += '<w:vertAlign w:val="superscript"/>';
+    return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(node.text)}</w:t></w:r>`;
+}
+
+function docxListIndent(level) {
+    return 720 * (level + 1);
+}
+
+/**
+ * styles.xml: Normal, Heading 1-6, List Paragraph, Quote, Code, Caption and Hyperlink
+ */
+function renderDocxStyles() {
+    const headingSizes = [32, 28, 26, 24, 22, 22];
+    const headings = headingSizes.map((size, i) =>
+        `<w:style w:type="paragraph" w:styleId="Heading${i + 1}"><w:name w:val="heading ${i + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/>` +
+        `<w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="${i}"/></w:pPr>` +
+        `<w:rPr><w:b/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr></w:style>`).join('');
+
+    return xmlDeclaration() +
+        `<w:styles ${DOCX_NAMESPACES}>` +
+        '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>' +
+        '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="259" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+        '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+        headings +
+        '<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:uiPriority w:val="34"/><w:qFormat/><w:pPr><w:spacing w:after="60"/><w:contextualSpacing/></w:pPr></w:style>' +
+        '<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="29"/><w:qFormat/><w:pPr><w:ind w:left="720" w:right="720"/></w:pPr><w:rPr><w:i/></w:rPr></w:style>' +
+        '<w:style w:type="paragraph" w:customStyle="1" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/></w:rPr></w:style>' +
+        '<w:style w:type="paragraph" w:styleId="Caption"><w:name w:val="caption"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="35"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:after="80"/></w:pPr><w:rPr><w:b/><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr></w:style>' +
+        '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:uiPriority w:val="99"/><w:unhideWhenUsed/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>' +
+        '</w:styles>';
+}
+
+/**
+ * numbering.xml: one bullet list definition and one numbered list definition,
+ * plus a numbering instance per numbered list so each starts at its own number
+ */
+function renderDocxNumbering(orderedLists) {
+    const levels = (ordered) => Array.from({ length: 9 }, (_, level) => {
+        const indent = docxListIndent(level);
+        const format = ordered ?
+            `<w:numFmt w:val="${DOCX_NUMBER_FORMATS[level % 3]}"/><w:lvlText w:val="%${level + 1}."/>` :
+            `<w:numFmt w:val="bullet"/><w:lvlText w:val="${DOCX_BULLETS[level % 3]}"/>`;
+        return `<w:lvl w:ilvl="${level}"><w:start w:val="1"/>${format}<w:lvlJc w:val="left"/>` +
+            `<w:pPr><w:ind w:left="${indent}" w:hanging="360"/></w:pPr></w:lvl>`;
+    }).join('');
+
+    const instances = orderedLists.map((list, i) =>
+        `<w:num w:numId="${DOCX_BULLET_NUM_ID + i + 1}"><w:abstractNumId w:val="1"/>` +
+        `<w:lvlOverride w:ilvl="${list.level}"><w:startOverride w:val="${list.start}"/></w:lvlOverride></w:num>`).join('');
+
+    return xmlDeclaration() +
+        `<w:numbering ${DOCX_NAMESPACES}>` +
+        `<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels(false)}</w:abstractNum>` +
+        `<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels(true)}</w:abstractNum>` +
+        `<w:num w:numId="${DOCX_BULLET_NUM_ID}"><w:abstractNumId w:val="0"/></w:num>` +
+        instances +
+        '</w:numbering>';
+}
+
+/*
+ * ZIP
+ */
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
     }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Create a ZIP archive Blob from files { name, data: string | Uint8Array }, stored without compression
+ */
+function createZip(files, type = 'application/zip') {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+        // Fields shared by the local header and the central directory entry:
+        // version, flags (UTF-8 names), method (stored), time, date, CRC, sizes, name length
+        const shared = new DataView(new ArrayBuffer(26));
+        shared.setUint16(0, 20, true);
+        shared.setUint16(2, 0x0800, true);
+        shared.setUint16(4, 0, true);
+        shared.setUint16(6, time, true);
+        shared.setUint16(8, date, true);
+        shared.setUint32(10, crc, true);
+        shared.setUint32(14, data.length, true);
+        shared.setUint32(18, data.length, true);
+        shared.setUint16(22, name.length, true);
+        shared.setUint16(24, 0, true);
+
+        const local = new DataView(new ArrayBuffer(4));
+        local.setUint32(0, 0x04034b50, true);
+        parts.push(local, shared, name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        new Uint8Array(central.buffer, 6, 26).set(new Uint8Array(shared.buffer));
+        central.setUint32(42, offset, true);
+        directory.push(central, name);
+
+        offset += 4 + 26 + name.length + data.length;
+    });
+
+    const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob(parts.concat(directory, end), { type });
+}
+
+/*
+ * Document model
+ *
+ * A JSON description of the editor content that backends can store, diff and
+ * transform without parsing HTML:
+ *
+ *   { type: 'doc', version: 1, content: [ block, ... ] }
+ *
+ * Block nodes:   paragraph { content: inline[] }
+ *                heading { attrs: { level: 1-6 }, content: inline[] }
+ *                bulletList { content: listItem[] }
+ *                orderedList { attrs?: { start }, content: listItem[] }
+ *                listItem { content: block[] }
+ *                blockquote { content: block[] }
+ *                codeBlock { attrs?: { language }, text }
+ *                horizontalRule {}
+ *                table { attrs?: { caption }, content: tableRow[] }
+ *                tableRow { content: tableCell[] }
+ *                tableCell { attrs?: { header: 'col' | 'row' }, content: inline[] }
+ *                  (every row has the same number of cells; header cells label their column or row)
+ * Inline nodes:  text { text, marks?: mark[] }
+ *                image { attrs: { src, alt?, title? }, marks?: mark[] }
+ *                  (alt "" is a decorative image; no alt means it was never described)
+ *                hardBreak {}
+ * Marks:         bold, italic, underline, strike, code, subscript, superscript,
+ *                link { attrs: { href, title?, target?: '_blank' } },
+ *                insertion, deletion { attrs?: { author?, date? } }
+ *                  (suggested changes, see Track changes; date is an ISO 8601 string)
+ * Blocks:        formatChange?: { id, author?, date?, label?, before?: block[], result? }
+ *                  (a suggested formatting change; its blocks share the id, and the
+ *                  first keeps the blocks as they were and the key of its result)
+ */
+
+const DOCUMENT_MODEL_VERSION = 1;
+
+// Which children each node type accepts: 'block', 'inline', the one node type allowed, or null (leaf)
+const DOCUMENT_NODE_TYPES = {
+    doc: 'block',
+    paragraph: 'inline',
+    heading: 'inline',
+    bulletList: 'listItem',
+    orderedList: 'listItem',
+    listItem: 'block',
+    blockquote: 'block',
+    codeBlock: null,
+    horizontalRule: null,
+    table: 'tableRow',
+    tableRow: 'tableCell',
+    tableCell: 'inline',
+    text: null,
+    image: null,
+    hardBreak: null
+};
+
+const INLINE_NODE_TYPES = ['text', 'image', 'hardBreak'];
+
+// Nodes that only appear inside their parent type, never among blocks
+const CHILD_NODE_TYPES = ['listItem', 'tableRow', 'tableCell'];
+
+// Marks in the order they are nested when rendered (outermost first)
+const DOCUMENT_MARK_TYPES = ['insertion', 'deletion', 'link', 'bold', 'italic', 'underline', 'strike', 'code', 'subscript', 'superscript'];
+
+// HTML elements that map to marks, and the element each mark renders as. <ins> and
+// <del> with a data-author are suggested changes; a plain <del> is strikethrough.
+const MARK_ELEMENTS = {
+    a: 'link', strong: 'bold', b: 'bold', em: 'italic', i: 'italic', u: 'underline',
+    s: 'strike', strike: 'strike', del: 'strike', code: 'code', sub: 'subscript', sup: 'superscript'
+};
+const MARK_TAGS = {
+    link: 'a', bold: 'strong', italic: 'em', underline: 'u', strike: 's', code: 'code',
+    subscript: 'sub', superscript: 'sup', insertion: 'ins', deletion: 'del'
+};
+
+/**
+ * Build a document from an HTML fragment
+ */
+function htmlToDocument(html) {
+    const container = document.implementation.createHTMLDocument('').createElement('div');
+    container.innerHTML = html;
+    return { type: 'doc', version: DOCUMENT_MODEL_VERSION, content: parseBlockNodes(container) };
+}
+
+/**
+ * Build the document for the editor's current (sanitized) content
+ */
+function getEditorDocument(editor, source = 'getJSON') {
+    return htmlToDocument(getSanitizedHTML(editor, source));
+}
+
+/**
+ * Build the document for a file: 'markup' keeps suggested changes, 'final' accepts them (see acceptDocumentChanges)
+ */
+function getExportDocument(editor, source, changes) {
+    const doc = getEditorDocument(editor, source);
+    return changes === 'final' ? acceptDocumentChanges(doc) : doc;
+}
+
+/**
+ * Return a copy of the document with every suggestion accepted: deleted text is left
+ * out, inserted text kept as ordinary text and suggested formatting kept as it is.
+ * Paragraphs and headings left empty are dropped.
+ */
+function acceptDocumentChanges(doc) {
+    const hasMark = (node, type) => (node.marks || []).some(mark => mark.type === type);
+    const acceptNode = (node) => {
+        const copy = Object.assign({}, node);
+        delete copy.formatChange;
+        if (node.marks) {
+            const marks = node.marks.filter(mark => mark.type !== 'insertion');
+            if (marks.length) copy.marks = marks; else delete copy.marks;
+        }
+        if (!Array.isArray(node.content)) return copy;
+        if (DOCUMENT_NODE_TYPES[node.type] === 'inline') {
+            copy.content = cleanInlineNodes(node.content.filter(child => !hasMark(child, 'deletion')).map(acceptNode));
+        } else {
+            copy.content = node.content.map(acceptNode).filter((child, i) =>
+                !((child.type === 'paragraph' || child.type === 'heading') && !child.content.length && node.content[i].content.length));
+        }
+        return copy;
+    };
+    return acceptNode(doc);
 }
 
 /**
- * Open link popup modal
+ * Key of the blocks a formatting suggestion produced, to tell whether they were edited since
  */
-function openLinkPopup() {
-    saveSelection();
-    linkPopup.removeAttribute('hidden');
-    linkUrlInput.value = '';
-    linkUrlInput.focus();
+function getFormatResultKey(blocks) {
+    return hashText(JSON.stringify(blocks.map(block => Object.assign({}, block, { formatChange: undefined }))));
 }
 
 /**
- * Close link popup modal
+ * Read the formatting suggestion of a top-level block element
  */
-function closeLinkPopup() {
-    linkPopup.setAttribute('hidden', '');
-    editorContent.focus();
+function parseFormatChange(el) {
+    const change = { id: el.getAttribute('data-format-change') };
+    [['author', 'data-format-author'], ['date', 'data-format-time'], ['label', 'data-format-label'], ['result', 'data-format-result']]
+        .forEach(([name, attr]) => {
+            if (el.hasAttribute(attr)) change[name] = el.getAttribute(attr);
+        });
+    if (el.hasAttribute('data-format-before')) change.before = htmlToDocument(el.getAttribute('data-format-before')).content;
+    return change;
 }
 
 /**
- * Setup link popup handlers
+ * Parse the children of a block container into block nodes
  */
-function setupLinkPopup() {
-    // Apply button
-    linkApplyBtn.addEventListener('click', () => {
-        applyLink();
+function parseBlockNodes(parent) {
+    const blocks = [];
+    let inline = [];
+
+    const flushInline = () => {
+        const content = cleanInlineNodes(inline);
+        if (content.length) blocks.push({ type: 'paragraph', content });
+        inline = [];
+    };
+
+    Array.from(parent.childNodes).forEach(node => {
+        const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName.toLowerCase() : null;
+        const block = tag ? parseBlockElement(node, tag) : null;
+        if (block) {
+            flushInline();
+            if (block.length && node.hasAttribute('data-format-change')) block[0].formatChange = parseFormatChange(node);
+            blocks.push(...block);
+        } else if (tag === 'div' || tag === 'section' || tag === 'article') {
+            // Wrappers holding blocks are transparent
+            flushInline();
+            blocks.push(...parseBlockNodes(node));
+        } else {
+            inline.push(...parseInlineNodes(node, []));
+        }
     });
-    
-    // Cancel button
-    linkCancelBtn.addEventListener('click', () => {
-        closeLinkPopup();
+    flushInline();
+    return blocks;
+}
+
+/**
+ * Parse a block-level element, or return null if tag is not a block
+ */
+function parseBlockElement(el, tag) {
+    if (/^h[1-6]$/.test(tag)) {
+        return [{ type: 'heading', attrs: { level: Number(tag[1]) }, content: parseInlineContent(el) }];
+    }
+    switch (tag) {
+        case 'p':
+            return [{ type: 'paragraph', content: parseInlineContent(el) }];
+        case 'div':
+            // A div that only holds inline content is a paragraph
+            return el.querySelector('p, div, h1, h2, h3, h4, h5, h6, ul, ol, pre, blockquote, hr, table') ? null :
+                [{ type: 'paragraph', content: parseInlineContent(el) }];
+        case 'ul':
+        case 'ol': {
+            const list = { type: tag === 'ul' ? 'bulletList' : 'orderedList', content: [] };
+            const start = Number(el.getAttribute('start'));
+            if (tag === 'ol' && start && start !== 1) list.attrs = { start };
+            Array.from(el.children).forEach(li => {
+                if (li.tagName === 'LI') list.content.push({ type: 'listItem', content: parseBlockNodes(li) });
+            });
+            return [list];
+        }
+        case 'blockquote':
+            return [{ type: 'blockquote', content: parseBlockNodes(el) }];
+        case 'pre': {
+            const code = el.querySelector('code');
+            const language = code && /(?:^|\s)language-(\S+)/.exec(code.className || '');
+            const block = { type: 'codeBlock', text: el.textContent.replace(/\n$/, '') };
+            if (language) block.attrs = { language: language[1] };
+            return [block];
+        }
+        case 'hr':
+            return [{ type: 'horizontalRule' }];
+        case 'table': {
+            const table = parseTableElement(el);
+            return table ? [table] : [];
+        }
+    }
+    return null;
+}
+
+// Largest colspan read from HTML; wider cells are cut
+const TABLE_SPAN_LIMIT = 100;
+
+/**
+ * Lay out the rows of a table element on a grid: grid[row][column] is the cell
+ * covering that slot, so a cell spanning several slots appears in each of them
+ */
+function getTableGrid(table) {
+    const rows = Array.from(table.rows);
+    const grid = rows.map(() => []);
+    rows.forEach((row, r) => {
+        let c = 0;
+        Array.from(row.cells).forEach(cell => {
+            while (grid[r][c]) c++;
+            const colspan = Math.min(Math.max(parseInt(cell.getAttribute('colspan'), 10) || 1, 1), TABLE_SPAN_LIMIT);
+            const rowspan = Math.min(Math.max(parseInt(cell.getAttribute('rowspan'), 10) || 1, 1), rows.length - r);
+            for (let i = 0; i < rowspan; i++) {
+                for (let j = 0; j < colspan; j++) grid[r + i][c + j] = cell;
+            }
+            c += colspan;
+        });
     });
-    
-    // Enter key to apply
-    linkUrlInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-            e.preventDefault();
-            applyLink();
-        } else if (e.key === 'Escape') {
-            e.preventDefault();
-            closeLinkPopup();
+    return { rows, grid, width: Math.max(0, ...grid.map(slots => slots.length)) };
+}
+
+/**
+ * Return 'col' or 'row' for a header cell, or null for a data cell. A header
+ * cell without a scope starting a row of data cells labels that row.
+ */
+function getTableCellHeader(cell) {
+    if (cell.tagName !== 'TH') return null;
+    const scope = (cell.getAttribute('scope') || '').toLowerCase();
+    if (scope === 'row' || scope === 'rowgroup') return 'row';
+    if (scope === 'col' || scope === 'colgroup') return 'col';
+    const row = cell.parentNode;
+    const headerRow = row.parentNode.tagName === 'THEAD' || Array.from(row.cells).every(other => other.tagName === 'TH');
+    return cell.cellIndex === 0 && !headerRow ? 'row' : 'col';
+}
+
+/**
+ * Parse a table element into a rectangular table node: cells spanning several
+ * rows or columns keep their content in the first slot and leave the others empty
+ */
+function parseTableElement(el) {
+    const { grid, width } = getTableGrid(el);
+    if (!width) return null;
+    const table = { type: 'table', content: [] };
+    const caption = el.caption ? el.caption.textContent.replace(/\s+/g, ' ').trim() : '';
+    if (caption) table.attrs = { caption };
+    grid.forEach((slots, r) => {
+        const row = { type: 'tableRow', content: [] };
+        for (let c = 0; c < width; c++) {
+            const cell = slots[c];
+            const first = cell && slots[c - 1] !== cell && (r === 0 || grid[r - 1][c] !== cell);
+            row.content.push(makeTableCellNode(cell ? getTableCellHeader(cell) : null,
+                first ? flattenBlocksToInline(parseBlockNodes(cell)) : []));
         }
+        table.content.push(row);
     });
-    
-    // Click outside to close
-    linkPopup.addEventListener('click', (e) => {
-        if (e.target === linkPopup) {
-            closeLinkPopup();
+    return table;
+}
+
+function makeTableCellNode(header, content) {
+    return header ? { type: 'tableCell', attrs: { header }, content } : { type: 'tableCell', content };
+}
+
+/**
+ * Join the text of blocks into one run of inline content, a line per block,
+ * since table cells hold a single paragraph
+ */
+function flattenBlocksToInline(blocks) {
+    const lines = [];
+    const walk = (nodes) => nodes.forEach(node => {
+        if (DOCUMENT_NODE_TYPES[node.type] === 'inline') {
+            if (node.content.length) lines.push(node.content);
+        } else if (node.type === 'codeBlock') {
+            node.text.split('\n').filter(line => line).forEach(line => lines.push([makeTextNode(line, [{ type: 'code' }])]));
+        } else if (node.content) {
+            walk(node.content);
         }
     });
+    walk(blocks);
+    return cleanInlineNodes(lines.flatMap((line, i) => (i ? [{ type: 'hardBreak' }] : []).concat(line)));
 }
 
 /**
- * Apply link to selected text
+ * Parse the inline content of a text block
  */
-function applyLink() {
-    const url = linkUrlInput.value.trim();
-    
-    if (!url) {
-        linkUrlInput.focus();
-        return;
+function parseInlineContent(el) {
+    const nodes = [];
+    Array.from(el.childNodes).forEach(child => nodes.push(...parseInlineNodes(child, [])));
+    return cleanInlineNodes(nodes);
+}
+
+/**
+ * Parse a node into inline nodes, carrying the marks of its ancestors
+ */
+function parseInlineNodes(node, marks) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        const text = node.nodeValue.replace(/[ \t\n\r]+/g, ' ');
+        return text ? [makeTextNode(text, marks)] : [];
     }
-    
-    // Ensure URL has protocol
-    let finalUrl = url;
-    if (!/^https?:\/\//i.test(url)) {
-        finalUrl = 'https://' + url;
+    if (node.nodeType !== Node.ELEMENT_NODE) return [];
+
+    const tag = node.tagName.toLowerCase();
+    if (tag === 'br') return [{ type: 'hardBreak' }];
+    if (tag === 'img') {
+        if (!node.getAttribute('src')) return [];
+        return [makeImageNode({ src: node.getAttribute('src'), alt: node.getAttribute('alt'), title: node.getAttribute('title') }, marks)];
     }
-    
-    restoreSelection();
-    
-    // Get selected text
-    const selection = window.getSelection();
-    const selectedText = selection.toString();
-    
-    if (selectedText) {
-        // Create link with selected text
-        document.execCommand('createLink', false, finalUrl);
-    } else {
-        // Insert link with URL as text
-        document.execCommand('insertHTML', false, `<a href="${finalUrl}">${finalUrl}</a>`);
+
+    let childMarks = marks;
+    const isSuggestion = (tag === 'ins' || tag === 'del') && node.hasAttribute('data-author');
+    const markType = isSuggestion ? (tag === 'ins' ? 'insertion' : 'deletion') : MARK_ELEMENTS[tag];
+    if (markType) {
+        const mark = { type: markType };
+        if (isSuggestion) {
+            mark.attrs = { author: node.getAttribute('data-author') };
+            if (node.getAttribute('datetime')) mark.attrs.date = node.getAttribute('datetime');
+        } else if (markType === 'link') {
+            mark.attrs = { href: node.getAttribute('href') || '' };
+            if (node.getAttribute('title')) mark.attrs.title = node.getAttribute('title');
+            if (node.getAttribute('target') === '_blank') mark.attrs.target = '_blank';
+        }
+        childMarks = marks.filter(m => m.type !== markType).concat(mark);
+    }
+
+    const nodes = [];
+    Array.from(node.childNodes).forEach(child => nodes.push(...parseInlineNodes(child, childMarks)));
+    return nodes;
+}
+
+/**
+ * Create a text node with its marks in canonical order
+ */
+function makeTextNode(text, marks) {
+    const node = { type: 'text', text };
+    if (marks.length) {
+        node.marks = marks.slice().sort((a, b) => DOCUMENT_MARK_TYPES.indexOf(a.type) - DOCUMENT_MARK_TYPES.indexOf(b.type));
     }
-    
-    closeLinkPopup();
-    updateToolbarActiveStates();
+    return node;
 }
 
+/**
+ * Create an image node; a missing alt or title (null or undefined) is left out
+ */
+function makeImageNode({ src, alt, title }, marks) {
+    const node = { type: 'image', attrs: { src } };
+    if (typeof alt === 'string') node.attrs.alt = alt;
+    if (title) node.attrs.title = title;
+    if (marks.length) {
+        node.marks = marks.slice().sort((a, b) => DOCUMENT_MARK_TYPES.indexOf(a.type) - DOCUMENT_MARK_TYPES.indexOf(b.type));
+    }
+    return node;
+}
 
-document.addEventListener("DOMContentLoaded", () => {
-    const toolbar = document.querySelector(".toolbar");
-    const buttons = Array.from(toolbar.querySelectorAll(".toolbar-btn"));
+/**
+ * Merge neighbouring text with the same marks, collapse spaces the way HTML renders them,
+ * trim block edges and drop a trailing placeholder <br>
+ */
+function cleanInlineNodes(nodes) {
+    const merged = [];
+    // True at the start of the block, after a line break and after text ending in a space
+    let afterSpace = true;
+    nodes.forEach(node => {
+        const previous = merged[merged.length - 1];
+        if (node.type !== 'text') {
+            // Spaces before a line break are not rendered either
+            if (node.type === 'hardBreak' && previous && previous.type === 'text') previous.text = previous.text.replace(/ +$/, '');
+            merged.push(Object.assign({}, node));
+            afterSpace = node.type === 'hardBreak';
+            return;
+        }
+        let text = node.text.replace(/ {2,}/g, ' ');
+        if (afterSpace) text = text.replace(/^ /, '');
+        if (!text) return;
+        afterSpace = text.endsWith(' ');
+        if (previous && previous.type === 'text' && sameMarks(previous.marks, node.marks)) {
+            previous.text += text;
+        } else {
+            merged.push(Object.assign({}, node, { text }));
+        }
+    });
 
-    // Remove buttons from tab order
-    buttons.forEach(btn => btn.setAttribute("tabindex", "-1"));
+    if (merged.length && merged[merged.length - 1].type === 'hardBreak') merged.pop();
+    const last = merged[merged.length - 1];
+    if (last && last.type === 'text') last.text = last.text.replace(/ +$/, '');
 
-    let currentIndex = 0;
+    return merged.filter(node => node.type !== 'text' || node.text);
+}
 
-    // Enter toolbar with a single focusable element
-    toolbar.setAttribute("tabindex", "0");
+/**
+ * Compare two mark lists (including link attributes)
+ */
+function sameMarks(a = [], b = []) {
+    return a.length === b.length && a.every((mark, i) => sameMark(mark, b[i]));
+}
 
-    toolbar.addEventListener("focus", () => {
-        // When toolbar itself is focused, highlight first button
-        buttons[currentIndex].focus();
-    });
+function sameMark(a, b) {
+    return a.type === b.type && JSON.stringify(a.attrs || {}) === JSON.stringify(b.attrs || {});
+}
 
-    toolbar.addEventListener("keydown", (e) => {
-        switch(e.key) {
-            case "ArrowRight":
-                e.preventDefault();
-                currentIndex = (currentIndex + 1) % buttons.length;
-                buttons[currentIndex].focus();
-                break;
-            case "ArrowLeft":
-                e.preventDefault();
-                currentIndex = (currentIndex - 1 + buttons.length) % buttons.length;
-                buttons[currentIndex].focus();
-                break;
-            case "Tab":
-                // Prevent tabbing inside toolbar, let it exit normally
-                e.preventDefault();
-                // Focus next focusable element after toolbar (e.g., editor)
-                const editor = document.querySelector(".editor-content");
-                editor.focus();
-                break;
+/**
+ * Check a document against the schema and return a list of problems (empty when valid)
+ */
+function validateDocument(doc) {
+    const problems = [];
+    if (!doc || typeof doc !== 'object') {
+        return ['document must be an object'];
+    }
+    if (doc.type !== 'doc') problems.push('root node must have type "doc"');
+    if (doc.version !== DOCUMENT_MODEL_VERSION) {
+        problems.push(`unsupported version ${JSON.stringify(doc.version)} (expected ${DOCUMENT_MODEL_VERSION})`);
+    }
+    validateChildren(doc, 'block', 'content', problems);
+    return problems;
+}
+
+/**
+ * Validate the content array of a node
+ */
+function validateChildren(node, expected, path, problems) {
+    if (!Array.isArray(node.content)) {
+        problems.push(`${path}: content must be an array`);
+        return;
+    }
+    node.content.forEach((child, i) => validateNode(child, expected, `${path}[${i}]`, problems));
+}
+
+/**
+ * Validate one node that appears where `expected` children are allowed
+ */
+function validateNode(node, expected, path, problems) {
+    if (!node || typeof node !== 'object') {
+        problems.push(`${path}: node must be an object`);
+        return;
+    }
+    if (!(node.type in DOCUMENT_NODE_TYPES) || node.type === 'doc') {
+        problems.push(`${path}: unknown node type ${JSON.stringify(node.type)}`);
+        return;
+    }
+
+    const isInline = INLINE_NODE_TYPES.includes(node.type);
+    const allowed = expected === 'inline' ? isInline :
+        expected === 'block' ? !isInline && !CHILD_NODE_TYPES.includes(node.type) :
+        node.type === expected;
+    if (!allowed) {
+        problems.push(`${path}: ${node.type} is not allowed here (expected ${expected} node)`);
+        return;
+    }
+    if (node.formatChange !== undefined) {
+        if (expected === 'block') {
+            validateFormatChange(node.formatChange, path, problems);
+        } else {
+            problems.push(`${path}: only blocks can have a formatChange`);
         }
-    });
+    }
 
-    // Track focus via click or arrow key
-    buttons.forEach((btn, i) => {
-        btn.addEventListener("focus", () => {
-            currentIndex = i;
-        });
-    });
-});
+    switch (node.type) {
+        case 'text':
+            if (typeof node.text !== 'string') problems.push(`${path}: text must be a string`);
+            validateMarks(node.marks, path, problems);
+            return;
+        case 'image': {
+            const attrs = node.attrs || {};
+            if (typeof attrs.src !== 'string' || !attrs.src) problems.push(`${path}: image needs a src`);
+            if (attrs.alt !== undefined && typeof attrs.alt !== 'string') problems.push(`${path}: image alt must be a string`);
+            if (attrs.title !== undefined && typeof attrs.title !== 'string') problems.push(`${path}: image title must be a string`);
+            validateMarks(node.marks, path, problems);
+            return;
+        }
+        case 'heading': {
+            const level = node.attrs && node.attrs.level;
+            if (!Number.isInteger(level) || level < 1 || level > 6) {
+                problems.push(`${path}: heading level must be an integer from 1 to 6`);
+            }
+            break;
+        }
+        case 'codeBlock':
+            if (typeof node.text !== 'string') problems.push(`${path}: codeBlock text must be a string`);
+            return;
+        case 'orderedList':
+            if (node.attrs && node.attrs.start !== undefined && !Number.isInteger(node.attrs.start)) {
+                problems.push(`${path}: orderedList start must be an integer`);
+            }
+            break;
+        case 'table': {
+            if (node.attrs && node.attrs.caption !== undefined && typeof node.attrs.caption !== 'string') {
+                problems.push(`${path}: table caption must be a string`);
+            }
+            const rows = Array.isArray(node.content) ? node.content : [];
+            const widths = rows.map(row => (row && Array.isArray(row.content) ? row.content.length : 0));
+            if (!rows.length || widths.some(width => width !== widths[0]) || !widths[0]) {
+                problems.push(`${path}: table rows must have the same number of cells, at least one`);
+            }
+            break;
+        }
+        case 'tableCell': {
+            const header = node.attrs && node.attrs.header;
+            if (header !== undefined && header !== 'col' && header !== 'row') {
+                problems.push(`${path}: tableCell header must be "col" or "row"`);
+            }
+            break;
+        }
+    }
 
+    const childType = DOCUMENT_NODE_TYPES[node.type];
+    if (childType) validateChildren(node, childType, `${path}.content`, problems);
+}
 
+/**
+ * Validate the formatting suggestion of a block
+ */
+function validateFormatChange(change, path, problems) {
+    if (!change || typeof change.id !== 'string' || !change.id) {
+        problems.push(`${path}: formatChange needs an id`);
+        return;
+    }
+    ['author', 'date', 'label', 'result'].forEach(name => {
+        if (change[name] !== undefined && typeof change[name] !== 'string') {
+            problems.push(`${path}: formatChange ${name} must be a string`);
+        }
+    });
+    if (change.before !== undefined) validateChildren({ content: change.before }, 'block', `${path}.formatChange.before`, problems);
+}
+
+/**
+ * Validate the marks of a text or image node
+ */
+function validateMarks(marks, path, problems) {
+    if (marks === undefined) return;
+    if (!Array.isArray(marks)) {
+        problems.push(`${path}: marks must be an array`);
+        return;
+    }
+    marks.forEach((mark, i) => {
+        if (!mark || !DOCUMENT_MARK_TYPES.includes(mark.type)) {
+            problems.push(`${path}.marks[${i}]: unknown mark type ${JSON.stringify(mark && mark.type)}`);
+        } else if (mark.type === 'link' && !(mark.attrs && typeof mark.attrs.href === 'string')) {
+            problems.push(`${path}.marks[${i}]: link mark needs an href`);
+        } else if (mark.type === 'link' && mark.attrs.target !== undefined && mark.attrs.target !== '_blank') {
+            problems.push(`${path}.marks[${i}]: link target must be "_blank"`);
+        } else if ((mark.type === 'insertion' || mark.type === 'deletion') && mark.attrs !== undefined &&
+            !(mark.attrs && ['author', 'date'].every(name => mark.attrs[name] === undefined || typeof mark.attrs[name] === 'string'))) {
+            problems.push(`${path}.marks[${i}]: ${mark.type} author and date must be strings`);
+        }
+    });
+}
+
+/**
+ * Throw if the document does not match the schema
+ */
+function assertValidDocument(doc) {
+    const problems = validateDocument(doc);
+    if (problems.length) {
+        const error = new Error('Invalid document: ' + problems.join('; '));
+        error.problems = problems;
+        throw error;
+    }
+}
+
+/**
+ * Render a document as HTML in the editor's vocabulary. Standalone HTML, for files
+ * and the clipboard, also gives headings the ids that #anchor links point to and
+ * tells screen readers which links open a new tab.
+ */
+function documentToHtml(doc, { standalone = false } = {}) {
+    assertValidDocument(doc);
+    const context = standalone ? { standalone, slugs: createHeadingSlugger() } : {};
+    return doc.content.map(node => renderBlockHtml(node, context)).join('');
+}
+
+function renderBlockHtml(node, context) {
+    const html = renderBlockElementHtml(node, context);
+    return node.formatChange ? html.replace(/^<[a-z0-9]+/, tag => tag + renderFormatChangeAttributes(node.formatChange)) : html;
+}
+
+/**
+ * The data-format-* attributes of a block with a formatting suggestion
+ */
+function renderFormatChangeAttributes(change) {
+    const attrs = [['data-format-change', change.id], ['data-format-author', change.author],
+        ['data-format-time', change.date], ['data-format-label', change.label],
+        ['data-format-before', change.before && change.before.map(block => renderBlockHtml(block, {})).join('')],
+        ['data-format-result', change.result]];
+    return attrs.filter(([, value]) => value !== undefined).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+}
+
+function renderBlockElementHtml(node, context) {
+    switch (node.type) {
+        case 'paragraph':
+            return '<p>' + renderInlineHtml(node.content, context) + '</p>';
+        case 'heading': {
+            const id = context.slugs ? ` id="${escapeHtml(context.slugs(getInlineText(node.content)))}"` : '';
+            return `<h${node.attrs.level}${id}>` + renderInlineHtml(node.content, context) + `</h${node.attrs.level}>`;
+        }
+        case 'bulletList':
+        case 'orderedList': {
+            const tag = node.type === 'bulletList' ? 'ul' : 'ol';
+            const start = node.attrs && node.attrs.start !== undefined && node.attrs.start !== 1 ? ` start="${node.attrs.start}"` : '';
+            return `<${tag}${start}>` + node.content.map(item => renderListItemHtml(item, context)).join('') + `</${tag}>`;
+        }
+        case 'blockquote':
+            return '<blockquote>' + node.content.map(block => renderBlockHtml(block, context)).join('') + '</blockquote>';
+        case 'codeBlock': {
+            const language = node.attrs && node.attrs.language ? ` class="language-${escapeHtml(node.attrs.language)}"` : '';
+            return `<pre><code${language}>` + escapeHtml(node.text) + '</code></pre>';
+        }
+        case 'horizontalRule':
+            return '<hr>';
+        case 'table':
+            return renderTableHtml(node, context);
+    }
+    return '';
+}
+
+/**
+ * A first row of column headers is the table head; header cells say what they label with scope
+ */
+function renderTableHtml(table, context) {
+    const caption = table.attrs && table.attrs.caption ? '<caption>' + escapeHtml(table.attrs.caption) + '</caption>' : '';
+    const renderRow = (row) => '<tr>' + row.content.map(cell => {
+        const header = cell.attrs && cell.attrs.header;
+        const html = renderInlineHtml(cell.content, context);
+        return header ? `<th scope="${header}">${html}</th>` : `<td>${html}</td>`;
+    }).join('') + '</tr>';
+    const [first, ...rest] = table.content;
+    const head = first.content.every(cell => cell.attrs && cell.attrs.header === 'col') ? [first] : [];
+    const body = head.length ? rest : table.content;
+    return '<table>' + caption +
+        (head.length ? '<thead>' + renderRow(first) + '</thead>' : '') +
+        (body.length ? '<tbody>' + body.map(renderRow).join('') + '</tbody>' : '') +
+        '</table>';
+}
+
+/**
+ * List items write their first paragraph inline, as the editor does
+ */
+function renderListItemHtml(item, context) {
+    const html = item.content.map((block, i) =>
+        i === 0 && block.type === 'paragraph' ? renderInlineHtml(block.content, context) : renderBlockHtml(block, context)).join('');
+    return '<li>' + html + '</li>';
+}
+
+/**
+ * Walk inline nodes, opening and closing marks only where they change
+ * so that text sharing a mark is wrapped once
+ */
+function renderInlineNodes(nodes, render) {
+    let output = '';
+    const open = [];
+    const closeTo = (depth) => {
+        while (open.length > depth) output += render.close(open.pop());
+    };
+
+    (nodes || []).forEach(node => {
+        const marks = node.marks || [];
+        let common = 0;
+        while (common < open.length && common < marks.length && sameMark(open[common], marks[common])) common++;
+        closeTo(common);
+        if (node.type === 'hardBreak') {
+            output += render.hardBreak;
+            return;
+        }
+        marks.slice(common).forEach(mark => {
+            output += render.open(mark);
+            open.push(mark);
+        });
+        output += node.type === 'image' ? render.image(node.attrs) : render.text(node.text);
+    });
+    closeTo(0);
+    return output;
+}
+
+function renderInlineHtml(nodes, context = {}) {
+    // Empty blocks keep a <br> so the caret can be placed in them
+    if (!nodes || !nodes.length) return '<br>';
+    return renderInlineNodes(nodes, {
+        open: (mark) => {
+            if (mark.type === 'insertion' || mark.type === 'deletion') return renderSuggestionTag(mark);
+            if (mark.type !== 'link') return `<${MARK_TAGS[mark.type]}>`;
+            const title = mark.attrs.title ? ` title="${escapeHtml(mark.attrs.title)}"` : '';
+            const target = mark.attrs.target ? ' target="_blank" rel="noopener"' : '';
+            return `<a href="${escapeHtml(mark.attrs.href)}"${title}${target}>`;
+        },
+        close: (mark) => (context.standalone && mark.type === 'link' && mark.attrs.target ? NEW_TAB_CUE_HTML : '') +
+            `</${MARK_TAGS[mark.type]}>`,
+        hardBreak: '<br>',
+        image: renderImageHtml,
+        text: escapeHtml
+    });
+}
+
+/**
+ * Opening <ins> or <del> tag of a suggested change
+ */
+function renderSuggestionTag(mark) {
+    const attrs = mark.attrs || {};
+    const date = attrs.date ? ` datetime="${escapeHtml(attrs.date)}"` : '';
+    return `<${MARK_TAGS[mark.type]} data-author="${escapeHtml(attrs.author || '')}"${date}>`;
+}
+
+function renderImageHtml(attrs) {
+    const alt = attrs.alt !== undefined ? ` alt="${escapeHtml(attrs.alt)}"` : '';
+    const title = attrs.title ? ` title="${escapeHtml(attrs.title)}"` : '';
+    return `<img src="${escapeHtml(attrs.src)}"${alt}${title}>`;
+}
+
+// Visually hidden text closing every link that opens a new tab in standalone HTML
+const NEW_TAB_CUE_HTML = '<span class="sr-only new-tab-cue"> (opens in new tab)</span>';
+
+/**
+ * Return the text of inline nodes, with images as their alt text
+ */
+function getInlineText(nodes, hardBreak = ' ') {
+    return (nodes || []).map(node => node.type === 'hardBreak' ? hardBreak :
+        node.type === 'image' ? node.attrs.alt || '' : node.text).join('');
+}
+
+/**
+ * Turn heading text into an anchor the way GitHub does: lowercase, punctuation
+ * dropped, spaces as hyphens
+ */
+function slugifyHeading(text) {
+    return text.trim().replace(/\s+/g, ' ').toLowerCase().replace(/[^\p{L}\p{N}\p{M} _-]/gu, '').replace(/ /g, '-');
+}
+
+/**
+ * Return a function giving each heading a unique anchor; repeated headings
+ * get "-1", "-2"... in document order
+ */
+function createHeadingSlugger() {
+    const used = new Map();
+    return (text) => {
+        const base = slugifyHeading(text) || 'section';
+        const count = used.get(base) || 0;
+        used.set(base, count + 1);
+        return count ? `${base}-${count}` : base;
+    };
+}
+
+/**
+ * Return the headings of a document in order as { level, text, slug }
+ */
+function getDocumentHeadings(doc) {
+    const slugs = createHeadingSlugger();
+    const headings = [];
+    const walk = (blocks) => blocks.forEach(block => {
+        if (block.type === 'heading') {
+            const text = getInlineText(block.content);
+            headings.push({ level: block.attrs.level, text: text.trim(), slug: slugs(text) });
+        } else if (['blockquote', 'bulletList', 'orderedList', 'listItem'].includes(block.type)) {
+            walk(block.content);
+        }
+    });
+    walk(doc.content);
+    return headings;
+}
+
+/**
+ * Render a document as plain text: one line per block, line breaks kept, table rows as tab-separated cells
+ */
+function documentToText(doc) {
+    const lines = [];
+    const walk = (blocks) => blocks.forEach(block => {
+        switch (block.type) {
+            case 'paragraph':
+            case 'heading':
+                lines.push(getInlineText(block.content, '\n'));
+                break;
+            case 'codeBlock':
+                lines.push(block.text);
+                break;
+            case 'horizontalRule':
+                lines.push('');
+                break;
+            case 'table':
+                // Tab-separated rows, which spreadsheets paste as cells
+                if (block.attrs && block.attrs.caption) lines.push(block.attrs.caption);
+                block.content.forEach(row => lines.push(row.content.map(cell => getInlineText(cell.content)).join('\t')));
+                break;
+            default:
+                walk(block.content);
+        }
+    });
+    walk(doc.content);
+    // Keep the tabs of empty cells at the end of a table
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').replace(/^\n+|\n+$/g, '');
+}
+
+/*
+ * Markdown
+ *
+ * documentToMarkdown writes CommonMark (plus GFM ~~strike~~) from the document
+ * model and markdownToDocument reads it back. Marks without a Markdown syntax
+ * (underline, subscript, superscript) are written as inline HTML tags, which the
+ * parser understands, so markdownToHtml(htmlToMarkdown(html)) keeps everything
+ * the toolbar can produce.
+ */
+
+// ASCII punctuation that can be backslash-escaped
+const MARKDOWN_ESCAPABLE = /[!-/:-@[-`{-~]/;
+
+// Characters escaped wherever they appear in text
+const MARKDOWN_SPECIAL_CHARS = /[\\`*_[\]<&~]/g;
+
+// Emphasis marks written with delimiters; the value is the delimiter and the fallback tag
+const MARKDOWN_DELIMITERS = {
+    bold: { delimiter: '**', tag: 'strong' },
+    italic: { delimiter: '*', tag: 'em' },
+    strike: { delimiter: '~~', tag: 's' }
+};
+
+const MARKDOWN_FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const MARKDOWN_HEADING = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+const MARKDOWN_RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const MARKDOWN_QUOTE = /^ {0,3}> ?/;
+const MARKDOWN_LIST_ITEM = /^( {0,3})([-+*]|\d{1,9}[.)])(?=[ \t]|$)([ \t]*)/;
+const MARKDOWN_TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const MARKDOWN_TABLE_CAPTION = /^ {0,3}Table:[ \t]+(.*)$/;
+
+/**
+ * Render a document as Markdown
+ */
+function documentToMarkdown(doc) {
+    return renderMarkdownBlocks(doc.content, false).trim();
+}
+
+/**
+ * Render sibling blocks. Inside tight list items a nested list follows its paragraph directly.
+ */
+function renderMarkdownBlocks(blocks, tight) {
+    const parts = [];
+    let previous = null;
+    let alternate = false;
+
+    blocks.forEach(block => {
+        // Two lists in a row need a different marker or Markdown merges them
+        const isList = block.type === 'bulletList' || block.type === 'orderedList';
+        alternate = isList && previous && previous.type === block.type ? !alternate : false;
+
+        const md = renderMarkdownBlock(block, alternate);
+        if (!md) return;
+        if (parts.length) {
+            parts.push(tight && isList && previous && previous.type === 'paragraph' ? '\n' : '\n\n');
+        }
+        parts.push(md);
+        previous = block;
+    });
+    return parts.join('');
+}
+
+function renderMarkdownBlock(block, alternate) {
+    switch (block.type) {
+        case 'paragraph':
+            return renderMarkdownInline(block.content, '\\\n').split('\n').map(escapeMarkdownLineStart).join('\n');
+        case 'heading': {
+            const text = renderMarkdownInline(block.content, '<br>').replace(/#$/, '\\#');
+            return '#'.repeat(block.attrs.level) + (text ? ' ' + text : '');
+        }
+        case 'bulletList':
+        case 'orderedList': {
+            const start = block.attrs && block.attrs.start !== undefined ? block.attrs.start : 1;
+            return block.content.map((item, i) => {
+                const marker = block.type === 'bulletList' ? (alternate ? '* ' : '- ') :
+                    (start + i) + (alternate ? ') ' : '. ');
+                const body = renderMarkdownBlocks(item.content, true);
+                if (!body) return marker.trim();
+                const indent = ' '.repeat(marker.length);
+                return marker + body.split('\n').map((line, n) => n && line ? indent + line : line).join('\n');
+            }).join('\n');
+        }
+        case 'blockquote':
+            return renderMarkdownBlocks(block.content, false).split('\n').map(line => line ? '> ' + line : '>').join('\n');
+        case 'codeBlock': {
+            const longest = Math.max(0, ...(block.text.match(/`+/g) || []).map(run => run.length));
+            const fence = '`'.repeat(Math.max(3, longest + 1));
+            const language = block.attrs && block.attrs.language ? block.attrs.language.replace(/[\s`]+/g, '') : '';
+            return fence + language + '\n' + block.text + '\n' + fence;
+        }
+        case 'horizontalRule':
+            return '---';
+        case 'table':
+            return renderMarkdownTable(block);
+    }
+    return '';
+}
+
+/**
+ * Write a GFM pipe table. GFM tables always have a header row, so a table without
+ * one gets an empty header; the caption follows as a "Table: caption" line.
+ * Header columns have no Markdown syntax and become ordinary cells.
+ */
+function renderMarkdownTable(table) {
+    const [first, ...rest] = table.content;
+    const hasHead = first.content.every(cell => cell.attrs && cell.attrs.header === 'col');
+    const renderRow = (cells) => '| ' + cells.join(' | ') + ' |';
+    const renderCells = (row) => row.content.map(cell => renderMarkdownInline(cell.content, '<br>').replace(/\|/g, '\\|'));
+    const head = hasHead ? renderCells(first) : first.content.map(() => '');
+    const lines = [renderRow(head), renderRow(head.map(() => '---'))]
+        .concat((hasHead ? rest : table.content).map(row => renderRow(renderCells(row))));
+    if (table.attrs && table.attrs.caption) lines.push('', 'Table: ' + escapeMarkdownText(table.attrs.caption));
+    return lines.join('\n');
+}
+
+/**
+ * Escape characters that would start a block (heading, list, quote...) at the beginning of a line
+ */
+function escapeMarkdownLineStart(line) {
+    return line
+        .replace(/^([#>+=-])/, '\\$1')
+        .replace(/^(\d+)([.)])/, '$1\\$2');
+}
+
+function escapeMarkdownText(text) {
+    return text.replace(MARKDOWN_SPECIAL_CHARS, '\\$&');
+}
+
+/**
+ * Write a code span, using a backtick fence longer than any run inside the code
+ */
+function renderMarkdownCode(text) {
+    let fence = '`';
+    while (text.includes(fence)) fence += '`';
+    const padded = /^`|`$/.test(text) || (/^ .* $/.test(text) && text.trim()) ? ' ' + text + ' ' : text;
+    return fence + padded + fence;
+}
+
+function renderMarkdownLinkTarget(attrs) {
+    const href = /^[^\s<>()\\]*$/.test(attrs.href) ? attrs.href : '<' + attrs.href.replace(/[\\<>]/g, '\\$&') + '>';
+    const title = attrs.title ? ' "' + attrs.title.replace(/[\\"]/g, '\\$&') + '"' : '';
+    return '](' + href + title + ')';
+}
+
+/**
+ * Render inline nodes as Markdown. Emphasis that CommonMark would not recognise
+ * (for example "**" between two letters and punctuation) is written as HTML tags instead.
+ */
+function renderMarkdownInline(nodes, hardBreak) {
+    const prepared = prepareMarkdownInline(nodes);
+    const tokens = [];
+    const open = [];
+
+    prepared.forEach(node => {
+        // Code is written innermost so nothing else ends up inside a code span
+        const marks = (node.marks || []).filter(m => m.type !== 'code');
+        let common = 0;
+        while (common < open.length && common < marks.length && sameMark(open[common].mark, marks[common])) common++;
+        while (open.length > common) tokens.push({ kind: 'close', span: open.pop() });
+        marks.slice(common).forEach(mark => {
+            const span = { mark, html: false };
+            tokens.push({ kind: 'open', span });
+            open.push(span);
+        });
+        tokens.push(node.type === 'hardBreak' ? { kind: 'break' } : { kind: node.type, node });
+    });
+    while (open.length) tokens.push({ kind: 'close', span: open.pop() });
+
+    // Markdown cannot tell an image without alt text from a decorative one
+    const expected = JSON.stringify(cleanInlineNodes(prepared).map(node =>
+        node.type === 'image' ? makeImageNode(Object.assign({ alt: '' }, node.attrs), node.marks || []) : node));
+    for (let attempt = 0; attempt < 4; attempt++) {
+        const result = writeMarkdownTokens(tokens, hardBreak);
+        if (!result.failed.length) {
+            if (JSON.stringify(parseMarkdownInline(result.output)) === expected) return result.output;
+            break;
+        }
+        result.failed.forEach(span => { span.html = true; });
+    }
+
+    // Fall back to tags for all emphasis, which always parses back unchanged
+    tokens.forEach(token => {
+        if (token.span) token.span.html = true;
+    });
+    return writeMarkdownTokens(tokens, hardBreak).output;
+}
+
+/**
+ * Move spaces at the edges of bold, italic and strike runs outside the run
+ * (CommonMark does not allow "** bold**") and drop spaces around line breaks
+ */
+function prepareMarkdownInline(nodes) {
+    const result = [];
+    const isEmphasis = mark => Boolean(MARKDOWN_DELIMITERS[mark.type]);
+    const shared = (node, other) => (node.marks || []).filter(mark =>
+        !isEmphasis(mark) || (other && other.type === 'text' && (other.marks || []).some(o => sameMark(o, mark))));
+
+    nodes.forEach((node, i) => {
+        if (node.type !== 'text') {
+            result.push(node);
+            return;
+        }
+        const previous = nodes[i - 1];
+        const next = nodes[i + 1];
+        let text = node.text;
+        if (previous && previous.type === 'hardBreak') text = text.replace(/^\s+/, '');
+        if (next && next.type === 'hardBreak') text = text.replace(/\s+$/, '');
+
+        const lead = /^\s*/.exec(text)[0];
+        const trail = text.length > lead.length ? /\s*$/.exec(text)[0] : '';
+        const core = text.slice(lead.length, text.length - trail.length);
+        if (lead) result.push(makeTextNode(lead, shared(node, previous)));
+        if (core) result.push(makeTextNode(core, node.marks || []));
+        if (trail) result.push(makeTextNode(trail, shared(node, next)));
+    });
+    return result;
+}
+
+/**
+ * Write the token list and report emphasis spans whose delimiters would not be recognised
+ */
+function writeMarkdownTokens(tokens, hardBreak) {
+    let output = '';
+    const delimiters = [];
+
+    tokens.forEach(token => {
+        const { span } = token;
+        if (token.kind === 'text') {
+            const code = (token.node.marks || []).some(m => m.type === 'code');
+            output += code ? renderMarkdownCode(token.node.text) : escapeMarkdownText(token.node.text);
+        } else if (token.kind === 'break') {
+            output += hardBreak;
+        } else if (token.kind === 'image') {
+            const { src, alt, title } = token.node.attrs;
+            output += '![' + escapeMarkdownText(alt || '') + renderMarkdownLinkTarget({ href: src, title });
+        } else if (span.mark.type === 'link') {
+            if (token.kind === 'open' && output.endsWith('!')) output = output.slice(0, -1) + '\\!';
+            output += token.kind === 'open' ? '[' : renderMarkdownLinkTarget(span.mark.attrs);
+        } else if (MARKDOWN_DELIMITERS[span.mark.type] && !span.html) {
+            const delimiter = MARKDOWN_DELIMITERS[span.mark.type].delimiter;
+            delimiters.push({ token, start: output.length, end: output.length + delimiter.length, char: delimiter[0] });
+            output += delimiter;
+        } else {
+            const tag = MARKDOWN_DELIMITERS[span.mark.type] ? MARKDOWN_DELIMITERS[span.mark.type].tag : MARK_TAGS[span.mark.type];
+            const suggestion = span.mark.type === 'insertion' || span.mark.type === 'deletion';
+            output += token.kind !== 'open' ? `</${tag}>` : suggestion ? renderSuggestionTag(span.mark) : `<${tag}>`;
+        }
+    });
+
+    // Delimiters written next to each other form one run, which must be flanking on the right side
+    const failed = [];
+    for (let i = 0; i < delimiters.length;) {
+        let j = i;
+        while (j + 1 < delimiters.length && delimiters[j + 1].start === delimiters[j].end && delimiters[j + 1].char === delimiters[i].char) j++;
+        const flanking = getDelimiterFlanking(output[delimiters[i].start - 1], output[delimiters[j].end]);
+        for (let k = i; k <= j; k++) {
+            const { token } = delimiters[k];
+            const ok = token.kind === 'open' ? flanking.left : flanking.right;
+            if (!ok && !failed.includes(token.span)) failed.push(token.span);
+        }
+        i = j + 1;
+    }
+    return { output, failed };
+}
+
+/**
+ * CommonMark left/right-flanking rules for a delimiter run between two characters
+ */
+function getDelimiterFlanking(before, after) {
+    const isSpace = ch => ch === undefined || /\s/.test(ch);
+    const isPunctuation = ch => ch !== undefined && /[\p{P}\p{S}]/u.test(ch);
+    return {
+        left: !isSpace(after) && (!isPunctuation(after) || isSpace(before) || isPunctuation(before)),
+        right: !isSpace(before) && (!isPunctuation(before) || isSpace(after) || isPunctuation(after)),
+        beforeIsPunctuation: isPunctuation(before),
+        afterIsPunctuation: isPunctuation(after)
+    };
+}
+
+/**
+ * Build a document from Markdown
+ */
+function markdownToDocument(md) {
+    const lines = String(md).replace(/\r\n?/g, '\n').split('\n');
+    return { type: 'doc', version: DOCUMENT_MODEL_VERSION, content: parseMarkdownBlocks(lines) };
+}
+
+/**
+ * Convert Markdown to HTML in the editor's vocabulary
+ */
+function markdownToHtml(md) {
+    return documentToHtml(markdownToDocument(md));
+}
+
+/**
+ * Check whether a line starts a block other than a paragraph.
+ * Inside a paragraph only bullets with content and lists starting at 1 interrupt it.
+ */
+function startsMarkdownBlock(line, inParagraph) {
+    if (MARKDOWN_FENCE.test(line) || MARKDOWN_HEADING.test(line) || MARKDOWN_RULE.test(line) || MARKDOWN_QUOTE.test(line)) {
+        return true;
+    }
+    const item = MARKDOWN_LIST_ITEM.exec(line);
+    if (!item) return false;
+    if (!inParagraph) return true;
+    return Boolean(line.slice(item[0].length).trim()) && (!/\d/.test(item[2]) || parseInt(item[2], 10) === 1);
+}
+
+function parseMarkdownBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        let match;
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        match = MARKDOWN_FENCE.exec(line);
+        if (match && !(match[2][0] === '`' && match[3].includes('`'))) {
+            const indent = new RegExp('^ {0,' + match[1].length + '}');
+            const closing = new RegExp('^ {0,3}' + (match[2][0] === '`' ? '`' : '~') + '{' + match[2].length + ',}[ \\t]*$');
+            const code = [];
+            for (i++; i < lines.length && !closing.test(lines[i]); i++) {
+                code.push(lines[i].replace(indent, ''));
+            }
+            i++;
+            const block = { type: 'codeBlock', text: code.join('\n') };
+            const language = decodeMarkdownEscapes(match[3].trim().split(/\s+/)[0]);
+            if (language) block.attrs = { language };
+            blocks.push(block);
+            continue;
+        }
+
+        match = MARKDOWN_HEADING.exec(line);
+        if (match) {
+            const text = match[2].replace(/(?:^|[ \t]+)#+[ \t]*$/, '').trim();
+            blocks.push({ type: 'heading', attrs: { level: match[1].length }, content: parseMarkdownInline(text) });
+            i++;
+            continue;
+        }
+
+        if (MARKDOWN_RULE.test(line)) {
+            blocks.push({ type: 'horizontalRule' });
+            i++;
+            continue;
+        }
+
+        if (MARKDOWN_QUOTE.test(line)) {
+            const quoted = [];
+            for (; i < lines.length && lines[i].trim(); i++) {
+                if (MARKDOWN_QUOTE.test(lines[i])) {
+                    quoted.push(lines[i].replace(MARKDOWN_QUOTE, ''));
+                } else if (quoted[quoted.length - 1].trim() && !startsMarkdownBlock(lines[i], false)) {
+                    // Lazy continuation of a quoted paragraph
+                    quoted.push(lines[i]);
+                } else {
+                    break;
+                }
+            }
+            blocks.push({ type: 'blockquote', content: parseMarkdownBlocks(quoted) });
+            continue;
+        }
+
+        if (MARKDOWN_LIST_ITEM.test(line)) {
+            const list = parseMarkdownList(lines, i);
+            blocks.push(list.node);
+            i = list.end;
+            continue;
+        }
+
+        if (/^ {4}/.test(line)) {
+            const code = [];
+            for (; i < lines.length && (/^ {4}/.test(lines[i]) || !lines[i].trim()); i++) {
+                code.push(lines[i].slice(4));
+            }
+            while (!code[code.length - 1].trim()) code.pop();
+            blocks.push({ type: 'codeBlock', text: code.join('\n') });
+            continue;
+        }
+
+        const table = parseMarkdownTable(lines, i);
+        if (table) {
+            blocks.push(table.node);
+            i = table.end;
+            continue;
+        }
+
+        const paragraph = [line];
+        let heading = 0;
+        for (i++; i < lines.length && lines[i].trim(); i++) {
+            if (/^ {0,3}=+[ \t]*$/.test(lines[i])) heading = 1;
+            else if (/^ {0,3}-+[ \t]*$/.test(lines[i])) heading = 2;
+            if (heading) {
+                i++;
+                break;
+            }
+            if (startsMarkdownBlock(lines[i], true)) break;
+            paragraph.push(lines[i]);
+        }
+        const content = parseMarkdownInline(paragraph.join('\n').trim());
+        blocks.push(heading ? { type: 'heading', attrs: { level: heading }, content } : { type: 'paragraph', content });
+    }
+    return blocks;
+}
+
+/**
+ * Parse a list starting at lines[start]; returns the list node and the index after it
+ */
+function parseMarkdownList(lines, start) {
+    const first = MARKDOWN_LIST_ITEM.exec(lines[start]);
+    const ordered = /\d/.test(first[2]);
+    const marker = ordered ? first[2].slice(-1) : first[2];
+    const list = { type: ordered ? 'orderedList' : 'bulletList', content: [] };
+    if (ordered && parseInt(first[2], 10) !== 1) list.attrs = { start: parseInt(first[2], 10) };
+
+    let i = start;
+    while (i < lines.length) {
+        const match = MARKDOWN_LIST_ITEM.exec(lines[i]);
+        if (!match || MARKDOWN_RULE.test(lines[i]) || /\d/.test(match[2]) !== ordered ||
+            (ordered ? match[2].slice(-1) : match[2]) !== marker) {
+            break;
+        }
+
+        // Content lines are indented to the column after the marker
+        const rest = lines[i].slice(match[0].length);
+        const spacing = match[3].length;
+        const contentIndent = match[1].length + match[2].length + (!rest || spacing > 4 ? 1 : spacing);
+        const itemLines = [lines[i].slice(contentIndent)];
+
+        for (i++; i < lines.length; i++) {
+            const line = lines[i];
+            if (!line.trim()) {
+                itemLines.push('');
+            } else if (/^ */.exec(line)[0].length >= contentIndent) {
+                itemLines.push(line.slice(contentIndent));
+            } else if (itemLines[itemLines.length - 1].trim() && !startsMarkdownBlock(line, false)) {
+                itemLines.push(line);
+            } else {
+                break;
+            }
+        }
+        list.content.push({ type: 'listItem', content: parseMarkdownBlocks(itemLines) });
+    }
+    return { node: list, end: i };
+}
+
+/**
+ * Parse a GFM pipe table starting at lines[start]: a header row, a delimiter row
+ * with as many cells, then rows until a blank line. An all-empty header means the
+ * table has no header row. Returns { node, end } or null when no table starts here.
+ */
+function parseMarkdownTable(lines, start) {
+    const delimiter = lines[start + 1];
+    if (!lines[start].includes('|') || delimiter === undefined || !delimiter.includes('|') ||
+        !MARKDOWN_TABLE_DELIMITER.test(delimiter)) {
+        return null;
+    }
+    const head = splitMarkdownTableRow(lines[start]);
+    const width = splitMarkdownTableRow(delimiter).length;
+    if (head.length !== width) return null;
+
+    // Rows with missing cells are padded, extra cells are dropped
+    const makeRow = (cells, header) => ({
+        type: 'tableRow',
+        content: Array.from({ length: width }, (_, c) => makeTableCellNode(header, parseMarkdownInline(cells[c] || '')))
+    });
+    const rows = head.some(cell => cell) ? [makeRow(head, 'col')] : [];
+    let i = start + 2;
+    for (; i < lines.length && lines[i].trim() && !startsMarkdownBlock(lines[i], false); i++) {
+        rows.push(makeRow(splitMarkdownTableRow(lines[i]), null));
+    }
+    if (!rows.length) rows.push(makeRow([], null));
+    const table = { type: 'table', content: rows };
+
+    // A "Table: ..." paragraph right after the table is its caption
+    let next = i;
+    while (next < lines.length && !lines[next].trim()) next++;
+    const caption = MARKDOWN_TABLE_CAPTION.exec(lines[next] || '');
+    if (caption && !(lines[next + 1] || '').trim()) {
+        const text = getInlineText(parseMarkdownInline(caption[1].trim())).trim();
+        if (text) table.attrs = { caption: text };
+        i = next + 1;
+    }
+    return { node: table, end: i };
+}
+
+/**
+ * Split a table row at the pipes that are not escaped; "\|" stands for a pipe inside a cell
+ */
+function splitMarkdownTableRow(line) {
+    const source = line.trim().replace(/^\|/, '');
+    const cells = [];
+    let cell = '';
+    let closed = false;
+    for (let i = 0; i < source.length; i++) {
+        closed = false;
+        if (source[i] === '\\' && i + 1 < source.length) {
+            cell += source[i + 1] === '|' ? '|' : source[i] + source[i + 1];
+            i++;
+        } else if (source[i] === '|') {
+            cells.push(cell.trim());
+            cell = '';
+            closed = true;
+        } else {
+            cell += source[i];
+        }
+    }
+    if (!closed) cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * Resolve backslash escapes and entity references in a link destination, title or info string
+ */
+function decodeMarkdownEscapes(text) {
+    return text
+        .replace(/\\([!-/:-@[-`{-~])/g, '$1')
+        .replace(/&(?:#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/g, decodeHtmlEntity);
+}
+
+function decodeHtmlEntity(entity) {
+    const textarea = document.implementation.createHTMLDocument('').createElement('textarea');
+    textarea.innerHTML = entity;
+    return textarea.value;
+}
+
+/**
+ * Parse "(destination "title")" after a link's closing bracket
+ */
+function parseMarkdownLinkTarget(source, start) {
+    if (source[start] !== '(') return null;
+    let i = start + 1;
+    const skipSpace = () => {
+        while (i < source.length && /[ \t\n]/.test(source[i])) i++;
+    };
+
+    skipSpace();
+    const hrefStart = i;
+    if (source[i] === '<') {
+        for (i++; i < source.length && source[i] !== '>'; i++) {
+            if (source[i] === '\n' || source[i] === '<') return null;
+            if (source[i] === '\\') i++;
+        }
+        if (source[i] !== '>') return null;
+        i++;
+    } else {
+        let depth = 0;
+        for (; i < source.length && !/\s/.test(source[i]); i++) {
+            if (source[i] === '\\') i++;
+            else if (source[i] === '(') depth++;
+            else if (source[i] === ')' && depth-- === 0) break;
+        }
+    }
+    const rawHref = source.slice(hrefStart, i);
+    const href = rawHref[0] === '<' ? rawHref.slice(1, -1) : rawHref;
+
+    const hrefEnd = i;
+    skipSpace();
+    let title = '';
+    const quote = source[i];
+    if (i > hrefEnd && (quote === '"' || quote === "'" || quote === '(')) {
+        const close = quote === '(' ? ')' : quote;
+        const titleStart = i + 1;
+        for (i++; i < source.length && source[i] !== close; i++) {
+            if (source[i] === '\\') i++;
+        }
+        if (i >= source.length) return null;
+        title = source.slice(titleStart, i);
+        i++;
+        skipSpace();
+    }
+    if (source[i] !== ')') return null;
+
+    const attrs = { href: decodeMarkdownEscapes(href) };
+    if (title) attrs.title = decodeMarkdownEscapes(title).replace(/\s+/g, ' ');
+    return { attrs, end: i + 1 };
+}
+
+/**
+ * Parse inline Markdown into inline nodes. Emphasis follows the CommonMark
+ * delimiter rules; the inline tags written by documentToMarkdown are understood too.
+ */
+function parseMarkdownInline(source) {
+    const items = [];
+    let text = '';
+    const flush = () => {
+        if (text) items.push({ type: 'text', text });
+        text = '';
+    };
+    // Wrap everything after items[index] into a mark, resolving emphasis inside it first
+    const wrap = (index, mark) => {
+        const children = items.splice(index + 1);
+        items.pop();
+        processMarkdownEmphasis(children);
+        items.push({ type: 'mark', mark, children });
+    };
+
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        const rest = source.slice(i);
+        let match;
+
+        if (ch === '\\') {
+            if (source[i + 1] === '\n') {
+                text = text.replace(/ +$/, '');
+                flush();
+                items.push({ type: 'hardBreak' });
+                i += 2;
+                while (source[i] === ' ') i++;
+            } else if (MARKDOWN_ESCAPABLE.test(source[i + 1] || '')) {
+                text += source[i + 1];
+                i += 2;
+            } else {
+                text += ch;
+                i++;
+            }
+            continue;
+        }
+
+        if (ch === '`') {
+            const fence = /^`+/.exec(rest)[0];
+            const pattern = new RegExp('(^|[^`])' + fence + '(?!`)', 'g');
+            pattern.lastIndex = i + fence.length - 1;
+            const closing = i + fence.length < source.length ? pattern.exec(source) : null;
+            if (!closing || closing.index < i + fence.length - 1) {
+                text += fence;
+                i += fence.length;
+                continue;
+            }
+            const end = closing.index + closing[1].length;
+            let code = source.slice(i + fence.length, end).replace(/\n/g, ' ');
+            if (/^ .* $/.test(code) && code.trim()) code = code.slice(1, -1);
+            flush();
+            items.push({ type: 'mark', mark: { type: 'code' }, children: [{ type: 'text', text: code }] });
+            i = end + fence.length;
+            continue;
+        }
+
+        if (ch === '*' || ch === '_' || ch === '~') {
+            const run = new RegExp('^\\' + ch + '+').exec(rest)[0];
+            i += run.length;
+            if (ch === '~' && run.length > 2) {
+                text += run;
+                continue;
+            }
+            const flanking = getDelimiterFlanking(source[i - run.length - 1], source[i]);
+            let canOpen = flanking.left;
+            let canClose = flanking.right;
+            if (ch === '_') {
+                canOpen = flanking.left && (!flanking.right || flanking.beforeIsPunctuation);
+                canClose = flanking.right && (!flanking.left || flanking.afterIsPunctuation);
+            }
+            flush();
+            items.push({ type: 'delimiter', char: ch, count: run.length, length: run.length, canOpen, canClose });
+            continue;
+        }
+
+        if (ch === '[' || (ch === '!' && source[i + 1] === '[')) {
+            flush();
+            items.push({ type: 'bracket', image: ch === '!', active: true });
+            i += ch === '!' ? 2 : 1;
+            continue;
+        }
+
+        if (ch === ']') {
+            const opener = items.map(item => item.type).lastIndexOf('bracket');
+            const target = opener !== -1 && items[opener].active ? parseMarkdownLinkTarget(source, i + 1) : null;
+            if (!target) {
+                if (opener !== -1) items[opener] = { type: 'text', text: items[opener].image ? '![' : '[' };
+                text += ']';
+                i++;
+                continue;
+            }
+            flush();
+            if (items[opener].image) {
+                // The alt text is the plain text of the brackets' content
+                const children = items.splice(opener + 1);
+                items.pop();
+                processMarkdownEmphasis(children);
+                const nodes = [];
+                flattenMarkdownItems(children, [], nodes);
+                const { href, title } = target.attrs;
+                const alt = getInlineText(cleanInlineNodes(nodes));
+                items.push(href ? { type: 'image', attrs: { src: href, alt, title } } : { type: 'text', text: alt });
+                i = target.end;
+                continue;
+            }
+            wrap(opener, { type: 'link', attrs: target.attrs });
+            // Links cannot contain links
+            items.forEach(item => {
+                if (item.type === 'bracket') item.active = false;
+            });
+            i = target.end;
+            continue;
+        }
+
+        if (ch === '<') {
+            if ((match = /^<br\s*\/?>/i.exec(rest))) {
+                flush();
+                items.push({ type: 'hardBreak' });
+            } else if ((match = /^<(ins|del)((?:\s+(?:data-author|datetime)="[^"<>]*")+)\s*>/i.exec(rest)) &&
+                /data-author=/i.test(match[2])) {
+                // Suggested changes, as documentToMarkdown writes them
+                const name = match[1].toLowerCase();
+                const attrs = {};
+                match[2].replace(/(data-author|datetime)="([^"<>]*)"/gi, (all, attr, value) => {
+                    attrs[attr.toLowerCase() === 'datetime' ? 'date' : 'author'] = decodeMarkdownEscapes(value);
+                });
+                flush();
+                items.push({ type: 'tag', name, source: match[0], mark: { type: name === 'ins' ? 'insertion' : 'deletion', attrs } });
+            } else if ((match = /^<(\/?)(strong|b|em|i|u|s|del|ins|code|sub|sup)>/i.exec(rest)) && (match[1] || match[2].toLowerCase() !== 'ins')) {
+                const name = match[2].toLowerCase();
+                const opener = items.findIndex((item, n) => item.type === 'tag' && item.name === name &&
+                    !items.slice(n + 1).some(later => later.type === 'tag' && later.name === name));
+                flush();
+                if (!match[1]) {
+                    items.push({ type: 'tag', name });
+                } else if (opener !== -1) {
+                    wrap(opener, items[opener].mark || { type: MARK_ELEMENTS[name] });
+                } else {
+                    items.push({ type: 'text', text: match[0] });
+                }
+            } else if ((match = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/.exec(rest))) {
+                flush();
+                items.push({ type: 'mark', mark: { type: 'link', attrs: { href: match[1] } }, children: [{ type: 'text', text: match[1] }] });
+            } else {
+                text += ch;
+                i++;
+                continue;
+            }
+            i += match[0].length;
+            continue;
+        }
+
+        if (ch === '&' && (match = /^&(?:#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/.exec(rest))) {
+            text += decodeHtmlEntity(match[0]);
+            i += match[0].length;
+            continue;
+        }
+
+        if (ch === '\n') {
+            // Two trailing spaces make a hard break, otherwise the newline is a space
+            const isBreak = / {2,}$/.test(text);
+            text = text.replace(/ +$/, '');
+            if (isBreak) {
+                flush();
+                items.push({ type: 'hardBreak' });
+            } else {
+                text += ' ';
+            }
+            for (i++; source[i] === ' '; i++);
+            continue;
+        }
+
+        text += ch;
+        i++;
+    }
+    flush();
+    processMarkdownEmphasis(items);
+
+    const nodes = [];
+    flattenMarkdownItems(items, [], nodes);
+    return cleanInlineNodes(nodes);
+}
+
+/**
+ * Pair emphasis delimiters (CommonMark "process emphasis", GFM strikethrough)
+ */
+function processMarkdownEmphasis(items) {
+    let closerIndex = 0;
+    while (closerIndex < items.length) {
+        const closer = items[closerIndex];
+        if (closer.type !== 'delimiter' || !closer.canClose || !closer.count) {
+            closerIndex++;
+            continue;
+        }
+
+        let openerIndex = closerIndex - 1;
+        for (; openerIndex >= 0; openerIndex--) {
+            const candidate = items[openerIndex];
+            if (candidate.type !== 'delimiter' || candidate.char !== closer.char || !candidate.canOpen || !candidate.count) continue;
+            if (closer.char === '~') {
+                if (candidate.count === closer.count) break;
+                continue;
+            }
+            // The "multiple of 3" rule
+            const bothSides = candidate.canClose || closer.canOpen;
+            if (bothSides && (candidate.length + closer.length) % 3 === 0 && !(candidate.length % 3 === 0 && closer.length % 3 === 0)) continue;
+            break;
+        }
+        if (openerIndex < 0) {
+            closerIndex++;
+            continue;
+        }
+
+        const opener = items[openerIndex];
+        const used = closer.char === '~' ? closer.count : (opener.count >= 2 && closer.count >= 2 ? 2 : 1);
+        const type = closer.char === '~' ? 'strike' : (used === 2 ? 'bold' : 'italic');
+        opener.count -= used;
+        closer.count -= used;
+        const children = items.splice(openerIndex + 1, closerIndex - openerIndex - 1);
+        items.splice(openerIndex + 1, 0, { type: 'mark', mark: { type }, children });
+        closerIndex = openerIndex + 2;
+        if (!opener.count) {
+            items.splice(openerIndex, 1);
+            closerIndex--;
+        }
+        if (!closer.count) items.splice(closerIndex, 1);
+    }
+}
+
+/**
+ * Turn parsed inline items into text nodes with marks; unmatched syntax becomes literal text
+ */
+function flattenMarkdownItems(items, marks, nodes) {
+    items.forEach(item => {
+        switch (item.type) {
+            case 'text':
+                nodes.push(makeTextNode(item.text.replace(/[ \t]+/g, ' '), marks));
+                break;
+            case 'hardBreak':
+                nodes.push({ type: 'hardBreak' });
+                break;
+            case 'delimiter':
+                nodes.push(makeTextNode(item.char.repeat(item.count), marks));
+                break;
+            case 'bracket':
+                nodes.push(makeTextNode(item.image ? '![' : '[', marks));
+                break;
+            case 'image':
+                nodes.push(makeImageNode(item.attrs, marks));
+                break;
+            case 'tag':
+                nodes.push(makeTextNode(item.source || `<${item.name}>`, marks));
+                break;
+            case 'mark':
+                flattenMarkdownItems(item.children, marks.filter(m => m.type !== item.mark.type).concat(item.mark), nodes);
+                break;
+        }
+    });
+}
+
+/**
+ * Convert an HTML fragment (editor innerHTML) to Markdown through the document model
+ */
+function htmlToMarkdown(html) {
+    return documentToMarkdown(htmlToDocument(html));
+}
+
+/**
+ * Export Markdown file; `changes` works as in saveEditorContent
+ */
+function exportMarkdownFile(editor, filename = 'editor-content.md', changes = 'markup') {
+    const md = documentToMarkdown(getExportDocument(editor, 'export', changes));
+    downloadFile(editor, filename, md, 'text/markdown;charset=utf-8');
+}
+
+/*
+ * Dialogs
+ *
+ * Modal dialogs rendered inside the editor root. They trap Tab, close on Escape
+ * or a click on the backdrop and give focus back to where it was when they opened.
+ */
+
+/**
+ * Create a hidden modal dialog; returns the dialog element with its `body` container
+ */
+function createDialog(editor, name, title) {
+    const dialog = document.createElement('div');
+    dialog.className = `editor-dialog ${name}-dialog`;
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', `${editor.id}-${name}-title`);
+    dialog.hidden = true;
+    dialog.innerHTML = `
+            <div class="editor-dialog-content">
+                <h2 id="${editor.id}-${name}-title">${escapeHtml(title)}</h2>
+                <div class="editor-dialog-body"></div>
+            </div>`;
+    dialog.body = dialog.querySelector('.editor-dialog-body');
+    editor.root.appendChild(dialog);
+
+    listen(editor, dialog, 'keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeDialog(editor, dialog);
+        } else if (e.key === 'Tab') {
+            trapFocus(dialog, e);
+        }
+    });
+    listen(editor, dialog, 'click', (e) => {
+        if (e.target === dialog) closeDialog(editor, dialog);
+    });
+    return dialog;
+}
+
+/**
+ * Show a dialog and move focus into it
+ */
+function openDialog(editor, dialog, focusTarget) {
+    dialog.returnFocus = document.activeElement;
+    dialog.hidden = false;
+    (focusTarget || getFocusableElements(dialog)[0] || dialog).focus();
+}
+
+/**
+ * Hide a dialog and return focus to the element that opened it
+ */
+function closeDialog(editor, dialog) {
+    if (dialog.hidden) return;
+    dialog.hidden = true;
+    const target = dialog.returnFocus && editor.root.contains(dialog.returnFocus) ? dialog.returnFocus : editor.content;
+    dialog.returnFocus = null;
+    target.focus();
+    if (dialog.onClose) dialog.onClose();
+}
+
+function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll('button, input, select, textarea, a[href], [tabindex]:not([tabindex="-1"])'))
+        .filter(el => !el.disabled && !el.closest('[hidden]'));
+}
+
+/**
+ * Keep Tab and Shift+Tab inside the dialog
+ */
+function trapFocus(dialog, e) {
+    const focusable = getFocusableElements(dialog);
+    if (!focusable.length) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+/*
+ * Autosave
+ *
+ * A moment after the content stops changing, a snapshot is written to IndexedDB
+ * under the editor's document ID. When the page is opened again the editor offers
+ * to restore a draft that was never saved, and the version history dialog lists
+ * every snapshot for preview and restore.
+ */
+
+const AUTOSAVE_DB_NAME = 'accessible-wysiwyg';
+const AUTOSAVE_STORE = 'snapshots';
+// Large embedded images { key, data, refs }, stored once for every snapshot that shows
+// them; refs counts those snapshots, which list the keys of their images in `images`
+const AUTOSAVE_IMAGE_STORE = 'images';
+
+// Shared by every editor on the page
+let autosaveDatabase = null;
+
+/**
+ * Open (and create on first use) the snapshot database
+ */
+function openAutosaveDatabase() {
+    if (!autosaveDatabase) {
+        autosaveDatabase = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(AUTOSAVE_DB_NAME, 3);
+            request.onupgradeneeded = (e) => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(AUTOSAVE_STORE)) {
+                    const store = db.createObjectStore(AUTOSAVE_STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('documentId', 'documentId');
+                }
+                if (!db.objectStoreNames.contains(AUTOSAVE_IMAGE_STORE)) {
+                    db.createObjectStore(AUTOSAVE_IMAGE_STORE, { keyPath: 'key' });
+                }
+                if (e.oldVersion === 2) countSnapshotImages(request.transaction);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Try again next time instead of caching the failure
+        autosaveDatabase.catch(() => { autosaveDatabase = null; });
+    }
+    return autosaveDatabase;
+}
+
+/**
+ * Version 3: give the snapshots of a version 2 database their image keys, and the
+ * images the number of snapshots that show them
+ */
+function countSnapshotImages(transaction) {
+    const refs = new Map();
+    transaction.objectStore(AUTOSAVE_STORE).openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (cursor) {
+            const snapshot = cursor.value;
+            snapshot.images = getImagePayloadRefs(snapshot.html);
+            snapshot.images.forEach(key => refs.set(key, (refs.get(key) || 0) + 1));
+            cursor.update(snapshot);
+            cursor.continue();
+            return;
+        }
+        transaction.objectStore(AUTOSAVE_IMAGE_STORE).openCursor().onsuccess = (event) => {
+            const imageCursor = event.target.result;
+            if (!imageCursor) return;
+            const count = refs.get(imageCursor.value.key);
+            if (count) imageCursor.update(Object.assign(imageCursor.value, { refs: count })); else imageCursor.delete();
+            imageCursor.continue();
+        };
+    };
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function getSnapshotStore(mode = 'readonly') {
+    const db = await openAutosaveDatabase();
+    return db.transaction(AUTOSAVE_STORE, mode).objectStore(AUTOSAVE_STORE);
+}
+
+/**
+ * Return the snapshots of a document, newest first
+ */
+async function listSnapshots(documentId) {
+    const store = await getSnapshotStore();
+    const snapshots = await requestResult(store.index('documentId').getAll(documentId));
+    return snapshots.sort((a, b) => b.time - a.time);
+}
+
+/**
+ * Write a snapshot, and the images it refers to that are not stored yet, together.
+ * A new snapshot adds one to the count of each of its images.
+ */
+async function putSnapshot(snapshot, images = new Map()) {
+    const db = await openAutosaveDatabase();
+    const transaction = db.transaction([AUTOSAVE_STORE, AUTOSAVE_IMAGE_STORE], 'readwrite');
+    const imageStore = transaction.objectStore(AUTOSAVE_IMAGE_STORE);
+    if (snapshot.id === undefined) {
+        snapshot.images = Array.from(images.keys());
+        await Promise.all(Array.from(images, async ([key, data]) => {
+            const record = await requestResult(imageStore.get(key));
+            await requestResult(imageStore.put(record ? Object.assign(record, { refs: record.refs + 1 }) : { key, data, refs: 1 }));
+        }));
+    }
+    return requestResult(transaction.objectStore(AUTOSAVE_STORE).put(snapshot));
+}
+
+/**
+ * Delete the oldest snapshots beyond the limit, and the images no snapshot shows any more
+ */
+async function pruneSnapshots(documentId, limit) {
+    const snapshots = await listSnapshots(documentId);
+    if (snapshots.length <= limit) return;
+    const db = await openAutosaveDatabase();
+    const transaction = db.transaction([AUTOSAVE_STORE, AUTOSAVE_IMAGE_STORE], 'readwrite');
+    const store = transaction.objectStore(AUTOSAVE_STORE);
+    const released = new Map();
+    await Promise.all(snapshots.slice(limit).map(snapshot => {
+        (snapshot.images || []).forEach(key => released.set(key, (released.get(key) || 0) + 1));
+        return requestResult(store.delete(snapshot.id));
+    }));
+    // Snapshots of every document share the image store, so only the counts tell what is still shown
+    const imageStore = transaction.objectStore(AUTOSAVE_IMAGE_STORE);
+    await Promise.all(Array.from(released, async ([key, count]) => {
+        const record = await requestResult(imageStore.get(key));
+        if (!record) return;
+        if (record.refs > count) {
+            await requestResult(imageStore.put(Object.assign(record, { refs: record.refs - count })));
+        } else {
+            await requestResult(imageStore.delete(key));
+        }
+    }));
+}
+
+/**
+ * The images a snapshot shows that this editor does not have in memory
+ */
+function getMissingSnapshotImages(editor, snapshot) {
+    return getImagePayloadRefs(snapshot.html).filter(key => !editor.imagePayloads.data.has(key));
+}
+
+/**
+ * Read the images a snapshot shows from the database
+ */
+async function loadSnapshotImages(editor, snapshot) {
+    const db = await openAutosaveDatabase();
+    const store = db.transaction(AUTOSAVE_IMAGE_STORE).objectStore(AUTOSAVE_IMAGE_STORE);
+    const records = await Promise.all(getMissingSnapshotImages(editor, snapshot).map(key => requestResult(store.get(key))));
+    records.forEach(record => {
+        if (record) addImagePayload(editor, record.key, record.data);
+    });
+}
+
+function countWords(text) {
+    return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * Write a snapshot of the current content. `saved` marks content the user saved on purpose,
+ * which is not offered as an unsaved draft later.
+ */
+async function writeSnapshot(editor, saved = false) {
+    const state = editor.autosave;
+    if (!state || editor.destroyed) return;
+    clearTimeout(state.timer);
+    state.timer = null;
+
+    // Snapshots refer to large embedded images, which are stored separately
+    const fullHtml = getSanitizedHTML(editor, 'autosave');
+    const html = packImagePayloads(editor, fullHtml);
+    // The sanitizer removes comment highlights, so the threads are kept beside the content
+    const { comments } = getCommentsJSON(editor);
+    const unchanged = html === state.lastHtml && JSON.stringify(comments) === state.lastComments;
+    if (unchanged && state.lastSnapshot) {
+        if (saved && !state.lastSnapshot.saved) {
+            state.lastSnapshot.saved = true;
+            await putSnapshot(state.lastSnapshot);
+        }
+        return;
+    }
+    if (unchanged && !saved) return;
+
+    const snapshot = {
+        documentId: state.documentId,
+        time: Date.now(),
+        html,
+        comments,
+        words: countWords(documentToText(htmlToDocument(fullHtml))),
+        saved
+    };
+    state.lastHtml = html;
+    state.lastComments = JSON.stringify(comments);
+    const images = new Map(getImagePayloadRefs(html).map(key => [key, editor.imagePayloads.data.get(key)]));
+    snapshot.id = await putSnapshot(snapshot, images);
+    state.lastSnapshot = snapshot;
+    await pruneSnapshots(state.documentId, editor.options.autosaveLimit);
+}
+
+/**
+ * Restart the autosave timer (called from the content input listener)
+ */
+function scheduleAutosave(editor) {
+    const state = editor.autosave;
+    if (!state || state.unavailable) return;
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+        writeSnapshot(editor).catch(err => console.warn('Autosave failed', err));
+    }, editor.options.autosaveDelay);
+}
+
+/**
+ * Record the current content as saved by the user (Save and Save MD)
+ */
+function recordSavedVersion(editor) {
+    if (!editor.autosave || editor.autosave.unavailable) return;
+    writeSnapshot(editor, true).catch(err => console.warn('Autosave failed', err));
+}
+
+/**
+ * Format a snapshot time for the banner and the history list
+ */
+function formatSnapshotTime(time) {
+    return new Date(time).toLocaleString();
+}
+
+/**
+ * Set up autosave, the draft recovery banner and the version history dialog
+ */
+function setupAutosave(editor) {
+    const { options } = editor;
+    if (!options.autosave) return;
+
+    editor.autosave = {
+        documentId: options.documentId || editor.root.id || editor.id,
+        timer: null,
+        lastHtml: packImagePayloads(editor, getSanitizedHTML(editor, 'autosave')),
+        // Comment threads are set up later, and a new editor has none
+        lastComments: '[]',
+        lastSnapshot: null,
+        draft: null,
+        unavailable: false
+    };
+
+    // Write pending changes before the page goes away
+    const flush = () => {
+        if (editor.autosave.timer) writeSnapshot(editor).catch(err => console.warn('Autosave failed', err));
+    };
+    listen(editor, window, 'pagehide', flush);
+    listen(editor, document, 'visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flush();
+    });
+
+    setupDraftBanner(editor);
+    setupVersionHistory(editor);
+
+    checkForDraft(editor).catch(err => {
+        // Stop scheduling writes that cannot succeed
+        editor.autosave.unavailable = true;
+        updateToolbarEnabledStates(editor);
+        console.warn('Autosave unavailable:', err.message || err);
+    });
+}
+
+/**
+ * Build the "Restore unsaved draft?" banner above the content
+ */
+function setupDraftBanner(editor) {
+    const banner = document.createElement('div');
+    banner.className = 'draft-banner';
+    banner.setAttribute('role', 'region');
+    banner.setAttribute('aria-labelledby', `${editor.id}-draft-message`);
+    banner.hidden = true;
+    banner.innerHTML = `
+            <p id="${editor.id}-draft-message" class="draft-message"></p>
+            <div class="draft-buttons">
+                <button type="button" class="draft-btn draft-restore">Restore draft</button>
+                <button type="button" class="draft-btn draft-dismiss">Dismiss</button>
+            </div>`;
+    editor.content.before(banner);
+    editor.draftBanner = banner;
+
+    listen(editor, banner.querySelector('.draft-restore'), 'click', () => {
+        const draft = editor.autosave.draft;
+        hideDraftBanner(editor);
+        if (draft) {
+            restoreSnapshot(editor, draft, 'restore draft', 'Draft restored').catch(err => console.warn('Restore failed', err));
+        }
+    });
+    listen(editor, banner.querySelector('.draft-dismiss'), 'click', () => {
+        const draft = editor.autosave.draft;
+        hideDraftBanner(editor);
+        editor.content.focus();
+        announce(editor, 'Draft dismissed. It is still available in the version history.');
+        if (draft) {
+            draft.dismissed = true;
+            putSnapshot(draft).catch(err => console.warn('Autosave failed', err));
+        }
+    });
+}
+
+/**
+ * Offer the newest snapshot if it was never saved and differs from the loaded content
+ */
+async function checkForDraft(editor) {
+    const state = editor.autosave;
+    const [latest] = await listSnapshots(state.documentId);
+    if (editor.destroyed || !latest) return;
+    state.lastSnapshot = latest;
+    if (latest.saved || latest.dismissed) return;
+    if (latest.html === state.lastHtml && JSON.stringify(latest.comments || []) === state.lastComments) return;
+
+    state.draft = latest;
+    const message = `Restore unsaved draft from ${formatSnapshotTime(latest.time)}?`;
+    editor.draftBanner.querySelector('.draft-message').textContent = message;
+    editor.draftBanner.hidden = false;
+    announce(editor, message + ' Use the Restore draft button above the editor.');
+}
+
+function hideDraftBanner(editor) {
+    editor.draftBanner.hidden = true;
+    editor.autosave.draft = null;
+}
+
+/**
+ * Replace the content with a snapshot as one undo step. The snapshot's comment
+ * threads replace the ones with the same id; other threads stay in the list.
+ */
+async function restoreSnapshot(editor, snapshot, label, message) {
+    if (getMissingSnapshotImages(editor, snapshot).length) await loadSnapshotImages(editor, snapshot);
+    const html = sanitizeForEditor(editor, unpackImagePayloads(editor, snapshot.html), 'restore');
+    // Snapshots from before comments were kept have none
+    const comments = snapshot.comments ? readCommentsJSON(snapshot, 'restore') : [];
+    runWithHistory(editor, label, () => {
+        editor.content.innerHTML = html;
+        anchorComments(editor, comments);
+    });
+    renderCommentThreads(editor);
+    updateToolbarActiveStates(editor);
+    editor.content.focus();
+    announce(editor, message);
+}
+
+/**
+ * Build the version history dialog
+ */
+function setupVersionHistory(editor) {
+    const dialog = createDialog(editor, 'history', 'Version history');
+    dialog.body.innerHTML = `
+                <p class="history-empty" hidden>No versions have been saved yet.</p>
+                <div class="history-layout">
+                    <ul class="history-list" aria-label="Versions, newest first"></ul>
+                    <div class="history-preview" role="region" aria-label="Preview" tabindex="0"></div>
+                </div>
+                <div class="editor-dialog-buttons">
+                    <button type="button" class="editor-dialog-btn history-close">Close</button>
+                    <button type="button" class="editor-dialog-btn editor-dialog-primary history-restore" disabled>Restore this version</button>
+                </div>`;
+    editor.historyDialog = dialog;
+
+    const list = dialog.querySelector('.history-list');
+    const restoreBtn = dialog.querySelector('.history-restore');
+
+    listen(editor, list, 'click', (e) => {
+        const item = e.target.closest('.history-item');
+        if (item) selectHistoryItem(editor, item);
+    });
+    // Up/Down move between versions
+    listen(editor, list, 'keydown', (e) => {
+        if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+        const items = Array.from(list.querySelectorAll('.history-item'));
+        const index = items.indexOf(document.activeElement);
+        const next = items[index + (e.key === 'ArrowDown' ? 1 : -1)];
+        if (next) {
+            e.preventDefault();
+            next.focus();
+            selectHistoryItem(editor, next);
+        }
+    });
+    listen(editor, dialog.querySelector('.history-close'), 'click', () => closeDialog(editor, dialog));
+    listen(editor, restoreBtn, 'click', () => {
+        const snapshot = dialog.selectedSnapshot;
+        if (!snapshot) return;
+        closeDialog(editor, dialog);
+        restoreSnapshot(editor, snapshot, 'restore version', `Restored version from ${formatSnapshotTime(snapshot.time)}`)
+            .catch(err => console.warn('Restore failed', err));
+    });
+}
+
+/**
+ * Save pending changes, then list every snapshot in the history dialog
+ */
+async function openVersionHistory(editor) {
+    const dialog = editor.historyDialog;
+    if (editor.autosave.timer) await writeSnapshot(editor);
+    const snapshots = await listSnapshots(editor.autosave.documentId);
+
+    const list = dialog.querySelector('.history-list');
+    list.innerHTML = '';
+    snapshots.forEach(snapshot => {
+        const li = document.createElement('li');
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'history-item';
+        item.setAttribute('aria-pressed', 'false');
+        item.snapshot = snapshot;
+        const words = snapshot.words === 1 ? '1 word' : `${snapshot.words} words`;
+        item.textContent = `${formatSnapshotTime(snapshot.time)} — ${words}${snapshot.saved ? ' (saved)' : ''}`;
+        li.appendChild(item);
+        list.appendChild(li);
+    });
+
+    dialog.querySelector('.history-empty').hidden = snapshots.length > 0;
+    dialog.querySelector('.history-layout').hidden = snapshots.length === 0;
+    dialog.querySelector('.history-preview').innerHTML = '';
+    dialog.querySelector('.history-restore').disabled = true;
+    dialog.selectedSnapshot = null;
+
+    const first = list.querySelector('.history-item');
+    if (first) selectHistoryItem(editor, first);
+    openDialog(editor, dialog, first || dialog.querySelector('.history-close'));
+}
+
+/**
+ * Mark a version as selected and show its preview
+ */
+async function selectHistoryItem(editor, item) {
+    const dialog = editor.historyDialog;
+    dialog.querySelectorAll('.history-item').forEach(other => {
+        other.setAttribute('aria-pressed', String(other === item));
+    });
+    dialog.selectedSnapshot = item.snapshot;
+    const preview = dialog.querySelector('.history-preview');
+    if (getMissingSnapshotImages(editor, item.snapshot).length) {
+        await loadSnapshotImages(editor, item.snapshot);
+        // Another version may have been selected while the images were read
+        if (dialog.selectedSnapshot !== item.snapshot) return;
+    }
+    preview.innerHTML = sanitizeForEditor(editor, unpackImagePayloads(editor, item.snapshot.html), 'restore');
+    preview.setAttribute('aria-label', `Preview of version from ${formatSnapshotTime(item.snapshot.time)}`);
+    dialog.querySelector('.history-restore').disabled = false;
+}
+
+/*
+ * Document library
+ *
+ * Markdown documents are kept through a storage adapter: an object with four
+ * async methods working on records { id, name, markdown, modified }:
+ *
+ *   list()        all records
+ *   get(id)       one record, or null
+ *   put(record)   create or replace a record
+ *   remove(id)    delete a record
+ *
+ * The default adapter uses localStorage; pass the `storage` option to use another backend.
+ */
+
+const LIBRARY_STORAGE_PREFIX = 'accessible-wysiwyg-document:';
+
+/**
+ * Storage adapter that keeps each document as JSON in localStorage
+ */
+function createLocalStorageAdapter(prefix = LIBRARY_STORAGE_PREFIX) {
+    const read = (key) => {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (err) {
+            return null;
+        }
+    };
+    return {
+        async list() {
+            const records = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                const record = key.startsWith(prefix) ? read(key) : null;
+                if (record) records.push(record);
+            }
+            return records;
+        },
+        async get(id) {
+            return read(prefix + id);
+        },
+        async put(record) {
+            localStorage.setItem(prefix + record.id, JSON.stringify(record));
+            return record;
+        },
+        async remove(id) {
+            localStorage.removeItem(prefix + id);
+        }
+    };
+}
+
+function createDocumentId() {
+    return 'doc-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 7);
+}
+
+/**
+ * A document's title: its name, else the text of its first heading
+ */
+function getDocumentTitle(record) {
+    if (record.name) return record.name;
+    const heading = markdownToDocument(record.markdown || '').content.find(node => node.type === 'heading');
+    const text = heading ? documentToText({ content: [heading] }) : '';
+    return text || 'Untitled document';
+}
+
+function formatDocumentSize(markdown) {
+    const bytes = new Blob([markdown || '']).size;
+    if (bytes < 1024) return bytes === 1 ? '1 byte' : `${bytes} bytes`;
+    return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Save the current content as a Markdown document (a new one unless id is given)
+ */
+async function saveLibraryDocument(editor, { id, name } = {}) {
+    const record = {
+        id: id || createDocumentId(),
+        name: name || '',
+        markdown: documentToMarkdown(getEditorDocument(editor, 'save')),
+        modified: Date.now()
+    };
+    await editor.library.storage.put(record);
+    editor.library.currentId = record.id;
+    recordSavedVersion(editor);
+    return record;
+}
+
+/**
+ * Save Markdown to the document library. Without a key the open document is
+ * updated; if none is open the library dialog asks for a name.
+ */
+async function saveMarkdownToLocal(editor, key = editor.library.currentId) {
+    if (!key) {
+        await openDocumentLibrary(editor, true);
+        return null;
+    }
+    const existing = await editor.library.storage.get(key);
+    const record = await saveLibraryDocument(editor, { id: key, name: existing ? existing.name : '' });
+    announce(editor, `Saved “${getDocumentTitle(record)}”`);
+    return key;
+}
+
+/**
+ * Load a Markdown document from the library into the editor. Without a key the library dialog opens.
+ */
+async function loadMarkdownFromLocal(editor, key) {
+    if (!key) {
+        await openDocumentLibrary(editor);
+        return null;
+    }
+    const record = await editor.library.storage.get(key);
+    if (!record) {
+        announce(editor, 'No saved document was found');
+        return null;
+    }
+    openLibraryDocument(editor, record);
+    return key;
+}
+
+/**
+ * Replace the content with a library document as one undo step
+ */
+function openLibraryDocument(editor, record) {
+    const html = sanitizeForEditor(editor, markdownToHtml(record.markdown || ''), 'markdown');
+    runWithHistory(editor, 'open document', () => {
+        editor.content.innerHTML = html;
+    });
+    editor.library.currentId = record.id;
+    updateToolbarActiveStates(editor);
+    announce(editor, `Opened “${getDocumentTitle(record)}”`);
+}
+
+/**
+ * Build the Documents dialog
+ */
+function setupDocumentLibrary(editor) {
+    const { id } = editor;
+    editor.library = {
+        storage: editor.options.storage || createLocalStorageAdapter(),
+        currentId: null,
+        records: [],
+        activeIndex: -1
+    };
+
+    const dialog = createDialog(editor, 'library', 'Documents');
+    dialog.body.innerHTML = `
+                <form class="library-save-form">
+                    <label for="${id}-library-name">Save the current content as a new document</label>
+                    <div class="library-row">
+                        <input type="text" id="${id}-library-name" class="library-name-input" placeholder="Name (optional, defaults to the first heading)">
+                        <button type="submit" class="editor-dialog-btn editor-dialog-primary">Save</button>
+                    </div>
+                </form>
+                <p class="library-empty" hidden>No saved documents yet.</p>
+                <div class="library-list" role="listbox" tabindex="0" aria-label="Saved documents" aria-describedby="${id}-library-help"></div>
+                <p id="${id}-library-help" class="library-help">Arrow keys choose a document. Enter opens it, F2 renames it and Delete removes it.</p>
+                <div class="library-actions" role="group" aria-label="Document actions">
+                    <button type="button" class="editor-dialog-btn" data-library-action="open">Open</button>
+                    <button type="button" class="editor-dialog-btn" data-library-action="rename">Rename</button>
+                    <button type="button" class="editor-dialog-btn" data-library-action="duplicate">Duplicate</button>
+                    <button type="button" class="editor-dialog-btn" data-library-action="delete">Delete</button>
+                </div>
+                <form class="library-panel library-rename-form" hidden>
+                    <label for="${id}-library-rename">New name</label>
+                    <input type="text" id="${id}-library-rename" class="library-rename-input" aria-describedby="${id}-library-rename-error">
+                    <p id="${id}-library-rename-error" class="library-error" hidden>Enter a name.</p>
+                    <div class="editor-dialog-buttons">
+                        <button type="button" class="editor-dialog-btn library-panel-cancel">Cancel</button>
+                        <button type="submit" class="editor-dialog-btn editor-dialog-primary">Rename</button>
+                    </div>
+                </form>
+                <div class="library-panel library-confirm" role="group" aria-labelledby="${id}-library-confirm-message" hidden>
+                    <p id="${id}-library-confirm-message"></p>
+                    <div class="editor-dialog-buttons">
+                        <button type="button" class="editor-dialog-btn library-panel-cancel">Cancel</button>
+                        <button type="button" class="editor-dialog-btn editor-dialog-danger library-confirm-delete">Delete</button>
+                    </div>
+                </div>
+                <div class="editor-dialog-buttons">
+                    <button type="button" class="editor-dialog-btn library-close">Close</button>
+                </div>`;
+    editor.libraryDialog = dialog;
+
+    const listbox = dialog.querySelector('.library-list');
+    const nameInput = dialog.querySelector('.library-name-input');
+    const renameForm = dialog.querySelector('.library-rename-form');
+    const renameInput = dialog.querySelector('.library-rename-input');
+
+    listen(editor, dialog.querySelector('.library-save-form'), 'submit', (e) => {
+        e.preventDefault();
+        runLibraryAction(editor, 'save', async () => {
+            const record = await saveLibraryDocument(editor, { name: nameInput.value.trim() });
+            nameInput.value = '';
+            await refreshLibrary(editor, record.id);
+            listbox.focus();
+            announce(editor, `Saved “${getDocumentTitle(record)}”`);
+        });
+    });
+
+    listen(editor, listbox, 'click', (e) => {
+        const option = e.target.closest('[role="option"]');
+        if (!option) return;
+        setLibraryActiveIndex(editor, Number(option.dataset.index));
+        listbox.focus();
+    });
+    listen(editor, listbox, 'dblclick', (e) => {
+        if (e.target.closest('[role="option"]')) handleLibraryAction(editor, 'open');
+    });
+    listen(editor, listbox, 'keydown', (e) => {
+        const { records, activeIndex } = editor.library;
+        const moves = { ArrowDown: activeIndex + 1, ArrowUp: activeIndex - 1, Home: 0, End: records.length - 1 };
+        if (e.key in moves) {
+            e.preventDefault();
+            setLibraryActiveIndex(editor, Math.max(0, Math.min(records.length - 1, moves[e.key])));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            handleLibraryAction(editor, 'open');
+        } else if (e.key === 'F2') {
+            e.preventDefault();
+            handleLibraryAction(editor, 'rename');
+        } else if (e.key === 'Delete') {
+            e.preventDefault();
+            handleLibraryAction(editor, 'delete');
+        }
+    });
+
+    dialog.querySelectorAll('[data-library-action]').forEach(btn => {
+        listen(editor, btn, 'click', () => handleLibraryAction(editor, btn.dataset.libraryAction));
+    });
+
+    listen(editor, renameForm, 'submit', (e) => {
+        e.preventDefault();
+        const name = renameInput.value.trim();
+        const error = dialog.querySelector('.library-error');
+        if (!name) {
+            error.hidden = false;
+            renameInput.setAttribute('aria-invalid', 'true');
+            renameInput.focus();
+            return;
+        }
+        const record = editor.library.records[editor.library.activeIndex];
+        runLibraryAction(editor, 'rename', async () => {
+            await editor.library.storage.put(Object.assign({}, record, { name }));
+            closeLibraryPanels(editor);
+            await refreshLibrary(editor, record.id);
+            announce(editor, `Renamed to “${name}”`);
+        });
+    });
+
+    listen(editor, dialog.querySelector('.library-confirm-delete'), 'click', () => {
+        const record = editor.library.records[editor.library.activeIndex];
+        runLibraryAction(editor, 'delete', async () => {
+            await editor.library.storage.remove(record.id);
+            if (editor.library.currentId === record.id) editor.library.currentId = null;
+            closeLibraryPanels(editor);
+            await refreshLibrary(editor);
+            (editor.library.records.length ? listbox : nameInput).focus();
+            announce(editor, `Deleted “${getDocumentTitle(record)}”`);
+        });
+    });
+
+    dialog.querySelectorAll('.library-panel-cancel').forEach(btn => {
+        listen(editor, btn, 'click', () => closeLibraryPanels(editor));
+    });
+    listen(editor, dialog.querySelector('.library-close'), 'click', () => closeDialog(editor, dialog));
+}
+
+/**
+ * Run an async library action, reporting storage errors instead of throwing
+ */
+async function runLibraryAction(editor, name, action) {
+    try {
+        await action();
+    } catch (err) {
+        console.warn(`Document library: ${name} failed`, err);
+        announce(editor, `Could not ${name} the document`);
+    }
+}
+
+/**
+ * Open, rename, duplicate or delete the active document
+ */
+function handleLibraryAction(editor, action) {
+    const dialog = editor.libraryDialog;
+    const record = editor.library.records[editor.library.activeIndex];
+    if (!record) return;
+    const title = getDocumentTitle(record);
+
+    switch (action) {
+        case 'open':
+            closeDialog(editor, dialog);
+            openLibraryDocument(editor, record);
+            break;
+        case 'rename': {
+            closeLibraryPanels(editor, false);
+            const input = dialog.querySelector('.library-rename-input');
+            input.value = title;
+            input.removeAttribute('aria-invalid');
+            dialog.querySelector('.library-error').hidden = true;
+            dialog.querySelector('.library-rename-form').hidden = false;
+            input.focus();
+            input.select();
+            break;
+        }
+        case 'duplicate':
+            runLibraryAction(editor, 'duplicate', async () => {
+                const copy = Object.assign({}, record, { id: createDocumentId(), name: `Copy of ${title}`, modified: Date.now() });
+                await editor.library.storage.put(copy);
+                await refreshLibrary(editor, copy.id);
+                dialog.querySelector('.library-list').focus();
+                announce(editor, `Created “${copy.name}”`);
+            });
+            break;
+        case 'delete': {
+            closeLibraryPanels(editor, false);
+            const message = `Delete “${title}”? This cannot be undone.`;
+            dialog.querySelector('.library-confirm p').textContent = message;
+            dialog.querySelector('.library-confirm').hidden = false;
+            dialog.querySelector('.library-confirm .library-panel-cancel').focus();
+            announce(editor, message);
+            break;
+        }
+    }
+}
+
+/**
+ * Hide the rename and delete panels, optionally returning focus to the list
+ */
+function closeLibraryPanels(editor, focusList = true) {
+    const dialog = editor.libraryDialog;
+    dialog.querySelectorAll('.library-panel').forEach(panel => { panel.hidden = true; });
+    if (focusList) dialog.querySelector('.library-list').focus();
+}
+
+/**
+ * Reload the document list, newest first, and select a document
+ */
+async function refreshLibrary(editor, selectId) {
+    const records = await editor.library.storage.list();
+    records.sort((a, b) => b.modified - a.modified);
+    editor.library.records = records;
+
+    const dialog = editor.libraryDialog;
+    const listbox = dialog.querySelector('.library-list');
+    listbox.innerHTML = '';
+    records.forEach((record, index) => {
+        const option = document.createElement('div');
+        option.id = `${editor.id}-library-option-${index}`;
+        option.className = 'library-option';
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+        option.dataset.index = index;
+        const open = record.id === editor.library.currentId ? ' (open)' : '';
+        option.innerHTML = `<span class="library-title">${escapeHtml(getDocumentTitle(record) + open)}</span>` +
+            `<span class="library-meta">Modified ${escapeHtml(formatSnapshotTime(record.modified))} · ${formatDocumentSize(record.markdown)}</span>`;
+        listbox.appendChild(option);
+    });
+
+    const empty = records.length === 0;
+    dialog.querySelector('.library-empty').hidden = !empty;
+    listbox.hidden = empty;
+    dialog.querySelector('.library-help').hidden = empty;
+    dialog.querySelectorAll('[data-library-action]').forEach(btn => { btn.disabled = empty; });
+
+    const selected = records.findIndex(record => record.id === selectId);
+    setLibraryActiveIndex(editor, empty ? -1 : Math.max(0, selected));
+}
+
+/**
+ * Move the listbox selection (aria-activedescendant) to index
+ */
+function setLibraryActiveIndex(editor, index) {
+    const listbox = editor.libraryDialog.querySelector('.library-list');
+    editor.library.activeIndex = index;
+    listbox.querySelectorAll('[role="option"]').forEach((option, i) => {
+        option.setAttribute('aria-selected', String(i === index));
+    });
+    const active = listbox.children[index];
+    if (active) {
+        listbox.setAttribute('aria-activedescendant', active.id);
+        if (active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+    } else {
+        listbox.removeAttribute('aria-activedescendant');
+    }
+}
+
+/**
+ * Open the Documents dialog; focusName puts focus in the "save as" name field
+ */
+async function openDocumentLibrary(editor, focusName = false) {
+    const dialog = editor.libraryDialog;
+    closeLibraryPanels(editor, false);
+    try {
+        await refreshLibrary(editor, editor.library.currentId);
+    } catch (err) {
+        console.warn('Document library: list failed', err);
+        announce(editor, 'Could not load the saved documents');
+        return;
+    }
+    const listbox = dialog.querySelector('.library-list');
+    const nameInput = dialog.querySelector('.library-name-input');
+    openDialog(editor, dialog, focusName || !editor.library.records.length ? nameInput : listbox);
+}
+
+/*
+ * Collaboration
+ *
+ * Editors that join the same room on a relay server (collaboration-server.js)
+ * share their content. The content is replicated as a sequence of HTML tokens,
+ * one per character, start tag and end tag, in a replicated growable array
+ * (RGA): every token has a unique id, new tokens are placed after the id of the
+ * token on their left, and deleted tokens stay behind as hidden tombstones.
+ * Replicas that applied the same operations hold the same sequence whatever
+ * order they arrived in, so concurrent edits merge without locking.
+ */
+
+// Colors for people who do not choose one; white names stay readable on all of them
+const COLLABORATION_COLORS = ['#b3261e', '#1b6e3a', '#1a56a8', '#8a3fa0', '#a35200', '#00706e'];
+
+// Delays (ms) before each attempt to reconnect to the relay
+const COLLABORATION_RETRY_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+// Elements without an end tag
+const VOID_TAGS = ['AREA', 'BR', 'COL', 'EMBED', 'HR', 'IMG', 'INPUT', 'SOURCE', 'TRACK', 'WBR'];
+
+// Tokens the aligner looks ahead to find its place again after the parser changed the markup
+const COLLABORATION_ALIGN_WINDOW = 8;
+
+// Largest message the relay accepts (MAX_MESSAGE_SIZE in collaboration-server.js)
+const COLLABORATION_MAX_MESSAGE_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Join the room given by the `collaboration` option and show who else is editing
+ */
+function setupCollaboration(editor) {
+    const settings = editor.options.collaboration;
+    if (!settings || !settings.url) return;
+
+    const site = Math.random().toString(36).slice(2, 10);
+    const colorIndex = Array.from(site).reduce((sum, char) => sum + char.charCodeAt(0), 0) % COLLABORATION_COLORS.length;
+    const collab = editor.collaboration = {
+        url: settings.url,
+        room: settings.room || editor.options.documentId || editor.root.id || editor.id,
+        peer: {
+            id: site,
+            name: settings.name || 'Guest ' + site.slice(0, 4).toUpperCase(),
+            color: isCollaborationColor(settings.color) ? settings.color : COLLABORATION_COLORS[colorIndex]
+        },
+        socket: null,
+        // Given by the relay on joining; proves the peer id is ours when reconnecting
+        token: null,
+        // True once the room's document has replaced the local content
+        synced: false,
+        connected: false,
+        retries: 0,
+        retryTimer: null,
+        presenceTimer: null,
+        // Lamport clock: every new token id and visibility change gets a higher counter
+        clock: 0,
+        opCount: 0,
+        // This editor's own operations, in order, so a restarted relay can be refilled;
+        // those the relay has compacted are dropped
+        log: [],
+        opIds: new Set(),
+        // The token sequence, tombstones included
+        items: [],
+        itemsById: new Map(),
+        // Tokens of the content as rendered, each with the item it shows (null if the parser added it)
+        tokens: [],
+        nodeTokens: new Map(),
+        tokenIndex: new Map(),
+        peers: new Map(),
+        observer: null
+    };
+
+    const bar = document.createElement('div');
+    bar.className = 'collab-bar';
+    bar.innerHTML = `
+            <p class="collab-status"></p>
+            <ul class="collab-peers" aria-label="People editing"></ul>`;
+    editor.content.before(bar);
+    const carets = document.createElement('div');
+    carets.className = 'collab-carets';
+    carets.setAttribute('aria-hidden', 'true');
+    editor.content.after(carets);
+    collab.bar = bar;
+    collab.caretLayer = carets;
+
+    // The room's document replaces the local content, so nothing can be typed until it arrives
+    editor.content.setAttribute('contenteditable', 'false');
+    editor.content.setAttribute('aria-readonly', 'true');
+    editor.content.setAttribute('aria-busy', 'true');
+    collab.tokens = tokenizeContent(editor);
+
+    // Local edits of any kind (typing, commands, undo) are found by comparing tokens
+    collab.observer = new MutationObserver(() => {
+        if (collab.synced) recordLocalCollaborationChange(editor);
+    });
+    collab.observer.observe(editor.content, { childList: true, subtree: true, characterData: true, attributes: true });
+    editor.observers.push(collab.observer);
+
+    listen(editor, document, 'selectionchange', () => {
+        const selection = window.getSelection();
+        if (selection.rangeCount && editor.content.contains(selection.anchorNode)) scheduleCollaborationPresence(editor);
+    });
+    listen(editor, editor.content, 'scroll', () => renderRemoteCarets(editor));
+    listen(editor, window, 'resize', () => renderRemoteCarets(editor));
+
+    updateCollaborationStatus(editor);
+    connectCollaboration(editor);
+}
+
+/**
+ * Check a color from the options or another editor before it goes into a style attribute
+ */
+function isCollaborationColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(color);
+}
+
+/**
+ * Open the WebSocket to the relay and join the room
+ */
+function connectCollaboration(editor) {
+    const collab = editor.collaboration;
+    let socket;
+    try {
+        socket = new WebSocket(collab.url);
+    } catch (err) {
+        console.warn('Collaboration: cannot connect', err);
+        reconnectCollaboration(editor);
+        return;
+    }
+    collab.socket = socket;
+    socket.onopen = () => {
+        socket.send(JSON.stringify({ type: 'join', room: collab.room, peer: collab.peer, token: collab.token }));
+    };
+    socket.onmessage = (e) => {
+        let message;
+        try {
+            message = JSON.parse(e.data);
+        } catch (err) {
+            console.warn('Collaboration: invalid message', err);
+            return;
+        }
+        handleCollaborationMessage(editor, message);
+    };
+    socket.onclose = () => {
+        const wasConnected = collab.connected;
+        collab.socket = null;
+        collab.connected = false;
+        collab.peers.clear();
+        renderRemoteCarets(editor);
+        updateCollaborationStatus(editor);
+        if (wasConnected) announce(editor, 'Connection to the other editors lost. Reconnecting…');
+        reconnectCollaboration(editor);
+    };
+}
+
+/**
+ * Try again after a delay that grows with every failed attempt
+ */
+function reconnectCollaboration(editor) {
+    const collab = editor.collaboration;
+    if (editor.destroyed) return;
+    const delay = COLLABORATION_RETRY_DELAYS[Math.min(collab.retries, COLLABORATION_RETRY_DELAYS.length - 1)];
+    collab.retries += 1;
+    clearTimeout(collab.retryTimer);
+    collab.retryTimer = setTimeout(() => connectCollaboration(editor), delay);
+}
+
+/**
+ * Leave the room (called when the editor is destroyed)
+ */
+function closeCollaboration(editor) {
+    const collab = editor.collaboration;
+    clearTimeout(collab.retryTimer);
+    clearTimeout(collab.presenceTimer);
+    if (collab.socket) {
+        collab.socket.onclose = null;
+        collab.socket.close();
+        collab.socket = null;
+    }
+}
+
+function sendCollaborationMessage(editor, message) {
+    const collab = editor.collaboration;
+    if (!collab.connected) return;
+    const data = JSON.stringify(message);
+    // The relay would close the connection, and the editor would send it again after reconnecting
+    if (data.length * 3 > COLLABORATION_MAX_MESSAGE_SIZE && new Blob([data]).size > COLLABORATION_MAX_MESSAGE_SIZE) {
+        console.warn('Collaboration: change too large to share', message.type);
+        announce(editor, 'This change is too large to share with the other editors, so only you see it. Very large images cause this.');
+        return;
+    }
+    collab.socket.send(data);
+}
+
+function handleCollaborationMessage(editor, message) {
+    const collab = editor.collaboration;
+    switch (message.type) {
+        case 'welcome':
+            receiveCollaborationWelcome(editor, message);
+            break;
+        case 'op':
+            applyRemoteCollaborationOps(editor, [message.op]);
+            break;
+        case 'compacted': {
+            // The relay's compacted log holds our operations up to this number
+            const known = message.known && typeof message.known === 'object' ? message.known[collab.peer.id] : 0;
+            if (Number.isSafeInteger(known)) collab.log = collab.log.filter(op => getCollaborationOpNumber(op) > known);
+            break;
+        }
+        case 'join': {
+            const peer = readCollaborationPeer(message.peer);
+            if (!peer) return;
+            // A peer reconnecting after a network change is not news
+            const known = collab.peers.has(peer.id);
+            collab.peers.set(peer.id, peer);
+            updateCollaborationStatus(editor);
+            if (!known) announce(editor, `${peer.name} joined`);
+            break;
+        }
+        case 'leave': {
+            const peer = collab.peers.get(message.peer);
+            if (!peer) return;
+            collab.peers.delete(message.peer);
+            renderRemoteCarets(editor);
+            updateCollaborationStatus(editor);
+            announce(editor, `${peer.name} left`);
+            break;
+        }
+        case 'presence': {
+            const peer = collab.peers.get(message.peer);
+            if (!peer) return;
+            peer.selection = readCollaborationSelection(message.selection);
+            renderRemoteCarets(editor);
+            break;
+        }
+    }
+}
+
+/**
+ * Keep only the fields of a peer sent by the relay, or return null if it is unusable
+ */
+function readCollaborationPeer(peer) {
+    if (!peer || typeof peer.id !== 'string') return null;
+    return {
+        id: peer.id,
+        name: String(peer.name || 'Guest').slice(0, 60),
+        color: isCollaborationColor(peer.color) ? peer.color : COLLABORATION_COLORS[0],
+        selection: readCollaborationSelection(peer.selection)
+    };
+}
+
+function readCollaborationSelection(selection) {
+    if (!selection) return null;
+    const isAnchor = (id) => id === null || typeof id === 'string';
+    return isAnchor(selection.anchor) && isAnchor(selection.focus) ? { anchor: selection.anchor, focus: selection.focus } : null;
+}
+
+/**
+ * Merge the room's operations. The first editor in an empty room fills it with its
+ * own content; everyone else takes the room's content. After a reconnection the
+ * relay gets back every operation of ours it is missing, including those made offline.
+ */
+function receiveCollaborationWelcome(editor, message) {
+    const collab = editor.collaboration;
+    const ops = Array.isArray(message.ops) ? message.ops : [];
+    const firstJoin = !collab.synced;
+    collab.connected = true;
+    collab.retries = 0;
+    if (typeof message.token === 'string') collab.token = message.token;
+    collab.peers = new Map();
+    (Array.isArray(message.peers) ? message.peers : []).forEach(data => {
+        const peer = readCollaborationPeer(data);
+        if (peer && peer.id !== collab.peer.id) collab.peers.set(peer.id, peer);
+    });
+
+    // The relay reports the highest operation number it has from each editor, and
+    // takes only our own operations from us
+    const known = new Map(Object.entries(message.known && typeof message.known === 'object' ? message.known : {}));
+    if (firstJoin && message.seed) {
+        createCollaborationSeed(editor);
+    } else {
+        applyRemoteCollaborationOps(editor, ops, { replace: firstJoin });
+    }
+    collab.log.filter(op => getCollaborationOpNumber(op) > (known.get(op.site) || 0))
+        .forEach(op => sendCollaborationMessage(editor, { type: 'op', op }));
+
+    if (firstJoin) {
+        collab.synced = true;
+        editor.content.setAttribute('contenteditable', 'true');
+        editor.content.removeAttribute('aria-readonly');
+        editor.content.removeAttribute('aria-busy');
+        // Steps taken before joining would bring back the old content
+        const history = editor.history;
+        history.undoStack = [];
+        history.redoStack = [];
+        history.typingEntry = null;
+        updateToolbarEnabledStates(editor);
+    }
+    updateCollaborationStatus(editor);
+    renderRemoteCarets(editor);
+    sendCollaborationPresence(editor);
+
+    const names = Array.from(collab.peers.values(), peer => peer.name);
+    const others = names.length === 0 ? 'No one else is editing' :
+        `${formatNameList(names)} ${names.length === 1 ? 'is' : 'are'} editing`;
+    announce(editor, `${firstJoin ? 'Connected' : 'Reconnected'}. ${others}.`);
+}
+
+/**
+ * Join names as "Alex", "Alex and Sam" or "Alex, Sam and Kim"
+ */
+function formatNameList(names) {
+    return names.length < 2 ? names.join('') : names.slice(0, -1).join(', ') + ' and ' + names[names.length - 1];
+}
+
+/**
+ * Show the connection state and the people in the room
+ */
+function updateCollaborationStatus(editor) {
+    const collab = editor.collaboration;
+    const status = collab.bar.querySelector('.collab-status');
+    const list = collab.bar.querySelector('.collab-peers');
+    if (!collab.connected) {
+        status.textContent = collab.synced ? 'Offline. Your changes are sent when the connection is back.' : 'Connecting to the shared document…';
+    } else {
+        status.textContent = collab.peers.size ? 'Editing with:' : 'No one else is editing.';
+    }
+    list.innerHTML = '';
+    collab.peers.forEach(peer => {
+        const li = document.createElement('li');
+        li.className = 'collab-peer';
+        li.style.setProperty('--collab-color', peer.color);
+        li.textContent = peer.name;
+        list.appendChild(li);
+    });
+}
+
+/**
+ * Fill an empty room with the current content
+ */
+function createCollaborationSeed(editor) {
+    const collab = editor.collaboration;
+    const tokens = tokenizeContent(editor);
+    if (tokens.length) {
+        const op = createInsertOp(collab, null, tokens.map(token => token.value));
+        applyCollaborationOp(collab, op);
+        tokens.forEach((token, i) => { token.item = collab.itemsById.get(`${op.site}:${op.counter + i}`); });
+        recordCollaborationOp(collab, op);
+    }
+    setCollaborationTokens(editor, tokens);
+}
+
+function createInsertOp(collab, after, values) {
+    const op = { type: 'insert', id: `${collab.peer.id}:${++collab.opCount}`, site: collab.peer.id, counter: collab.clock + 1, after, values };
+    collab.clock += values.length;
+    return op;
+}
+
+function createVisibilityOp(collab, hide, show) {
+    return { type: 'visibility', id: `${collab.peer.id}:${++collab.opCount}`, site: collab.peer.id, counter: ++collab.clock, hide, show };
+}
+
+/**
+ * Number of an operation among those of the editor that made it ("<peer id>:<number>")
+ */
+function getCollaborationOpNumber(op) {
+    return Number(op.id.slice(op.site.length + 1));
+}
+
+function recordCollaborationOp(collab, op) {
+    collab.opIds.add(op.id);
+    if (op.site === collab.peer.id) collab.log.push(op);
+}
+
+/**
+ * Order two (counter, site) stamps; ties between sites are broken by the site id
+ */
+function compareStamps(counterA, siteA, counterB, siteB) {
+    if (counterA !== counterB) return counterA - counterB;
+    return siteA < siteB ? -1 : siteA > siteB ? 1 : 0;
+}
+
+function isValidCollaborationOp(op) {
+    if (!op || typeof op.id !== 'string' || typeof op.site !== 'string' || !Number.isInteger(op.counter)) return false;
+    const isIdList = (list) => Array.isArray(list) && list.every(id => typeof id === 'string');
+    if (op.type === 'insert') {
+        return (op.after === null || typeof op.after === 'string') &&
+            Array.isArray(op.values) && op.values.every(value => typeof value === 'string' && value);
+    }
+    return op.type === 'visibility' && isIdList(op.hide) && isIdList(op.show);
+}
+
+/**
+ * Apply an operation to the token sequence; applying it again changes nothing.
+ * Returns the items it inserted, hid or showed.
+ */
+function applyCollaborationOp(collab, op) {
+    const changed = [];
+    if (op.type === 'insert') {
+        let index = 0;
+        if (op.after !== null) {
+            const ref = collab.itemsById.get(op.after);
+            // The relay delivers operations in causal order, so this only happens with a broken peer
+            if (!ref) return changed;
+            index = collab.items.indexOf(ref) + 1;
+        }
+        op.values.forEach((value, i) => {
+            const counter = op.counter + i;
+            const id = `${op.site}:${counter}`;
+            const existing = collab.itemsById.get(id);
+            if (existing) {
+                index = collab.items.indexOf(existing) + 1;
+                return;
+            }
+            // Tokens inserted at the same place by different people: the newest comes first
+            while (index < collab.items.length &&
+                   compareStamps(collab.items[index].counter, collab.items[index].site, counter, op.site) > 0) {
+                index++;
+            }
+            const item = { id, value, counter, site: op.site, hidden: false, stamp: [counter, op.site] };
+            collab.items.splice(index, 0, item);
+            collab.itemsById.set(id, item);
+            changed.push(item);
+            index++;
+        });
+        collab.clock = Math.max(collab.clock, op.counter + op.values.length - 1);
+    } else {
+        // The latest visibility change of a token wins, so hiding and showing commute
+        const update = (ids, hidden) => ids.forEach(id => {
+            const item = collab.itemsById.get(id);
+            if (!item || compareStamps(op.counter, op.site, item.stamp[0], item.stamp[1]) <= 0) return;
+            item.stamp = [op.counter, op.site];
+            if (item.hidden !== hidden) {
+                item.hidden = hidden;
+                changed.push(item);
+            }
+        });
+        update(op.hide, true);
+        update(op.show, false);
+        collab.clock = Math.max(collab.clock, op.counter);
+    }
+    return changed;
+}
+
+/**
+ * Apply operations from the relay and redraw the content without moving the
+ * local selection. With `replace`, the content is replaced even if nothing changed.
+ */
+function applyRemoteCollaborationOps(editor, ops, { replace = false } = {}) {
+    const collab = editor.collaboration;
+    flushLocalCollaborationChanges(editor);
+    let changed = replace;
+    ops.forEach(op => {
+        if (!isValidCollaborationOp(op) || collab.opIds.has(op.id)) return;
+        recordCollaborationOp(collab, op);
+        if (applyCollaborationOp(collab, op).length) changed = true;
+    });
+    if (changed) renderCollaborationContent(editor);
+}
+
+/**
+ * Send the changes the content observer has noticed but not yet reported
+ */
+function flushLocalCollaborationChanges(editor) {
+    const collab = editor.collaboration;
+    if (collab.synced && collab.observer.takeRecords().length) recordLocalCollaborationChange(editor);
+}
+
+/**
+ * Turn the difference between the content and the last known tokens into
+ * operations, apply them to the sequence and send them
+ */
+function recordLocalCollaborationChange(editor) {
+    const collab = editor.collaboration;
+    const old = collab.tokens;
+    const tokens = tokenizeContent(editor);
+    let start = 0;
+    while (start < old.length && start < tokens.length && old[start].value === tokens[start].value) {
+        tokens[start].item = old[start].item;
+        start++;
+    }
+    let end = 0;
+    while (end < old.length - start && end < tokens.length - start &&
+           old[old.length - 1 - end].value === tokens[tokens.length - 1 - end].value) {
+        tokens[tokens.length - 1 - end].item = old[old.length - 1 - end].item;
+        end++;
+    }
+    const removed = old.slice(start, old.length - end).filter(token => token.item && !token.item.hidden).map(token => token.item.id);
+    const added = tokens.slice(start, tokens.length - end);
+
+    const ops = [];
+    const changes = { inserted: [], removed };
+    if (removed.length) ops.push(createVisibilityOp(collab, removed, []));
+    if (added.length) {
+        const before = tokens.slice(0, start).reverse().find(token => token.item);
+        const op = createInsertOp(collab, before ? before.item.id : null, added.map(token => token.value));
+        added.forEach((token, i) => changes.inserted.push(`${op.site}:${op.counter + i}`));
+        ops.push(op);
+    }
+    ops.forEach(op => {
+        applyCollaborationOp(collab, op);
+        recordCollaborationOp(collab, op);
+        sendCollaborationMessage(editor, { type: 'op', op });
+    });
+    added.forEach((token, i) => { token.item = collab.itemsById.get(changes.inserted[i]); });
+    setCollaborationTokens(editor, tokens);
+
+    // Undo takes back these tokens instead of restoring a snapshot over other people's work
+    const history = editor.history;
+    const entry = history.undoStack[history.undoStack.length - 1];
+    if (entry && ops.length) {
+        entry.collaboration = entry.collaboration || { inserted: [], removed: [] };
+        entry.collaboration.inserted.push(...changes.inserted);
+        entry.collaboration.removed.push(...changes.removed);
+    }
+    renderRemoteCarets(editor);
+    scheduleCollaborationPresence(editor);
+}
+
+/**
+ * Undo or redo a step while collaborating: hide the tokens it added and show
+ * the ones it removed (or the reverse), leaving everyone else's changes alone
+ */
+function applyCollaborativeHistoryStep(editor, entry, undoing) {
+    const collab = editor.collaboration;
+    editor.content.focus();
+    flushLocalCollaborationChanges(editor);
+    const changes = entry.collaboration;
+    if (!changes) return;
+    const op = createVisibilityOp(collab,
+        undoing ? changes.inserted : changes.removed,
+        undoing ? changes.removed : changes.inserted);
+    const changed = applyCollaborationOp(collab, op);
+    recordCollaborationOp(collab, op);
+    sendCollaborationMessage(editor, { type: 'op', op });
+    renderCollaborationContent(editor, false);
+
+    // Select what came back, or put the caret where the content went away
+    if (!changed.length) return;
+    const first = Math.min(...changed.map(item => collab.items.indexOf(item)));
+    const before = findRenderedItem(collab, first - 1);
+    const shown = changed.filter(item => !item.hidden && collab.tokenIndex.has(item));
+    const last = shown.length ? shown.reduce((a, b) => (collab.items.indexOf(a) > collab.items.indexOf(b) ? a : b)) : before;
+    const range = createCollaborationRange(editor, before ? before.id : null, last ? last.id : null);
+    if (range) selectRange(range);
+    scheduleCollaborationPresence(editor);
+}
+
+/**
+ * List the content's tokens with the DOM position after each of them
+ */
+function tokenizeContent(editor) {
+    const tokens = [];
+    const nodeTokens = new Map();
+    const visit = (parent) => {
+        parent.childNodes.forEach(node => {
+            const first = tokens.length;
+            if (node.nodeType === Node.TEXT_NODE) {
+                let offset = 0;
+                for (const char of node.nodeValue) {
+                    offset += char.length;
+                    tokens.push({ value: char, kind: 'text', node, offset, item: null });
+                }
+            } else if (node.nodeType === Node.ELEMENT_NODE && node.matches('mark.comment-anchor')) {
+                // Comments are not shared: only the text inside their highlight is
+                visit(node);
+                nodeTokens.set(node, { start: first - 1, end: tokens.length - 1 });
+                return;
+            } else if (node.nodeType === Node.ELEMENT_NODE) {
+                const tag = node.tagName.toLowerCase();
+                // Formatting suggestions are not shared either
+                const attrs = Array.from(node.attributes)
+                    .filter(attr => !FORMAT_CHANGE_ATTRIBUTES.includes(attr.name))
+                    .map(attr => ` ${attr.name}="${escapeHtml(attr.value)}"`).join('');
+                const isVoid = VOID_TAGS.includes(node.tagName);
+                tokens.push({ value: `<${tag}${attrs}>`, kind: isVoid ? 'void' : 'open', node, item: null });
+                if (!isVoid) {
+                    visit(node);
+                    tokens.push({ value: `</${tag}>`, kind: 'close', node, item: null });
+                }
+            } else {
+                return;
+            }
+            nodeTokens.set(node, { start: first, end: tokens.length - 1 });
+        });
+    };
+    visit(editor.content);
+    if (editor.collaboration) editor.collaboration.nodeTokens = nodeTokens;
+    return tokens;
+}
+
+/**
+ * Turn a token value back into HTML
+ */
+function tokenToHtml(value) {
+    return value.length > 1 && value[0] === '<' ? value : escapeHtml(value);
+}
+
+function setCollaborationTokens(editor, tokens) {
+    const collab = editor.collaboration;
+    collab.tokens = tokens;
+    collab.tokenIndex = new Map();
+    tokens.forEach((token, i) => {
+        if (token.item) collab.tokenIndex.set(token.item, i);
+    });
+}
+
+/**
+ * Redraw the content from the token sequence. Only the top-level blocks that
+ * changed are replaced, and the selection and the saved selection are carried
+ * over by token id.
+ */
+function renderCollaborationContent(editor, keepSelection = true) {
+    const collab = editor.collaboration;
+    const content = editor.content;
+    const selection = window.getSelection();
+    const liveRange = keepSelection && selection.rangeCount && content.contains(selection.getRangeAt(0).commonAncestorContainer) ?
+        selection.getRangeAt(0) : null;
+    const savedRange = editor.savedSelection && content.contains(editor.savedSelection.commonAncestorContainer) ?
+        editor.savedSelection : null;
+    const anchors = [liveRange, savedRange].map(range => range && {
+        start: getCollaborationAnchor(editor, range.startContainer, range.startOffset),
+        end: getCollaborationAnchor(editor, range.endContainer, range.endOffset)
+    });
+
+    // Remote markup is sanitized like any other HTML entering the editor
+    const html = collab.items.filter(item => !item.hidden).map(item => tokenToHtml(item.value)).join('');
+    const template = document.createElement('template');
+    template.innerHTML = sanitizeForEditor(editor, html, 'collaboration');
+    const next = Array.from(template.content.childNodes);
+    const current = Array.from(content.childNodes);
+    const same = (a, b) => a.nodeType === b.nodeType &&
+        (a.nodeType === Node.ELEMENT_NODE ? getSharedMarkup(a) === getSharedMarkup(b) : a.nodeValue === b.nodeValue);
+    let start = 0;
+    while (start < next.length && start < current.length && same(next[start], current[start])) start++;
+    let end = 0;
+    while (end < next.length - start && end < current.length - start &&
+           same(next[next.length - 1 - end], current[current.length - 1 - end])) {
+        end++;
+    }
+    const reference = end ? current[current.length - end] : null;
+    const replaced = current.slice(start, current.length - end);
+
+    // Comments on the replaced blocks are put back around the same tokens
+    const commentIds = new Set();
+    replaced.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+            node.querySelectorAll('mark.comment-anchor').forEach(mark => commentIds.add(mark.dataset.commentId));
+        }
+    });
+    const comments = Array.from(commentIds, id => {
+        const marks = getCommentAnchors(editor, id);
+        const last = marks[marks.length - 1];
+        return {
+            id,
+            start: getCollaborationAnchor(editor, marks[0], 0),
+            end: getCollaborationAnchor(editor, last, last.childNodes.length)
+        };
+    });
+
+    replaced.forEach(node => node.remove());
+    next.slice(start, next.length - end).forEach(node => content.insertBefore(node, reference));
+    alignCollaborationTokens(editor);
+
+    if (comments.length) {
+        comments.forEach(({ id }) => getCommentAnchors(editor, id).forEach(mark => mark.replaceWith(...mark.childNodes)));
+        comments.forEach(({ id, start, end }) => {
+            const range = createCollaborationRange(editor, start, end);
+            if (range && !range.collapsed) wrapCommentRange(editor, range, id);
+        });
+        alignCollaborationTokens(editor);
+        if (editor.commentsPanel) renderCommentThreads(editor);
+    }
+    collab.observer.takeRecords();
+
+    const [live, saved] = anchors.map(anchor => anchor && createCollaborationRange(editor, anchor.start, anchor.end));
+    if (savedRange) editor.savedSelection = saved;
+    if (live) selectRange(live);
+    renderRemoteCarets(editor);
+}
+
+/**
+ * Markup of a block as it is shared, without this editor's comment highlights
+ * and formatting suggestions
+ */
+function getSharedMarkup(element) {
+    if (!element.querySelector('mark.comment-anchor')) return getUnsuggestedMarkup(element);
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('mark.comment-anchor').forEach(mark => mark.replaceWith(...mark.childNodes));
+    return getUnsuggestedMarkup(clone);
+}
+
+/**
+ * Match the rendered tokens with the visible items. The parser and the sanitizer
+ * may have dropped or added a few tokens; those stay unmatched.
+ */
+function alignCollaborationTokens(editor) {
+    const collab = editor.collaboration;
+    const tokens = tokenizeContent(editor);
+    const visible = collab.items.filter(item => !item.hidden);
+    let i = 0;
+    let j = 0;
+    while (i < tokens.length && j < visible.length) {
+        if (tokens[i].value === visible[j].value) {
+            tokens[i++].item = visible[j++];
+            continue;
+        }
+        let resynced = false;
+        for (let d = 1; d <= COLLABORATION_ALIGN_WINDOW && !resynced; d++) {
+            if (tokens[i + d] && visible[j + d] && tokens[i + d].value === visible[j + d].value) {
+                i += d;
+                j += d;
+                resynced = true;
+            } else if (tokens[i + d] && tokens[i + d].value === visible[j].value) {
+                i += d;
+                resynced = true;
+            } else if (visible[j + d] && tokens[i].value === visible[j + d].value) {
+                j += d;
+                resynced = true;
+            }
+        }
+        if (!resynced) {
+            i++;
+            j++;
+        }
+    }
+    setCollaborationTokens(editor, tokens);
+}
+
+/**
+ * Describe a DOM position by the id of the token on its left (null at the start)
+ */
+function getCollaborationAnchor(editor, container, offset) {
+    const collab = editor.collaboration;
+    let index = null;
+    if (container.nodeType === Node.TEXT_NODE) {
+        const range = collab.nodeTokens.get(container);
+        if (range) index = range.start + Array.from(container.nodeValue.slice(0, offset)).length - 1;
+    } else {
+        for (let i = offset - 1; i >= 0 && index === null; i--) {
+            const range = collab.nodeTokens.get(container.childNodes[i]);
+            if (range) index = range.end;
+        }
+        if (index === null) {
+            const range = collab.nodeTokens.get(container);
+            index = range ? range.start : -1;
+        }
+    }
+    for (; index >= 0; index--) {
+        if (collab.tokens[index].item) return collab.tokens[index].item.id;
+    }
+    return null;
+}
+
+/**
+ * Return the closest item at or before a sequence index that is on screen
+ */
+function findRenderedItem(collab, index) {
+    for (let i = index; i >= 0; i--) {
+        if (collab.tokenIndex.has(collab.items[i])) return collab.items[i];
+    }
+    return null;
+}
+
+/**
+ * Turn an anchor from getCollaborationAnchor back into a DOM position. A token
+ * that was deleted in the meantime leaves the position after its nearest
+ * remaining neighbour. Returns null for ids this editor does not know.
+ */
+function getCollaborationPoint(editor, id) {
+    const collab = editor.collaboration;
+    let index = -1;
+    if (id !== null) {
+        const item = collab.itemsById.get(id);
+        if (!item) return null;
+        const rendered = findRenderedItem(collab, collab.items.indexOf(item));
+        index = rendered ? collab.tokenIndex.get(rendered) : -1;
+    }
+    if (index < 0) {
+        const first = collab.tokens.find(token => token.kind === 'text');
+        return first ? { node: first.node, offset: 0 } : { node: editor.content, offset: 0 };
+    }
+    const token = collab.tokens[index];
+    if (token.kind === 'text') return { node: token.node, offset: token.offset };
+    if (token.kind === 'open') return { node: token.node, offset: 0 };
+    // After the end of a block, stay at the end of the block instead of between blocks
+    if (token.kind === 'close' && TEXT_BLOCK_TAGS.includes(token.node.tagName)) {
+        return { node: token.node, offset: token.node.childNodes.length };
+    }
+    const parent = token.node.parentNode;
+    return { node: parent, offset: Array.prototype.indexOf.call(parent.childNodes, token.node) + 1 };
+}
+
+/**
+ * Build a range between two anchors, in document order
+ */
+function createCollaborationRange(editor, startId, endId) {
+    const start = getCollaborationPoint(editor, startId);
+    const end = getCollaborationPoint(editor, endId);
+    if (!start || !end) return null;
+    const range = document.createRange();
+    try {
+        range.setStart(start.node, start.offset);
+        range.setEnd(start.node, start.offset);
+        // A selection made backwards has its anchor after its focus
+        if (range.comparePoint(end.node, end.offset) < 0) {
+            range.setStart(end.node, end.offset);
+        } else {
+            range.setEnd(end.node, end.offset);
+        }
+    } catch (err) {
+        return null;
+    }
+    return range;
+}
+
+function scheduleCollaborationPresence(editor) {
+    const collab = editor.collaboration;
+    clearTimeout(collab.presenceTimer);
+    collab.presenceTimer = setTimeout(() => sendCollaborationPresence(editor), 100);
+}
+
+/**
+ * Tell the others where the caret and the selection are, or that focus left the content
+ */
+function sendCollaborationPresence(editor) {
+    const collab = editor.collaboration;
+    if (!collab.connected || !collab.synced) return;
+    flushLocalCollaborationChanges(editor);
+    const selection = window.getSelection();
+    let presence = null;
+    if (selection.rangeCount && editor.content.contains(selection.anchorNode) && editor.content.contains(selection.focusNode)) {
+        presence = {
+            anchor: getCollaborationAnchor(editor, selection.anchorNode, selection.anchorOffset),
+            focus: getCollaborationAnchor(editor, selection.focusNode, selection.focusOffset)
+        };
+    }
+    sendCollaborationMessage(editor, { type: 'presence', selection: presence });
+}
+
+/**
+ * Draw the other people's carets and selections over the content. They are
+ * decoration only: the people themselves are listed in the collaboration bar.
+ */
+function renderRemoteCarets(editor) {
+    const collab = editor.collaboration;
+    if (!collab) return;
+    const layer = collab.caretLayer;
+    layer.innerHTML = '';
+    const origin = layer.getBoundingClientRect();
+    const visible = editor.content.getBoundingClientRect();
+    const isVisible = (rect) => rect.bottom > visible.top && rect.top < visible.bottom;
+    const place = (el, rect, width) => {
+        el.style.left = `${rect.left - origin.left}px`;
+        el.style.top = `${rect.top - origin.top}px`;
+        el.style.width = `${width === undefined ? rect.width : width}px`;
+        el.style.height = `${rect.height}px`;
+    };
+
+    collab.peers.forEach(peer => {
+        if (!peer.selection) return;
+        const range = createCollaborationRange(editor, peer.selection.anchor, peer.selection.focus);
+        const focus = getCollaborationPoint(editor, peer.selection.focus);
+        if (!range || !focus) return;
+        Array.from(range.getClientRects()).filter(isVisible).forEach(rect => {
+            const highlight = document.createElement('div');
+            highlight.className = 'collab-selection';
+            highlight.style.setProperty('--collab-color', peer.color);
+            place(highlight, rect);
+            layer.appendChild(highlight);
+        });
+
+        const caretRange = document.createRange();
+        caretRange.setStart(focus.node, focus.offset);
+        let rect = caretRange.getClientRects()[0];
+        if (!rect) {
+            const element = focus.node.nodeType === Node.ELEMENT_NODE ? focus.node : focus.node.parentNode;
+            rect = element.getBoundingClientRect();
+        }
+        if (!isVisible(rect)) return;
+        const caret = document.createElement('div');
+        caret.className = 'collab-caret';
+        caret.style.setProperty('--collab-color', peer.color);
+        place(caret, rect, 2);
+        const name = document.createElement('span');
+        name.className = 'collab-caret-name';
+        name.textContent = peer.name;
+        caret.appendChild(name);
+        layer.appendChild(caret);
+    });
+}
+
+/*
+ * Accessibility checker
+ *
+ * Scans the content for problems authors commonly introduce and lists them in a
+ * panel below the editor. Every issue can move focus to the offending element and
+ * most offer a one-click fix, applied as an undo step.
+ */
+
+// Link text that does not describe the destination
+const VAGUE_LINK_TEXT = /^(click here|click|here|read more|more|learn more|link|this link|this|go|details|continue)$/i;
+
+// Link text that is just an address
+const BARE_URL_PATTERN = /^(?:[a-z][a-z0-9+.-]*:\/\/|www\.)\S+$/i;
+
+// Paragraphs that start with a typed bullet or number instead of being a real list
+const TYPED_BULLET_PATTERN = /^\s*[-*•·▪◦‣●○■]\s+/;
+const TYPED_NUMBER_PATTERN = /^\s*\d+[.)]\s+/;
+
+/**
+ * Return the accessibility issues in the content: { type, message, element, fix? }
+ * where fix is { label, apply() }
+ */
+function checkContentAccessibility(editor) {
+    const content = editor.content;
+    const issues = [];
+
+    // Headings: levels must not skip (the page title is the h1) and must have text
+    let previousLevel = 1;
+    content.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+        const level = Number(heading.tagName[1]);
+        if (!heading.textContent.trim()) {
+            issues.push({
+                type: 'empty-heading',
+                message: `Empty level ${level} heading`,
+                element: heading,
+                fix: { label: 'Remove heading', apply: () => heading.remove() }
+            });
+            return;
+        }
+        if (level > previousLevel + 1) {
+            const expected = previousLevel + 1;
+            issues.push({
+                type: 'skipped-heading',
+                message: `Heading level skips from ${previousLevel} to ${level}: “${heading.textContent.trim()}”`,
+                element: heading,
+                fix: { label: `Change to heading ${expected}`, apply: () => renameElement(heading, 'h' + expected) }
+            });
+            previousLevel = expected;
+            return;
+        }
+        previousLevel = level;
+    });
+
+    content.querySelectorAll('a').forEach(link => {
+        const text = getReadableText(link).replace(/\s+/g, ' ').trim();
+        if (!text) {
+            issues.push({
+                type: 'empty-link',
+                message: 'Link without text',
+                element: link,
+                fix: { label: 'Remove link', apply: () => link.remove() }
+            });
+            return;
+        }
+        if (VAGUE_LINK_TEXT.test(text)) {
+            issues.push({
+                type: 'vague-link',
+                message: `Link text “${text}” does not describe where the link goes`,
+                element: link
+            });
+        } else if (BARE_URL_PATTERN.test(text) || text === link.getAttribute('href')) {
+            issues.push({
+                type: 'url-link',
+                message: `Link text is a bare URL: ${text}`,
+                element: link
+            });
+        }
+        // The "(opens in new tab)" cue is only added by the editor and HTML output, so the text should say it
+        if (link.getAttribute('target') === '_blank' && !/new (tab|window)/i.test(text)) {
+            issues.push({
+                type: 'new-tab-link',
+                message: `Link “${text}” opens a new tab without saying so`,
+                element: link,
+                fix: {
+                    label: 'Open in the same tab',
+                    apply: () => {
+                        link.removeAttribute('target');
+                        link.removeAttribute('rel');
+                    }
+                }
+            });
+        }
+    });
+
+    // Images need alt text, or alt="" when decorative; selecting one and pressing Enter edits it
+    content.querySelectorAll('img').forEach(image => {
+        const alt = image.getAttribute('alt');
+        if (alt === null) {
+            issues.push({ type: 'missing-alt', message: 'Image without alt text', element: image });
+        } else if (IMAGE_FILE_NAME_PATTERN.test(alt.trim())) {
+            issues.push({ type: 'file-name-alt', message: `Image alt text is a file name: ${alt.trim()}`, element: image });
+        }
+    });
+
+    // Runs of two or more paragraphs starting with typed bullets or numbers
+    const paragraphs = Array.from(content.querySelectorAll('p'));
+    for (let i = 0; i < paragraphs.length;) {
+        const pattern = TYPED_BULLET_PATTERN.test(paragraphs[i].textContent) ? TYPED_BULLET_PATTERN :
+            TYPED_NUMBER_PATTERN.test(paragraphs[i].textContent) ? TYPED_NUMBER_PATTERN : null;
+        const run = [paragraphs[i]];
+        while (pattern && i + run.length < paragraphs.length &&
+            paragraphs[i + run.length] === run[run.length - 1].nextElementSibling &&
+            pattern.test(paragraphs[i + run.length].textContent)) {
+            run.push(paragraphs[i + run.length]);
+        }
+        if (pattern && run.length > 1) {
+            const ordered = pattern === TYPED_NUMBER_PATTERN;
+            issues.push({
+                type: 'fake-list',
+                message: `${run.length} paragraphs use typed ${ordered ? 'numbers' : 'bullets'} instead of a list`,
+                element: run[0],
+                fix: { label: `Convert to ${ordered ? 'numbered' : 'bulleted'} list`, apply: () => convertTypedList(run, pattern, ordered) }
+            });
+        }
+        i += run.length;
+    }
+
+    // Report in document order
+    return issues.sort((a, b) => (a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+}
+
+/**
+ * Return an element's text as screen readers read it, with images as their alt text
+ */
+function getReadableText(element) {
+    return Array.from(element.childNodes).map(node => node.nodeType === Node.TEXT_NODE ? node.nodeValue :
+        node.tagName === 'IMG' ? node.getAttribute('alt') || '' :
+        node.nodeType === Node.ELEMENT_NODE ? getReadableText(node) : '').join('');
+}
+
+/**
+ * Replace paragraphs that start with a typed marker by a real list
+ */
+function convertTypedList(paragraphs, pattern, ordered) {
+    const list = document.createElement(ordered ? 'ol' : 'ul');
+    paragraphs[0].before(list);
+    paragraphs.forEach(p => {
+        const walker = document.createTreeWalker(p, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            if (walker.currentNode.nodeValue.trim()) {
+                walker.currentNode.nodeValue = walker.currentNode.nodeValue.replace(pattern, '');
+                break;
+            }
+        }
+        const li = document.createElement('li');
+        li.append(...p.childNodes);
+        list.appendChild(li);
+        p.remove();
+    });
+}
+
+/**
+ * Build the results panel
+ */
+function setupAccessibilityChecker(editor) {
+    const panel = document.createElement('section');
+    panel.className = 'a11y-panel';
+    panel.setAttribute('aria-labelledby', `${editor.id}-a11y-title`);
+    panel.hidden = true;
+    panel.innerHTML = `
+            <div class="a11y-header">
+                <h2 id="${editor.id}-a11y-title" class="a11y-title" tabindex="-1">Accessibility check</h2>
+                <div class="a11y-header-buttons">
+                    <button type="button" class="a11y-btn a11y-rerun">Check again</button>
+                    <button type="button" class="a11y-btn a11y-close">Close</button>
+                </div>
+            </div>
+            <p class="a11y-summary"></p>
+            <ul class="a11y-issues"></ul>`;
+    editor.announcer.before(panel);
+    editor.a11yPanel = panel;
+
+    listen(editor, panel.querySelector('.a11y-rerun'), 'click', () => runAccessibilityCheck(editor));
+    listen(editor, panel.querySelector('.a11y-close'), 'click', () => closeAccessibilityPanel(editor));
+    listen(editor, panel, 'keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeAccessibilityPanel(editor);
+        }
+    });
+    listen(editor, panel.querySelector('.a11y-issues'), 'click', (e) => {
+        const button = e.target.closest('button');
+        const issue = button && button.closest('li').issue;
+        if (!issue) return;
+        if (button.classList.contains('a11y-fix')) {
+            applyAccessibilityFix(editor, issue);
+        } else {
+            focusIssueElement(editor, issue.element);
+        }
+    });
+}
+
+/**
+ * Run the checks, show the panel and move focus to its heading
+ */
+function runAccessibilityCheck(editor) {
+    const panel = editor.a11yPanel;
+    renderAccessibilityIssues(editor, checkContentAccessibility(editor));
+    panel.hidden = false;
+    panel.querySelector('.a11y-title').focus();
+    announce(editor, panel.querySelector('.a11y-summary').textContent);
+}
+
+function renderAccessibilityIssues(editor, issues) {
+    const panel = editor.a11yPanel;
+    const list = panel.querySelector('.a11y-issues');
+    list.innerHTML = '';
+    panel.querySelector('.a11y-summary').textContent = issues.length === 0 ? 'No accessibility issues found.' :
+        issues.length === 1 ? '1 accessibility issue found.' : `${issues.length} accessibility issues found.`;
+
+    issues.forEach(issue => {
+        const li = document.createElement('li');
+        li.className = 'a11y-issue';
+        li.issue = issue;
+        const goTo = document.createElement('button');
+        goTo.type = 'button';
+        goTo.className = 'a11y-issue-goto';
+        goTo.textContent = issue.message;
+        goTo.title = 'Move to this content';
+        li.appendChild(goTo);
+        if (issue.fix) {
+            const fix = document.createElement('button');
+            fix.type = 'button';
+            fix.className = 'a11y-btn a11y-fix';
+            fix.textContent = issue.fix.label;
+            li.appendChild(fix);
+        }
+        list.appendChild(li);
+    });
+    return issues;
+}
+
+/**
+ * Select the element's content in the editor and scroll it into view
+ */
+function focusIssueElement(editor, element) {
+    if (!editor.content.contains(element)) return;
+    editor.content.focus();
+    const range = document.createRange();
+    if (element.tagName === 'IMG') {
+        range.selectNode(element);
+    } else {
+        range.selectNodeContents(element);
+    }
+    selectRange(range);
+    if (element.scrollIntoView) element.scrollIntoView({ block: 'nearest' });
+    updateToolbarActiveStates(editor);
+}
+
+/**
+ * Apply an issue's fix as one undo step, then check again
+ */
+function applyAccessibilityFix(editor, issue) {
+    runWithHistory(editor, issue.fix.label.toLowerCase(), () => issue.fix.apply());
+    const panel = editor.a11yPanel;
+    const issues = renderAccessibilityIssues(editor, checkContentAccessibility(editor));
+    const next = panel.querySelector('.a11y-issue-goto');
+    (next || panel.querySelector('.a11y-title')).focus();
+    const remaining = issues.length === 1 ? '1 issue remains' : `${issues.length || 'No'} issues remain`;
+    announce(editor, `Fixed. ${remaining}.`);
+}
+
+function closeAccessibilityPanel(editor) {
+    editor.a11yPanel.hidden = true;
+    editor.content.focus();
+}
+
+/*
+ * Comments
+ *
+ * Comment threads anchored to text. The commented text is wrapped in
+ * <mark class="comment-anchor"> elements, which move with the text as it is
+ * edited, and described by the thread's first comment. The threads live on the
+ * editor and are shown in a side panel. The sanitizer unwraps the anchors, so
+ * comments never reach saved files, Markdown or plain text; getComments() and
+ * Export → Comments return them as JSON with the character positions of their
+ * text, setComments() anchors them again, and autosave snapshots keep them.
+ */
+
+// Version of the JSON returned by getComments (1 had no positions)
+const COMMENTS_EXPORT_VERSION = 2;
+
+// Thread ids are used in element ids and selectors
+const COMMENT_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Longest quote of the commented text shown in the panel
+const COMMENT_QUOTE_LENGTH = 80;
+
+/**
+ * Build the comments side panel
+ */
+function setupComments(editor) {
+    editor.comments = new Map();
+    const panel = document.createElement('aside');
+    panel.className = 'comments-panel';
+    panel.setAttribute('aria-labelledby', `${editor.id}-comments-title`);
+    panel.hidden = true;
+    panel.innerHTML = `
+            <div class="comments-header">
+                <h2 id="${editor.id}-comments-title" class="comments-title" tabindex="-1">Comments</h2>
+                <button type="button" class="comments-btn comments-close">Close</button>
+            </div>
+            <form class="comment-form comment-new" hidden>
+                <label for="${editor.id}-comment-new" class="comment-label"></label>
+                <textarea id="${editor.id}-comment-new" class="comment-input" rows="3"></textarea>
+                <div class="comment-buttons">
+                    <button type="submit" class="comments-btn">Comment</button>
+                    <button type="button" class="comments-btn comment-cancel">Cancel</button>
+                </div>
+            </form>
+            <p class="comments-empty">No comments. Select text and press Add comment.</p>
+            <ol class="comment-threads"></ol>`;
+    editor.content.after(panel);
+    editor.commentsPanel = panel;
+
+    const newForm = panel.querySelector('.comment-new');
+    listen(editor, panel.querySelector('.comments-close'), 'click', () => closeCommentsPanel(editor));
+    listen(editor, newForm, 'submit', (e) => {
+        e.preventDefault();
+        const text = newForm.querySelector('.comment-input').value.trim();
+        if (!text) {
+            announce(editor, 'Write a comment first');
+            return;
+        }
+        insertComment(editor, text);
+    });
+    listen(editor, newForm.querySelector('.comment-cancel'), 'click', () => {
+        newForm.hidden = true;
+        editor.content.focus();
+        restoreSelection(editor);
+    });
+    listen(editor, panel, 'keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeCommentsPanel(editor);
+        } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && e.target.classList.contains('comment-input')) {
+            // Ctrl+Enter sends; Enter alone starts a new line
+            e.preventDefault();
+            e.target.form.requestSubmit();
+        }
+    });
+
+    const threads = panel.querySelector('.comment-threads');
+    listen(editor, threads, 'click', (e) => {
+        const button = e.target.closest('button');
+        const li = button && button.closest('.comment-thread');
+        if (!li) return;
+        const id = li.dataset.commentId;
+        if (button.classList.contains('comment-quote')) {
+            selectCommentAnchor(editor, id);
+        } else if (button.classList.contains('comment-resolve')) {
+            setCommentResolved(editor, id, true);
+        } else if (button.classList.contains('comment-reopen')) {
+            setCommentResolved(editor, id, false);
+        } else if (button.classList.contains('comment-delete')) {
+            deleteComment(editor, id);
+        }
+    });
+    listen(editor, threads, 'submit', (e) => {
+        e.preventDefault();
+        const li = e.target.closest('.comment-thread');
+        const input = e.target.querySelector('.comment-input');
+        const text = input.value.trim();
+        if (!text) {
+            announce(editor, 'Write a reply first');
+            return;
+        }
+        input.value = '';
+        addCommentReply(editor, li.dataset.commentId, text);
+    });
+
+    // Typing, undo and redo can remove or bring back commented text
+    listen(editor, editor.content, 'input', () => renderCommentThreads(editor));
+}
+
+/**
+ * Name shown on new comments
+ */
+function getAuthorName(editor) {
+    return editor.options.author || (editor.collaboration ? editor.collaboration.peer.name : 'You');
+}
+
+function getCommentAnchors(editor, id) {
+    return Array.from(editor.content.querySelectorAll('mark.comment-anchor'))
+        .filter(mark => id === undefined || mark.dataset.commentId === id);
+}
+
+/**
+ * Return the open threads that still have text, in document order, with their first and last anchors
+ */
+function getCommentGroups(editor) {
+    const groups = new Map();
+    getCommentAnchors(editor).forEach(mark => {
+        const thread = editor.comments.get(mark.dataset.commentId);
+        if (!thread || thread.resolved) return;
+        const group = groups.get(thread.id);
+        if (group) {
+            group.last = mark;
+        } else {
+            groups.set(thread.id, { thread, first: mark, last: mark });
+        }
+    });
+    return Array.from(groups.values());
+}
+
+/**
+ * Comment on the selection, or open the thread of the comment the caret is in
+ */
+function addComment(editor) {
+    const range = getEditorRange(editor);
+    const mark = range && closestInEditor(editor, range.startContainer, node => node.matches('mark.comment-anchor'));
+    if (range && range.collapsed && mark && editor.comments.has(mark.dataset.commentId)) {
+        openCommentsPanel(editor, mark.dataset.commentId);
+        return;
+    }
+    if (!range || range.collapsed || !range.toString().trim()) {
+        announce(editor, 'Select the text to comment on first');
+        return;
+    }
+    saveSelection(editor);
+    const form = editor.commentsPanel.querySelector('.comment-new');
+    form.querySelector('.comment-label').textContent = `Comment on “${truncateQuote(range.toString())}”`;
+    form.querySelector('.comment-input').value = '';
+    form.hidden = false;
+    openCommentsPanel(editor);
+    form.querySelector('.comment-input').focus();
+}
+
+function truncateQuote(text) {
+    const quote = text.replace(/\s+/g, ' ').trim();
+    return quote.length > COMMENT_QUOTE_LENGTH ? quote.slice(0, COMMENT_QUOTE_LENGTH - 1) + '…' : quote;
+}
+
+/**
+ * Anchor a new thread to the saved selection
+ */
+function insertComment(editor, text) {
+    const range = editor.savedSelection;
+    const form = editor.commentsPanel.querySelector('.comment-new');
+    if (!range || range.collapsed || !editor.content.contains(range.commonAncestorContainer)) {
+        form.hidden = true;
+        editor.content.focus();
+        announce(editor, 'The selected text is no longer there');
+        return;
+    }
+    const id = 'comment-' + Math.random().toString(36).slice(2, 10);
+    editor.comments.set(id, {
+        id,
+        quote: range.toString(),
+        resolved: false,
+        messages: [{ author: getAuthorName(editor), text, created: Date.now() }]
+    });
+    editor.content.focus();
+    selectRange(range);
+    changeCommentAnchors(editor, 'add comment', () => {
+        const commented = wrapCommentRange(editor, range, id);
+        if (commented) selectRange(commented);
+    });
+    form.hidden = true;
+    renderCommentThreads(editor);
+    announce(editor, 'Comment added');
+}
+
+/**
+ * Add or remove highlights as an undo step. Collaborators do not see them, so
+ * while collaborating they stay out of the shared history.
+ */
+function changeCommentAnchors(editor, label, change) {
+    if (editor.collaboration) {
+        change();
+    } else {
+        runWithHistory(editor, label, change);
+    }
+}
+
+/**
+ * Wrap the text in range in anchors of the comment `id`, one per run of inline
+ * content, and return the range of the thread's text
+ */
+function wrapCommentRange(editor, range, id) {
+    const working = range.cloneRange();
+    splitTextAtRange(working);
+    getInlineRunsInRange(editor, working).forEach(node => {
+        const mark = document.createElement('mark');
+        mark.className = 'comment-anchor';
+        mark.dataset.commentId = id;
+        node.replaceWith(mark);
+        mark.appendChild(node);
+    });
+    updateCommentAnchor(editor, id);
+    return getCommentRange(editor, id);
+}
+
+/**
+ * Return a range from the start of a thread's first anchor to the end of its last, or null
+ */
+function getCommentRange(editor, id) {
+    const anchors = getCommentAnchors(editor, id);
+    if (!anchors.length) return null;
+    const last = anchors[anchors.length - 1];
+    const range = document.createRange();
+    range.setStart(anchors[0], 0);
+    range.setEnd(last, last.childNodes.length);
+    return range;
+}
+
+/**
+ * Describe a thread's anchors by its first comment while the thread is open
+ */
+function updateCommentAnchor(editor, id) {
+    const thread = editor.comments.get(id);
+    getCommentAnchors(editor, id).forEach(mark => {
+        if (thread && !thread.resolved) {
+            mark.setAttribute('aria-describedby', `${editor.id}-${id}-comment`);
+        } else {
+            mark.removeAttribute('aria-describedby');
+        }
+    });
+}
+
+function addCommentReply(editor, id, text) {
+    const thread = editor.comments.get(id);
+    thread.messages.push({ author: getAuthorName(editor), text, created: Date.now() });
+    renderCommentThreads(editor);
+    editor.commentsPanel.querySelector(`#${editor.id}-${id}-reply`).focus();
+    announce(editor, 'Reply added');
+}
+
+/**
+ * Resolve a thread (its text is no longer highlighted) or reopen it
+ */
+function setCommentResolved(editor, id, resolved) {
+    editor.comments.get(id).resolved = resolved;
+    updateCommentAnchor(editor, id);
+    renderCommentThreads(editor);
+    const thread = editor.commentsPanel.querySelector(`.comment-thread[data-comment-id="${id}"]`);
+    thread.querySelector(resolved ? '.comment-reopen' : '.comment-resolve').focus();
+    announce(editor, resolved ? 'Comment resolved' : 'Comment reopened');
+}
+
+/**
+ * Remove a thread and its highlight, keeping the text
+ */
+function deleteComment(editor, id) {
+    editor.comments.delete(id);
+    changeCommentAnchors(editor, 'delete comment', () => {
+        getCommentAnchors(editor, id).forEach(mark => mark.replaceWith(...mark.childNodes));
+        editor.content.normalize();
+    });
+    renderCommentThreads(editor);
+    editor.commentsPanel.querySelector('.comments-title').focus();
+    announce(editor, 'Comment deleted');
+}
+
+/**
+ * Redraw the threads: open threads in the order of their text, then threads
+ * whose text was deleted. Replies being typed are kept.
+ */
+function renderCommentThreads(editor) {
+    const panel = editor.commentsPanel;
+    const list = panel.querySelector('.comment-threads');
+    const drafts = new Map(Array.from(list.querySelectorAll('.comment-reply .comment-input'), input => [input.id, input.value]));
+    const focusedId = list.contains(document.activeElement) && document.activeElement.id;
+
+    const anchored = new Map();
+    getCommentAnchors(editor).forEach(mark => {
+        if (!anchored.has(mark.dataset.commentId)) anchored.set(mark.dataset.commentId, mark);
+    });
+    const threads = Array.from(editor.comments.values()).sort((a, b) => {
+        const markA = anchored.get(a.id);
+        const markB = anchored.get(b.id);
+        if (!markA || !markB) return (markA ? 0 : 1) - (markB ? 0 : 1);
+        return markA.compareDocumentPosition(markB) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    });
+
+    list.innerHTML = threads.map(thread => {
+        const prefix = `${editor.id}-${thread.id}`;
+        const quote = escapeHtml(truncateQuote(thread.quote));
+        const messages = thread.messages.map((message, i) => `
+                    <li class="comment-message"${i === 0 ? ` id="${prefix}-comment"` : ''}>
+                        <p class="comment-meta"><span class="comment-author">${escapeHtml(message.author)}</span>
+                            <time datetime="${new Date(message.created).toISOString()}">${escapeHtml(formatSnapshotTime(message.created))}</time></p>
+                        <p class="comment-text">${escapeHtml(message.text)}</p>
+                    </li>`).join('');
+        const actions = thread.resolved ? `
+                <p class="comment-resolved-note">Resolved</p>
+                <div class="comment-buttons">
+                    <button type="button" class="comments-btn comment-reopen">Reopen</button>
+                    <button type="button" class="comments-btn comment-delete">Delete</button>
+                </div>` : `
+                <form class="comment-form comment-reply">
+                    <label for="${prefix}-reply" class="sr-only">Reply to ${escapeHtml(thread.messages[0].author)}</label>
+                    <textarea id="${prefix}-reply" class="comment-input" rows="2" placeholder="Reply"></textarea>
+                    <div class="comment-buttons">
+                        <button type="submit" class="comments-btn">Reply</button>
+                        <button type="button" class="comments-btn comment-resolve">Resolve</button>
+                        <button type="button" class="comments-btn comment-delete">Delete</button>
+                    </div>
+                </form>`;
+        const quoteHtml = anchored.has(thread.id) ?
+            `<button type="button" class="comment-quote" title="Select the commented text">“${quote}”</button>` :
+            `<p class="comment-quote comment-detached">“${quote}” (the text was removed)</p>`;
+        return `
+            <li class="comment-thread${thread.resolved ? ' comment-thread-resolved' : ''}" data-comment-id="${thread.id}">
+                ${quoteHtml}
+                <ul class="comment-messages">${messages}
+                </ul>${actions}
+            </li>`;
+    }).join('');
+
+    list.querySelectorAll('.comment-reply .comment-input').forEach(input => {
+        if (drafts.has(input.id)) input.value = drafts.get(input.id);
+    });
+    if (focusedId) {
+        const focused = document.getElementById(focusedId);
+        if (focused) focused.focus();
+    }
+    panel.querySelector('.comments-empty').hidden = threads.length > 0;
+    updateToolbarActiveStates(editor);
+    // Replies and resolving do not change the content, but drafts keep the threads
+    scheduleAutosave(editor);
+}
+
+/**
+ * Show the panel beside the content; with an id, move focus to that thread's reply field
+ */
+function openCommentsPanel(editor, id) {
+    const panel = editor.commentsPanel;
+    panel.hidden = false;
+    editor.root.querySelector('.editor-wrapper').classList.add('comments-open');
+    renderCommentThreads(editor);
+    if (id) {
+        const reply = panel.querySelector(`#${editor.id}-${id}-reply`);
+        if (reply) reply.focus();
+    } else if (panel.querySelector('.comment-new').hidden) {
+        panel.querySelector('.comments-title').focus();
+    }
+}
+
+function closeCommentsPanel(editor) {
+    const panel = editor.commentsPanel;
+    panel.hidden = true;
+    panel.querySelector('.comment-new').hidden = true;
+    editor.root.querySelector('.editor-wrapper').classList.remove('comments-open');
+    editor.content.focus();
+    updateToolbarActiveStates(editor);
+}
+
+function toggleCommentsPanel(editor) {
+    if (editor.commentsPanel.hidden) {
+        openCommentsPanel(editor);
+    } else {
+        closeCommentsPanel(editor);
+    }
+}
+
+/**
+ * Select a thread's text in the content
+ */
+function selectCommentAnchor(editor, id) {
+    const range = getCommentRange(editor, id);
+    if (!range) return;
+    editor.content.focus();
+    selectRange(range);
+    if (range.startContainer.scrollIntoView) range.startContainer.scrollIntoView({ block: 'nearest' });
+    updateToolbarActiveStates(editor);
+}
+
+/**
+ * Select the next (or previous) open comment's text, wrapping around, and read the comment
+ */
+function moveToComment(editor, forward) {
+    const groups = getCommentGroups(editor);
+    if (!groups.length) {
+        announce(editor, 'No comments');
+        return;
+    }
+    const range = getEditorRange(editor);
+    let index;
+    if (!range) {
+        index = forward ? 0 : groups.length - 1;
+    } else if (forward) {
+        index = groups.findIndex(group => range.comparePoint(group.first, 0) > 0);
+        if (index < 0) index = 0;
+    } else {
+        index = groups.map(group => range.comparePoint(group.first, 0) < 0).lastIndexOf(true);
+        if (index < 0) index = groups.length - 1;
+    }
+
+    const { thread } = groups[index];
+    selectCommentAnchor(editor, thread.id);
+    editor.commentsPanel.querySelectorAll('.comment-thread').forEach(li => {
+        li.classList.toggle('comment-thread-current', li.dataset.commentId === thread.id);
+    });
+    const [first, ...replies] = thread.messages;
+    const replyCount = replies.length === 0 ? '' : replies.length === 1 ? ' 1 reply.' : ` ${replies.length} replies.`;
+    announce(editor, `Comment ${index + 1} of ${groups.length}, ${first.author}: ${first.text}.${replyCount}`);
+}
+
+/**
+ * The threads as JSON: the commented text, whether it is still in the document and
+ * its character positions (see getTextSlots), and every comment
+ */
+function getCommentsJSON(editor) {
+    const slots = getTextSlots(editor);
+    return {
+        version: COMMENTS_EXPORT_VERSION,
+        comments: Array.from(editor.comments.values(), thread => {
+            const range = getCommentRange(editor, thread.id);
+            return {
+                id: thread.id,
+                quote: range ? range.toString() : thread.quote,
+                anchored: Boolean(range),
+                start: range ? pointToOffset(editor, slots, range.startContainer, range.startOffset) : null,
+                end: range ? pointToOffset(editor, slots, range.endContainer, range.endOffset) : null,
+                resolved: thread.resolved,
+                messages: thread.messages.map(({ author, text, created }) => ({
+                    author, text, created: new Date(created).toISOString()
+                }))
+            };
+        })
+    };
+}
+
+/**
+ * Check the comments of getComments JSON and return them as threads with the
+ * positions of their text; throws on anything else
+ */
+function readCommentsJSON(data, caller) {
+    if (!data || !Array.isArray(data.comments)) {
+        throw new Error(`${caller}: expected { version, comments: [...] }`);
+    }
+    return data.comments.map(comment => {
+        const { id, quote, start, end, resolved, messages } = comment || {};
+        if (typeof id !== 'string' || !COMMENT_ID_PATTERN.test(id)) {
+            throw new Error(`${caller}: invalid comment id ${JSON.stringify(id)}`);
+        }
+        if (!Array.isArray(messages) || !messages.length ||
+            !messages.every(m => m && typeof m.author === 'string' && typeof m.text === 'string')) {
+            throw new Error(`${caller}: comment "${id}" needs messages with an author and a text`);
+        }
+        return {
+            thread: {
+                id,
+                quote: typeof quote === 'string' ? quote : '',
+                resolved: resolved === true,
+                messages: messages.map(({ author, text, created }) => ({
+                    author, text, created: Date.parse(created) || Date.now()
+                }))
+            },
+            start: Number.isInteger(start) ? start : null,
+            end: Number.isInteger(end) ? end : null
+        };
+    });
+}
+
+/**
+ * The text of the content in getTextSlots positions, with a line break between blocks
+ */
+function getSlotText(slots) {
+    return slots.reduce((text, slot) =>
+        text.padEnd(slot.start, '\n') + (slot.node.nodeType === Node.TEXT_NODE ? slot.node.nodeValue : ''), '');
+}
+
+/**
+ * Find a thread's text: at its positions if the quote is still there, otherwise
+ * at the match of the quote closest to them. Returns null when the text is gone.
+ */
+function findCommentRange(editor, thread, start, end) {
+    if (!thread.quote) return null;
+    const slots = getTextSlots(editor);
+    const toRange = (from, to) => {
+        const startPoint = offsetToPoint(editor, slots, from, true);
+        const endPoint = offsetToPoint(editor, slots, to, false);
+        const range = document.createRange();
+        range.setStart(startPoint.node, startPoint.offset);
+        range.setEnd(endPoint.node, endPoint.offset);
+        return range;
+    };
+    if (start !== null && end !== null && start < end) {
+        const range = toRange(start, end);
+        if (range.toString() === thread.quote) return range;
+    }
+    const text = getSlotText(slots);
+    let best = -1;
+    for (let index = text.indexOf(thread.quote); index >= 0; index = text.indexOf(thread.quote, index + 1)) {
+        if (best < 0 || Math.abs(index - (start || 0)) < Math.abs(best - (start || 0))) best = index;
+    }
+    return best < 0 ? null : toRange(best, best + thread.quote.length);
+}
+
+/**
+ * Add threads read by readCommentsJSON, replacing threads with the same id, and
+ * highlight their text where it can be found
+ */
+function anchorComments(editor, comments) {
+    comments.forEach(({ thread, start, end }) => {
+        getCommentAnchors(editor, thread.id).forEach(mark => mark.replaceWith(...mark.childNodes));
+        editor.comments.set(thread.id, thread);
+        const range = findCommentRange(editor, thread, start, end);
+        if (range) wrapCommentRange(editor, range, thread.id);
+    });
+    editor.content.normalize();
+}
+
+/**
+ * Replace every thread with the ones in getComments JSON (setComments)
+ */
+function setCommentsJSON(editor, data) {
+    const comments = readCommentsJSON(data, 'setComments');
+    changeCommentAnchors(editor, 'set comments', () => {
+        getCommentAnchors(editor).forEach(mark => mark.replaceWith(...mark.childNodes));
+        editor.comments.clear();
+        anchorComments(editor, comments);
+    });
+    renderCommentThreads(editor);
+}
+
+function exportCommentsFile(editor, filename = 'editor-comments.json') {
+    downloadFile(editor, filename, JSON.stringify(getCommentsJSON(editor), null, 2), 'application/json');
+}
+
+/*
+ * Track changes
+ *
+ * In Suggesting mode typing and deleting do not change the text directly:
+ * typed text goes into <ins> and deleted text into <del>, both with data-author
+ * and datetime, and formatting commands mark the blocks they changed with
+ * data-format-* attributes, the first keeping the blocks as they were. The
+ * review panel below the content lists every suggestion with Accept and Reject.
+ * Suggestions are part of the content (getHTML, getJSON, drafts); files can be
+ * saved "final", with insertions and deletions accepted and formatting reverted.
+ */
+
+// Attributes of a top-level block changed by a formatting command while suggesting.
+// The first block of a change also has the markup it replaced and a key of the result.
+const FORMAT_CHANGE_ATTRIBUTES = [
+    'data-format-change', 'data-format-author', 'data-format-time', 'data-format-label',
+    'data-format-before', 'data-format-result'
+];
+
+// Input types that type text, and the ones that delete it
+const SUGGESTED_INSERT_INPUT_TYPES = ['insertText', 'insertReplacementText', 'insertFromDrop', 'insertFromYank'];
+const SUGGESTED_DELETE_INPUT_TYPES = [
+    'deleteContent', 'deleteContentBackward', 'deleteContentForward', 'deleteWordBackward', 'deleteWordForward',
+    'deleteSoftLineBackward', 'deleteSoftLineForward', 'deleteHardLineBackward', 'deleteHardLineForward',
+    'deleteByCut', 'deleteByDrag'
+];
+
+// Pasted HTML with any of these elements loses formatting when it is suggested as plain text
+const SUGGESTED_PASTE_FORMATTING = /<(b|strong|i|em|u|s|strike|a|h[1-6]|ul|ol|table|blockquote|pre|code|sub|sup)[\s>]/i;
+
+/**
+ * Build the review panel and record typing as suggestions while Suggesting mode is on
+ */
+function setupTrackChanges(editor) {
+    editor.trackChanges = {
+        suggesting: Boolean(editor.options.suggesting),
+        // The suggestion the caret is in, so entering another one is announced once
+        current: null
+    };
+
+    const panel = document.createElement('section');
+    panel.className = 'review-panel';
+    panel.setAttribute('aria-labelledby', `${editor.id}-review-title`);
+    panel.hidden = true;
+    panel.innerHTML = `
+            <div class="review-header">
+                <h2 id="${editor.id}-review-title" class="review-title" tabindex="-1">Suggested changes</h2>
+                <div class="review-header-buttons">
+                    <button type="button" class="review-btn review-accept-all">Accept all</button>
+                    <button type="button" class="review-btn review-reject-all">Reject all</button>
+                    <button type="button" class="review-btn review-close">Close</button>
+                </div>
+            </div>
+            <p class="review-summary"></p>
+            <ul class="review-changes"></ul>`;
+    editor.announcer.before(panel);
+    editor.reviewPanel = panel;
+
+    listen(editor, panel.querySelector('.review-accept-all'), 'click', () => resolveAllSuggestions(editor, true));
+    listen(editor, panel.querySelector('.review-reject-all'), 'click', () => resolveAllSuggestions(editor, false));
+    listen(editor, panel.querySelector('.review-close'), 'click', () => closeReviewPanel(editor));
+    listen(editor, panel, 'keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeReviewPanel(editor);
+        }
+    });
+    listen(editor, panel.querySelector('.review-changes'), 'click', (e) => {
+        const button = e.target.closest('button');
+        const change = button && button.closest('li').change;
+        if (!change) return;
+        if (button.classList.contains('review-accept')) {
+            resolveSuggestion(editor, change, true);
+        } else if (button.classList.contains('review-reject')) {
+            resolveSuggestion(editor, change, false);
+        } else {
+            selectSuggestion(editor, change);
+        }
+    });
+
+    // Registered after the history listener, so typing still groups into undo steps
+    listen(editor, editor.content, 'beforeinput', (e) => {
+        if (editor.trackChanges.suggesting && !e.defaultPrevented) handleSuggestingInput(editor, e);
+    });
+    listen(editor, editor.content, 'input', () => {
+        if (!panel.hidden) renderSuggestions(editor);
+    });
+    listen(editor, document, 'selectionchange', () => announceSuggestionAtCaret(editor));
+}
+
+/**
+ * Switch between editing and Suggesting mode
+ */
+function toggleSuggesting(editor) {
+    const state = editor.trackChanges;
+    state.suggesting = !state.suggesting;
+    updateToolbarActiveStates(editor);
+    announce(editor, state.suggesting ? 'Suggesting: your edits are recorded as suggestions' :
+        'Editing: your edits change the text directly');
+}
+
+/**
+ * Record typed and deleted text as suggestions instead of letting the browser change it
+ */
+function handleSuggestingInput(editor, e) {
+    if (SUGGESTED_INSERT_INPUT_TYPES.includes(e.inputType)) {
+        const text = e.data !== null && e.data !== undefined ? e.data :
+            e.dataTransfer ? e.dataTransfer.getData('text/plain') : '';
+        e.preventDefault();
+        if (text) insertSuggestedLines(editor, text);
+        notifyContentChange(editor);
+    } else if (SUGGESTED_DELETE_INPUT_TYPES.includes(e.inputType)) {
+        const target = e.getTargetRanges ? e.getTargetRanges()[0] : null;
+        const selection = getEditorRange(editor);
+        const backward = /Backward$/.test(e.inputType);
+        let range = null;
+        if (target && !target.collapsed) {
+            range = document.createRange();
+            range.setStart(target.startContainer, target.startOffset);
+            range.setEnd(target.endContainer, target.endOffset);
+        } else if (selection && !selection.collapsed) {
+            range = selection.cloneRange();
+        } else if (selection) {
+            range = getCharacterRange(editor, selection, backward);
+        }
+        // Joining two blocks is not a suggestion; let it happen
+        if (!range) return;
+        e.preventDefault();
+        const caret = markSuggestedDeletion(editor, range, backward);
+        if (caret) selectRange(caret);
+        notifyContentChange(editor);
+    }
+}
+
+/**
+ * Create an empty <ins> or <del> by the current author
+ */
+function createSuggestionElement(editor, tag) {
+    const el = document.createElement(tag);
+    el.setAttribute('data-author', getAuthorName(editor));
+    el.setAttribute('datetime', new Date().toISOString());
+    return el;
+}
+
+function isSuggestionElement(node) {
+    return (node.tagName === 'INS' || node.tagName === 'DEL') && node.hasAttribute('data-author');
+}
+
+/**
+ * Join a suggestion with the same kind of suggestion by the same author right next to it
+ */
+function mergeAdjacentSuggestions(el) {
+    const same = (other) => other && other.nodeType === Node.ELEMENT_NODE && other.tagName === el.tagName &&
+        isSuggestionElement(other) && other.getAttribute('data-author') === el.getAttribute('data-author');
+    if (same(el.previousSibling)) {
+        const previous = el.previousSibling;
+        previous.append(...el.childNodes);
+        el.remove();
+        el = previous;
+    }
+    if (same(el.nextSibling)) {
+        const next = el.nextSibling;
+        el.append(...next.childNodes);
+        next.remove();
+    }
+    return el;
+}
+
+/**
+ * Insert text at the caret as a suggestion, replacing a selection with a suggested deletion
+ */
+function insertSuggestedText(editor, text) {
+    let range = getEditorRange(editor);
+    if (!range) return;
+    if (!range.collapsed) {
+        range = markSuggestedDeletion(editor, range, false);
+        if (!range) return;
+    }
+
+    // Text typed in a deletion goes after it
+    const deletion = closestInEditor(editor, range.startContainer, node => node.tagName === 'DEL');
+    if (deletion) {
+        range = document.createRange();
+        range.setStartAfter(deletion);
+        range.collapse(true);
+    }
+
+    // Typing into an empty block replaces its placeholder <br>
+    const block = getTextBlock(editor, range.startContainer);
+    if (block && isBlankNode(block) && range.startContainer === block) {
+        block.querySelectorAll('br').forEach(br => br.remove());
+        range.setStart(block, 0);
+        range.collapse(true);
+    }
+
+    const author = getAuthorName(editor);
+    const own = closestInEditor(editor, range.startContainer, node => node.tagName === 'INS' &&
+        isSuggestionElement(node) && node.getAttribute('data-author') === author);
+    if (own && !editor.pendingMarks) {
+        // Keep typing into your own insertion
+        if (range.startContainer.nodeType === Node.TEXT_NODE) {
+            range.startContainer.insertData(range.startOffset, text);
+            placeCaret(range.startContainer, range.startOffset + text.length);
+        } else {
+            const node = document.createTextNode(text);
+            range.insertNode(node);
+            placeCaret(node, text.length);
+        }
+        editor.trackChanges.current = own;
+        return;
+    }
+
+    let textNode;
+    if (editor.pendingMarks) {
+        // Bold, italic or underline toggled at the caret apply to the suggestion too
+        selectRange(range);
+        insertTextWithPendingMarks(editor, text);
+        textNode = getEditorRange(editor).startContainer;
+        const ins = createSuggestionElement(editor, 'ins');
+        textNode.replaceWith(ins);
+        ins.appendChild(textNode);
+    } else {
+        const ins = createSuggestionElement(editor, 'ins');
+        textNode = document.createTextNode(text);
+        ins.appendChild(textNode);
+        range.insertNode(ins);
+    }
+    editor.trackChanges.current = mergeAdjacentSuggestions(textNode.parentNode);
+    placeCaret(textNode, text.length);
+}
+
+/**
+ * Insert pasted or dropped text as suggestions, one paragraph per line. The new
+ * paragraphs themselves are not recorded; rejecting their text removes them.
+ */
+function insertSuggestedLines(editor, text) {
+    let range = getEditorRange(editor);
+    if (!range) return;
+    if (!range.collapsed) {
+        range = markSuggestedDeletion(editor, range, false);
+        if (!range) return;
+        selectRange(range);
+    }
+
+    // A code block keeps the line breaks in its text
+    const block = getTextBlock(editor, range.startContainer);
+    if (block && block.tagName === 'PRE') {
+        insertSuggestedText(editor, text);
+        return;
+    }
+
+    let inserted = null;
+    text.split(/\r\n?|\n/).forEach((line, i) => {
+        if (i > 0) {
+            // Split after the insertion, so the next paragraph does not start with an empty copy of it
+            if (inserted) placeCaretAfter(inserted);
+            splitBlockAtSelection(editor);
+            inserted = null;
+        }
+        if (line) {
+            insertSuggestedText(editor, line);
+            inserted = editor.trackChanges.current;
+        }
+    });
+}
+
+/**
+ * Paste or drop text as suggested paragraphs, and tell the user about images and
+ * formatting in the pasted content, which cannot be suggested
+ */
+function pasteSuggestion(editor, label, html, text) {
+    if (text) runWithHistory(editor, label, () => insertSuggestedLines(editor, text));
+    if (/<img[\s>]/i.test(html)) {
+        announce(editor, text ? 'Pasted the text only: images cannot be suggested. Switch to Editing to paste them.' :
+            'Images in pasted content cannot be suggested. Switch to Editing to paste them.');
+    } else if (text && SUGGESTED_PASTE_FORMATTING.test(html)) {
+        announce(editor, 'Pasted as plain text: formatting cannot be suggested.');
+    }
+}
+
+/**
+ * Return the range of the character before (or after) a collapsed selection within
+ * its block, skipping text already suggested for deletion; null at the block's edge
+ */
+function getCharacterRange(editor, selection, backward) {
+    const block = getTextBlock(editor, selection.startContainer);
+    if (!block) return null;
+    const nodes = [];
+    const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (node.nodeValue && !closestInEditor(editor, node, el => el.tagName === 'DEL')) nodes.push(node);
+    }
+    const { startContainer, startOffset } = selection;
+    const ordered = backward ? nodes.reverse() : nodes;
+    for (const node of ordered) {
+        const length = node.nodeValue.length;
+        let offset;
+        if (node === startContainer) {
+            offset = startOffset;
+        } else if (selection.comparePoint(node, 0) < 0 && backward) {
+            offset = length;
+        } else if (selection.comparePoint(node, length) > 0 && !backward) {
+            offset = 0;
+        } else {
+            continue;
+        }
+        if (backward ? offset === 0 : offset === length) continue;
+        // Keep surrogate pairs together
+        const start = backward ? offset - (/[\uDC00-\uDFFF]/.test(node.nodeValue[offset - 1]) && offset > 1 ? 2 : 1) : offset;
+        const end = backward ? offset : offset + (/[\uD800-\uDBFF]/.test(node.nodeValue[offset]) && offset + 1 < length ? 2 : 1);
+        const range = document.createRange();
+        range.setStart(node, start);
+        range.setEnd(node, end);
+        return range;
+    }
+    return null;
+}
+
+/**
+ * Suggest deleting the text in range: it is wrapped in <del>, except text of your
+ * own insertions, which is simply removed. Returns a collapsed range before the
+ * deletion (backward) or after it, or null when there was no text.
+ */
+function markSuggestedDeletion(editor, range, backward) {
+    const author = getAuthorName(editor);
+    const isOwnInsertion = (node) => node.tagName === 'INS' && isSuggestionElement(node) && node.getAttribute('data-author') === author;
+    const working = range.cloneRange();
+    splitTextAtRange(working);
+    const runs = getInlineRunsInRange(editor, working);
+    if (!runs.length) return null;
+
+    const outer = [];
+    const removals = [];
+    const deletions = [];
+    runs.forEach(run => {
+        const existing = closestInEditor(editor, run.parentNode, node => node.tagName === 'DEL' && isSuggestionElement(node));
+        if (existing) {
+            outer.push(existing);
+            return;
+        }
+        if (closestInEditor(editor, run.parentNode, isOwnInsertion)) {
+            outer.push(run);
+            removals.push(run);
+            return;
+        }
+        if (run.nodeType === Node.ELEMENT_NODE) {
+            run.querySelectorAll('ins[data-author]').forEach(ins => {
+                if (isOwnInsertion(ins)) ins.remove();
+            });
+            run.querySelectorAll('del[data-author]').forEach(del => del.replaceWith(...del.childNodes));
+        }
+        if (isBlankNode(run) || (run.nodeType === Node.ELEMENT_NODE && isOwnInsertion(run))) {
+            outer.push(run);
+            removals.push(run);
+            return;
+        }
+        const del = createSuggestionElement(editor, 'del');
+        run.replaceWith(del);
+        del.appendChild(run);
+        outer.push(del);
+        deletions.push(del);
+    });
+
+    const caret = document.createRange();
+    if (backward) {
+        caret.setStartBefore(outer[0]);
+    } else {
+        caret.setStartAfter(outer[outer.length - 1]);
+    }
+    caret.collapse(true);
+
+    // The caret range follows the nodes as they are removed and merged
+    removals.forEach(node => {
+        const ins = closestInEditor(editor, node.parentNode, isOwnInsertion);
+        node.remove();
+        if (ins && !ins.textContent && !ins.querySelector('img')) ins.remove();
+    });
+    deletions.forEach(del => {
+        if (del.isConnected) mergeAdjacentSuggestions(del);
+    });
+    return caret;
+}
+
+/**
+ * Run an undoable command while suggesting: the top-level blocks it changes are
+ * marked with the command's label, and the first keeps the blocks as they were,
+ * so the change can be rejected. Commands that only remove blocks are applied directly.
+ */
+function runSuggestedCommand(editor, plugin) {
+    const content = editor.content;
+    const markup = (node) => node.nodeType === Node.ELEMENT_NODE ? getUnsuggestedMarkup(node) : node.nodeValue;
+    const beforeNodes = Array.from(content.childNodes);
+    const before = beforeNodes.map(markup);
+    const beforeHtml = beforeNodes.map(node => node.nodeType === Node.ELEMENT_NODE ? node.outerHTML : escapeHtml(node.nodeValue));
+
+    const result = plugin.execute(editor);
+
+    const afterNodes = Array.from(content.childNodes);
+    const after = afterNodes.map(markup);
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let end = 0;
+    while (end < before.length - start && end < after.length - start &&
+           before[before.length - 1 - end] === after[after.length - 1 - end]) {
+        end++;
+    }
+    const changed = afterNodes.slice(start, afterNodes.length - end).filter(node => node.nodeType === Node.ELEMENT_NODE);
+    if (!changed.length) return result;
+
+    const id = 'format-' + Math.random().toString(36).slice(2, 10);
+    const time = new Date().toISOString();
+    const key = getFormattedElementsKey(editor, changed);
+    changed.forEach(el => {
+        FORMAT_CHANGE_ATTRIBUTES.forEach(name => el.removeAttribute(name));
+        el.setAttribute('data-format-change', id);
+        el.setAttribute('data-format-author', getAuthorName(editor));
+        el.setAttribute('data-format-time', time);
+        el.setAttribute('data-format-label', plugin.label);
+    });
+    changed[0].setAttribute('data-format-before',
+        sanitizeHtml(beforeHtml.slice(start, before.length - end).join(''), editor.sanitizerConfig).html);
+    changed[0].setAttribute('data-format-result', key);
+    return result;
+}
+
+/**
+ * Make a change from a dialog, such as inserting a link or a table; while
+ * suggesting it is recorded like a formatting command
+ */
+function runSuggestedChange(editor, label, change) {
+    if (!editor.trackChanges.suggesting) return change();
+    return runSuggestedCommand(editor, { label, execute: change });
+}
+
+/**
+ * Key of the blocks of a formatting suggestion as they are now (see getFormatResultKey)
+ */
+function getFormattedElementsKey(editor, elements) {
+    const html = sanitizeHtml(elements.map(getUnsuggestedMarkup).join(''), editor.sanitizerConfig).html;
+    return getFormatResultKey(htmlToDocument(html).content);
+}
+
+/**
+ * Markup of an element without formatting suggestion attributes
+ */
+function getUnsuggestedMarkup(element) {
+    const selector = '[data-format-change]';
+    if (!element.matches(selector) && !element.querySelector(selector)) return element.outerHTML;
+    const clone = element.cloneNode(true);
+    [clone, ...clone.querySelectorAll(selector)].forEach(el => {
+        FORMAT_CHANGE_ATTRIBUTES.forEach(name => el.removeAttribute(name));
+    });
+    return clone.outerHTML;
+}
+
+/**
+ * List the suggestions in document order: { type: 'insertion' | 'deletion' | 'format', author, time, label?, elements }.
+ * Formatting suggestions also have the markup they replaced (before) and the key of their result.
+ */
+function getSuggestions(editor) {
+    const changes = [];
+    const formats = new Map();
+    editor.content.querySelectorAll('ins[data-author], del[data-author], [data-format-change]').forEach(el => {
+        if (isSuggestionElement(el)) {
+            changes.push({
+                type: el.tagName === 'INS' ? 'insertion' : 'deletion',
+                author: el.getAttribute('data-author'),
+                time: el.getAttribute('datetime'),
+                elements: [el]
+            });
+            return;
+        }
+        const id = el.getAttribute('data-format-change');
+        let change = formats.get(id);
+        if (!change) {
+            change = {
+                type: 'format',
+                id,
+                author: el.getAttribute('data-format-author'),
+                time: el.getAttribute('data-format-time'),
+                label: el.getAttribute('data-format-label'),
+                before: null,
+                result: null,
+                elements: []
+            };
+            formats.set(id, change);
+            changes.push(change);
+        }
+        change.elements.push(el);
+        if (el.hasAttribute('data-format-before')) {
+            change.before = el.getAttribute('data-format-before');
+            change.result = el.getAttribute('data-format-result');
+        }
+    });
+    return changes;
+}
+
+/**
+ * Describe a suggestion, for example "Alex inserted “the”"
+ */
+function describeSuggestion(change) {
+    const author = change.author || 'Someone';
+    const quote = truncateQuote(change.elements.map(el => el.textContent).join(' '));
+    if (change.type === 'format') return `${author} suggested ${change.label} on “${quote}”`;
+    return `${author} ${change.type === 'insertion' ? 'inserted' : 'deleted'} “${quote}”`;
+}
+
+/**
+ * Find the suggestion around a node: the closest <ins>, <del> or formatted block
+ */
+function getSuggestionAt(editor, node) {
+    return closestInEditor(editor, node, el => isSuggestionElement(el) || el.hasAttribute('data-format-change'));
+}
+
+/**
+ * Say "Insertion" or "Deletion" (or which formatting) when the caret moves into a suggestion
+ */
+function announceSuggestionAtCaret(editor) {
+    const state = editor.trackChanges;
+    const range = getEditorRange(editor);
+    const el = range && range.collapsed ? getSuggestionAt(editor, range.startContainer) : null;
+    if (el === state.current) return;
+    state.current = el;
+    if (!el) return;
+    if (el.hasAttribute('data-format-change')) {
+        announce(editor, `Formatting change: ${el.getAttribute('data-format-label')}, by ${el.getAttribute('data-format-author')}`);
+    } else {
+        announce(editor, `${el.tagName === 'INS' ? 'Insertion' : 'Deletion'} by ${el.getAttribute('data-author')}`);
+    }
+}
+
+/**
+ * Accept or reject one suggestion. Returns false for a formatting suggestion whose
+ * blocks were edited since, which can no longer be rejected.
+ */
+function applySuggestion(editor, change, accept) {
+    if (change.type === 'format') {
+        if (!accept) {
+            const elements = change.elements.filter(el => el.isConnected);
+            if (change.before === null || !elements.length || getFormattedElementsKey(editor, elements) !== change.result) {
+                return false;
+            }
+            const template = document.createElement('template');
+            template.innerHTML = sanitizeHtml(change.before, editor.sanitizerConfig).html;
+            elements[0].before(template.content);
+            elements.forEach(el => el.remove());
+            return true;
+        }
+        change.elements.forEach(el => FORMAT_CHANGE_ATTRIBUTES.forEach(name => el.removeAttribute(name)));
+        return true;
+    }
+
+    const [el] = change.elements;
+    if (!el.isConnected) return true;
+    const keep = change.type === 'insertion' ? accept : !accept;
+    if (keep) {
+        el.replaceWith(...el.childNodes);
+        return true;
+    }
+    // Paragraphs and headings left empty by removing the text go too
+    const block = getTextBlock(editor, el);
+    el.remove();
+    if (block && /^(P|H[1-6])$/.test(block.tagName) && isBlankNode(block) && editor.content.children.length > 1) {
+        block.remove();
+    }
+    return true;
+}
+
+/**
+ * Accept or reject a suggestion from the review panel as one undo step
+ */
+function resolveSuggestion(editor, change, accept) {
+    let applied = false;
+    runWithHistory(editor, accept ? 'accept change' : 'reject change', () => {
+        applied = applySuggestion(editor, change, accept);
+        editor.content.normalize();
+    });
+    const changes = renderSuggestions(editor);
+    const panel = editor.reviewPanel;
+    const next = panel.querySelector('.review-change-goto');
+    (next || panel.querySelector('.review-title')).focus();
+    if (!applied) {
+        announce(editor, 'The text was edited after this formatting change, so it cannot be rejected. Accept it or change the formatting yourself.');
+        return;
+    }
+    const remaining = changes.length === 1 ? '1 change remains' : `${changes.length || 'No'} changes remain`;
+    announce(editor, `${accept ? 'Accepted' : 'Rejected'}. ${remaining}.`);
+}
+
+/**
+ * Accept or reject every suggestion as one undo step
+ */
+function resolveAllSuggestions(editor, accept) {
+    const changes = getSuggestions(editor);
+    if (!changes.length) {
+        announce(editor, 'No suggested changes');
+        return;
+    }
+    let skipped = 0;
+    runWithHistory(editor, accept ? 'accept all changes' : 'reject all changes', () => {
+        // Last first, so rejecting a formatting change cannot disturb the ones before it
+        changes.slice().reverse().forEach(change => {
+            if (!applySuggestion(editor, change, accept)) skipped++;
+        });
+        editor.content.normalize();
+    });
+    if (!editor.reviewPanel.hidden) {
+        renderSuggestions(editor);
+        editor.reviewPanel.querySelector('.review-title').focus();
+    }
+    const count = changes.length - skipped;
+    let message = `${accept ? 'Accepted' : 'Rejected'} ${count === 1 ? '1 change' : `${count} changes`}.`;
+    if (skipped) message += ` ${skipped === 1 ? '1 formatting change was' : `${skipped} formatting changes were`} edited since and could not be rejected.`;
+    announce(editor, message);
+}
+
+/**
+ * Select a suggestion's text in the content
+ */
+function selectSuggestion(editor, change) {
+    const elements = change.elements.filter(el => el.isConnected);
+    if (!elements.length) return;
+    const last = elements[elements.length - 1];
+    const range = document.createRange();
+    range.setStart(elements[0], 0);
+    range.setEnd(last, last.childNodes.length);
+    editor.content.focus();
+    selectRange(range);
+    if (elements[0].scrollIntoView) elements[0].scrollIntoView({ block: 'nearest' });
+    updateToolbarActiveStates(editor);
+}
+
+function renderSuggestions(editor) {
+    const panel = editor.reviewPanel;
+    const list = panel.querySelector('.review-changes');
+    const changes = getSuggestions(editor);
+    list.innerHTML = '';
+    panel.querySelector('.review-summary').textContent = changes.length === 0 ? 'No suggested changes.' :
+        changes.length === 1 ? '1 suggested change.' : `${changes.length} suggested changes.`;
+    panel.querySelectorAll('.review-accept-all, .review-reject-all').forEach(button => {
+        button.setAttribute('aria-disabled', String(!changes.length));
+    });
+
+    changes.forEach(change => {
+        const li = document.createElement('li');
+        li.className = `review-change review-change-${change.type}`;
+        li.change = change;
+        const goTo = document.createElement('button');
+        goTo.type = 'button';
+        goTo.className = 'review-change-goto';
+        goTo.textContent = describeSuggestion(change);
+        goTo.title = 'Select this change';
+        li.appendChild(goTo);
+        if (change.time && !isNaN(Date.parse(change.time))) {
+            const time = document.createElement('time');
+            time.className = 'review-change-time';
+            time.dateTime = change.time;
+            time.textContent = formatSnapshotTime(Date.parse(change.time));
+            li.appendChild(time);
+        }
+        ['Accept', 'Reject'].forEach(label => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `review-btn review-${label.toLowerCase()}`;
+            button.textContent = label;
+            // Every row has the same two buttons; say which change they act on
+            button.setAttribute('aria-label', `${label}: ${goTo.textContent}`);
+            li.appendChild(button);
+        });
+        list.appendChild(li);
+    });
+    return changes;
+}
+
+/**
+ * Show the review panel and move focus to its heading
+ */
+function openReviewPanel(editor) {
+    const panel = editor.reviewPanel;
+    const changes = renderSuggestions(editor);
+    panel.hidden = false;
+    panel.querySelector('.review-title').focus();
+    announce(editor, panel.querySelector('.review-summary').textContent);
+    return changes;
+}
+
+function closeReviewPanel(editor) {
+    editor.reviewPanel.hidden = true;
+    editor.content.focus();
+}
+
+/*
+ * Find and replace
+ *
+ * Ctrl+F opens the dialog on the Find field and Ctrl+H on the Replace field.
+ * Matches are shown with the CSS Custom Highlight API, which paints ranges
+ * without touching the content, so the saved HTML never contains them. Matches
+ * never span two blocks or a line break.
+ */
+
+// Highlight names styled in style.css with ::highlight()
+const FIND_HIGHLIGHT = 'editor-find-match';
+const FIND_CURRENT_HIGHLIGHT = 'editor-find-current';
+
+// Stop collecting matches past this many, so a pattern like "." stays responsive
+const FIND_MATCH_LIMIT = 5000;
+
+/**
+ * Build the find and replace dialog
+ */
+function setupFindDialog(editor) {
+    const { id } = editor;
+    const dialog = createDialog(editor, 'find', 'Find and replace');
+    dialog.body.innerHTML = `
+                <form class="find-form" novalidate>
+                    <div class="find-fields">
+                        <label for="${id}-find-input">Find</label>
+                        <input type="text" id="${id}-find-input" class="find-input" aria-describedby="${id}-find-error ${id}-find-status" autocomplete="off" spellcheck="false">
+                        <label for="${id}-replace-input">Replace with</label>
+                        <input type="text" id="${id}-replace-input" class="find-replace-input" autocomplete="off" spellcheck="false">
+                    </div>
+                    <fieldset class="find-options">
+                        <legend>Options</legend>
+                        <label><input type="checkbox" class="find-case"> Match case</label>
+                        <label><input type="checkbox" class="find-word"> Whole word</label>
+                        <label><input type="checkbox" class="find-regex"> Regular expression</label>
+                    </fieldset>
+                    <p id="${id}-find-error" class="find-error" hidden></p>
+                    <p id="${id}-find-status" class="find-status" role="status" aria-live="polite" aria-atomic="true"></p>
+                    <div class="editor-dialog-buttons">
+                        <button type="button" class="editor-dialog-btn find-previous">Previous</button>
+                        <button type="submit" class="editor-dialog-btn editor-dialog-primary find-next">Next</button>
+                        <button type="button" class="editor-dialog-btn find-replace">Replace</button>
+                        <button type="button" class="editor-dialog-btn find-replace-all">Replace all</button>
+                        <button type="button" class="editor-dialog-btn find-close">Close</button>
+                    </div>
+                </form>`;
+
+    editor.find = { dialog, matches: [], current: -1 };
+    const findInput = dialog.querySelector('.find-input');
+    const replaceInput = dialog.querySelector('.find-replace-input');
+
+    listen(editor, findInput, 'input', () => runFind(editor));
+    // Undo and redo replace the content, so search it again
+    listen(editor, editor.content, 'input', () => {
+        if (!dialog.hidden) runFind(editor);
+    });
+    dialog.querySelectorAll('.find-options input').forEach(checkbox => {
+        listen(editor, checkbox, 'change', () => runFind(editor));
+    });
+    // Enter finds the next match (the form's submit button), Shift+Enter the previous one
+    listen(editor, dialog.querySelector('.find-form'), 'submit', (e) => {
+        e.preventDefault();
+        moveToMatch(editor, 1);
+    });
+    listen(editor, findInput, 'keydown', (e) => {
+        if (e.key === 'Enter' && e.shiftKey) {
+            e.preventDefault();
+            moveToMatch(editor, -1);
+        }
+    });
+    listen(editor, replaceInput, 'keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            replaceCurrentMatch(editor);
+        }
+    });
+    // The find and replace shortcuts move between the fields instead of opening the browser's find bar
+    listen(editor, dialog, 'keydown', (e) => {
+        const command = getShortcutCommand(editor, e);
+        if (command === 'find' || command === 'replace') {
+            e.preventDefault();
+            const input = command === 'find' ? findInput : replaceInput;
+            input.focus();
+            input.select();
+        }
+    });
+    listen(editor, dialog.querySelector('.find-previous'), 'click', () => moveToMatch(editor, -1));
+    listen(editor, dialog.querySelector('.find-replace'), 'click', () => replaceCurrentMatch(editor));
+    listen(editor, dialog.querySelector('.find-replace-all'), 'click', () => replaceAllMatches(editor));
+    listen(editor, dialog.querySelector('.find-close'), 'click', () => closeDialog(editor, dialog));
+
+    // Give the editor its selection back: the current match, or what was selected before
+    dialog.onClose = () => {
+        const match = editor.find.matches[editor.find.current];
+        clearFindHighlights(editor);
+        if (match) {
+            selectRange(match.range);
+            updateToolbarActiveStates(editor);
+        } else {
+            restoreSelection(editor);
+        }
+        editor.find.matches = [];
+        editor.find.current = -1;
+    };
+}
+
+/**
+ * Open the dialog, prefilled with the selected text; `replace` focuses the Replace field
+ */
+function openFindDialog(editor, replace) {
+    const { dialog } = editor.find;
+    const findInput = dialog.querySelector('.find-input');
+    saveSelection(editor);
+    const range = getEditorRange(editor);
+    const selected = range ? range.toString() : '';
+    if (selected && !selected.includes('\n') && selected.length <= 200) findInput.value = selected;
+
+    const target = replace && findInput.value ? dialog.querySelector('.find-replace-input') : findInput;
+    openDialog(editor, dialog, target);
+    // Closing returns to the editor selection, even when the toolbar button opened the dialog
+    dialog.returnFocus = editor.content;
+    target.select();
+    runFind(editor);
+}
+
+/**
+ * Build the search RegExp from the dialog fields; returns null for an empty query
+ * and throws a SyntaxError for an invalid regular expression
+ */
+function getFindPattern(dialog) {
+    const query = dialog.querySelector('.find-input').value;
+    if (!query) return null;
+    const matchCase = dialog.querySelector('.find-case').checked;
+    const wholeWord = dialog.querySelector('.find-word').checked;
+    const isRegex = dialog.querySelector('.find-regex').checked;
+    let source = isRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    let flags = matchCase ? 'g' : 'gi';
+    if (wholeWord) {
+        source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+        flags += 'u';
+    }
+    return new RegExp(source, flags);
+}
+
+/**
+ * Return the matches of pattern in the content as { range, result }, in document order
+ */
+function findMatches(editor, pattern) {
+    const matches = [];
+    let segment = { text: '', nodes: [], block: null };
+
+    const search = () => {
+        pattern.lastIndex = 0;
+        let result;
+        while (matches.length < FIND_MATCH_LIMIT && (result = pattern.exec(segment.text))) {
+            if (!result[0]) {
+                // Skip empty matches such as "a*" between characters
+                pattern.lastIndex++;
+                continue;
+            }
+            const range = document.createRange();
+            const end = result.index + result[0].length;
+            const startSlot = segment.nodes.find(slot => result.index < slot.start + slot.node.nodeValue.length);
+            const endSlot = segment.nodes.find(slot => end <= slot.start + slot.node.nodeValue.length);
+            range.setStart(startSlot.node, result.index - startSlot.start);
+            range.setEnd(endSlot.node, end - endSlot.start);
+            matches.push({ range, result });
+        }
+        segment = { text: '', nodes: [], block: null };
+    };
+
+    const walker = document.createTreeWalker(editor.content, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (node.nodeType === Node.ELEMENT_NODE) {
+            // A line break ends the searchable text like a block boundary does
+            if (node.tagName === 'BR') search();
+            continue;
+        }
+        if (isFormattingWhitespace(editor, node)) continue;
+        // Text suggested for deletion is skipped, so replacing while suggesting does not find it again
+        if (closestInEditor(editor, node, el => el.tagName === 'DEL' && isSuggestionElement(el))) continue;
+        const block = getTextBlock(editor, node);
+        if (block !== segment.block) search();
+        segment.block = block;
+        segment.nodes.push({ node, start: segment.text.length });
+        segment.text += node.nodeValue;
+    }
+    search();
+    return matches;
+}
+
+/**
+ * Search again with the current fields and highlight the matches; the current
+ * match is the first one at or after the editor selection
+ */
+function runFind(editor) {
+    const { dialog } = editor.find;
+    const error = dialog.querySelector('.find-error');
+    const findInput = dialog.querySelector('.find-input');
+    let pattern;
+    try {
+        pattern = getFindPattern(dialog);
+        error.hidden = true;
+        findInput.removeAttribute('aria-invalid');
+    } catch (err) {
+        error.textContent = 'This is not a valid regular expression.';
+        error.hidden = false;
+        findInput.setAttribute('aria-invalid', 'true');
+        pattern = null;
+    }
+
+    editor.find.matches = pattern ? findMatches(editor, pattern) : [];
+    const anchor = editor.savedSelection;
+    const index = anchor ? editor.find.matches.findIndex(match =>
+        match.range.compareBoundaryPoints(Range.START_TO_START, anchor) >= 0) : 0;
+    editor.find.current = editor.find.matches.length ? Math.max(index, 0) : -1;
+    showCurrentMatch(editor);
+}
+
+/**
+ * Move to the next (1) or previous (-1) match, wrapping at the ends
+ */
+function moveToMatch(editor, direction) {
+    const count = editor.find.matches.length;
+    if (!count) {
+        showCurrentMatch(editor);
+        return;
+    }
+    editor.find.current = (editor.find.current + direction + count) % count;
+    showCurrentMatch(editor);
+}
+
+/**
+ * Paint the highlights, scroll the current match into view and report "Match 3 of 12"
+ */
+function showCurrentMatch(editor) {
+    const { dialog, matches, current } = editor.find;
+    const status = dialog.querySelector('.find-status');
+    clearFindHighlights(editor);
+    const hasQuery = Boolean(dialog.querySelector('.find-input').value);
+    const focused = document.activeElement;
+    dialog.querySelectorAll('.find-previous, .find-next, .find-replace, .find-replace-all').forEach(button => {
+        button.disabled = matches.length === 0;
+    });
+    // Disabling the focused button would drop focus out of the dialog
+    if (focused && focused.disabled) dialog.querySelector('.find-input').focus();
+
+    if (!matches.length) {
+        status.textContent = hasQuery && dialog.querySelector('.find-error').hidden ? 'No matches' : '';
+        return;
+    }
+    const more = matches.length >= FIND_MATCH_LIMIT ? ' or more' : '';
+    status.textContent = `Match ${current + 1} of ${matches.length}${more}`;
+
+    if (typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight === 'function') {
+        const all = getFindHighlight(FIND_HIGHLIGHT);
+        matches.forEach((match, i) => { if (i !== current) all.add(match.range); });
+        getFindHighlight(FIND_CURRENT_HIGHLIGHT).add(matches[current].range);
+    }
+    const element = matches[current].range.startContainer.parentElement;
+    if (element && element.scrollIntoView) element.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Return the page-wide Highlight with this name, creating it on first use
+ */
+function getFindHighlight(name) {
+    if (!CSS.highlights.has(name)) CSS.highlights.set(name, new Highlight());
+    return CSS.highlights.get(name);
+}
+
+/**
+ * Remove this editor's ranges from the highlights; other editors keep theirs
+ */
+function clearFindHighlights(editor) {
+    if (typeof CSS === 'undefined' || !CSS.highlights) return;
+    [FIND_HIGHLIGHT, FIND_CURRENT_HIGHLIGHT].forEach(name => {
+        const highlight = CSS.highlights.get(name);
+        if (highlight) editor.find.matches.forEach(match => highlight.delete(match.range));
+    });
+}
+
+/**
+ * Return the replacement text for a match; with regular expressions $&, $1-$99 and $$ are expanded
+ */
+function getReplacementText(dialog, match) {
+    const replacement = dialog.querySelector('.find-replace-input').value;
+    if (!dialog.querySelector('.find-regex').checked) return replacement;
+    return replacement.replace(/\$(\$|&|\d{1,2})/g, (token, ref) => {
+        if (ref === '$') return '$';
+        if (ref === '&') return match.result[0];
+        const group = match.result[Number(ref)];
+        return group === undefined ? token : group;
+    });
+}
+
+function replaceMatch(match, text) {
+    const range = match.range;
+    const containers = [range.startContainer.parentNode, range.endContainer.parentNode];
+    range.deleteContents();
+    if (text) range.insertNode(document.createTextNode(text));
+    // Drop formatting elements the match emptied, such as <strong> around part of a word
+    containers.forEach(element => {
+        while (element && element.isConnected && element.nodeType === Node.ELEMENT_NODE &&
+               !TEXT_BLOCK_TAGS.includes(element.tagName) && !element.textContent && !element.children.length) {
+            const parent = element.parentNode;
+            element.remove();
+            element = parent;
+        }
+    });
+}
+
+/**
+ * Replace a match while suggesting: the match is suggested for deletion and the
+ * replacement for insertion. Returns the point after them.
+ */
+function suggestReplacement(editor, match, text) {
+    if (text) {
+        selectRange(match.range);
+        insertSuggestedText(editor, text);
+        return getEditorRange(editor);
+    }
+    return markSuggestedDeletion(editor, match.range, false);
+}
+
+/**
+ * Replace the current match as one undo step, then move to the next match
+ */
+function replaceCurrentMatch(editor) {
+    const { dialog, matches, current } = editor.find;
+    const match = matches[current];
+    if (!match) return;
+    const text = getReplacementText(dialog, match);
+    clearFindHighlights(editor);
+    let after = null;
+    runWithHistory(editor, 'replace', () => {
+        if (editor.trackChanges.suggesting) {
+            after = suggestReplacement(editor, match, text);
+        } else {
+            replaceMatch(match, text);
+        }
+    });
+
+    // Continue after the replaced text
+    if (!after) {
+        after = document.createRange();
+        after.setStart(match.range.endContainer, match.range.endOffset);
+    }
+    editor.savedSelection = after;
+    runFind(editor);
+    announce(editor, 'Replaced 1 match');
+}
+
+/**
+ * Replace every match as one undo step
+ */
+function replaceAllMatches(editor) {
+    const { dialog, matches } = editor.find;
+    if (!matches.length) return;
+    const count = matches.length;
+    const texts = matches.map(match => getReplacementText(dialog, match));
+    clearFindHighlights(editor);
+    // Last match first, so earlier ranges stay valid
+    runWithHistory(editor, 'replace all', () => {
+        for (let i = matches.length - 1; i >= 0; i--) {
+            if (editor.trackChanges.suggesting) {
+                suggestReplacement(editor, matches[i], texts[i]);
+            } else {
+                replaceMatch(matches[i], texts[i]);
+            }
+        }
+    });
+    runFind(editor);
+    dialog.querySelector('.find-status').textContent = count === 1 ? 'Replaced 1 match' : `Replaced ${count} matches`;
+}
+
+/*
+ * Plugins
+ *
+ * Every toolbar button and keyboard shortcut is a plugin:
+ *
+ *   {
+ *     id: 'bold',                  // command name for executeCommand and the toolbar option
+ *     label: 'Bold',               // accessible name, also the undo step name
+ *     group: 'Text style',         // label of the toolbar group the button sits in
+ *     icon: '<path ...>',          // SVG markup drawn in a 24x24 box, or
+ *     text: 'Save',                // a short visible button text instead
+ *     title: 'Bold',               // tooltip (defaults to the label); the shortcut is added to it
+ *     shortcut: 'Mod+B',           // default shortcut, or an array (see the Keymap section)
+ *     undoable: true,              // run inside one undo step
+ *     popup: 'dialog',             // the command opens a dialog (aria-haspopup)
+ *     slashCommand: false,         // offered in the "/" command list; defaults to true for Blocks, Lists and Insert
+ *     menu: [{ id, label, execute(editor), isEnabled(editor) }],  // a menu button listing these items instead
+ *     execute(editor) {},
+ *     isActive(editor) {},         // toggle state, shown with aria-pressed
+ *     isEnabled(editor) {},        // false sets aria-disabled
+ *     isAvailable(editor) {}       // false leaves the button out of the toolbar
+ *   }
+ *
+ * registerPlugin adds a plugin to every editor created afterwards; the `plugins`
+ * option adds plugins to one editor. The `toolbar` option lists plugin ids in
+ * button order, so buttons can be added, removed and reordered without code.
+ */
+
+// Plugins known to every editor, by id
+const pluginRegistry = new Map(BUILT_IN_PLUGINS.map(plugin => [plugin.id, plugin]));
+
+/**
+ * Register a plugin for all editors created afterwards; replaces a plugin with the same id
+ */
+function registerPlugin(plugin) {
+    validatePlugin(plugin, 'registerPlugin');
+    pluginRegistry.set(plugin.id, plugin);
+}
+
+/**
+ * Remove a plugin from the registry; editors created afterwards no longer offer it
+ */
+function unregisterPlugin(id) {
+    return pluginRegistry.delete(id);
+}
+
+function validatePlugin(plugin, caller) {
+    if (!plugin || typeof plugin.id !== 'string' || !plugin.id) {
+        throw new Error(`${caller}: a plugin needs a string id`);
+    }
+    if (typeof plugin.label !== 'string' || !plugin.label) {
+        throw new Error(`${caller}: plugin "${plugin.id}" needs a label`);
+    }
+    if (typeof plugin.execute !== 'function') {
+        throw new Error(`${caller}: plugin "${plugin.id}" needs an execute function`);
+    }
+    [].concat(plugin.shortcut || []).forEach(shortcut => {
+        if (!isValidShortcut(shortcut)) {
+            throw new Error(`${caller}: plugin "${plugin.id}" has an invalid shortcut "${shortcut}"`);
+        }
+    });
+}
+
+/**
+ * Collect the editor's plugins and return the ones shown in its toolbar, in order
+ */
+function resolveEditorPlugins(editor) {
+    const { options } = editor;
+    const extraPlugins = options.plugins || [];
+    editor.plugins = new Map(pluginRegistry);
+    extraPlugins.forEach(plugin => {
+        validatePlugin(plugin, 'createAccessibleEditor');
+        editor.plugins.set(plugin.id, plugin);
+    });
+
+    // Plugins passed with the editor join the default toolbar at the end
+    const ids = options.toolbar ||
+        DEFAULT_TOOLBAR.concat(extraPlugins.map(plugin => plugin.id).filter(id => !DEFAULT_TOOLBAR.includes(id)));
+    return ids.map(id => {
+        const plugin = editor.plugins.get(id);
+        if (!plugin) {
+            throw new Error(`createAccessibleEditor: unknown toolbar command "${id}"`);
+        }
+        return plugin;
+    }).filter(plugin => !plugin.isAvailable || plugin.isAvailable(editor));
+}
+
+/**
+ * Toolbar button markup for a plugin; plugins with a menu get a menu button
+ */
+function renderToolbarButton(editor, plugin) {
+    const shortcuts = editor.keymap.get(plugin.id);
+    const title = getCommandTitle(editor, plugin);
+    const keyshortcuts = shortcuts.length ? ` aria-keyshortcuts="${escapeHtml(shortcuts.map(getAriaKeyShortcut).join(' '))}"` : '';
+    const menuId = `${editor.id}-${plugin.id}-menu`;
+    const popup = plugin.menu ? ` aria-haspopup="menu" aria-expanded="false" aria-controls="${escapeHtml(menuId)}"` :
+        plugin.popup ? ` aria-haspopup="${escapeHtml(plugin.popup)}"` : '';
+    const face = plugin.icon ?
+        `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">${plugin.icon}</svg>` :
+        escapeHtml(plugin.text || plugin.label);
+    const button = `
+                <button type="button" class="toolbar-btn${plugin.icon ? '' : ' toolbar-btn-text'}" data-command="${escapeHtml(plugin.id)}" aria-label="${escapeHtml(plugin.label)}" title="${escapeHtml(title)}"${keyshortcuts}${popup}>
+                    ${face}
+                </button>`;
+    if (!plugin.menu) return button;
+    return `
+                <div class="toolbar-menu-wrap">${button}
+                    <div class="toolbar-menu" id="${escapeHtml(menuId)}" role="menu" aria-label="${escapeHtml(plugin.label)}" hidden></div>
+                </div>`;
+}
+
+/*
+ * Keymap
+ *
+ * One map from command id to keyboard shortcuts drives every shortcut in the
+ * editor. It starts from the plugins' `shortcut` defaults, then applies the
+ * `keymap` option and finally the changes the user made in the shortcut help
+ * dialog (Ctrl+/), which are kept in localStorage. Toolbar tooltips,
+ * aria-keyshortcuts and the help dialog are generated from it.
+ *
+ * Shortcuts are written like 'Mod+Shift+Z': Mod is Ctrl, or Cmd on a Mac, the
+ * modifiers come first and the key last.
+ */
+
+const SHORTCUT_PATTERN = /^(?:(?:Mod|Alt|Shift)\+)*(?:[^+\s]|[A-Z][A-Za-z0-9]+)$/;
+
+// Physical keys used when Shift, Option or the keyboard layout change the typed character
+const SHORTCUT_CODE_KEYS = {
+    Slash: '/', Backslash: '\\', BracketLeft: '[', BracketRight: ']', Comma: ',', Period: '.',
+    Semicolon: ';', Quote: '\'', Backquote: '`', Minus: '-', Equal: '=', Space: 'Space'
+};
+
+const SHORTCUT_KEY_NAMES = {
+    ArrowLeft: 'Left arrow', ArrowRight: 'Right arrow', ArrowUp: 'Up arrow', ArrowDown: 'Down arrow'
+};
+
+// Shortcuts the browser needs for editing; they cannot be given to a command
+const RESERVED_SHORTCUTS = {
+    'Mod+A': 'select all',
+    'Mod+C': 'copy',
+    'Mod+X': 'cut',
+    'Mod+V': 'paste',
+    'Mod+Shift+V': 'paste as plain text'
+};
+
+// Shortcuts browsers format with on their own; kept from them once no command uses them
+const BROWSER_FORMAT_SHORTCUTS = ['Mod+B', 'Mod+I', 'Mod+U'];
+
+// Keys that are not commands, listed in the help dialog after the commands
+const FIXED_SHORTCUTS = [
+    { label: 'New line in the same paragraph', keys: ['Shift+Enter'] },
+    { label: 'List block and insert commands, in an empty paragraph', keys: ['/'] },
+    { label: 'Paste as plain text', keys: ['Mod+Shift+V'] },
+    { label: 'Leave the editor (outside a table)', keys: ['Tab'] },
+    { label: 'Next table cell; adds a row in the last cell', keys: ['Tab'] },
+    { label: 'Previous table cell', keys: ['Shift+Tab'] },
+    { label: 'Move between toolbar buttons', keys: ['ArrowLeft', 'ArrowRight', 'Home', 'End'] },
+    { label: 'Open a toolbar menu', keys: ['ArrowDown'] },
+    { label: 'Close a menu or dialog', keys: ['Escape'] }
+];
+
+/**
+ * Build the editor's keymap (command id → shortcuts) from the defaults, the option and the user's changes
+ */
+function buildKeymap(editor) {
+    if (!editor.keymapOverrides) editor.keymapOverrides = readStoredKeymap(editor);
+    editor.keymap = new Map();
+    editor.plugins.forEach(plugin => {
+        if (plugin.isAvailable && !plugin.isAvailable(editor)) return;
+        editor.keymap.set(plugin.id, [].concat(plugin.shortcut || []).map(normalizeShortcut));
+    });
+    Object.keys(editor.options.keymap || {}).forEach(command => {
+        if (!editor.keymap.has(command)) {
+            throw new Error(`createAccessibleEditor: unknown keymap command "${command}"`);
+        }
+        editor.keymap.set(command, parseShortcutList(editor.options.keymap[command], 'createAccessibleEditor'));
+    });
+    // Stored changes can name commands this editor does not have; skip those
+    Object.keys(editor.keymapOverrides).forEach(command => {
+        const shortcuts = [].concat(editor.keymapOverrides[command]);
+        if (editor.keymap.has(command) && shortcuts.every(isValidShortcut)) {
+            editor.keymap.set(command, shortcuts.map(normalizeShortcut));
+        }
+    });
+}
+
+function isValidShortcut(shortcut) {
+    return typeof shortcut === 'string' && SHORTCUT_PATTERN.test(shortcut);
+}
+
+/**
+ * Check a shortcut or array of shortcuts (null for none) and return them in canonical form
+ */
+function parseShortcutList(shortcuts, caller) {
+    const list = shortcuts == null ? [] : [].concat(shortcuts);
+    list.forEach(shortcut => {
+        if (!isValidShortcut(shortcut)) {
+            throw new Error(`${caller}: invalid shortcut "${shortcut}"`);
+        }
+    });
+    return list.map(normalizeShortcut);
+}
+
+/**
+ * Write a shortcut with its modifiers in a fixed order and a capital letter: 'Shift+Mod+z' → 'Mod+Shift+Z'
+ */
+function normalizeShortcut(shortcut) {
+    const parts = shortcut.split('+');
+    const key = parts.pop();
+    return ['Mod', 'Alt', 'Shift'].filter(modifier => parts.includes(modifier))
+        .concat(key.length === 1 ? key.toUpperCase() : key).join('+');
+}
+
+function readStoredKeymap(editor) {
+    const key = editor.options.keymapStorageKey;
+    if (!key) return {};
+    try {
+        return JSON.parse(localStorage.getItem(key)) || {};
+    } catch (err) {
+        return {};
+    }
+}
+
+function writeStoredKeymap(editor) {
+    const key = editor.options.keymapStorageKey;
+    if (!key) return;
+    try {
+        if (Object.keys(editor.keymapOverrides).length) {
+            localStorage.setItem(key, JSON.stringify(editor.keymapOverrides));
+        } else {
+            localStorage.removeItem(key);
+        }
+    } catch (err) {
+        console.warn('Keymap: could not store the changed shortcuts', err);
+    }
+}
+
+/**
+ * Give a command new shortcuts for this user (an empty array for none, null for the default) and remember them
+ */
+function setCommandShortcut(editor, command, shortcuts) {
+    if (!editor.keymap.has(command)) {
+        throw new Error(`setShortcut: unknown command "${command}"`);
+    }
+    if (shortcuts === null) {
+        delete editor.keymapOverrides[command];
+    } else {
+        const list = parseShortcutList(shortcuts, 'setShortcut');
+        list.forEach(shortcut => {
+            const conflict = getShortcutConflict(editor, command, shortcut);
+            if (conflict) throw new Error(`setShortcut: ${conflict}`);
+        });
+        editor.keymapOverrides[command] = list;
+    }
+    writeStoredKeymap(editor);
+    buildKeymap(editor);
+    updateShortcutLabels(editor);
+}
+
+/**
+ * Forget every shortcut the user changed
+ */
+function resetKeymap(editor) {
+    editor.keymapOverrides = {};
+    writeStoredKeymap(editor);
+    buildKeymap(editor);
+    updateShortcutLabels(editor);
+}
+
+/**
+ * Explain why a command cannot have a shortcut, or return null when it can
+ */
+function getShortcutConflict(editor, command, shortcut) {
+    if (RESERVED_SHORTCUTS[shortcut]) {
+        return `${formatShortcut(shortcut)} is needed for ${RESERVED_SHORTCUTS[shortcut]}`;
+    }
+    for (const [other, shortcuts] of editor.keymap) {
+        if (other !== command && shortcuts.includes(shortcut)) {
+            return `${formatShortcut(shortcut)} is already used by ${editor.plugins.get(other).label}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether the page runs on a Mac, where Mod means Cmd
+ */
+function isMacPlatform() {
+    return /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+}
+
+/**
+ * Show a shortcut such as 'Mod+Shift+Z' the way the platform writes it
+ */
+function formatShortcut(shortcut) {
+    const mac = isMacPlatform();
+    return shortcut.split('+').map(part => {
+        if (part === 'Mod') return mac ? 'Cmd' : 'Ctrl';
+        if (part === 'Alt' && mac) return 'Option';
+        return SHORTCUT_KEY_NAMES[part] || part;
+    }).join('+');
+}
+
+/**
+ * A shortcut in the aria-keyshortcuts format, for example 'Control+Shift+Z'
+ */
+function getAriaKeyShortcut(shortcut) {
+    return shortcut.split('+').map(part => part === 'Mod' ? (isMacPlatform() ? 'Meta' : 'Control') : part).join('+');
+}
+
+/**
+ * Tooltip for a command's toolbar button: its title followed by its shortcuts
+ */
+function getCommandTitle(editor, plugin) {
+    const shortcuts = editor.keymap.get(plugin.id) || [];
+    return (plugin.title || plugin.label) +
+        (shortcuts.length ? ` (${shortcuts.map(formatShortcut).join(', ')})` : '');
+}
+
+/**
+ * Regenerate the toolbar tooltips and aria-keyshortcuts after the keymap changed
+ */
+function updateShortcutLabels(editor) {
+    editor.toolbarButtons.forEach(button => {
+        const plugin = editor.plugins.get(button.getAttribute('data-command'));
+        const shortcuts = editor.keymap.get(plugin.id) || [];
+        button.title = getCommandTitle(editor, plugin);
+        if (shortcuts.length) {
+            button.setAttribute('aria-keyshortcuts', shortcuts.map(getAriaKeyShortcut).join(' '));
+        } else {
+            button.removeAttribute('aria-keyshortcuts');
+        }
+    });
+    if (editor.shortcutsDialog && !editor.shortcutsDialog.hidden) renderShortcutTable(editor);
+}
+
+/**
+ * The key of a keydown event as shortcuts write it; when Shift, Option or a
+ * non-Latin layout changed the typed character, the physical key is used
+ */
+function getEventShortcutKey(e) {
+    if (/^[a-z0-9]$/i.test(e.key) || (e.key.length > 1 && e.key !== 'Dead')) return e.key;
+    const code = /^(?:Key|Digit)(.)$/.exec(e.code || '');
+    return code ? code[1] : SHORTCUT_CODE_KEYS[e.code] || e.key;
+}
+
+/**
+ * Check whether a keydown event types a character with AltGr, which Windows reports
+ * as Ctrl+Alt: Polish AltGr+S types "ś" and German AltGr+3 "³". Such keys are text,
+ * never shortcuts.
+ */
+function isAltGraphCharacter(e) {
+    if (Array.from(e.key).length !== 1 || !e.ctrlKey || !e.altKey || e.metaKey) return false;
+    if (e.getModifierState && e.getModifierState('AltGraph')) {
+        // AltGr on a key it adds nothing to still gives the plain letter or digit
+        const code = /^(?:Key|Digit)(.)$/.exec(e.code || '');
+        return !code || code[1].toLowerCase() !== e.key.toLowerCase();
+    }
+    return /[^\x00-\x7f]/.test(e.key);
+}
+
+/**
+ * Check whether a keydown event is exactly the given shortcut; Mod accepts Ctrl or Cmd
+ */
+function matchesShortcut(e, shortcut) {
+    if (isAltGraphCharacter(e)) return false;
+    const parts = shortcut.split('+');
+    const key = parts.pop().toLowerCase();
+    return getEventShortcutKey(e).toLowerCase() === key &&
+        (e.ctrlKey || e.metaKey) === parts.includes('Mod') &&
+        e.shiftKey === parts.includes('Shift') &&
+        e.altKey === parts.includes('Alt');
+}
+
+/**
+ * The shortcut a keydown event presses, in canonical form
+ */
+function getShortcutFromEvent(e) {
+    const modifiers = [];
+    if (e.ctrlKey || e.metaKey) modifiers.push('Mod');
+    if (e.altKey) modifiers.push('Alt');
+    if (e.shiftKey) modifiers.push('Shift');
+    return normalizeShortcut(modifiers.concat(getEventShortcutKey(e)).join('+'));
+}
+
+/**
+ * The command bound to a keydown event, if any
+ */
+function getShortcutCommand(editor, e) {
+    for (const [command, shortcuts] of editor.keymap) {
+        if (shortcuts.some(shortcut => matchesShortcut(e, shortcut))) return command;
+    }
+    return null;
+}
+
+/**
+ * Run the commands bound to shortcuts pressed in the content or the toolbar
+ */
+function setupKeymap(editor) {
+    listen(editor, editor.root, 'keydown', (e) => {
+        if (e.defaultPrevented) return;
+        if (!editor.content.contains(e.target) && !editor.toolbar.contains(e.target)) return;
+        const command = getShortcutCommand(editor, e);
+        if (!command) {
+            if (editor.content.contains(e.target) && BROWSER_FORMAT_SHORTCUTS.some(shortcut => matchesShortcut(e, shortcut))) {
+                e.preventDefault();
+            }
+            return;
+        }
+        e.preventDefault();
+        executeCommand(editor, command);
+        updateToolbarActiveStates(editor);
+    });
+}
+
+/**
+ * Build the shortcut help dialog: a table of every command and its shortcuts, where each can be changed
+ */
+function setupShortcutsDialog(editor) {
+    const { id } = editor;
+    const dialog = createDialog(editor, 'shortcuts', 'Keyboard shortcuts');
+    dialog.body.innerHTML = `
+                <p id="${id}-shortcuts-help" class="shortcuts-help">To change a shortcut, press its Change button, then the new keys. Backspace removes the shortcut and Escape keeps the old one.</p>
+                <div class="shortcuts-tables"></div>
+                <p id="${id}-shortcuts-status" class="shortcuts-status" role="status" aria-live="polite" aria-atomic="true"></p>
+                <div class="editor-dialog-buttons">
+                    <button type="button" class="editor-dialog-btn shortcuts-reset">Restore default shortcuts</button>
+                    <button type="button" class="editor-dialog-btn editor-dialog-primary shortcuts-close">Close</button>
+                </div>`;
+    editor.shortcutsDialog = dialog;
+    dialog.recording = null;
+
+    const status = dialog.querySelector('.shortcuts-status');
+    const tables = dialog.querySelector('.shortcuts-tables');
+
+    listen(editor, dialog.querySelector('.shortcuts-close'), 'click', () => closeDialog(editor, dialog));
+    listen(editor, dialog.querySelector('.shortcuts-reset'), 'click', () => {
+        resetKeymap(editor);
+        renderShortcutTable(editor);
+        status.textContent = 'Default shortcuts restored';
+    });
+    listen(editor, tables, 'click', (e) => {
+        const button = e.target.closest('.shortcuts-change');
+        if (button) startShortcutRecording(editor, button);
+    });
+    // While recording, the Change button takes the next key combination
+    listen(editor, tables, 'keydown', (e) => {
+        const button = dialog.recording;
+        if (!button || e.target !== button) return;
+        if (e.key === 'Tab') {
+            stopShortcutRecording(editor, 'Shortcut not changed');
+            return;
+        }
+        if (['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock'].includes(e.key)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const command = button.getAttribute('data-command');
+        const label = editor.plugins.get(command).label;
+        const shortcut = getShortcutFromEvent(e);
+        if (e.key === 'Escape') {
+            stopShortcutRecording(editor, `${label}: shortcut not changed`);
+        } else if (e.key === 'Backspace' || e.key === 'Delete') {
+            stopShortcutRecording(editor, `${label}: no shortcut`);
+            setCommandShortcut(editor, command, []);
+            focusShortcutButton(editor, command);
+        } else if (isAltGraphCharacter(e)) {
+            status.textContent = `${e.key} is a character on this keyboard, not a shortcut. Press another combination.`;
+        } else if (!/^(?:Mod|Alt)\+/.test(shortcut) && !/^(?:Shift\+)?F\d{1,2}$/.test(shortcut)) {
+            status.textContent = `Shortcuts need ${formatShortcut('Mod')} or ${formatShortcut('Alt')}, or a function key. Press another combination.`;
+        } else if (getShortcutConflict(editor, command, shortcut)) {
+            status.textContent = `${getShortcutConflict(editor, command, shortcut)}. Press another combination.`;
+        } else {
+            stopShortcutRecording(editor, `${label}: ${formatShortcut(shortcut)}`);
+            setCommandShortcut(editor, command, [shortcut]);
+            focusShortcutButton(editor, command);
+        }
+    });
+    listen(editor, tables, 'focusout', (e) => {
+        if (dialog.recording && e.target === dialog.recording) stopShortcutRecording(editor, 'Shortcut not changed');
+    });
+    dialog.onClose = () => {
+        dialog.recording = null;
+        status.textContent = '';
+    };
+}
+
+function openShortcutsDialog(editor) {
+    renderShortcutTable(editor);
+    openDialog(editor, editor.shortcutsDialog, editor.shortcutsDialog.querySelector('.shortcuts-change'));
+}
+
+/**
+ * Render the command table, grouped like the toolbar, and the table of fixed keys
+ */
+function renderShortcutTable(editor) {
+    const dialog = editor.shortcutsDialog;
+    const groups = new Map();
+    editor.keymap.forEach((shortcuts, command) => {
+        const plugin = editor.plugins.get(command);
+        const group = plugin.group || 'Other';
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(`
+                        <tr>
+                            <th scope="row">${escapeHtml(plugin.label)}</th>
+                            <td>${shortcuts.length ? shortcuts.map(renderShortcutKeys).join(' or ') : 'None'}</td>
+                            <td><button type="button" class="editor-dialog-btn shortcuts-change" data-command="${escapeHtml(command)}" aria-label="Change shortcut for ${escapeHtml(plugin.label)}">Change</button></td>
+                        </tr>`);
+    });
+    const fixedRows = FIXED_SHORTCUTS.map(entry => `
+                        <tr>
+                            <th scope="row">${escapeHtml(entry.label)}</th>
+                            <td>${entry.keys.map(renderShortcutKeys).join(', ')}</td>
+                        </tr>`).join('');
+
+    dialog.querySelector('.shortcuts-tables').innerHTML = `
+                <table class="shortcuts-table">
+                    <caption>Commands</caption>
+                    <thead>
+                        <tr><th scope="col">Command</th><th scope="col">Shortcut</th><th scope="col"><span class="sr-only">Change</span></th></tr>
+                    </thead>${Array.from(groups, ([group, rows]) => `
+                    <tbody>
+                        <tr><th scope="rowgroup" colspan="3" class="shortcuts-group">${escapeHtml(group)}</th></tr>${rows.join('')}
+                    </tbody>`).join('')}
+                </table>
+                <table class="shortcuts-table">
+                    <caption>Other keys</caption>
+                    <thead>
+                        <tr><th scope="col">Action</th><th scope="col">Keys</th></tr>
+                    </thead>
+                    <tbody>${fixedRows}
+                    </tbody>
+                </table>`;
+    dialog.recording = null;
+}
+
+/**
+ * Shortcut markup with every key in its own kbd element
+ */
+function renderShortcutKeys(shortcut) {
+    return `<kbd>${formatShortcut(shortcut).split('+').map(key => `<kbd>${escapeHtml(key)}</kbd>`).join('+')}</kbd>`;
+}
+
+function startShortcutRecording(editor, button) {
+    const dialog = editor.shortcutsDialog;
+    const label = editor.plugins.get(button.getAttribute('data-command')).label;
+    if (dialog.recording && dialog.recording !== button) stopShortcutRecording(editor, '');
+    dialog.recording = button;
+    button.textContent = 'Press keys…';
+    button.setAttribute('aria-describedby', `${editor.id}-shortcuts-help`);
+    button.focus();
+    dialog.querySelector('.shortcuts-status').textContent = `Press the new shortcut for ${label}`;
+}
+
+/**
+ * Leave recording mode and show what happened
+ */
+function stopShortcutRecording(editor, message) {
+    const dialog = editor.shortcutsDialog;
+    const button = dialog.recording;
+    if (!button) return;
+    dialog.recording = null;
+    button.textContent = 'Change';
+    button.removeAttribute('aria-describedby');
+    dialog.querySelector('.shortcuts-status').textContent = message;
+}
+
+/**
+ * Focus a command's Change button again after the table was redrawn
+ */
+function focusShortcutButton(editor, command) {
+    const button = Array.from(editor.shortcutsDialog.querySelectorAll('.shortcuts-change'))
+        .find(btn => btn.getAttribute('data-command') === command);
+    if (button) button.focus();
+}
+
+/*
+ * Input rules
+ *
+ * Markdown typed at the start of a paragraph or around a word is converted as
+ * soon as it is complete: `## ` becomes a heading, `- ` a list, `**bold**` bold
+ * text. Each conversion is its own undo step, so Backspace right after it brings
+ * the typed Markdown back. A rule is
+ *
+ *   {
+ *     id: 'heading2',
+ *     label: 'Heading 2',          // announced after the conversion and used as the undo step name
+ *     block: true,                 // match the text from the start of a top-level paragraph
+ *     pattern: /^##[ \u00a0]$/,   // tested against the text before the caret (browsers may type a no-break space)
+ *     apply(editor, { block, range, match }) {}
+ *   }
+ *
+ * Block rules get the paragraph with the matched text already removed; inline
+ * rules get the range of the matched text to replace.
+ */
+
+const BUILT_IN_INPUT_RULES = [
+    {
+        id: 'heading2', label: 'Heading 2', block: true, pattern: /^##[ \u00a0]$/,
+        apply: (editor) => toggleHeading(editor, 'h2')
+    },
+    {
+        id: 'heading3', label: 'Heading 3', block: true, pattern: /^###[ \u00a0]$/,
+        apply: (editor) => toggleHeading(editor, 'h3')
+    },
+    {
+        id: 'bulletList', label: 'Bullet list', block: true, pattern: /^[-*][ \u00a0]$/,
+        apply: (editor) => toggleList(editor, 'ul')
+    },
+    {
+        id: 'orderedList', label: 'Numbered list', block: true, pattern: /^1[.)][ \u00a0]$/,
+        apply: (editor) => toggleList(editor, 'ol')
+    },
+    {
+        id: 'blockquote', label: 'Quote', block: true, pattern: /^>[ \u00a0]$/,
+        apply: (editor, { block }) => wrapInBlockquote(block)
+    },
+    {
+        id: 'bold', label: 'Bold', pattern: /(?<![*\\])\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/,
+        apply: (editor, context) => wrapInputRuleMatch(editor, context, 'strong')
+    },
+    {
+        id: 'italic', label: 'Italic', pattern: /(?<![*\\])\*([^*\s](?:[^*]*[^*\s])?)\*$/,
+        apply: (editor, context) => wrapInputRuleMatch(editor, context, 'em')
+    },
+    {
+        id: 'code', label: 'Code', pattern: /(?<![`\\])`([^`]+)`$/,
+        apply: (editor, context) => wrapInputRuleMatch(editor, context, 'code')
+    }
+];
+
+/**
+ * The rules chosen with the `inputRules` option: true for all built-in rules,
+ * false for none, or a list of built-in rule ids and custom rules
+ */
+function resolveInputRules(editor) {
+    const option = editor.options.inputRules;
+    if (!option) return [];
+    if (option === true) return BUILT_IN_INPUT_RULES.slice();
+    if (!Array.isArray(option)) {
+        throw new Error('createAccessibleEditor: inputRules must be true, false or an array');
+    }
+    return option.map(rule => {
+        if (typeof rule === 'string') {
+            const builtIn = BUILT_IN_INPUT_RULES.find(candidate => candidate.id === rule);
+            if (!builtIn) {
+                throw new Error(`createAccessibleEditor: unknown input rule "${rule}"`);
+            }
+            return builtIn;
+        }
+        if (!rule || typeof rule.label !== 'string' || !(rule.pattern instanceof RegExp) || typeof rule.apply !== 'function') {
+            throw new Error('createAccessibleEditor: an input rule needs a label, a pattern and an apply function');
+        }
+        return rule;
+    });
+}
+
+/**
+ * Apply input rules after typing, and undo a conversion with the Backspace that follows it
+ */
+function setupInputRules(editor) {
+    const content = editor.content;
+    editor.inputRules = resolveInputRules(editor);
+    editor.inputRuleUndo = null;
+    if (!editor.inputRules.length) return;
+
+    listen(editor, content, 'input', (e) => {
+        if (e.inputType !== 'insertText' || !e.data || e.isComposing) return;
+        applyInputRules(editor);
+    });
+    listen(editor, content, 'keydown', (e) => {
+        const pending = editor.inputRuleUndo;
+        editor.inputRuleUndo = null;
+        if (!pending || e.key !== 'Backspace' || e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) return;
+        const undoStack = editor.history.undoStack;
+        const offsets = getSelectionOffsets(editor);
+        if (undoStack[undoStack.length - 1] !== pending.entry || !offsets ||
+            offsets.start !== pending.offset || offsets.end !== pending.offset) return;
+        e.preventDefault();
+        undo(editor);
+    });
+    listen(editor, content, 'mousedown', () => {
+        editor.inputRuleUndo = null;
+    });
+}
+
+/**
+ * Run the first rule that matches the text before the caret
+ */
+function applyInputRules(editor) {
+    const range = getEditorRange(editor);
+    if (!range || !range.collapsed) return;
+    const block = getTextBlock(editor, range.startContainer);
+    // Markdown typed in code is kept as it is
+    if (!block || block.tagName === 'PRE' || closestInEditor(editor, range.startContainer, el => el.tagName === 'CODE')) return;
+    const rule = editor.inputRules.find(candidate => matchInputRule(editor, candidate, range, block));
+    if (!rule) return;
+
+    // Undo restores the caret by node path, which needs the text in as few nodes as the saved HTML
+    withPreservedSelection(editor, () => block.normalize());
+    const { match, matched } = matchInputRule(editor, rule, getEditorRange(editor), block);
+    const undoStack = editor.history.undoStack;
+    const previousEntry = undoStack[undoStack.length - 1];
+    runWithHistory(editor, rule.label.toLowerCase(), () => {
+        if (rule.block) {
+            matched.deleteContents();
+            if (isBlankNode(block)) block.replaceChildren(document.createElement('br'));
+            placeCaretAtStart(block);
+        }
+        rule.apply(editor, { block, range: matched, match });
+    });
+
+    const entry = undoStack[undoStack.length - 1];
+    const offsets = getSelectionOffsets(editor);
+    if (entry !== previousEntry && offsets) {
+        editor.inputRuleUndo = { entry, offset: offsets.end };
+    }
+    updateToolbarActiveStates(editor);
+    announce(editor, `${rule.label}. Press Backspace to undo.`);
+}
+
+/**
+ * Test a rule at the caret; returns the match and the range of the matched text, or null
+ */
+function matchInputRule(editor, rule, range, block) {
+    const matched = document.createRange();
+    let text;
+    if (rule.block) {
+        if (block.tagName !== 'P' || block.parentNode !== editor.content) return null;
+        matched.setStart(block, 0);
+        matched.setEnd(range.startContainer, range.startOffset);
+        text = matched.toString();
+    } else {
+        if (range.startContainer.nodeType !== Node.TEXT_NODE) return null;
+        text = range.startContainer.nodeValue.slice(0, range.startOffset);
+    }
+    const match = rule.pattern.exec(text);
+    if (!match) return null;
+    if (!rule.block) {
+        // Inside a code span that is still being typed, only its closing backtick converts
+        if (rule.id !== 'code' && (text.slice(0, match.index).match(/`/g) || []).length % 2) return null;
+        matched.setStart(range.startContainer, match.index);
+        matched.setEnd(range.startContainer, range.startOffset);
+    }
+    return { match, matched };
+}
+
+/**
+ * Replace the matched Markdown with its first group wrapped in tag, and type on after it unformatted
+ */
+function wrapInputRuleMatch(editor, { range, match }, tag) {
+    const el = document.createElement(tag);
+    el.textContent = match[1];
+    range.deleteContents();
+    range.insertNode(el);
+    placeCaretAfter(el);
+    const caret = getEditorRange(editor);
+    editor.pendingMarks = { container: caret.startContainer, offset: caret.startOffset, toggles: {} };
+}
+
+/**
+ * Move a block into a quote, joining the quote right before it
+ */
+function wrapInBlockquote(block) {
+    const previous = block.previousElementSibling;
+    if (previous && previous.tagName === 'BLOCKQUOTE') {
+        previous.appendChild(block);
+    } else {
+        const quote = document.createElement('blockquote');
+        block.before(quote);
+        quote.appendChild(block);
+    }
+    // Moving the block lost the caret; the Markdown was at its start
+    placeCaretAtStart(block);
+}
+
+/*
+ * Slash commands
+ *
+ * Typing "/" in an empty block opens a filterable list of the commands that
+ * insert or change blocks. Focus moves to a combobox that filters the list as
+ * the user types; Up and Down move the active option (aria-activedescendant),
+ * Enter runs it through executeCommand and Escape closes the list, keeping what
+ * was typed.
+ */
+
+// Plugins in these toolbar groups are offered unless they set `slashCommand: false`
+const SLASH_COMMAND_GROUPS = ['Blocks', 'Lists', 'Insert'];
+
+/**
+ * Build the command list and open it when "/" is typed in an empty block
+ */
+function setupSlashCommands(editor) {
+    if (!editor.options.slashCommands) return;
+    const { id } = editor;
+    const palette = document.createElement('div');
+    palette.className = 'slash-palette';
+    palette.hidden = true;
+    palette.innerHTML = `
+                <input type="text" class="slash-input" role="combobox" aria-label="Command" aria-expanded="false" aria-autocomplete="list" aria-controls="${id}-slash-list" aria-describedby="${id}-slash-help" autocomplete="off" spellcheck="false">
+                <p id="${id}-slash-help" class="sr-only">Type to filter, Up and Down to choose, Enter to run, Escape to keep the slash as text.</p>
+                <ul id="${id}-slash-list" class="slash-list" role="listbox" aria-label="Commands"></ul>
+                <p class="slash-empty" hidden>No matching commands</p>`;
+    editor.content.after(palette);
+    editor.slash = { palette, block: null, commands: [], active: 0 };
+
+    const input = palette.querySelector('.slash-input');
+    const list = palette.querySelector('.slash-list');
+
+    listen(editor, editor.content, 'input', (e) => {
+        if (e.inputType !== 'insertText' || e.data !== '/') return;
+        const range = getEditorRange(editor);
+        const block = range && range.collapsed && getTextBlock(editor, range.startContainer);
+        if (block && block.tagName !== 'PRE' && block.textContent === '/' && !block.querySelector('img')) openSlashPalette(editor, block);
+    });
+    listen(editor, input, 'input', () => {
+        const query = input.value.replace(/^\//, '');
+        // A space with nothing left to match means the slash was meant as text
+        if (/\s$/.test(query) && !filterSlashCommands(editor, query.trim()).length) {
+            closeSlashPalette(editor, 'keep');
+            return;
+        }
+        renderSlashCommands(editor);
+    });
+    listen(editor, input, 'keydown', (e) => {
+        const slash = editor.slash;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!slash.commands.length) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setSlashActiveOption(editor, (slash.active + step + slash.commands.length) % slash.commands.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (slash.commands.length) runSlashCommand(editor, slash.commands[slash.active].id);
+        } else if (e.key === 'Escape' || e.key === 'Tab') {
+            e.preventDefault();
+            closeSlashPalette(editor, 'keep');
+        } else if (e.key === 'Backspace' && input.value === '/') {
+            // Deleting the slash closes the list as if it had never been typed
+            e.preventDefault();
+            closeSlashPalette(editor, 'remove');
+        }
+    });
+    listen(editor, input, 'blur', () => {
+        if (!palette.hidden) closeSlashPalette(editor, 'keep', false);
+    });
+    // Keep focus in the combobox while an option is clicked
+    listen(editor, list, 'mousedown', (e) => e.preventDefault());
+    listen(editor, list, 'click', (e) => {
+        const option = e.target.closest('[role="option"]');
+        if (option) runSlashCommand(editor, option.getAttribute('data-command'));
+    });
+}
+
+/**
+ * Commands offered in the list: available, enabled block and insert commands
+ */
+function getSlashCommands(editor) {
+    return Array.from(editor.plugins.values()).filter(plugin => {
+        const offered = plugin.slashCommand !== undefined ? plugin.slashCommand : SLASH_COMMAND_GROUPS.includes(plugin.group);
+        return offered && !plugin.menu &&
+            (!plugin.isAvailable || plugin.isAvailable(editor)) &&
+            (!plugin.isEnabled || plugin.isEnabled(editor));
+    });
+}
+
+/**
+ * Commands whose label or id contains the query, those starting with it first
+ */
+function filterSlashCommands(editor, query) {
+    const text = query.toLowerCase();
+    const matches = getSlashCommands(editor).filter(plugin =>
+        plugin.label.toLowerCase().includes(text) || plugin.id.toLowerCase().includes(text));
+    return matches.filter(plugin => plugin.label.toLowerCase().startsWith(text))
+        .concat(matches.filter(plugin => !plugin.label.toLowerCase().startsWith(text)));
+}
+
+function openSlashPalette(editor, block) {
+    const { palette } = editor.slash;
+    const input = palette.querySelector('.slash-input');
+    editor.slash.block = block;
+    input.value = '/';
+    palette.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    renderSlashCommands(editor);
+
+    // Show the list under the block
+    const wrapperRect = palette.offsetParent ? palette.offsetParent.getBoundingClientRect() : { top: 0, left: 0 };
+    const blockRect = block.getBoundingClientRect();
+    palette.style.top = `${blockRect.bottom - wrapperRect.top + 4}px`;
+    palette.style.left = `${blockRect.left - wrapperRect.left}px`;
+
+    input.focus();
+    input.setSelectionRange(1, 1);
+}
+
+/**
+ * Close the list and return to the block: 'keep' leaves what was typed there as text,
+ * 'remove' drops the slash, 'run' leaves the block empty for a command
+ */
+function closeSlashPalette(editor, mode, focusContent = true) {
+    const slash = editor.slash;
+    const { palette, block } = slash;
+    const input = palette.querySelector('.slash-input');
+    const typed = input.value.replace(/^\//, '');
+    palette.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    slash.block = null;
+    if (!block || !editor.content.contains(block)) return;
+
+    if (focusContent) editor.content.focus();
+    if (mode === 'keep' && typed) {
+        runWithHistory(editor, 'typing', () => block.appendChild(document.createTextNode(typed)));
+        block.normalize();
+    } else if (mode !== 'keep') {
+        block.replaceChildren(document.createElement('br'));
+    }
+    if (!focusContent) return;
+    if (mode === 'keep') {
+        const range = document.createRange();
+        range.selectNodeContents(block);
+        range.collapse(false);
+        selectRange(range);
+    } else {
+        placeCaretAtStart(block);
+    }
+}
+
+/**
+ * Close the list and run the command on the now empty block, as one undo step with removing the slash
+ */
+function runSlashCommand(editor, command) {
+    const plugin = editor.plugins.get(command);
+    runWithHistory(editor, plugin.label.toLowerCase(), () => {
+        closeSlashPalette(editor, 'run');
+        executeCommand(editor, command);
+    });
+    updateToolbarActiveStates(editor);
+}
+
+/**
+ * Show the commands matching the combobox text and make the first one active
+ */
+function renderSlashCommands(editor) {
+    const slash = editor.slash;
+    const { palette } = slash;
+    const input = palette.querySelector('.slash-input');
+    const list = palette.querySelector('.slash-list');
+    slash.commands = filterSlashCommands(editor, input.value.replace(/^\//, '').trim());
+    list.innerHTML = slash.commands.map(plugin => {
+        const shortcuts = editor.keymap.get(plugin.id) || [];
+        return `
+                    <li id="${editor.id}-slash-${escapeHtml(plugin.id)}" class="slash-option" role="option" aria-selected="false" data-command="${escapeHtml(plugin.id)}">
+                        <span class="slash-label">${escapeHtml(plugin.label)}</span>${shortcuts.length ? `
+                        <span class="slash-shortcut">${escapeHtml(formatShortcut(shortcuts[0]))}</span>` : ''}
+                    </li>`;
+    }).join('');
+    list.hidden = !slash.commands.length;
+    palette.querySelector('.slash-empty').hidden = slash.commands.length > 0;
+    input.setAttribute('aria-expanded', String(slash.commands.length > 0));
+    if (slash.commands.length) {
+        setSlashActiveOption(editor, 0);
+    } else {
+        input.removeAttribute('aria-activedescendant');
+    }
+}
+
+function setSlashActiveOption(editor, index) {
+    const slash = editor.slash;
+    const options = slash.palette.querySelectorAll('.slash-option');
+    slash.active = index;
+    options.forEach((option, i) => option.setAttribute('aria-selected', String(i === index)));
+    slash.palette.querySelector('.slash-input').setAttribute('aria-activedescendant', options[index].id);
+    if (options[index].scrollIntoView) options[index].scrollIntoView({ block: 'nearest' });
+}
+
+/*
+ * Toolbar
+ *
+ * One toolbar following the APG pattern: a single tab stop that the arrow keys,
+ * Home and End move between the buttons (roving tabindex), buttons in labelled
+ * groups, and a "More" menu button holding the buttons that do not fit when the
+ * editor is narrow.
+ */
+
+/**
+ * Toolbar markup: consecutive plugins with the same group share a labelled group
+ */
+function renderToolbarGroups(editor, plugins) {
+    const groups = [];
+    plugins.forEach(plugin => {
+        const label = plugin.group || 'Other';
+        const last = groups[groups.length - 1];
+        if (last && last.label === label) {
+            last.plugins.push(plugin);
+        } else {
+            groups.push({ label, plugins: [plugin] });
+        }
+    });
+    return groups.map(group => `
+                <div class="toolbar-group" role="group" aria-label="${escapeHtml(group.label)}">${group.plugins.map(plugin => renderToolbarButton(editor, plugin)).join('')}
+                </div>`).join('');
+}
+
+/**
+ * Visible toolbar buttons in order, including buttons added after the editor was created
+ */
+function getToolbarItems(editor) {
+    return Array.from(editor.toolbar.querySelectorAll('.toolbar-btn')).filter(btn => !btn.closest('[hidden]'));
+}
+
+/**
+ * Make one toolbar button the tab stop: the given one, else the current one, else the first
+ */
+function updateToolbarTabStop(editor, target) {
+    const items = getToolbarItems(editor);
+    const stop = items.includes(target) ? target :
+        items.find(item => item.getAttribute('tabindex') === '0') || items[0];
+    editor.toolbar.querySelectorAll('.toolbar-btn').forEach(btn => {
+        btn.setAttribute('tabindex', btn === stop ? '0' : '-1');
+    });
+}
+
+function focusToolbarItem(editor, item) {
+    updateToolbarTabStop(editor, item);
+    item.focus();
+}
+
+/**
+ * Setup keyboard navigation, clicks and overflow handling for the toolbar
+ */
+function setupToolbar(editor) {
+    const toolbar = editor.toolbar;
+    updateToolbarTabStop(editor);
+
+    listen(editor, toolbar, 'keydown', (e) => {
+        if (e.target.closest('.toolbar-menu')) return;
+        const items = getToolbarItems(editor);
+        const index = items.indexOf(e.target);
+        if (index === -1) return;
+        let next;
+        switch (e.key) {
+            case 'ArrowRight':
+                next = items[(index + 1) % items.length];
+                break;
+            case 'ArrowLeft':
+                next = items[(index - 1 + items.length) % items.length];
+                break;
+            case 'Home':
+                next = items[0];
+                break;
+            case 'End':
+                next = items[items.length - 1];
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+        focusToolbarItem(editor, next);
+    });
+
+    // Focus by click or by a script also moves the tab stop
+    listen(editor, toolbar, 'focusin', (e) => {
+        if (getToolbarItems(editor).includes(e.target)) updateToolbarTabStop(editor, e.target);
+    });
+
+    listen(editor, toolbar, 'click', (e) => {
+        const button = e.target.closest('.toolbar-btn[data-command]');
+        // Menu buttons open their menu from their own listeners (see setupToolbarMenu)
+        if (!button || button.getAttribute('aria-haspopup') === 'menu') return;
+        if (!editor.plugins.has(button.getAttribute('data-command'))) return;
+        e.preventDefault();
+        runToolbarCommand(editor, button.getAttribute('data-command'));
+    });
+
+    // Buttons added later join the roving tabindex
+    const observer = new MutationObserver(() => updateToolbarTabStop(editor));
+    observer.observe(toolbar, { childList: true, subtree: true });
+    editor.observers.push(observer);
+
+    if (typeof ResizeObserver === 'function') {
+        const resizeObserver = new ResizeObserver(() => layoutToolbar(editor));
+        resizeObserver.observe(editor.root);
+        editor.observers.push(resizeObserver);
+    } else {
+        listen(editor, window, 'resize', () => layoutToolbar(editor));
+    }
+    layoutToolbar(editor);
+}
+
+/**
+ * Run a toolbar or menu command; editing commands return focus to the text
+ */
+function runToolbarCommand(editor, command) {
+    const plugin = editor.plugins.get(command);
+    executeCommand(editor, command);
+    if (plugin.undoable || plugin.focusContent) editor.content.focus();
+    updateToolbarActiveStates(editor);
+}
+
+/**
+ * Move the buttons that do not fit on one line into the More menu, last first
+ */
+function layoutToolbar(editor) {
+    const { toolbar, moreContainer } = editor;
+    const focused = toolbar.contains(document.activeElement) ? document.activeElement : null;
+    editor.toolbarButtons.forEach(button => { button.hidden = false; });
+    toolbar.querySelectorAll('.toolbar-group').forEach(group => { group.hidden = false; });
+    moreContainer.hidden = true;
+
+    if (toolbar.scrollWidth > toolbar.clientWidth) {
+        moreContainer.hidden = false;
+        for (let i = editor.toolbarButtons.length - 1; i >= 0 && toolbar.scrollWidth > toolbar.clientWidth; i--) {
+            const button = editor.toolbarButtons[i];
+            button.hidden = true;
+            const group = button.closest('.toolbar-group');
+            if (group && !group.querySelector('.toolbar-btn:not([hidden])')) group.hidden = true;
+        }
+    }
+    editor.toolbarMenus.forEach(({ menu }, button) => {
+        if (!menu.hidden && button.closest('[hidden]')) closeToolbarMenu(editor, button);
+    });
+    updateToolbarTabStop(editor);
+    // Keep focus in the toolbar when the focused button moved into the menu
+    if (focused && focused.closest('[hidden]')) {
+        focusToolbarItem(editor, moreContainer.hidden ? getToolbarItems(editor)[0] : editor.moreButton);
+    }
+}
+
+/**
+ * Setup the More menu and the menus of plugins with menu items
+ */
+function setupToolbarMenus(editor) {
+    setupToolbarMenu(editor, editor.moreButton, (menu) => fillMoreMenu(editor, menu));
+    editor.toolbarButtons.forEach(button => {
+        const plugin = editor.plugins.get(button.getAttribute('data-command'));
+        if (!plugin.menu) return;
+        setupToolbarMenu(editor, button, (menu) => {
+            plugin.menu.forEach(entry => menu.appendChild(createPluginMenuItem(editor, plugin, entry)));
+        });
+    });
+}
+
+/**
+ * Setup a menu button and its menu following the APG menu button pattern: Enter,
+ * Space or Down opens the menu on its first item, Up on its last. fillMenu(menu)
+ * adds the items each time the menu opens.
+ */
+function setupToolbarMenu(editor, button, fillMenu) {
+    const wrap = button.parentElement;
+    const menu = wrap.querySelector('.toolbar-menu');
+    editor.toolbarMenus.set(button, { menu, fill: fillMenu });
+
+    listen(editor, button, 'click', (e) => {
+        e.preventDefault();
+        if (menu.hidden) {
+            openToolbarMenu(editor, button, false);
+        } else {
+            closeToolbarMenu(editor, button);
+        }
+    });
+    listen(editor, button, 'keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            openToolbarMenu(editor, button, e.key === 'ArrowUp');
+        }
+    });
+
+    listen(editor, menu, 'keydown', (e) => {
+        const items = Array.from(menu.querySelectorAll('.toolbar-menu-item'));
+        const index = items.indexOf(document.activeElement);
+        let next;
+        switch (e.key) {
+            case 'ArrowDown':
+                next = items[(index + 1) % items.length];
+                break;
+            case 'ArrowUp':
+                next = items[(index - 1 + items.length) % items.length];
+                break;
+            case 'Home':
+                next = items[0];
+                break;
+            case 'End':
+                next = items[items.length - 1];
+                break;
+            case 'Escape':
+                e.preventDefault();
+                e.stopPropagation();
+                closeToolbarMenu(editor, button, true);
+                return;
+            case 'Tab':
+                closeToolbarMenu(editor, button);
+                return;
+            default:
+                // Typing a character moves to the next item starting with it
+                if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                    const char = e.key.toLowerCase();
+                    const ordered = items.slice(index + 1).concat(items.slice(0, index + 1));
+                    next = ordered.find(item => item.textContent.trim().toLowerCase().startsWith(char));
+                }
+                if (!next) return;
+        }
+        e.preventDefault();
+        next.focus();
+    });
+
+    listen(editor, menu, 'click', (e) => {
+        const item = e.target.closest('.toolbar-menu-item');
+        // Disabled items stay in the menu, so the arrow keys still reach them, but do nothing
+        if (!item || item.getAttribute('aria-disabled') === 'true') return;
+        // Close first, so dialogs opened by the command return focus to the menu button
+        closeToolbarMenu(editor, button, true);
+        runToolbarMenuItem(editor, item);
+    });
+
+    listen(editor, wrap, 'focusout', (e) => {
+        if (!menu.hidden && !wrap.contains(e.relatedTarget)) closeToolbarMenu(editor, button);
+    });
+}
+
+/**
+ * Menu item markup: a plugin command, or one entry of a plugin's menu
+ */
+function createToolbarMenuItem(command, label, menuItemId) {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'toolbar-menu-item';
+    item.setAttribute('role', 'menuitem');
+    item.setAttribute('tabindex', '-1');
+    item.setAttribute('data-command', command);
+    if (menuItemId) item.setAttribute('data-menu-item', menuItemId);
+    item.textContent = label;
+    return item;
+}
+
+/**
+ * Menu item for one entry of a plugin's menu; entries that cannot run now are disabled
+ */
+function createPluginMenuItem(editor, plugin, entry) {
+    const item = createToolbarMenuItem(plugin.id, entry.label, entry.id);
+    if (entry.isEnabled && !entry.isEnabled(editor)) item.setAttribute('aria-disabled', 'true');
+    return item;
+}
+
+/**
+ * Fill the More menu with the commands of the buttons that did not fit
+ */
+function fillMoreMenu(editor, menu) {
+    editor.toolbarButtons.filter(button => button.hidden).forEach(button => {
+        const plugin = editor.plugins.get(button.getAttribute('data-command'));
+        if (plugin.menu) {
+            // A menu plugin's items are listed in a group named after it
+            const group = document.createElement('div');
+            const labelId = `${editor.id}-more-${plugin.id}-label`;
+            group.setAttribute('role', 'group');
+            group.setAttribute('aria-labelledby', labelId);
+            group.innerHTML = `<div class="toolbar-menu-group-label" id="${escapeHtml(labelId)}">${escapeHtml(plugin.label)}</div>`;
+            plugin.menu.forEach(entry => group.appendChild(createPluginMenuItem(editor, plugin, entry)));
+            menu.appendChild(group);
+            return;
+        }
+        const item = createToolbarMenuItem(plugin.id, plugin.label);
+        item.title = button.title;
+        if (plugin.isActive) {
+            item.setAttribute('role', 'menuitemcheckbox');
+            item.setAttribute('aria-checked', button.getAttribute('aria-pressed') === 'true' ? 'true' : 'false');
+        }
+        if (plugin.popup) item.setAttribute('aria-haspopup', plugin.popup);
+        if (button.getAttribute('aria-disabled') === 'true') item.setAttribute('aria-disabled', 'true');
+        menu.appendChild(item);
+    });
+}
+
+function runToolbarMenuItem(editor, item) {
+    const command = item.getAttribute('data-command');
+    const menuItemId = item.getAttribute('data-menu-item');
+    if (!menuItemId) {
+        runToolbarCommand(editor, command);
+        return;
+    }
+    const entry = editor.plugins.get(command).menu.find(candidate => candidate.id === menuItemId);
+    Promise.resolve(entry.execute(editor)).catch(err => {
+        console.warn(`${entry.label} failed`, err);
+        announce(editor, `${entry.label.replace('…', '')} failed`);
+    });
+}
+
+/**
+ * Open a menu button's menu and focus its first or last item
+ */
+function openToolbarMenu(editor, button, focusLast) {
+    const { menu, fill } = editor.toolbarMenus.get(button);
+    menu.innerHTML = '';
+    fill(menu);
+    const items = menu.querySelectorAll('.toolbar-menu-item');
+    if (!items.length) return;
+    menu.hidden = false;
+    button.setAttribute('aria-expanded', 'true');
+    items[focusLast ? items.length - 1 : 0].focus();
+}
+
+function closeToolbarMenu(editor, button, focusButton) {
+    const { menu } = editor.toolbarMenus.get(button);
+    menu.hidden = true;
+    button.setAttribute('aria-expanded', 'false');
+    if (focusButton) focusToolbarItem(editor, button);
+}
+
+/**
+ * Open a menu plugin's menu, or its items in the More menu when its button did not fit
+ */
+function openPluginMenu(editor, command) {
+    const button = editor.toolbarButtons.find(btn => btn.getAttribute('data-command') === command);
+    if (!button) return;
+    if (!button.hidden) {
+        openToolbarMenu(editor, button, false);
+        return;
+    }
+    openToolbarMenu(editor, editor.moreButton, false);
+    const first = editor.moreMenu.querySelector(`.toolbar-menu-item[data-command="${command}"]`);
+    if (first) first.focus();
+}
+
+/**
+ * Run a plugin by id; undoable plugins run as one undo step
+ */
+function executeCommand(editor, command) {
+    const plugin = editor.plugins.get(command);
+    if (!plugin) {
+        throw new Error(`executeCommand: unknown command "${command}"`);
+    }
+    if (plugin.undoable) {
+        // While suggesting, the blocks a command changes are marked so it can be rejected
+        const run = editor.trackChanges && editor.trackChanges.suggesting ?
+            () => runSuggestedCommand(editor, plugin) : () => plugin.execute(editor);
+        return runWithHistory(editor, plugin.label.toLowerCase(), run);
+    }
+    return plugin.execute(editor);
+}
+
+/*
+ * Command engine
+ *
+ * Formatting is applied with DOM Range operations instead of document.execCommand,
+ * so every browser produces the same markup: <strong>, <em>, <u>, <p>, <h2>/<h3>,
+ * nested <ul>/<ol> and <a>. Commands that restructure blocks remember the selection
+ * as character offsets (see getSelectionOffsets) and restore it afterwards.
+ */
+
+// Inline formatting and the tags that represent it. The first tag is the one the
+// editor writes; the others are recognized in loaded or pasted content.
+const INLINE_MARKS = {
+    bold: ['strong', 'b'],
+    italic: ['em', 'i'],
+    underline: ['u'],
+    link: ['a']
+};
+
+// Elements that hold a line of text the caret can move through
+const TEXT_BLOCK_TAGS = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'LI', 'DIV', 'PRE', 'BLOCKQUOTE'];
+
+// Elements that start a new block when they appear in inserted HTML
+const BLOCK_TAGS = TEXT_BLOCK_TAGS.concat(['UL', 'OL', 'HR', 'TABLE']);
+
+const LIST_TAGS = ['UL', 'OL'];
+
+/**
+ * Setup keyboard and input handling that the command engine owns
+ */
+function setupCommandEngine(editor) {
+    const content = editor.content;
+    editor.pendingMarks = null;
+
+    // Registered before the history listener, which skips events handled here
+    listen(editor, content, 'beforeinput', (e) => {
+        switch (e.inputType) {
+            case 'formatBold':
+            case 'formatItalic':
+            case 'formatUnderline':
+                e.preventDefault();
+                executeCommand(editor, e.inputType.slice(6).toLowerCase());
+                updateToolbarActiveStates(editor);
+                break;
+            case 'insertParagraph':
+                e.preventDefault();
+                runWithHistory(editor, 'new paragraph', () => splitBlockAtSelection(editor));
+                break;
+            case 'insertLineBreak':
+                e.preventDefault();
+                runWithHistory(editor, 'line break', () => insertLineBreakAtSelection(editor));
+                break;
+            case 'insertText':
+                // Suggesting mode applies pending marks to suggested text itself
+                if (editor.pendingMarks && e.data && !editor.trackChanges.suggesting) {
+                    e.preventDefault();
+                    runWithHistory(editor, 'typing', () => insertTextWithPendingMarks(editor, e.data));
+                    updateToolbarActiveStates(editor);
+                }
+                break;
+        }
+    });
+
+    // Formatting toggled at a collapsed caret only applies until the caret moves
+    listen(editor, document, 'selectionchange', () => {
+        const pending = editor.pendingMarks;
+        if (!pending) return;
+        const range = getEditorRange(editor);
+        if (!range || range.startContainer !== pending.container || range.startOffset !== pending.offset) {
+            editor.pendingMarks = null;
+        }
+    });
+}
+
+/**
+ * Return the selection range if it lies inside this editor
+ */
+function getEditorRange(editor) {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return null;
+    const range = selection.getRangeAt(0);
+    return editor.content.contains(range.commonAncestorContainer) ? range : null;
+}
+
+/**
+ * Replace the document selection with range
+ */
+function selectRange(range) {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+/**
+ * Put a collapsed caret at node/offset
+ */
+function placeCaret(node, offset) {
+    const range = document.createRange();
+    range.setStart(node, offset);
+    range.collapse(true);
+    selectRange(range);
+}
+
+/**
+ * Put the caret at the start of the first text inside el (or inside el itself).
+ * Text in nested lists belongs to other items and is skipped.
+ */
+function placeCaretAtStart(el) {
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode: node => {
+            if (node.nodeType === Node.TEXT_NODE) return NodeFilter.FILTER_ACCEPT;
+            return LIST_TAGS.includes(node.tagName) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+        }
+    });
+    if (walker.nextNode()) {
+        placeCaret(walker.currentNode, 0);
+    } else {
+        placeCaret(el, 0);
+    }
+}
+
+/**
+ * Put the caret right after node
+ */
+function placeCaretAfter(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        placeCaret(node, node.nodeValue.length);
+        return;
+    }
+    const range = document.createRange();
+    range.setStartAfter(node);
+    range.collapse(true);
+    selectRange(range);
+}
+
+/**
+ * Find the closest element (starting at node) inside the editor that matches predicate
+ */
+function closestInEditor(editor, node, predicate) {
+    while (node && node !== editor.content) {
+        if (node.nodeType === Node.ELEMENT_NODE && predicate(node)) return node;
+        node = node.parentNode;
+    }
+    return null;
+}
+
+/**
+ * Return the text block (paragraph, heading, list item...) that contains node
+ */
+function getTextBlock(editor, node) {
+    return closestInEditor(editor, node, el => TEXT_BLOCK_TAGS.includes(el.tagName));
+}
+
+/**
+ * Return the closest element of a mark (bold, italic, underline, link) around node
+ */
+function getMarkElement(editor, node, mark) {
+    const tags = INLINE_MARKS[mark].map(tag => tag.toUpperCase());
+    return closestInEditor(editor, node, el => tags.includes(el.tagName));
+}
+
+/**
+ * Check whether a node or fragment has no text and no images/rules (a lone <br> counts as empty)
+ */
+function isBlankNode(node) {
+    if (node.nodeType === Node.TEXT_NODE) return !node.nodeValue;
+    return !node.textContent && !node.querySelector('img, hr, table');
+}
+
+/**
+ * Check whether a list item has no text of its own (nested lists are ignored)
+ */
+function isEmptyListItem(li) {
+    return Array.from(li.childNodes).every(child =>
+        (child.nodeType === Node.ELEMENT_NODE && LIST_TAGS.includes(child.tagName)) || isBlankNode(child));
+}
+
+/**
+ * Whitespace between blocks (source formatting) is not content
+ */
+function isFormattingWhitespace(editor, node) {
+    if (node.nodeType !== Node.TEXT_NODE || node.nodeValue.trim()) return false;
+    const parent = node.parentNode;
+    return parent === editor.content || LIST_TAGS.includes(parent.tagName) || parent.tagName === 'BLOCKQUOTE';
+}
+
+/**
+ * List every place the caret can sit — text nodes and empty blocks — with their
+ * character positions. Moving from one block to the next counts as one character,
+ * so positions survive commands that only restructure blocks.
+ */
+function getTextSlots(editor) {
+    const slots = [];
+    let position = 0;
+    let lastBlock;
+    const walker = document.createTreeWalker(editor.content, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        let length;
+        if (node.nodeType === Node.TEXT_NODE) {
+            if (isFormattingWhitespace(editor, node)) continue;
+            length = node.nodeValue.length;
+        } else if (TEXT_BLOCK_TAGS.includes(node.tagName) &&
+                   (node.tagName === 'LI' ? isEmptyListItem(node) : isBlankNode(node))) {
+            length = 0;
+        } else {
+            continue;
+        }
+        const block = node.nodeType === Node.TEXT_NODE ? getTextBlock(editor, node) : node;
+        if (slots.length && block !== lastBlock) position += 1;
+        lastBlock = block;
+        slots.push({ node, block, start: position, end: position + length });
+        position += length;
+    }
+    return slots;
+}
+
+/**
+ * Convert a range boundary point into a character position
+ */
+function pointToOffset(editor, slots, container, offset) {
+    if (container.nodeType === Node.TEXT_NODE) {
+        const slot = slots.find(s => s.node === container);
+        if (slot) return slot.start + offset;
+    }
+    const point = document.createRange();
+    point.setStart(container, offset);
+    const block = getTextBlock(editor, container);
+    for (let i = 0; i < slots.length; i++) {
+        if (point.comparePoint(slots[i].node, 0) >= 0) {
+            // Prefer a position inside the block the point belongs to
+            if (i === 0 || !block || block.contains(slots[i].node)) return slots[i].start;
+            return slots[i - 1].end;
+        }
+    }
+    return slots.length ? slots[slots.length - 1].end : 0;
+}
+
+/**
+ * Convert a character position back into a boundary point
+ */
+function offsetToPoint(editor, slots, position, preferNext) {
+    for (let i = 0; i < slots.length; i++) {
+        const slot = slots[i];
+        if (position > slot.end) continue;
+        // At the edge of two nodes, the start of a range goes into the following one
+        if (position === slot.end && preferNext && slots[i + 1] && slots[i + 1].start === position) continue;
+        const inside = Math.max(0, position - slot.start);
+        return slot.node.nodeType === Node.TEXT_NODE ? { node: slot.node, offset: inside } : { node: slot.node, offset: 0 };
+    }
+    const last = slots[slots.length - 1];
+    if (!last) return { node: editor.content, offset: editor.content.childNodes.length };
+    return last.node.nodeType === Node.TEXT_NODE ? { node: last.node, offset: last.node.nodeValue.length } : { node: last.node, offset: 0 };
+}
+
+/**
+ * Remember the selection as character positions
+ */
+function getSelectionOffsets(editor) {
+    const range = getEditorRange(editor);
+    if (!range) return null;
+    const slots = getTextSlots(editor);
+    return {
+        start: pointToOffset(editor, slots, range.startContainer, range.startOffset),
+        end: pointToOffset(editor, slots, range.endContainer, range.endOffset)
+    };
+}
+
+/**
+ * Select the characters between two positions from getSelectionOffsets
+ */
+function setSelectionOffsets(editor, offsets) {
+    if (!offsets) return;
+    const slots = getTextSlots(editor);
+    const collapsed = offsets.start === offsets.end;
+    const start = offsetToPoint(editor, slots, offsets.start, !collapsed);
+    const end = collapsed ? start : offsetToPoint(editor, slots, offsets.end, false);
+    const range = document.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset);
+    selectRange(range);
+}
+
+/**
+ * Split text nodes at the range boundaries so that whole nodes lie inside it
+ */
+function splitTextAtRange(range) {
+    let { startContainer, startOffset, endContainer, endOffset } = range;
+    if (endContainer.nodeType === Node.TEXT_NODE && endOffset > 0 && endOffset < endContainer.nodeValue.length) {
+        endContainer.splitText(endOffset);
+    }
+    if (startContainer.nodeType === Node.TEXT_NODE && startOffset > 0 && startOffset < startContainer.nodeValue.length) {
+        const second = startContainer.splitText(startOffset);
+        if (endContainer === startContainer) {
+            endContainer = second;
+            endOffset -= startOffset;
+        }
+        startContainer = second;
+        startOffset = 0;
+    }
+    range.setStart(startContainer, startOffset);
+    range.setEnd(endContainer, endOffset);
+}
+
+/**
+ * Return the text nodes that have at least one selected character
+ */
+function getTextNodesInRange(editor, range) {
+    const nodes = [];
+    const root = range.commonAncestorContainer;
+    if (root.nodeType === Node.TEXT_NODE) {
+        return range.collapsed ? [] : [root];
+    }
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (!range.intersectsNode(node) || !node.nodeValue || isFormattingWhitespace(editor, node)) continue;
+        if (node === range.startContainer && range.startOffset >= node.nodeValue.length) continue;
+        if (node === range.endContainer && range.endOffset === 0) continue;
+        nodes.push(node);
+    }
+    return nodes;
+}
+
+/**
+ * Return the largest inline nodes that lie entirely inside range (after splitTextAtRange),
+ * so wrapping them produces one element per run instead of one per text node
+ */
+function getInlineRunsInRange(editor, range) {
+    const runs = [];
+    getTextNodesInRange(editor, range).forEach(textNode => {
+        let node = textNode;
+        while (node.parentNode !== editor.content &&
+               !BLOCK_TAGS.includes(node.parentNode.tagName) &&
+               range.comparePoint(node.parentNode, 0) >= 0 &&
+               range.comparePoint(node.parentNode, node.parentNode.childNodes.length) <= 0) {
+            node = node.parentNode;
+        }
+        if (!runs.includes(node)) runs.push(node);
+    });
+    return runs;
+}
+
+/**
+ * Move node out of ancestor: ancestor is split around it and the middle part unwrapped
+ */
+function liftOutOfElement(node, ancestor) {
+    const before = document.createRange();
+    before.setStart(ancestor, 0);
+    before.setEndBefore(node);
+    const beforeContent = before.extractContents();
+
+    const after = document.createRange();
+    after.setStartAfter(node);
+    after.setEnd(ancestor, ancestor.childNodes.length);
+    const afterContent = after.extractContents();
+
+    if (!isBlankNode(beforeContent)) {
+        const clone = ancestor.cloneNode(false);
+        clone.appendChild(beforeContent);
+        ancestor.before(clone);
+    }
+    if (!isBlankNode(afterContent)) {
+        const clone = ancestor.cloneNode(false);
+        clone.appendChild(afterContent);
+        ancestor.after(clone);
+    }
+    ancestor.replaceWith(...ancestor.childNodes);
+}
+
+/**
+ * Remove empty inline marks and merge neighbouring marks of the same kind
+ */
+function normalizeInlineMarks(root) {
+    const tags = Object.values(INLINE_MARKS).flat().map(tag => tag.toUpperCase());
+    const selector = tags.join(',');
+    root.querySelectorAll(selector).forEach(el => {
+        if (!el.isConnected) return;
+        if (!el.textContent && !el.querySelector('img, br')) {
+            el.remove();
+            return;
+        }
+        let next = el.nextSibling;
+        while (next && next.nodeType === Node.ELEMENT_NODE && next.tagName === el.tagName &&
+               next.getAttribute('href') === el.getAttribute('href')) {
+            el.append(...next.childNodes);
+            next.remove();
+            next = el.nextSibling;
+        }
+    });
+    root.normalize();
+}
+
+/**
+ * Check whether a mark (bold, italic, underline, link) applies to the whole selection
+ */
+function isMarkActive(editor, mark) {
+    const range = getEditorRange(editor);
+    if (!range) return false;
+    if (range.collapsed) {
+        let active = !!getMarkElement(editor, range.startContainer, mark);
+        const pending = editor.pendingMarks;
+        if (pending && pending.toggles[mark]) active = !active;
+        return active;
+    }
+    const nodes = getTextNodesInRange(editor, range);
+    return nodes.length > 0 && nodes.every(node => getMarkElement(editor, node, mark));
+}
+
+/**
+ * Toggle bold, italic or underline on the selection. At a collapsed caret the
+ * change applies to the next typed text.
+ */
+function toggleInlineMark(editor, mark) {
+    const range = getEditorRange(editor);
+    if (!range) return;
+
+    if (range.collapsed) {
+        let pending = editor.pendingMarks;
+        if (!pending || pending.container !== range.startContainer || pending.offset !== range.startOffset) {
+            pending = editor.pendingMarks = { container: range.startContainer, offset: range.startOffset, toggles: {} };
+        }
+        pending.toggles[mark] = !pending.toggles[mark];
+        return;
+    }
+
+    const active = isMarkActive(editor, mark);
+    const offsets = getSelectionOffsets(editor);
+    const working = range.cloneRange();
+    splitTextAtRange(working);
+
+    if (active) {
+        getTextNodesInRange(editor, working).forEach(node => {
+            let el;
+            while ((el = getMarkElement(editor, node, mark))) {
+                liftOutOfElement(node, el);
+            }
+        });
+    } else {
+        getInlineRunsInRange(editor, working).forEach(node => {
+            if (getMarkElement(editor, node, mark)) return;
+            const el = document.createElement(INLINE_MARKS[mark][0]);
+            node.replaceWith(el);
+            el.appendChild(node);
+        });
+    }
+
+    normalizeInlineMarks(editor.content);
+    setSelectionOffsets(editor, offsets);
+}
+
+/**
+ * Insert typed text at the caret with the formatting toggled by toggleInlineMark
+ */
+function insertTextWithPendingMarks(editor, text) {
+    const range = getEditorRange(editor);
+    const toggles = editor.pendingMarks.toggles;
+    editor.pendingMarks = null;
+    if (!range) return;
+    range.deleteContents();
+
+    // Typing into an empty block replaces its placeholder <br>
+    const block = getTextBlock(editor, range.startContainer);
+    if (block && isBlankNode(block) && range.startContainer === block) {
+        block.querySelectorAll('br').forEach(br => br.remove());
+        range.setStart(block, 0);
+        range.collapse(true);
+    }
+
+    const marks = Object.keys(INLINE_MARKS).filter(mark => mark !== 'link');
+    const wanted = marks.filter(mark => !!getMarkElement(editor, range.startContainer, mark) !== !!toggles[mark]);
+
+    // Marks switched off: leave the outermost of them by splitting it at the caret
+    let outermost = null;
+    marks.filter(mark => !wanted.includes(mark)).forEach(mark => {
+        let el = getMarkElement(editor, range.startContainer, mark);
+        while (el) {
+            if (!outermost || el.contains(outermost)) outermost = el;
+            el = getMarkElement(editor, el.parentNode, mark);
+        }
+    });
+
+    let insertAt = range.cloneRange();
+    if (outermost) {
+        splitTextAtRange(insertAt);
+        const tail = document.createRange();
+        tail.setStart(insertAt.startContainer, insertAt.startOffset);
+        tail.setEnd(outermost, outermost.childNodes.length);
+        const tailContent = tail.extractContents();
+        if (!isBlankNode(tailContent)) {
+            const clone = outermost.cloneNode(false);
+            clone.appendChild(tailContent);
+            outermost.after(clone);
+        }
+        insertAt = document.createRange();
+        insertAt.setStartAfter(outermost);
+        insertAt.collapse(true);
+        if (isBlankNode(outermost)) outermost.remove();
+    }
+
+    const textNode = document.createTextNode(text);
+    let node = textNode;
+    wanted.forEach(mark => {
+        if (getMarkElement(editor, insertAt.startContainer, mark)) return;
+        const el = document.createElement(INLINE_MARKS[mark][0]);
+        el.appendChild(node);
+        node = el;
+    });
+    insertAt.insertNode(node);
+    placeCaret(textNode, text.length);
+}
+
+/**
+ * Wrap loose inline content sitting directly in the editor in paragraphs
+ */
+function ensureTopLevelBlocks(editor) {
+    let paragraph = null;
+    Array.from(editor.content.childNodes).forEach(node => {
+        const isBlock = node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.includes(node.tagName);
+        if (isBlock || isFormattingWhitespace(editor, node) || node.nodeType === Node.COMMENT_NODE) {
+            paragraph = null;
+            return;
+        }
+        if (!paragraph) {
+            paragraph = document.createElement('p');
+            node.before(paragraph);
+        }
+        paragraph.appendChild(node);
+    });
+}
+
+/**
+ * Run a block-level change with the selection kept by character position
+ */
+function withPreservedSelection(editor, change) {
+    const offsets = getSelectionOffsets(editor);
+    const result = change();
+    setSelectionOffsets(editor, offsets);
+    return result;
+}
+
+/**
+ * Return the text blocks touched by the selection (innermost blocks only)
+ */
+function getSelectedBlocks(editor) {
+    const range = getEditorRange(editor);
+    if (!range) return [];
+    const blocks = [];
+    getTextSlots(editor).forEach(slot => {
+        if (!slot.block || !range.intersectsNode(slot.node)) return;
+        if (!range.collapsed && slot.node.nodeType === Node.TEXT_NODE) {
+            if (slot.node === range.startContainer && range.startOffset >= slot.node.nodeValue.length && slot.end > slot.start) return;
+            if (slot.node === range.endContainer && range.endOffset === 0 && slot.end > slot.start) return;
+        }
+        if (!blocks.includes(slot.block)) blocks.push(slot.block);
+    });
+    return blocks;
+}
+
+/**
+ * Toggle a heading level on the selected blocks (back to paragraphs if they already are)
+ */
+function toggleHeading(editor, tag) {
+    if (!getEditorRange(editor)) return;
+    withPreservedSelection(editor, () => {
+        ensureTopLevelBlocks(editor);
+        editor.content.normalize();
+    });
+    withPreservedSelection(editor, () => {
+        const blocks = getSelectedBlocks(editor).filter(block => block.tagName !== 'LI');
+        if (!blocks.length) return;
+        const allHeadings = blocks.every(block => block.tagName.toLowerCase() === tag);
+        blocks.forEach(block => renameElement(block, allHeadings ? 'p' : tag));
+    });
+}
+
+/**
+ * Return 'UL' or 'OL' when the caret is inside a list item
+ */
+function getListTagAtSelection(editor) {
+    const range = getEditorRange(editor);
+    if (!range) return null;
+    const li = closestInEditor(editor, range.startContainer, el => el.tagName === 'LI');
+    return li ? li.parentNode.tagName : null;
+}
+
+/**
+ * Turn the selected blocks into a bullet or numbered list, switch the list type,
+ * or turn list items back into paragraphs when they already are that type
+ */
+function toggleList(editor, listTag) {
+    if (!getEditorRange(editor)) return;
+    withPreservedSelection(editor, () => ensureTopLevelBlocks(editor));
+    withPreservedSelection(editor, () => {
+        const blocks = getSelectedBlocks(editor);
+        if (!blocks.length) return;
+        const items = blocks.filter(block => block.tagName === 'LI');
+        const upperTag = listTag.toUpperCase();
+
+        if (items.length === blocks.length && items.every(li => li.parentNode.tagName === upperTag)) {
+            items.forEach(li => {
+                let current = li;
+                while (current.tagName === 'LI') current = outdentListItem(current);
+            });
+            return;
+        }
+
+        new Set(items.map(li => li.parentNode)).forEach(list => {
+            if (list.tagName !== upperTag) renameElement(list, listTag);
+        });
+
+        blocks.filter(block => block.tagName !== 'LI').forEach(block => {
+            const li = document.createElement('li');
+            li.append(...block.childNodes);
+            if (isBlankNode(li)) li.replaceChildren(document.createElement('br'));
+            const previous = block.previousElementSibling;
+            if (previous && previous.tagName === upperTag) {
+                previous.appendChild(li);
+            } else {
+                const list = document.createElement(listTag);
+                block.before(list);
+                list.appendChild(li);
+            }
+            block.remove();
+        });
+
+        mergeAdjacentLists(editor.content);
+    });
+}
+
+/**
+ * Merge lists of the same type that directly follow each other
+ */
+function mergeAdjacentLists(root) {
+    root.querySelectorAll('ul, ol').forEach(list => {
+        if (!list.isConnected) return;
+        let next = list.nextSibling;
+        while (next && next.nodeType === Node.TEXT_NODE && !next.nodeValue.trim()) next = next.nextSibling;
+        if (next && next.nodeType === Node.ELEMENT_NODE && next.tagName === list.tagName) {
+            list.append(...next.childNodes);
+            next.remove();
+        }
+    });
+}
+
+/**
+ * Return the selected list items, leaving out items nested inside other selected items
+ */
+function getSelectedListItems(editor) {
+    const items = getSelectedBlocks(editor).filter(block => block.tagName === 'LI');
+    return items.filter(li => !items.some(other => other !== li && other.contains(li)));
+}
+
+/**
+ * Nest a list item inside the sublist of the item before it
+ */
+function indentListItem(li) {
+    const previous = li.previousElementSibling;
+    if (!previous || previous.tagName !== 'LI') return false;
+    let sublist = previous.lastElementChild;
+    if (!sublist || !LIST_TAGS.includes(sublist.tagName)) {
+        sublist = document.createElement(li.parentNode.tagName.toLowerCase());
+        previous.appendChild(sublist);
+    }
+    sublist.appendChild(li);
+    return true;
+}
+
+/**
+ * Move a list item one level up. At the top level it becomes a paragraph.
+ * Returns the element now holding the item's text.
+ */
+function outdentListItem(li) {
+    const list = li.parentNode;
+
+    // Items after this one stay below it, as its own sublist
+    const following = [];
+    for (let next = li.nextSibling; next; next = next.nextSibling) following.push(next);
+    if (following.some(node => node.nodeType === Node.ELEMENT_NODE)) {
+        let sublist = li.lastElementChild;
+        if (!sublist || sublist.tagName !== list.tagName) {
+            sublist = document.createElement(list.tagName.toLowerCase());
+            li.appendChild(sublist);
+        }
+        sublist.append(...following);
+    }
+
+    const parentItem = list.parentNode.tagName === 'LI' ? list.parentNode : null;
+    if (parentItem) {
+        parentItem.after(li);
+        if (!list.children.length) list.remove();
+        return li;
+    }
+
+    // Top level: the text becomes a paragraph and nested lists follow it
+    const paragraph = document.createElement('p');
+    const nested = Array.from(li.children).filter(child => LIST_TAGS.includes(child.tagName));
+    nested.forEach(child => child.remove());
+    paragraph.append(...li.childNodes);
+    if (isBlankNode(paragraph)) paragraph.replaceChildren(document.createElement('br'));
+    list.after(paragraph);
+    paragraph.after(...nested);
+    li.remove();
+    if (!list.children.length) list.remove();
+    return paragraph;
+}
+
+/**
+ * Indent the selected list items
+ */
+function indentListItems(editor) {
+    const items = getSelectedListItems(editor);
+    if (!items.length) {
+        announce(editor, 'Indent applies to list items');
+        return;
+    }
+    withPreservedSelection(editor, () => {
+        items.forEach(indentListItem);
+        mergeAdjacentLists(editor.content);
+    });
+}
+
+/**
+ * Outdent the selected list items
+ */
+function outdentListItems(editor) {
+    const items = getSelectedListItems(editor);
+    if (!items.length) {
+        announce(editor, 'Outdent applies to list items');
+        return;
+    }
+    withPreservedSelection(editor, () => {
+        items.forEach(outdentListItem);
+        mergeAdjacentLists(editor.content);
+    });
+}
+
+/**
+ * Wrap the selected text in a link, replacing links already inside it
+ */
+function linkSelection(editor, href, newTab = false) {
+    const range = getEditorRange(editor);
+    if (!range || range.collapsed) return;
+    const offsets = getSelectionOffsets(editor);
+    const working = range.cloneRange();
+    splitTextAtRange(working);
+
+    getTextNodesInRange(editor, working).forEach(node => {
+        let link;
+        while ((link = getMarkElement(editor, node, 'link'))) liftOutOfElement(node, link);
+    });
+    getInlineRunsInRange(editor, working).forEach(node => {
+        const link = document.createElement('a');
+        setLinkAttributes(link, href, newTab);
+        node.replaceWith(link);
+        link.appendChild(node);
+    });
+
+    normalizeInlineMarks(editor.content);
+    setSelectionOffsets(editor, offsets);
+}
+
+/**
+ * Delete the selected content, joining the first and last block like typing would
+ */
+function deleteSelectionContents(editor, range) {
+    if (range.collapsed) return;
+    const startBlock = getTextBlock(editor, range.startContainer);
+    const endBlock = getTextBlock(editor, range.endContainer);
+    range.deleteContents();
+    if (startBlock && endBlock && startBlock !== endBlock && startBlock.isConnected && endBlock.isConnected &&
+        !endBlock.contains(startBlock) && !startBlock.contains(endBlock)) {
+        const caret = range.cloneRange();
+        startBlock.append(...endBlock.childNodes);
+        endBlock.remove();
+        selectRange(caret);
+    }
+}
+
+/**
+ * Convert plain text to HTML: one line stays inline, several lines become paragraphs
+ */
+function plainTextToHtml(text) {
+    const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+    if (lines.length === 1) return escapeHtml(lines[0]);
+    return lines.map(line => '<p>' + (escapeHtml(line) || '<br>') + '</p>').join('');
+}
+
+/**
+ * Insert an HTML fragment at the selection. Block content splits the current block.
+ */
+function insertHtmlAtSelection(editor, html) {
+    let range = getEditorRange(editor);
+    if (!range) {
+        placeCaret(editor.content, editor.content.childNodes.length);
+        range = getEditorRange(editor);
+    }
+    deleteSelectionContents(editor, range);
+    range = getEditorRange(editor);
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const fragment = template.content;
+    const nodes = Array.from(fragment.childNodes);
+    if (!nodes.length) return;
+    const hasBlocks = nodes.some(node => node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.includes(node.tagName));
+
+    // Blocks pasted into a table cell become lines of the cell
+    if (hasBlocks && getTableCell(editor, range.startContainer)) {
+        const inline = flattenBlocksToInline(htmlToDocument(html).content);
+        if (inline.length) insertHtmlAtSelection(editor, renderInlineHtml(inline));
+        return;
+    }
+
+    if (!hasBlocks) {
+        const last = fragment.lastChild;
+        range.insertNode(fragment);
+        placeCaretAfter(last);
+        editor.content.normalize();
+        return;
+    }
+
+    // Inline runs between blocks become paragraphs
+    let paragraph = null;
+    nodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.includes(node.tagName)) {
+            paragraph = null;
+            return;
+        }
+        if (node.nodeType === Node.TEXT_NODE && !node.nodeValue.trim()) {
+            node.remove();
+            return;
+        }
+        if (!paragraph) {
+            paragraph = document.createElement('p');
+            node.before(paragraph);
+        }
+        paragraph.appendChild(node);
+    });
+    const blocks = Array.from(fragment.childNodes);
+    const lastBlock = blocks[blocks.length - 1];
+
+    // Split the top-level block at the caret and put the new blocks in between
+    let topBlock = range.startContainer;
+    while (topBlock && topBlock.parentNode !== editor.content) topBlock = topBlock.parentNode;
+    if (!topBlock || topBlock.nodeType !== Node.ELEMENT_NODE) {
+        range.insertNode(fragment);
+    } else {
+        const tail = document.createRange();
+        tail.setStart(range.startContainer, range.startOffset);
+        tail.setEnd(topBlock, topBlock.childNodes.length);
+        const rest = topBlock.cloneNode(false);
+        rest.appendChild(tail.extractContents());
+        topBlock.after(fragment, rest);
+        [topBlock, rest].forEach(part => {
+            if (LIST_TAGS.includes(part.tagName)) {
+                Array.from(part.children).forEach(li => { if (isEmptyListItem(li)) li.remove(); });
+            }
+            if (isBlankNode(part)) part.remove();
+        });
+    }
+
+    const walker = document.createTreeWalker(lastBlock, NodeFilter.SHOW_TEXT);
+    let lastText = null;
+    while (walker.nextNode()) lastText = walker.currentNode;
+    if (lastText) placeCaret(lastText, lastText.nodeValue.length); else placeCaret(lastBlock, lastBlock.childNodes.length);
+}
+
+/**
+ * Enter: split the current block at the caret. Enter in an empty list item leaves the list.
+ */
+function splitBlockAtSelection(editor) {
+    let range = getEditorRange(editor);
+    if (!range) return;
+    deleteSelectionContents(editor, range);
+    range = getEditorRange(editor);
+
+    // A table cell holds one paragraph, so Enter starts a new line in it
+    if (getTableCell(editor, range.startContainer)) {
+        insertLineBreakAtSelection(editor);
+        return;
+    }
+
+    let block = getTextBlock(editor, range.startContainer);
+    if (!block) {
+        withPreservedSelection(editor, () => ensureTopLevelBlocks(editor));
+        range = getEditorRange(editor);
+        block = getTextBlock(editor, range.startContainer);
+        if (!block) return;
+    }
+
+    if (block.tagName === 'PRE') {
+        const newline = document.createTextNode('\n');
+        range.insertNode(newline);
+        placeCaretAfter(newline);
+        return;
+    }
+
+    if (block.tagName === 'LI' && isEmptyListItem(block)) {
+        placeCaretAtStart(outdentListItem(block));
+        return;
+    }
+
+    // Enter on an empty line of a quote leaves the quote
+    if (block.parentNode.tagName === 'BLOCKQUOTE' && isBlankNode(block)) {
+        const quote = block.parentNode;
+        if (block.nextSibling) {
+            const rest = quote.cloneNode(false);
+            while (block.nextSibling) rest.appendChild(block.nextSibling);
+            quote.after(rest);
+        }
+        quote.after(block);
+        if (isBlankNode(quote)) quote.remove();
+        placeCaretAtStart(block);
+        return;
+    }
+
+    const tail = document.createRange();
+    tail.setStart(range.startContainer, range.startOffset);
+    tail.setEnd(block, block.childNodes.length);
+    let rest = block.cloneNode(false);
+    rest.appendChild(tail.extractContents());
+
+    // A new line after a heading is a paragraph
+    if (/^H[1-6]$/.test(block.tagName) && isBlankNode(rest)) {
+        rest = document.createElement('p');
+    }
+    block.after(rest);
+
+    [block, rest].forEach(part => {
+        if (part.tagName === 'LI' ? isEmptyListItem(part) : isBlankNode(part)) {
+            Array.from(part.childNodes).forEach(child => {
+                if (!(child.nodeType === Node.ELEMENT_NODE && LIST_TAGS.includes(child.tagName))) child.remove();
+            });
+            part.prepend(document.createElement('br'));
+        }
+    });
+    placeCaretAtStart(rest);
+}
+
+/**
+ * Shift+Enter: insert a line break inside the current block
+ */
+function insertLineBreakAtSelection(editor) {
+    const range = getEditorRange(editor);
+    if (!range) return;
+    deleteSelectionContents(editor, range);
+    const caret = getEditorRange(editor);
+    const br = document.createElement('br');
+    caret.insertNode(br);
+
+    // A trailing <br> is not rendered as a new line unless another one follows it
+    const block = getTextBlock(editor, br) || getTableCell(editor, br) || editor.content;
+    const after = document.createRange();
+    after.setStartAfter(br);
+    after.setEnd(block, block.childNodes.length);
+    if (!after.toString() && !after.cloneContents().querySelector('br, img')) {
+        br.after(document.createElement('br'));
+    }
+    placeCaretAfter(br);
+}
+
+/**
+ * Setup editor content area
+ */
+function setupEditorContent(editor) {
+    const content = editor.content;
+    const updateActiveStates = () => updateToolbarActiveStates(editor);
+
+    // Update toolbar active states on selection change
+    listen(editor, content, 'mouseup', updateActiveStates);
+    listen(editor, content, 'keyup', updateActiveStates);
+    listen(editor, content, 'focus', updateActiveStates);
+
+    // Handle Tab key to move focus out
+    listen(editor, content, 'keydown', (e) => {
+        if (e.key === 'Tab') {
+            return; // Let tab move focus out
+        }
+
+        // Ctrl/Cmd+Shift+V: the paste event that follows keeps only the plain text
+        if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'v') {
+            editor.pasteAsPlainText = true;
+            setTimeout(() => { editor.pasteAsPlainText = false; }, 100);
+        }
+
+        // Update toolbar active states on formatting shortcuts
+        if (e.ctrlKey || e.metaKey) {
+            setTimeout(updateActiveStates, 10);
+        }
+    });
+
+    // Handle paste — auto-detect and linkify URLs
+    listen(editor, content, 'paste', (e) => {
+        e.preventDefault();
+
+        const clipboard = (e.clipboardData || window.clipboardData);
+        const text = clipboard.getData('text/plain');
+        const html = clipboard.getData('text/html');
+
+        // Screenshots and copied image files ask for alt text before they are inserted;
+        // while suggesting, the image dialog records the image as a suggestion
+        const imageFile = html || editor.pasteAsPlainText ? null : getImageFile(clipboard);
+        if (imageFile) {
+            openImageDialog(editor, { file: imageFile });
+            return;
+        }
+
+        // Suggested insertions are plain text
+        if (editor.trackChanges.suggesting) {
+            pasteSuggestion(editor, 'paste', editor.pasteAsPlainText ? '' : html, text);
+            editor.pasteAsPlainText = false;
+            return;
+        }
+
+        if (editor.pasteAsPlainText) {
+            editor.pasteAsPlainText = false;
+            runWithHistory(editor, 'paste as plain text', () => {
+                insertHtmlAtSelection(editor, plainTextToHtml(text));
+            });
+        } else {
+            runWithHistory(editor, 'paste', () => insertPastedContent(editor, html, text));
+        }
+
+        // Log content after paste
+        logEditorContent(editor);
+    });
+
+    // Clear placeholder text on first input
+    listen(editor, content, 'input', function clearPlaceholder() {
+        const firstP = content.querySelector('p');
+        if (firstP && firstP.textContent === 'Start typing here...') {
+            firstP.textContent = '';
+        }
+    }, { once: true });
+
+    // Log editor content live on input and schedule an autosave
+    listen(editor, content, 'input', () => {
+        logEditorContent(editor);
+        scheduleAutosave(editor);
+    });
+}
+
+/**
+ * Insert clipboard content at the caret — auto-detect and linkify URLs
+ */
+function insertPastedContent(editor, html, text) {
+    if (html) {
+        // If rich HTML is available (e.g., copying from a webpage or Word), keep its structure
+        // in the editor's vocabulary. Both steps parse it inertly and keep only the body fragment.
+        const cleanHtml = sanitizeForEditor(editor, normalizePastedHtml(html), 'paste');
+        insertHtmlAtSelection(editor, cleanHtml);
+    } else if (isValidUrl(text)) {
+        // If plain text is a URL, create a clickable link but keep the original text as link text
+        const finalUrl = addProtocolIfMissing(text);
+        const link = `<a href="${escapeHtml(finalUrl)}">${escapeHtml(text)}</a>`;
+        insertHtmlAtSelection(editor, sanitizeForEditor(editor, link, 'paste'));
+    } else {
+        // Normal paste if not a URL
+        insertHtmlAtSelection(editor, plainTextToHtml(text));
+    }
+}
+
+/**
+ * Check if a string is a valid URL
+ */
+function isValidUrl(text) {
+    try {
+        const url = new URL(addProtocolIfMissing(text));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Ensure URLs have https:// if missing
+ */
+function addProtocolIfMissing(url) {
+    if (!/^https?:\/\//i.test(url)) {
+        return 'https://' + url;
+    }
+    return url;
+}
+
+/**
+ * Log the HTML content (simulate DB save)
+ */
+function logEditorContent(editor) {
+    const html = editor.content.innerHTML.trim();
+    console.clear();
+    console.log('📝 Editor HTML output (to save in DB):');
+    console.log(html);
+}
+
+/**
+ * Update toolbar button active states based on current selection
+ */
+function updateToolbarActiveStates(editor) {
+    if (editor.destroyed) return;
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return;
+    // Ignore selections that belong to another editor on the page
+    if (!editor.content.contains(selection.anchorNode)) return;
+
+    // Only toggle plugins (those with isActive) report a pressed state
+    editor.toolbarButtons.forEach(button => {
+        const plugin = editor.plugins.get(button.getAttribute('data-command'));
+        if (!plugin.isActive) return;
+        const isActive = Boolean(plugin.isActive(editor));
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', String(isActive));
+    });
+}
+
+/**
+ * Check if a heading level is active
+ */
+function isHeadingActive(editor, tag) {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return false;
+
+    let element = selection.anchorNode;
+    while (element && element !== editor.content) {
+        if (element.nodeType === Node.ELEMENT_NODE &&
+            element.tagName.toLowerCase() === tag) {
+            return true;
+        }
+        element = element.parentNode;
+    }
+    return false;
+}
+
+/**
+ * Save current selection
+ */
+function saveSelection(editor) {
+    const selection = window.getSelection();
+    if (selection.rangeCount > 0) {
+        editor.savedSelection = selection.getRangeAt(0);
+    }
+}
+
+/**
+ * Restore saved selection
+ */
+function restoreSelection(editor) {
+    const selection = window.getSelection();
+    if (editor.savedSelection) {
+        selection.removeAllRanges();
+        selection.addRange(editor.savedSelection);
+    }
+}
+
+/*
+ * Link dialog
+ *
+ * Inserts, edits and removes links. Opened with the caret in a link, it edits
+ * that link. The address can be a web page, an email address, a phone number
+ * or one of the document's headings.
+ */
+
+// Bare email addresses and phone numbers become mailto: and tel: links
+const LINK_EMAIL_PATTERN = /^[^\s@<>()]+@[^\s@<>()]+\.[^\s@<>()]+$/;
+const LINK_PHONE_PATTERN = /^\+?[\d\s()-]+$/;
+// Web addresses typed without a scheme, such as example.com/page or localhost:8080
+const LINK_BARE_HOST_PATTERN = /^(localhost|[^\s/?#.:@]+(\.[^\s/?#.:@]+)+)(:\d+)?([/?#]\S*)?$/i;
+
+function setupLinkDialog(editor) {
+    const { id } = editor;
+    const dialog = createDialog(editor, 'link', 'Insert link');
+    dialog.body.innerHTML = `
+                <form class="link-form" novalidate>
+                    <div class="link-field">
+                        <label for="${id}-link-text">Link text</label>
+                        <input type="text" id="${id}-link-text" class="link-text-input" aria-describedby="${id}-link-text-hint" autocomplete="off">
+                        <p id="${id}-link-text-hint" class="link-hint">Leave empty to show the address.</p>
+                    </div>
+                    <div class="link-field">
+                        <label for="${id}-link-url">URL</label>
+                        <input type="text" id="${id}-link-url" class="link-url-input" aria-describedby="${id}-link-url-error ${id}-link-url-hint" autocomplete="off" spellcheck="false">
+                        <p id="${id}-link-url-error" class="link-error" hidden></p>
+                        <p id="${id}-link-url-hint" class="link-hint">A web address, an email address, a phone number, or # and a heading.</p>
+                    </div>
+                    <div class="link-field link-heading-field">
+                        <label for="${id}-link-heading">Or link to a heading</label>
+                        <select id="${id}-link-heading" class="link-heading-select"></select>
+                    </div>
+                    <label class="link-new-tab"><input type="checkbox" class="link-new-tab-check"> Open in new tab</label>
+                    <div class="editor-dialog-buttons">
+                        <button type="button" class="editor-dialog-btn editor-dialog-danger link-remove">Remove link</button>
+                        <button type="button" class="editor-dialog-btn link-cancel">Cancel</button>
+                        <button type="submit" class="editor-dialog-btn editor-dialog-primary link-submit">Insert</button>
+                    </div>
+                </form>`;
+    editor.linkDialog = dialog;
+
+    const urlInput = dialog.querySelector('.link-url-input');
+    const headingSelect = dialog.querySelector('.link-heading-select');
+    listen(editor, urlInput, 'input', () => {
+        setLinkError(dialog, '');
+        const match = Array.from(headingSelect.options).find(option => option.value && option.value === urlInput.value.trim());
+        headingSelect.value = match ? match.value : '';
+    });
+    listen(editor, headingSelect, 'change', () => {
+        if (!headingSelect.value) return;
+        urlInput.value = headingSelect.value;
+        setLinkError(dialog, '');
+        const textInput = dialog.querySelector('.link-text-input');
+        if (!textInput.value.trim()) textInput.value = headingSelect.selectedOptions[0].textContent;
+    });
+    listen(editor, dialog.querySelector('.link-remove'), 'click', () => removeLink(editor));
+    listen(editor, dialog.querySelector('.link-cancel'), 'click', () => closeDialog(editor, dialog));
+    listen(editor, dialog.querySelector('.link-form'), 'submit', (e) => {
+        e.preventDefault();
+        applyLink(editor);
+    });
+}
+
+/**
+ * Open the link dialog, prefilled from the link at the caret when there is one
+ */
+function openLinkDialog(editor) {
+    const dialog = editor.linkDialog;
+    saveSelection(editor);
+    const range = getEditorRange(editor);
+    const link = range ? getMarkElement(editor, range.startContainer, 'link') : null;
+    // Only a selection within one link edits it; a wider one links the whole selection
+    dialog.link = link && link.contains(range.endContainer) ? link : null;
+    dialog.originalText = dialog.link ? dialog.link.textContent : range ? range.toString() : '';
+
+    dialog.querySelector('h2').textContent = dialog.link ? 'Edit link' : 'Insert link';
+    dialog.querySelector('.link-submit').textContent = dialog.link ? 'Save' : 'Insert';
+    dialog.querySelector('.link-remove').hidden = !dialog.link;
+    dialog.querySelector('.link-text-input').value = dialog.originalText.replace(/\s+/g, ' ').trim();
+    const urlInput = dialog.querySelector('.link-url-input');
+    urlInput.value = dialog.link ? dialog.link.getAttribute('href') || '' : '';
+    dialog.querySelector('.link-new-tab-check').checked = !!dialog.link && dialog.link.getAttribute('target') === '_blank';
+    setLinkError(dialog, '');
+
+    const headings = getDocumentHeadings(getEditorDocument(editor, 'link'));
+    const headingSelect = dialog.querySelector('.link-heading-select');
+    headingSelect.innerHTML = '<option value="">Choose a heading</option>' + headings.map(heading =>
+        `<option value="#${escapeHtml(heading.slug)}">${escapeHtml(heading.text)}</option>`).join('');
+    headingSelect.value = headings.some(heading => '#' + heading.slug === urlInput.value) ? urlInput.value : '';
+    dialog.querySelector('.link-heading-field').hidden = !headings.length;
+
+    openDialog(editor, dialog, urlInput);
+    // Closing returns to the editor selection, even when the toolbar button opened the dialog
+    dialog.returnFocus = editor.content;
+    urlInput.select();
+}
+
+/**
+ * Show an error below the URL field, or clear it when message is empty
+ */
+function setLinkError(dialog, message) {
+    const urlInput = dialog.querySelector('.link-url-input');
+    const error = dialog.querySelector('.link-error');
+    error.textContent = message;
+    error.hidden = !message;
+    if (message) {
+        urlInput.setAttribute('aria-invalid', 'true');
+    } else {
+        urlInput.removeAttribute('aria-invalid');
+    }
+}
+
+/**
+ * Turn what was typed in the URL field into an href. Returns { href, text }, where
+ * text is shown when the link text is left empty, or { error }.
+ */
+function resolveLinkAddress(editor, value) {
+    const address = value.trim();
+    if (!address) return { error: 'Enter the address the link goes to.' };
+
+    if (address.startsWith('#')) {
+        const heading = getDocumentHeadings(getEditorDocument(editor, 'link')).find(h => '#' + h.slug === address);
+        return heading ? { href: address, text: heading.text } :
+            { error: `No heading in this document has the anchor ${address}. Choose a heading from the list.` };
+    }
+    if (LINK_EMAIL_PATTERN.test(address)) return { href: 'mailto:' + address, text: address };
+    if (LINK_PHONE_PATTERN.test(address) && address.replace(/\D/g, '').length >= 7) {
+        return { href: 'tel:' + address.replace(/\s/g, ''), text: address };
+    }
+    if (LINK_BARE_HOST_PATTERN.test(address)) return { href: 'https://' + address, text: address };
+
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(address);
+    if (!scheme) return { error: 'Enter a full address such as https://example.com, name@example.com or #heading.' };
+    const rest = address.slice(scheme[0].length);
+    switch (scheme[1].toLowerCase()) {
+        case 'http':
+        case 'https': {
+            let url = null;
+            try {
+                url = new URL(address);
+            } catch {
+                // Reported below
+            }
+            return url && url.hostname ? { href: address, text: address } :
+                { error: `“${address}” is not a valid web address. Check it for typing mistakes.` };
+        }
+        case 'mailto': {
+            const email = rest.split('?')[0];
+            return LINK_EMAIL_PATTERN.test(email) ? { href: address, text: email } :
+                { error: 'Enter an email address after mailto:, such as mailto:name@example.com.' };
+        }
+        case 'tel':
+            return LINK_PHONE_PATTERN.test(rest) && /\d{3}/.test(rest.replace(/\D/g, '')) ? { href: 'tel:' + rest.replace(/\s/g, ''), text: rest } :
+                { error: 'Enter a phone number after tel:, such as tel:+15551234567.' };
+    }
+    return isSafeUrl(address, editor.sanitizerConfig.allowedSchemes) ? { href: address, text: address } :
+        { error: `Links cannot use ${scheme[1]}: addresses.` };
+}
+
+/**
+ * Insert the link described by the dialog, or update the link it was opened on
+ */
+function applyLink(editor) {
+    const dialog = editor.linkDialog;
+    const urlInput = dialog.querySelector('.link-url-input');
+    const address = resolveLinkAddress(editor, urlInput.value);
+    if (address.error) {
+        setLinkError(dialog, address.error);
+        urlInput.focus();
+        return;
+    }
+    const typedText = dialog.querySelector('.link-text-input').value.replace(/\s+/g, ' ').trim();
+    const text = typedText || address.text;
+    const newTab = dialog.querySelector('.link-new-tab-check').checked;
+    const link = dialog.link;
+    // Keep the formatting of the selected text unless different text was typed
+    const keepText = typedText === dialog.originalText.replace(/\s+/g, ' ').trim();
+
+    closeDialog(editor, dialog);
+    restoreSelection(editor);
+    runWithHistory(editor, link ? 'edit link' : 'link', () => runSuggestedChange(editor, link ? 'Edit link' : 'Link', () => {
+        if (link && editor.content.contains(link)) {
+            setLinkAttributes(link, address.href, newTab);
+            if (!keepText) link.textContent = text;
+            placeCaretAfter(link);
+        } else if (keepText && typedText) {
+            linkSelection(editor, address.href, newTab);
+        } else {
+            // The sanitizer adds rel="noopener" to new-tab links
+            const html = `<a href="${escapeHtml(address.href)}"${newTab ? ' target="_blank"' : ''}>${escapeHtml(text)}</a>`;
+            insertHtmlAtSelection(editor, sanitizeForEditor(editor, html, 'link'));
+        }
+    }));
+    announce(editor, link ? 'Link updated' : 'Link inserted');
+    updateToolbarActiveStates(editor);
+}
+
+/**
+ * Set a link's address and whether it opens a new tab
+ */
+function setLinkAttributes(link, href, newTab) {
+    link.setAttribute('href', href);
+    if (newTab) {
+        link.setAttribute('target', '_blank');
+        link.setAttribute('rel', 'noopener');
+    } else {
+        link.removeAttribute('target');
+        link.removeAttribute('rel');
+    }
+}
+
+/**
+ * Remove the link the dialog was opened on, keeping its text selected
+ */
+function removeLink(editor) {
+    const dialog = editor.linkDialog;
+    const link = dialog.link;
+    closeDialog(editor, dialog);
+    if (!link || !editor.content.contains(link)) return;
+
+    runWithHistory(editor, 'remove link', () => runSuggestedChange(editor, 'Remove link', () => {
+        const range = document.createRange();
+        range.selectNodeContents(link);
+        selectRange(range);
+        const offsets = getSelectionOffsets(editor);
+        link.replaceWith(...link.childNodes);
+        normalizeInlineMarks(editor.content);
+        setSelectionOffsets(editor, offsets);
+    }));
+    announce(editor, 'Link removed');
+    updateToolbarActiveStates(editor);
+}
+
+/*
+ * Images
+ *
+ * The image dialog inserts an image from a file or a URL and will not insert it
+ * without alt text, unless the image is marked as decorative (alt=""). Pasted
+ * and dropped image files open the same dialog. With an image selected, the
+ * dialog edits its alt text instead.
+ */
+
+// Image files that can be inserted; the same formats the sanitizer accepts as data URLs
+const IMAGE_FILE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/bmp'];
+
+// Alt text that is only a file name says nothing about the image
+const IMAGE_FILE_NAME_PATTERN = /^\S+\.(png|jpe?g|gif|webp|avif|bmp|svg)$/i;
+
+// Image files larger than this (bytes) should be uploaded rather than embedded as data URLs
+const LARGE_INLINE_IMAGE_SIZE = 1024 * 1024;
+
+// Data URLs at least this long are kept once, outside undo steps and autosave
+// snapshots, which show them as src="editor-image:<key>"
+const IMAGE_PAYLOAD_MIN_LENGTH = 4096;
+const IMAGE_PAYLOAD_PREFIX = 'editor-image:';
+
+function setupImages(editor) {
+    const { id, content } = editor;
+    const dialog = createDialog(editor, 'image', 'Insert image');
+    dialog.body.innerHTML = `
+                <form class="image-form" novalidate>
+                    <fieldset class="image-source">
+                        <legend>Image</legend>
+                        <div class="image-field">
+                            <label for="${id}-image-file">File</label>
+                            <input type="file" id="${id}-image-file" class="image-file-input" accept="${IMAGE_FILE_TYPES.join(',')}" aria-describedby="${id}-image-source-error">
+                            <p class="image-file-name" hidden></p>
+                        </div>
+                        <div class="image-field">
+                            <label for="${id}-image-url">Or URL</label>
+                            <input type="text" id="${id}-image-url" class="image-url-input" aria-describedby="${id}-image-source-error" autocomplete="off" spellcheck="false">
+                        </div>
+                        <p id="${id}-image-source-error" class="image-error" hidden></p>
+                    </fieldset>
+                    <div class="image-field">
+                        <label for="${id}-image-alt">Alt text</label>
+                        <textarea id="${id}-image-alt" class="image-alt-input" rows="3" aria-describedby="${id}-image-alt-error ${id}-image-alt-hint"></textarea>
+                        <p id="${id}-image-alt-error" class="image-error" hidden></p>
+                        <p id="${id}-image-alt-hint" class="image-hint">Describe what the image shows for people who cannot see it.</p>
+                    </div>
+                    <label class="image-decorative"><input type="checkbox" class="image-decorative-check"> Decorative image: it adds nothing to the text, so it needs no alt text</label>
+                    <p class="image-status" role="status"></p>
+                    <div class="editor-dialog-buttons">
+                        <button type="button" class="editor-dialog-btn image-cancel">Cancel</button>
+                        <button type="submit" class="editor-dialog-btn editor-dialog-primary image-submit">Insert</button>
+                    </div>
+                </form>`;
+    editor.imageDialog = dialog;
+    // An upload still running when the dialog closes is ignored
+    dialog.onClose = () => { dialog.upload = null; };
+
+    const fileInput = dialog.querySelector('.image-file-input');
+    const urlInput = dialog.querySelector('.image-url-input');
+    const altInput = dialog.querySelector('.image-alt-input');
+    const decorativeCheck = dialog.querySelector('.image-decorative-check');
+    listen(editor, fileInput, 'change', () => {
+        setImageFile(dialog, fileInput.files[0] || null);
+        urlInput.value = '';
+        setImageError(editor, 'source', '');
+    });
+    listen(editor, urlInput, 'input', () => {
+        if (urlInput.value && dialog.file) {
+            fileInput.value = '';
+            setImageFile(dialog, null);
+        }
+        setImageError(editor, 'source', '');
+    });
+    listen(editor, altInput, 'input', () => setImageError(editor, 'alt', ''));
+    listen(editor, decorativeCheck, 'change', () => {
+        altInput.disabled = decorativeCheck.checked;
+        setImageError(editor, 'alt', '');
+    });
+    listen(editor, dialog.querySelector('.image-cancel'), 'click', () => closeDialog(editor, dialog));
+    listen(editor, dialog.querySelector('.image-form'), 'submit', (e) => {
+        e.preventDefault();
+        applyImage(editor);
+    });
+
+    // Clicking an image selects it, so the toolbar button and Enter edit its alt text
+    listen(editor, content, 'click', (e) => {
+        if (e.target.tagName !== 'IMG' || !content.contains(e.target)) return;
+        const range = document.createRange();
+        range.selectNode(e.target);
+        selectRange(range);
+    });
+    listen(editor, content, 'keydown', (e) => {
+        if (e.key !== 'Enter' || e.shiftKey || e.ctrlKey || e.metaKey || e.altKey) return;
+        const image = getSelectedImage(editor);
+        if (!image) return;
+        e.preventDefault();
+        openImageDialog(editor, { image });
+    });
+    // Selecting an image with Shift+Arrow keys says which image it is
+    listen(editor, content, 'keyup', (e) => {
+        const image = getSelectedImage(editor);
+        if (!image || image === editor.announcedImage || !e.shiftKey) {
+            if (!image) editor.announcedImage = null;
+            return;
+        }
+        editor.announcedImage = image;
+        announce(editor, `${describeImage(image)}. Press Enter to edit the alt text.`);
+    });
+
+    // Dropped image files ask for alt text; other content dropped from outside is pasted
+    listen(editor, content, 'dragstart', () => { editor.draggingInside = true; });
+    listen(editor, content, 'dragend', () => { editor.draggingInside = false; });
+    listen(editor, content, 'dragover', (e) => {
+        if (!editor.draggingInside) e.preventDefault();
+    });
+    listen(editor, content, 'drop', (e) => {
+        if (editor.draggingInside) return;
+        e.preventDefault();
+        placeCaretAtPoint(editor, e.clientX, e.clientY);
+        const imageFile = getImageFile(e.dataTransfer);
+        if (imageFile) {
+            openImageDialog(editor, { file: imageFile });
+            return;
+        }
+        const html = e.dataTransfer.getData('text/html');
+        const text = e.dataTransfer.getData('text/plain');
+        if (editor.trackChanges.suggesting) {
+            pasteSuggestion(editor, 'drop', html, text);
+        } else if (html || text) {
+            runWithHistory(editor, 'drop', () => insertPastedContent(editor, html, text));
+        }
+    });
+}
+
+/**
+ * Return the first image file in a clipboard or drag-and-drop data transfer
+ */
+function getImageFile(dataTransfer) {
+    return Array.from((dataTransfer && dataTransfer.files) || []).find(file => IMAGE_FILE_TYPES.includes(file.type)) || null;
+}
+
+/**
+ * Return the image when the selection is exactly one image in the content
+ */
+function getSelectedImage(editor) {
+    const range = getEditorRange(editor);
+    if (!range || range.startContainer !== range.endContainer || range.endOffset - range.startOffset !== 1) return null;
+    const node = range.startContainer.childNodes[range.startOffset];
+    return node && node.tagName === 'IMG' ? node : null;
+}
+
+function describeImage(image) {
+    const alt = image.getAttribute('alt');
+    return alt === null ? 'Image without alt text' : alt ? `Image: ${alt}` : 'Decorative image';
+}
+
+/**
+ * Move the caret to the point where something was dropped
+ */
+function placeCaretAtPoint(editor, x, y) {
+    let range = null;
+    if (document.caretPositionFromPoint) {
+        const position = document.caretPositionFromPoint(x, y);
+        if (position) {
+            range = document.createRange();
+            range.setStart(position.offsetNode, position.offset);
+        }
+    } else if (document.caretRangeFromPoint) {
+        range = document.caretRangeFromPoint(x, y);
+    }
+    if (range && editor.content.contains(range.startContainer)) {
+        range.collapse(true);
+        selectRange(range);
+    }
+}
+
+/**
+ * Open the image dialog to insert an image (optionally a pasted or dropped file)
+ * or, given an image in the content, to edit its alt text
+ */
+function openImageDialog(editor, { image = null, file = null } = {}) {
+    const dialog = editor.imageDialog;
+    saveSelection(editor);
+    dialog.image = image;
+    dialog.upload = null;
+
+    dialog.querySelector('h2').textContent = image ? 'Edit image' : 'Insert image';
+    dialog.querySelector('.image-submit').textContent = image ? 'Save' : 'Insert';
+    dialog.querySelector('.image-submit').disabled = false;
+    dialog.querySelector('.image-status').textContent = '';
+    dialog.querySelector('.image-source').hidden = !!image;
+    dialog.querySelector('.image-file-input').value = '';
+    dialog.querySelector('.image-url-input').value = '';
+    setImageFile(dialog, file);
+    setImageError(editor, 'source', '');
+    setImageError(editor, 'alt', '');
+
+    const alt = image ? image.getAttribute('alt') : null;
+    const altInput = dialog.querySelector('.image-alt-input');
+    const decorativeCheck = dialog.querySelector('.image-decorative-check');
+    altInput.value = alt || '';
+    decorativeCheck.checked = alt === '';
+    altInput.disabled = decorativeCheck.checked;
+
+    openDialog(editor, dialog, image || file ? (altInput.disabled ? decorativeCheck : altInput) : dialog.querySelector('.image-file-input'));
+    // Closing returns to the editor selection, even when the toolbar button opened the dialog
+    dialog.returnFocus = editor.content;
+}
+
+/**
+ * Remember the file to insert and name it below the file field
+ */
+function setImageFile(dialog, file) {
+    dialog.file = file;
+    const name = dialog.querySelector('.image-file-name');
+    name.textContent = file ? `Selected: ${file.name || 'pasted image'} (${formatFileSize(file.size)})` : '';
+    name.hidden = !file;
+}
+
+function formatFileSize(bytes) {
+    return bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Show an error below the image source or the alt text field, or clear it when message is empty
+ */
+function setImageError(editor, field, message) {
+    const dialog = editor.imageDialog;
+    const error = dialog.querySelector(`#${editor.id}-image-${field}-error`);
+    error.textContent = message;
+    error.hidden = !message;
+    const inputs = field === 'alt' ? [dialog.querySelector('.image-alt-input')] :
+        [dialog.querySelector('.image-file-input'), dialog.querySelector('.image-url-input')];
+    inputs.forEach(input => {
+        if (message) {
+            input.setAttribute('aria-invalid', 'true');
+        } else {
+            input.removeAttribute('aria-invalid');
+        }
+    });
+}
+
+/**
+ * Check an image address typed in the dialog. Returns { src } or { error }.
+ */
+function resolveImageUrl(editor, value) {
+    const address = value.trim();
+    if (SAFE_DATA_IMAGE_PATTERN.test(address)) return { src: address };
+    if (LINK_BARE_HOST_PATTERN.test(address)) return { src: 'https://' + address };
+    let url = null;
+    try {
+        url = new URL(address);
+    } catch {
+        // Reported below
+    }
+    if (!url || !/^https?:$/.test(url.protocol) || /\s/.test(address) || !isSafeUrl(address, editor.sanitizerConfig.allowedSchemes)) {
+        return { error: 'Enter a web address such as https://example.com/photo.jpg.' };
+    }
+    return { src: address };
+}
+
+/**
+ * Store an image file through the uploadImage option, or as a data URL
+ */
+async function storeImageFile(editor, file) {
+    if (typeof editor.options.uploadImage === 'function') {
+        const url = await editor.options.uploadImage(file);
+        if (typeof url !== 'string' || !url) throw new Error('uploadImage: expected the URL of the uploaded image');
+        return url;
+    }
+    if (file.size > LARGE_INLINE_IMAGE_SIZE) {
+        console.warn(`Embedding a ${Math.round(file.size / 1024)} KB image in the content. ` +
+            'Pass the uploadImage option to store images on a server instead.');
+    }
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+function addImagePayload(editor, key, data) {
+    editor.imagePayloads.data.set(key, data);
+    editor.imagePayloads.keys.set(data, key);
+}
+
+/**
+ * Replace the large data URLs in markup with references to this editor's image
+ * payloads, so that copies of the content for undo and autosave stay small
+ */
+function packImagePayloads(editor, html) {
+    if (html.length < IMAGE_PAYLOAD_MIN_LENGTH) return html;
+    // Images also appear escaped, in the blocks a formatting suggestion replaced
+    return html.replace(/ src=("|&quot;)(data:[^"&]+)\1/g, (match, quote, data) => {
+        if (data.length < IMAGE_PAYLOAD_MIN_LENGTH) return match;
+        let key = editor.imagePayloads.keys.get(data);
+        if (!key) {
+            key = hashText(data);
+            addImagePayload(editor, key, data);
+        }
+        return ` src=${quote}${IMAGE_PAYLOAD_PREFIX}${key}${quote}`;
+    });
+}
+
+/**
+ * Put the images back into markup made by packImagePayloads
+ */
+function unpackImagePayloads(editor, html) {
+    return html.replace(new RegExp(` src=("|&quot;)${IMAGE_PAYLOAD_PREFIX}([a-z0-9-]+)\\1`, 'g'), (match, quote, key) => {
+        const data = editor.imagePayloads.data.get(key);
+        return data ? ` src=${quote}${data}${quote}` : match;
+    });
+}
+
+/**
+ * The image payload keys markup refers to
+ */
+function getImagePayloadRefs(html) {
+    const keys = new Set();
+    for (const match of html.matchAll(new RegExp(` src=("|&quot;)${IMAGE_PAYLOAD_PREFIX}([a-z0-9-]+)\\1`, 'g'))) keys.add(match[2]);
+    return Array.from(keys);
+}
+
+/**
+ * Forget the image payloads that no undo step and no autosave comparison refers to
+ */
+function pruneImagePayloads(editor) {
+    const { undoStack, redoStack, typingEntry } = editor.history;
+    const used = new Set();
+    const collect = (html) => getImagePayloadRefs(html).forEach(key => used.add(key));
+    undoStack.concat(redoStack, typingEntry ? [typingEntry] : []).forEach(entry => {
+        if (entry.before) collect(entry.before.html);
+        if (entry.after) collect(entry.after.html);
+    });
+    if (editor.autosave) collect(editor.autosave.lastHtml);
+    editor.imagePayloads.data.forEach((data, key) => {
+        if (used.has(key)) return;
+        editor.imagePayloads.data.delete(key);
+        editor.imagePayloads.keys.delete(data);
+    });
+}
+
+/**
+ * Insert the image described by the dialog, or save the alt text of the image it was opened on
+ */
+async function applyImage(editor) {
+    const dialog = editor.imageDialog;
+    const image = dialog.image;
+    const urlInput = dialog.querySelector('.image-url-input');
+    const altInput = dialog.querySelector('.image-alt-input');
+    const decorative = dialog.querySelector('.image-decorative-check').checked;
+    const alt = decorative ? '' : altInput.value.replace(/\s+/g, ' ').trim();
+
+    let source = null;
+    if (!image) {
+        source = dialog.file ? {} : urlInput.value.trim() ? resolveImageUrl(editor, urlInput.value) :
+            { error: 'Choose an image file or enter the address of an image.' };
+        setImageError(editor, 'source', source.error || '');
+    }
+    const altError = decorative || alt ? (IMAGE_FILE_NAME_PATTERN.test(alt) ? 'Alt text should describe the image, not name its file.' : '') :
+        'Describe the image, or mark it as decorative.';
+    setImageError(editor, 'alt', altError);
+    if (source && source.error) {
+        (dialog.file ? dialog.querySelector('.image-file-input') : urlInput).focus();
+        return;
+    }
+    if (altError) {
+        altInput.focus();
+        return;
+    }
+
+    if (image) {
+        closeDialog(editor, dialog);
+        if (!editor.content.contains(image)) return;
+        runWithHistory(editor, 'edit alt text', () => runSuggestedChange(editor, 'Alt text', () => image.setAttribute('alt', alt)));
+        announce(editor, decorative ? 'Image marked as decorative' : 'Alt text saved');
+        return;
+    }
+
+    let src = source.src;
+    if (dialog.file) {
+        const upload = dialog.upload = {};
+        const submit = dialog.querySelector('.image-submit');
+        const status = dialog.querySelector('.image-status');
+        submit.disabled = true;
+        status.textContent = editor.options.uploadImage ? 'Uploading image…' : 'Reading image…';
+        try {
+            src = await storeImageFile(editor, dialog.file);
+        } catch (err) {
+            if (dialog.upload !== upload) return;
+            submit.disabled = false;
+            status.textContent = '';
+            setImageError(editor, 'source', `The image could not be stored: ${err.message}`);
+            dialog.querySelector('.image-file-input').focus();
+            return;
+        }
+        // Cancelled while the upload was running
+        if (dialog.upload !== upload) return;
+    }
+
+    closeDialog(editor, dialog);
+    restoreSelection(editor);
+    runWithHistory(editor, 'image', () => runSuggestedChange(editor, 'Image', () => {
+        insertHtmlAtSelection(editor, sanitizeForEditor(editor, renderImageHtml({ src, alt }), 'image'));
+    }));
+    announce(editor, decorative ? 'Decorative image inserted' : `Image inserted: ${alt}`);
+    updateToolbarActiveStates(editor);
+}
+
+/*
+ * Tables
+ *
+ * The table dialog inserts a table with an optional header row, header column and
+ * caption, written as <th scope> cells and a <caption>. Tab and Shift+Tab move
+ * between cells (Tab in the last cell adds a row), and the editor announces the
+ * position of the cell the caret enters: the table's caption and size first,
+ * then "row 2, column 3" and the column header.
+ */
+
+// Largest table the dialog inserts
+const TABLE_MAX_ROWS = 100;
+const TABLE_MAX_COLUMNS = 20;
+
+function setupTables(editor) {
+    const { id, content } = editor;
+    const dialog = createDialog(editor, 'table', 'Insert table');
+    dialog.body.innerHTML = `
+                <form class="table-form" novalidate>
+                    <div class="table-size">
+                        <div class="table-field">
+                            <label for="${id}-table-rows">Rows</label>
+                            <input type="number" id="${id}-table-rows" class="table-rows-input" min="1" max="${TABLE_MAX_ROWS}" value="3" aria-describedby="${id}-table-size-error">
+                        </div>
+                        <div class="table-field">
+                            <label for="${id}-table-columns">Columns</label>
+                            <input type="number" id="${id}-table-columns" class="table-columns-input" min="1" max="${TABLE_MAX_COLUMNS}" value="3" aria-describedby="${id}-table-size-error">
+                        </div>
+                    </div>
+                    <p id="${id}-table-size-error" class="table-error" hidden></p>
+                    <fieldset class="table-headers">
+                        <legend>Header cells</legend>
+                        <label><input type="checkbox" class="table-header-row-check" checked> First row labels the columns</label>
+                        <label><input type="checkbox" class="table-header-column-check"> First column labels the rows</label>
+                    </fieldset>
+                    <div class="table-field">
+                        <label for="${id}-table-caption">Caption (optional)</label>
+                        <input type="text" id="${id}-table-caption" class="table-caption-input" aria-describedby="${id}-table-caption-hint" autocomplete="off">
+                        <p id="${id}-table-caption-hint" class="table-hint">A short title that screen readers announce with the table.</p>
+                    </div>
+                    <div class="editor-dialog-buttons">
+                        <button type="button" class="editor-dialog-btn table-cancel">Cancel</button>
+                        <button type="submit" class="editor-dialog-btn editor-dialog-primary">Insert</button>
+                    </div>
+                </form>`;
+    editor.tableDialog = dialog;
+    editor.tableCell = null;
+
+    dialog.querySelectorAll('.table-rows-input, .table-columns-input').forEach(input => {
+        listen(editor, input, 'input', () => setTableSizeError(editor, null, ''));
+    });
+    listen(editor, dialog.querySelector('.table-cancel'), 'click', () => closeDialog(editor, dialog));
+    listen(editor, dialog.querySelector('.table-form'), 'submit', (e) => {
+        e.preventDefault();
+        applyTableDialog(editor);
+    });
+
+    listen(editor, content, 'keydown', (e) => {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        const cell = getSelectedTableCell(editor);
+        if (!cell) return;
+        const table = cell.closest('table');
+        if (e.key === 'Tab') {
+            const cells = Array.from(table.rows).flatMap(row => Array.from(row.cells));
+            const index = cells.indexOf(cell);
+            // Shift+Tab in the first cell leaves the content as usual
+            if (e.shiftKey && index === 0) return;
+            e.preventDefault();
+            if (!e.shiftKey && index === cells.length - 1) {
+                runWithHistory(editor, 'insert row below', () => insertTableRow(editor, true, 0));
+                return;
+            }
+            moveToTableCell(editor, cells[index + (e.shiftKey ? -1 : 1)]);
+        } else if (e.key === 'ArrowDown' && !e.shiftKey && cell.parentNode === table.rows[table.rows.length - 1] &&
+            !table.nextElementSibling) {
+            // Below a table that ends the content there is nowhere for the caret to go: add a paragraph
+            e.preventDefault();
+            runWithHistory(editor, 'new paragraph', () => {
+                const paragraph = document.createElement('p');
+                paragraph.appendChild(document.createElement('br'));
+                table.after(paragraph);
+                placeCaret(paragraph, 0);
+            });
+        }
+    });
+
+    // Moving into another cell, with the keyboard or the mouse, says where the caret is
+    const announcePosition = () => {
+        const cell = getSelectedTableCell(editor);
+        if (cell === editor.tableCell) return;
+        const previousTable = editor.tableCell && editor.tableCell.closest('table');
+        editor.tableCell = cell;
+        if (!cell) return;
+        const table = cell.closest('table');
+        announce(editor, (table !== previousTable ? describeTable(table) + '. ' : '') + describeTableCell(cell));
+    };
+    listen(editor, content, 'keyup', announcePosition);
+    listen(editor, content, 'mouseup', announcePosition);
+}
+
+/**
+ * Return the table cell holding the start of the selection, or null
+ */
+function getSelectedTableCell(editor) {
+    const range = getEditorRange(editor);
+    return range ? getTableCell(editor, range.startContainer) : null;
+}
+
+function getTableCell(editor, node) {
+    return closestInEditor(editor, node, el => el.tagName === 'TD' || el.tagName === 'TH');
+}
+
+/**
+ * "Table: caption, 3 rows, 4 columns"
+ */
+function describeTable(table) {
+    const rows = table.rows.length;
+    const columns = Math.max(0, ...Array.from(table.rows).map(row => row.cells.length));
+    const caption = table.caption && table.caption.textContent.trim();
+    return `Table${caption ? `: ${caption}` : ''}, ${rows} ${rows === 1 ? 'row' : 'rows'}, ` +
+        `${columns} ${columns === 1 ? 'column' : 'columns'}`;
+}
+
+/**
+ * "Row 2, column 3", each followed by its header when there is one: "Row 2 (Apples), column 3 (Price)"
+ */
+function describeTableCell(cell) {
+    const row = cell.parentNode;
+    const table = row.closest('table');
+    const label = (header) => {
+        const text = header && header !== cell ? header.textContent.replace(/\s+/g, ' ').trim() : '';
+        return text ? ` (${text})` : '';
+    };
+    const rowHeader = Array.from(row.cells).find(other => getTableCellHeader(other) === 'row');
+    const columnHeader = Array.from(table.rows).map(other => other.cells[cell.cellIndex])
+        .find(other => other && getTableCellHeader(other) === 'col');
+    return `Row ${row.rowIndex + 1}${label(rowHeader)}, column ${cell.cellIndex + 1}${label(columnHeader)}`;
+}
+
+/**
+ * Select the content of a cell (or put the caret in it when empty) and announce its position
+ */
+function moveToTableCell(editor, cell) {
+    if (isBlankNode(cell)) {
+        placeCaretAtStart(cell);
+    } else {
+        const range = document.createRange();
+        range.selectNodeContents(cell);
+        selectRange(range);
+    }
+    editor.tableCell = cell;
+    announce(editor, describeTableCell(cell));
+    updateToolbarActiveStates(editor);
+}
+
+/**
+ * Open the dialog to insert a table at the selection
+ */
+function openTableDialog(editor) {
+    if (getSelectedTableCell(editor)) {
+        announce(editor, 'A table cannot be inserted inside a table');
+        return;
+    }
+    const dialog = editor.tableDialog;
+    saveSelection(editor);
+    dialog.querySelector('.table-rows-input').value = '3';
+    dialog.querySelector('.table-columns-input').value = '3';
+    dialog.querySelector('.table-header-row-check').checked = true;
+    dialog.querySelector('.table-header-column-check').checked = false;
+    dialog.querySelector('.table-caption-input').value = '';
+    setTableSizeError(editor, null, '');
+    openDialog(editor, dialog, dialog.querySelector('.table-rows-input'));
+    // Closing returns to the editor selection, even when the toolbar button opened the dialog
+    dialog.returnFocus = editor.content;
+}
+
+/**
+ * Show an error below the size fields and mark the field it is about, or clear it when message is empty
+ */
+function setTableSizeError(editor, input, message) {
+    const dialog = editor.tableDialog;
+    const error = dialog.querySelector('.table-error');
+    error.textContent = message;
+    error.hidden = !message;
+    dialog.querySelectorAll('.table-rows-input, .table-columns-input').forEach(field => {
+        if (field === input) {
+            field.setAttribute('aria-invalid', 'true');
+        } else {
+            field.removeAttribute('aria-invalid');
+        }
+    });
+}
+
+/**
+ * Check the dialog fields and insert the table, with the caret in its first cell
+ */
+function applyTableDialog(editor) {
+    const dialog = editor.tableDialog;
+    const fields = [
+        { input: dialog.querySelector('.table-rows-input'), name: 'rows', max: TABLE_MAX_ROWS },
+        { input: dialog.querySelector('.table-columns-input'), name: 'columns', max: TABLE_MAX_COLUMNS }
+    ];
+    const invalid = fields.find(({ input, max }) => {
+        const value = Number(input.value);
+        return !Number.isInteger(value) || value < 1 || value > max;
+    });
+    if (invalid) {
+        setTableSizeError(editor, invalid.input, `Enter a number of ${invalid.name} from 1 to ${invalid.max}.`);
+        invalid.input.focus();
+        return;
+    }
+
+    const table = createTableNode(Number(fields[0].input.value), Number(fields[1].input.value), {
+        headerRow: dialog.querySelector('.table-header-row-check').checked,
+        headerColumn: dialog.querySelector('.table-header-column-check').checked,
+        caption: dialog.querySelector('.table-caption-input').value.replace(/\s+/g, ' ').trim()
+    });
+    closeDialog(editor, dialog);
+    restoreSelection(editor);
+    runWithHistory(editor, 'insert table', () => runSuggestedChange(editor, 'Table', () => {
+        insertHtmlAtSelection(editor, sanitizeForEditor(editor, renderTableHtml(table, {}), 'table'));
+        const range = getEditorRange(editor);
+        const inserted = range && closestInEditor(editor, range.startContainer, el => el.tagName === 'TABLE');
+        if (!inserted) return;
+        // Leave a paragraph after the table so the caret can move past it
+        if (!inserted.nextElementSibling) {
+            const paragraph = document.createElement('p');
+            paragraph.appendChild(document.createElement('br'));
+            inserted.after(paragraph);
+        }
+        placeCaretAtStart(inserted.rows[0].cells[0]);
+        editor.tableCell = inserted.rows[0].cells[0];
+        announce(editor, `${describeTable(inserted)} inserted. ${describeTableCell(editor.tableCell)}`);
+    }));
+    updateToolbarActiveStates(editor);
+}
+
+/**
+ * Build an empty table node; header row cells label columns, header column cells label rows
+ */
+function createTableNode(rows, columns, { headerRow = false, headerColumn = false, caption = '' } = {}) {
+    const table = { type: 'table', content: [] };
+    if (caption) table.attrs = { caption };
+    for (let r = 0; r < rows; r++) {
+        const row = { type: 'tableRow', content: [] };
+        for (let c = 0; c < columns; c++) {
+            row.content.push(makeTableCellNode(headerRow && r === 0 ? 'col' : headerColumn && c === 0 ? 'row' : null, []));
+        }
+        table.content.push(row);
+    }
+    return table;
+}
+
+/**
+ * Create an empty <th scope> or <td> cell
+ */
+function createTableCell(header) {
+    const cell = document.createElement(header ? 'th' : 'td');
+    if (header) cell.setAttribute('scope', header);
+    cell.appendChild(document.createElement('br'));
+    return cell;
+}
+
+/**
+ * Split cells that span several rows or columns and fill short rows, so every
+ * row has one cell per column before rows or columns are added or deleted
+ */
+function normalizeTableElement(table) {
+    const { rows, grid, width } = getTableGrid(table);
+    rows.forEach((row, r) => {
+        let previous = null;
+        for (let c = 0; c < width; c++) {
+            const cell = grid[r][c];
+            if (cell && cell.parentNode === row && grid[r][c - 1] !== cell) {
+                cell.removeAttribute('colspan');
+                cell.removeAttribute('rowspan');
+                previous = cell;
+                continue;
+            }
+            const filler = createTableCell(cell ? getTableCellHeader(cell) : null);
+            if (previous) previous.after(filler); else row.prepend(filler);
+            previous = filler;
+        }
+    });
+}
+
+/**
+ * Return the cell a table command works on, or announce that the caret is not in a table
+ */
+function getTableCommandCell(editor) {
+    const cell = getSelectedTableCell(editor);
+    if (!cell) {
+        announce(editor, 'Not in a table');
+        return null;
+    }
+    normalizeTableElement(cell.closest('table'));
+    return cell;
+}
+
+/**
+ * Add a row above or below the current one, with the same kinds of cells, and put the
+ * caret in `column` (by default the current one). A row added below the header row
+ * starts the table body.
+ */
+function insertTableRow(editor, below, column) {
+    const cell = getTableCommandCell(editor);
+    if (!cell) return null;
+    const row = cell.parentNode;
+    const table = row.closest('table');
+    const intoBody = below && row.parentNode.tagName === 'THEAD';
+    const body = intoBody ? table.tBodies[0] || table.createTBody() : null;
+    const template = intoBody ? body.rows[0] : row;
+    const newRow = document.createElement('tr');
+    Array.from(row.cells).forEach((_, c) => {
+        const model = template && template.cells[c];
+        newRow.appendChild(createTableCell(model ? getTableCellHeader(model) : null));
+    });
+    if (intoBody) {
+        body.prepend(newRow);
+    } else if (below) {
+        row.after(newRow);
+    } else {
+        row.before(newRow);
+    }
+    const target = newRow.cells[column === undefined ? cell.cellIndex : column];
+    placeCaretAtStart(target);
+    editor.tableCell = target;
+    announce(editor, `Row inserted. ${describeTableCell(target)}`);
+}
+
+/**
+ * Add a column before or after the current one; it is part of the header row, if any
+ */
+function insertTableColumn(editor, after) {
+    const cell = getTableCommandCell(editor);
+    if (!cell) return;
+    const index = cell.cellIndex;
+    const table = cell.closest('table');
+    Array.from(table.rows).forEach(row => {
+        const headerRow = Array.from(row.cells).every(other => getTableCellHeader(other) === 'col');
+        const newCell = createTableCell(headerRow ? 'col' : null);
+        const reference = row.cells[index];
+        if (after) reference.after(newCell); else reference.before(newCell);
+    });
+    const target = cell.parentNode.cells[after ? index + 1 : index];
+    placeCaretAtStart(target);
+    editor.tableCell = target;
+    announce(editor, `Column inserted. ${describeTableCell(target)}`);
+}
+
+/**
+ * Delete the current row; the caret moves to the same column of the next row (or the previous one)
+ */
+function deleteTableRow(editor) {
+    const cell = getTableCommandCell(editor);
+    if (!cell) return;
+    const row = cell.parentNode;
+    const table = row.closest('table');
+    if (table.rows.length === 1) {
+        deleteTable(editor);
+        return;
+    }
+    const next = table.rows[row.rowIndex + 1] || table.rows[row.rowIndex - 1];
+    const section = row.parentNode;
+    row.remove();
+    if (section !== table && !section.rows.length) section.remove();
+    const target = next.cells[Math.min(cell.cellIndex, next.cells.length - 1)];
+    placeCaretAtStart(target);
+    editor.tableCell = target;
+    announce(editor, `Row deleted. ${describeTableCell(target)}`);
+}
+
+/**
+ * Delete the current column; the caret moves to the next cell of the row (or the previous one)
+ */
+function deleteTableColumn(editor) {
+    const cell = getTableCommandCell(editor);
+    if (!cell) return;
+    const row = cell.parentNode;
+    const table = row.closest('table');
+    const index = cell.cellIndex;
+    if (row.cells.length === 1) {
+        deleteTable(editor);
+        return;
+    }
+    Array.from(table.rows).forEach(other => other.cells[index].remove());
+    const target = row.cells[Math.min(index, row.cells.length - 1)];
+    placeCaretAtStart(target);
+    editor.tableCell = target;
+    announce(editor, `Column deleted. ${describeTableCell(target)}`);
+}
+
+/**
+ * Delete the table around the caret and put the caret where it was
+ */
+function deleteTable(editor) {
+    const cell = getSelectedTableCell(editor);
+    if (!cell) {
+        announce(editor, 'Not in a table');
+        return;
+    }
+    const table = cell.closest('table');
+    let next = table.nextElementSibling;
+    if (!next) {
+        next = document.createElement('p');
+        next.appendChild(document.createElement('br'));
+        table.after(next);
+    }
+    table.remove();
+    placeCaretAtStart(next);
+    editor.tableCell = null;
+    announce(editor, 'Table deleted');
+}
+
+/**
+ * Return the child-index path from root down to node, or null if node is outside root
+ */
+function getNodePath(root, node) {
+    const path = [];
+    while (node && node !== root) {
+        if (!node.parentNode) return null;
+        path.unshift(Array.prototype.indexOf.call(node.parentNode.childNodes, node));
+        node = node.parentNode;
+    }
+    return node === root ? path : null;
+}
+
+/**
+ * Resolve a path produced by getNodePath, or null if it no longer exists
+ */
+function getNodeByPath(root, path) {
+    let node = root;
+    for (const index of path) {
+        node = node.childNodes[index];
+        if (!node) return null;
+    }
+    return node;
+}
+
+/**
+ * Describe the current selection as paths so it survives innerHTML replacement
+ */
+function serializeSelection(editor) {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return null;
+    const range = selection.getRangeAt(0);
+    const start = getNodePath(editor.content, range.startContainer);
+    const end = getNodePath(editor.content, range.endContainer);
+    if (!start || !end) return null;
+    return { start, startOffset: range.startOffset, end, endOffset: range.endOffset };
+}
+
+/**
+ * Restore a selection produced by serializeSelection
+ */
+function restoreSerializedSelection(editor, saved) {
+    if (!saved) return;
+    const startNode = getNodeByPath(editor.content, saved.start);
+    const endNode = getNodeByPath(editor.content, saved.end);
+    if (!startNode || !endNode) return;
+    try {
+        const range = document.createRange();
+        range.setStart(startNode, saved.startOffset);
+        range.setEnd(endNode, saved.endOffset);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    } catch (err) {
+        // Offsets no longer valid for this content; leave the caret where it is
+    }
+}
+
+/**
+ * Capture the content and selection of the editor
+ */
+function takeSnapshot(editor) {
+    return { html: packImagePayloads(editor, editor.content.innerHTML), selection: serializeSelection(editor) };
+}
+
+/**
+ * Put the editor back to a snapshot taken with takeSnapshot
+ */
+function applySnapshot(editor, snapshot) {
+    editor.content.innerHTML = unpackImagePayloads(editor, snapshot.html);
+    editor.content.focus();
+    restoreSerializedSelection(editor, snapshot.selection);
+}
+
+/**
+ * Setup undo/redo history: typing grouping, keyboard shortcuts and toolbar state
+ */
+function setupHistory(editor) {
+    const content = editor.content;
+    editor.history = {
+        undoStack: [],
+        redoStack: [],
+        // Undo entry still receiving keystrokes, and when it last changed
+        typingEntry: null,
+        lastInputTime: 0,
+        // True while runWithHistory or undo/redo change the content themselves
+        busy: false
+    };
+
+    // beforeinput fires before the DOM changes, so it is where typing steps begin
+    listen(editor, content, 'beforeinput', (e) => {
+        const history = editor.history;
+        if (history.busy || e.defaultPrevented) return;
+
+        if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+            e.preventDefault();
+            if (e.inputType === 'historyUndo') undo(editor); else redo(editor);
+            return;
+        }
+
+        const label = getInputLabel(e.inputType);
+        const now = Date.now();
+        const entry = history.typingEntry;
+        const startNewStep = !entry ||
+            entry.label !== label ||
+            label !== 'typing' && label !== 'deletion' ||
+            e.inputType === 'insertParagraph' ||
+            now - history.lastInputTime > HISTORY_GROUP_DELAY;
+
+        if (startNewStep) {
+            closeTypingEntry(editor);
+            history.typingEntry = { label, before: takeSnapshot(editor), after: null };
+            pushHistoryEntry(editor, history.typingEntry);
+        }
+        history.lastInputTime = now;
+    });
+
+    updateToolbarEnabledStates(editor);
+}
+
+/**
+ * Describe a beforeinput inputType for undo announcements
+ */
+function getInputLabel(inputType) {
+    if (inputType.startsWith('delete')) return 'deletion';
+    if (inputType.startsWith('format')) {
+        // formatBold -> "bold", formatStrikeThrough -> "strike through"
+        return inputType.slice(6).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    }
+    if (inputType === 'insertFromPaste' || inputType === 'insertFromDrop') return 'paste';
+    return 'typing';
+}
+
+/**
+ * Finish the current typing step so the next input starts a new one
+ */
+function closeTypingEntry(editor) {
+    const history = editor.history;
+    if (history.typingEntry) {
+        history.typingEntry.after = takeSnapshot(editor);
+        history.typingEntry = null;
+    }
+}
+
+/**
+ * Add an undo step and drop anything that could be redone
+ */
+function pushHistoryEntry(editor, entry) {
+    const history = editor.history;
+    history.undoStack.push(entry);
+    if (history.undoStack.length > HISTORY_LIMIT) {
+        history.undoStack.shift();
+    }
+    history.redoStack = [];
+    if (editor.imagePayloads.data.size) pruneImagePayloads(editor);
+    updateToolbarEnabledStates(editor);
+}
+
+/**
+ * Run a programmatic change to the content and record it as one undo step
+ */
+function runWithHistory(editor, label, change) {
+    const history = editor.history;
+    if (!history || history.busy) return change();
+
+    closeTypingEntry(editor);
+    const before = takeSnapshot(editor);
+    history.busy = true;
+    let result;
+    try {
+        result = change();
+    } finally {
+        history.busy = false;
+    }
+    const after = takeSnapshot(editor);
+    if (after.html !== before.html) {
+        pushHistoryEntry(editor, { label, before, after });
+        notifyContentChange(editor);
+    }
+    return result;
+}
+
+/**
+ * Fire an input event for changes made by the editor itself, so input listeners see them too
+ */
+function notifyContentChange(editor) {
+    editor.content.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Undo the most recent step and announce what was undone
+ */
+function undo(editor) {
+    const history = editor.history;
+    closeTypingEntry(editor);
+    const entry = history.undoStack.pop();
+    if (!entry) {
+        announce(editor, 'Nothing to undo');
+        return;
+    }
+    history.busy = true;
+    if (editor.collaboration) {
+        applyCollaborativeHistoryStep(editor, entry, true);
+    } else {
+        applySnapshot(editor, entry.before);
+    }
+    notifyContentChange(editor);
+    history.busy = false;
+    history.redoStack.push(entry);
+    updateToolbarEnabledStates(editor);
+    updateToolbarActiveStates(editor);
+    announce(editor, 'Undid ' + entry.label);
+}
+
+/**
+ * Redo the most recently undone step and announce what was redone
+ */
+function redo(editor) {
+    const history = editor.history;
+    closeTypingEntry(editor);
+    const entry = history.redoStack.pop();
+    if (!entry) {
+        announce(editor, 'Nothing to redo');
+        return;
+    }
+    history.busy = true;
+    if (editor.collaboration) {
+        applyCollaborativeHistoryStep(editor, entry, false);
+    } else {
+        applySnapshot(editor, entry.after);
+    }
+    notifyContentChange(editor);
+    history.busy = false;
+    history.undoStack.push(entry);
+    updateToolbarEnabledStates(editor);
+    updateToolbarActiveStates(editor);
+    announce(editor, 'Redid ' + entry.label);
+}
+
+/**
+ * Mark toolbar buttons as disabled when their plugin cannot run, such as Undo with nothing to undo
+ */
+function updateToolbarEnabledStates(editor) {
+    editor.toolbarButtons.forEach(button => {
+        const plugin = editor.plugins.get(button.getAttribute('data-command'));
+        if (!plugin.isEnabled) return;
+        // aria-disabled keeps the button reachable with the arrow keys
+        button.setAttribute('aria-disabled', String(!plugin.isEnabled(editor)));
+    });
+}
+
+/**
+ * Create an editor for every element marked with data-accessible-editor
+ */
+function initEditorsOnPage() {
+    document.querySelectorAll('[data-accessible-editor]').forEach(root => {
+        const options = {};
+        if (root.dataset.label) options.label = root.dataset.label;
+        if (root.dataset.documentId) options.documentId = root.dataset.documentId;
+        if (root.dataset.collaborationUrl) options.collaboration = { url: root.dataset.collaborationUrl };
+        createAccessibleEditor(root, options);
+    });
+}
 
 /**
  * Initialize on DOM ready
  */
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initEditor);
+    document.addEventListener('DOMContentLoaded', initEditorsOnPage);
 } else {
-    initEditor();
+    initEditorsOnPage();
 }